@@ -0,0 +1,281 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "./CredentialRegistry.sol";
+import "./interfaces/ICredentialConsent.sol";
+
+/**
+ * @title CredentialConsent
+ * @dev Recipient consent for credentials issued by the CredentialRegistry: while the registry
+ * enforces it, every new credential is an offer that only counts once its recipient accepts it
+ * @notice Recipients accept or reject offers with a transaction or an EIP-712 signature that
+ * anyone may submit. Offers left open longer than `offerPeriod` expire. Recipients can also
+ * disown a credential they hold, which stops it from counting for good, and hide credentials
+ * from the CredentialVerifier's recipient listings.
+ */
+contract CredentialConsent is ICredentialConsent, EIP712, Nonces {
+    using ECDSA for bytes32;
+
+    CredentialRegistry public immutable credentialRegistry;
+
+    // EIP-712 type of a recipient's signed answer to an offer
+    bytes32 public constant CONSENT_REQUEST_TYPEHASH = keccak256(
+        "ConsentRequest(uint256 credentialId,bool accept,uint256 nonce,uint256 deadline)"
+    );
+
+    enum ConsentStatus {
+        None, // Issued while consent was not enforced; counts unless disowned
+        Pending,
+        Accepted,
+        Rejected,
+        Expired,
+        Disowned
+    }
+
+    // Recipient's answer to a credential
+    struct Consent {
+        ConsentStatus status;
+        uint256 offeredAt;
+        uint256 offerExpiresAt; // 0 = the offer stays open until answered
+        uint256 decidedAt;
+        bool hidden;
+    }
+
+    // Accept or reject an offer on behalf of its recipient
+    struct ConsentRequest {
+        uint256 credentialId;
+        bool accept;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    uint256 public offerPeriod = 30 days; // Time a recipient has to answer an offer (0 = no limit)
+    mapping(uint256 => Consent) private _consents;
+
+    // Events
+    event CredentialOffered(uint256 indexed credentialId, address indexed recipient, uint256 offerExpiresAt);
+
+    event CredentialAccepted(uint256 indexed credentialId, address indexed recipient, uint256 acceptedAt);
+
+    event CredentialRejected(uint256 indexed credentialId, address indexed recipient, uint256 rejectedAt);
+
+    event CredentialDisowned(
+        uint256 indexed credentialId,
+        address indexed recipient,
+        string reason,
+        uint256 disownedAt
+    );
+
+    event CredentialVisibilityUpdated(uint256 indexed credentialId, address indexed recipient, bool hidden);
+
+    event OfferPeriodUpdated(uint256 previousOfferPeriod, uint256 newOfferPeriod);
+
+    // Custom errors
+    error InvalidConsentStatus(uint256 credentialId, ConsentStatus status);
+    error NotCredentialRecipient(uint256 credentialId, address account);
+    error UnauthorizedConsentManager(address account);
+    error ExpiredSignature(uint256 deadline);
+    error InvalidSignature(address signer);
+
+    constructor(address _credentialRegistry) EIP712("CredentialConsent", "1") {
+        require(_credentialRegistry != address(0), "Invalid registry address");
+        credentialRegistry = CredentialRegistry(_credentialRegistry);
+    }
+
+    /**
+     * @dev Record a newly issued credential as an offer awaiting its recipient (registry only)
+     * @param credentialId ID of the credential
+     * @param recipient Recipient who may accept or reject the offer
+     */
+    function recordOffer(uint256 credentialId, address recipient) external {
+        if (msg.sender != address(credentialRegistry)) revert UnauthorizedConsentManager(msg.sender);
+
+        uint256 offerExpiresAt = offerPeriod == 0 ? 0 : block.timestamp + offerPeriod;
+        _consents[credentialId] = Consent({
+            status: ConsentStatus.Pending,
+            offeredAt: block.timestamp,
+            offerExpiresAt: offerExpiresAt,
+            decidedAt: 0,
+            hidden: false
+        });
+
+        emit CredentialOffered(credentialId, recipient, offerExpiresAt);
+    }
+
+    /**
+     * @dev Accept a pending offer (recipient only)
+     * @param credentialId ID of the credential
+     */
+    function acceptCredential(uint256 credentialId) external {
+        _answerOffer(credentialId, msg.sender, true);
+    }
+
+    /**
+     * @dev Reject a pending offer (recipient only); a rejected credential never counts
+     * @param credentialId ID of the credential
+     */
+    function rejectCredential(uint256 credentialId) external {
+        _answerOffer(credentialId, msg.sender, false);
+    }
+
+    /**
+     * @dev Accept or reject an offer on behalf of a recipient who signed the request (relayer pays gas)
+     * @param request Answer to the offer; the signer must be the credential's recipient
+     * @param signature Recipient's EIP-712 signature over the request
+     */
+    function answerOfferBySig(ConsentRequest calldata request, bytes calldata signature) external {
+        if (block.timestamp > request.deadline) revert ExpiredSignature(request.deadline);
+
+        address recipient = _recipientOf(request.credentialId);
+        bytes32 structHash = keccak256(abi.encode(
+            CONSENT_REQUEST_TYPEHASH,
+            request.credentialId,
+            request.accept,
+            request.nonce,
+            request.deadline
+        ));
+        (address recovered, ECDSA.RecoverError error, ) = _hashTypedDataV4(structHash).tryRecover(signature);
+        if (error != ECDSA.RecoverError.NoError || recovered != recipient) revert InvalidSignature(recipient);
+        _useCheckedNonce(recipient, request.nonce);
+
+        _answerOffer(request.credentialId, recipient, request.accept);
+    }
+
+    /**
+     * @dev Disown a credential the caller holds, so that it stops counting for good (recipient only)
+     * @param credentialId ID of an accepted credential, or of one issued without an offer
+     * @param reason Why the recipient disowns the credential
+     */
+    function disownCredential(uint256 credentialId, string calldata reason) external {
+        _checkRecipient(credentialId, msg.sender);
+        Consent storage consent = _consents[credentialId];
+        ConsentStatus status = _effectiveStatus(consent);
+        if (status != ConsentStatus.None && status != ConsentStatus.Accepted) {
+            revert InvalidConsentStatus(credentialId, status);
+        }
+
+        consent.status = ConsentStatus.Disowned;
+        consent.decidedAt = block.timestamp;
+
+        emit CredentialDisowned(credentialId, msg.sender, reason, block.timestamp);
+    }
+
+    /**
+     * @dev Hide a credential from the CredentialVerifier's recipient listings, or show it again
+     * (recipient only); hiding does not change whether the credential is valid
+     * @param credentialId ID of the credential
+     * @param hidden True to hide the credential
+     */
+    function setHidden(uint256 credentialId, bool hidden) external {
+        _checkRecipient(credentialId, msg.sender);
+        _consents[credentialId].hidden = hidden;
+
+        emit CredentialVisibilityUpdated(credentialId, msg.sender, hidden);
+    }
+
+    /**
+     * @dev Set how long recipients have to answer new offers (admin only); open offers keep their expiry
+     * @param newOfferPeriod Seconds, or 0 for offers that never expire
+     */
+    function setOfferPeriod(uint256 newOfferPeriod) external {
+        if (!credentialRegistry.hasRole(credentialRegistry.DEFAULT_ADMIN_ROLE(), msg.sender)) {
+            revert UnauthorizedConsentManager(msg.sender);
+        }
+        emit OfferPeriodUpdated(offerPeriod, newOfferPeriod);
+        offerPeriod = newOfferPeriod;
+    }
+
+    /**
+     * @dev Check whether a credential counts for its recipient
+     * @param credentialId ID of the credential
+     * @return accepted True if the recipient accepted it, or it never needed consent and was not disowned
+     */
+    function isAccepted(uint256 credentialId) external view returns (bool) {
+        ConsentStatus status = _consents[credentialId].status;
+        return status == ConsentStatus.None || status == ConsentStatus.Accepted;
+    }
+
+    /**
+     * @dev Check whether the recipient hid a credential from listings
+     * @param credentialId ID of the credential
+     * @return hidden True if the credential is hidden
+     */
+    function isHidden(uint256 credentialId) external view returns (bool) {
+        return _consents[credentialId].hidden;
+    }
+
+    /**
+     * @dev Get the recipient's answer to a credential; an offer left open past its expiry reads as Expired
+     * @param credentialId ID of the credential
+     * @return consent The consent record
+     */
+    function getConsent(uint256 credentialId) external view returns (Consent memory consent) {
+        consent = _consents[credentialId];
+        consent.status = _effectiveStatus(_consents[credentialId]);
+    }
+
+    /**
+     * @dev Get a recipient's open offers
+     * @param recipient Address of the credential recipient
+     * @return credentialIds IDs of the credentials awaiting an answer, in issuance order
+     */
+    function getPendingOffers(address recipient) external view returns (uint256[] memory credentialIds) {
+        uint256[] memory received = credentialRegistry.getCredentialsByRecipient(recipient);
+        credentialIds = new uint256[](received.length);
+        uint256 count = 0;
+
+        for (uint256 i = 0; i < received.length; i++) {
+            if (_effectiveStatus(_consents[received[i]]) == ConsentStatus.Pending) {
+                credentialIds[count] = received[i];
+                count++;
+            }
+        }
+
+        // Shrink the array to the number of open offers
+        assembly {
+            mstore(credentialIds, count)
+        }
+    }
+
+    /// @dev Move a pending offer to Accepted or Rejected on behalf of its recipient
+    function _answerOffer(uint256 credentialId, address recipient, bool accept) internal {
+        _checkRecipient(credentialId, recipient);
+        Consent storage consent = _consents[credentialId];
+        ConsentStatus status = _effectiveStatus(consent);
+        if (status != ConsentStatus.Pending) revert InvalidConsentStatus(credentialId, status);
+
+        consent.status = accept ? ConsentStatus.Accepted : ConsentStatus.Rejected;
+        consent.decidedAt = block.timestamp;
+
+        if (accept) {
+            emit CredentialAccepted(credentialId, recipient, block.timestamp);
+        } else {
+            emit CredentialRejected(credentialId, recipient, block.timestamp);
+        }
+    }
+
+    /// @dev Revert unless `account` is the credential's recipient
+    function _checkRecipient(uint256 credentialId, address account) internal view {
+        if (_recipientOf(credentialId) != account) revert NotCredentialRecipient(credentialId, account);
+    }
+
+    /// @dev Recipient of a credential; reverts with the registry's CredentialNotFound if it does not exist
+    function _recipientOf(uint256 credentialId) internal view returns (address) {
+        return credentialRegistry.getCredential(credentialId).recipient;
+    }
+
+    /// @dev Stored status, except that a pending offer past its expiry counts as Expired
+    function _effectiveStatus(Consent storage consent) internal view returns (ConsentStatus) {
+        if (
+            consent.status == ConsentStatus.Pending &&
+            consent.offerExpiresAt != 0 &&
+            consent.offerExpiresAt <= block.timestamp
+        ) {
+            return ConsentStatus.Expired;
+        }
+        return consent.status;
+    }
+}
@@ -0,0 +1,151 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "./CredentialRegistry.sol";
+
+/**
+ * @title CredentialMigration
+ * @dev Moves credentials of the CredentialRegistry to a recipient's new wallet and keeps the
+ * history of every move, so that verifiers can follow a credential back to its original recipient
+ * @notice Recipients migrate their own credentials, all or only some of them. When the old wallet
+ * cannot send transactions, the credentials' issuer submits the migration with the recipient's
+ * EIP-712 signature. Needs MIGRATOR_ROLE on the registry.
+ */
+contract CredentialMigration is EIP712, Nonces {
+    using ECDSA for bytes32;
+
+    CredentialRegistry public immutable credentialRegistry;
+
+    // EIP-712 type of a recipient's consent to a migration submitted by the issuer
+    bytes32 public constant MIGRATION_REQUEST_TYPEHASH = keccak256(
+        "MigrationRequest(address recipient,address newRecipient,uint256[] credentialIds,uint256 nonce,uint256 deadline)"
+    );
+
+    // Credentials to move from `recipient` to `newRecipient`, signed by `recipient`
+    struct MigrationRequest {
+        address recipient;
+        address newRecipient;
+        uint256[] credentialIds;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    // One move of a credential to a new recipient
+    struct Migration {
+        address from;
+        address to;
+        address migratedBy;
+        uint256 migratedAt;
+    }
+
+    mapping(uint256 => Migration[]) private _migrations;
+
+    // Events
+    event CredentialMigrated(
+        uint256 indexed credentialId,
+        address indexed from,
+        address indexed to,
+        address migratedBy,
+        uint256 migratedAt
+    );
+
+    // Custom errors
+    error InvalidNewRecipient(address newRecipient);
+    error NotCredentialRecipient(uint256 credentialId, address account);
+    error NotCredentialIssuer(uint256 credentialId, address account);
+    error ExpiredSignature(uint256 deadline);
+    error InvalidSignature(address signer);
+
+    constructor(address _credentialRegistry) EIP712("CredentialMigration", "1") {
+        require(_credentialRegistry != address(0), "Invalid registry address");
+        credentialRegistry = CredentialRegistry(_credentialRegistry);
+    }
+
+    /**
+     * @dev Move credentials the caller holds to a new wallet (recipient only)
+     * @param credentialIds IDs of the credentials to move; the caller keeps the others
+     * @param newRecipient Wallet that holds the credentials from now on
+     */
+    function migrateCredentials(uint256[] calldata credentialIds, address newRecipient) external {
+        _migrateAll(credentialIds, msg.sender, newRecipient);
+    }
+
+    /**
+     * @dev Move credentials to a recipient's new wallet with the recipient's signature (issuer of
+     * every credential only, still holding ISSUER_ROLE)
+     * @param request Migration request; `request.recipient` must currently hold every credential
+     * @param signature Recipient's EIP-712 signature over the request
+     */
+    function migrateCredentialsBySig(MigrationRequest calldata request, bytes calldata signature) external {
+        if (block.timestamp > request.deadline) revert ExpiredSignature(request.deadline);
+
+        bytes32 structHash = keccak256(abi.encode(
+            MIGRATION_REQUEST_TYPEHASH,
+            request.recipient,
+            request.newRecipient,
+            keccak256(abi.encodePacked(request.credentialIds)),
+            request.nonce,
+            request.deadline
+        ));
+        (address recovered, ECDSA.RecoverError error, ) = _hashTypedDataV4(structHash).tryRecover(signature);
+        if (error != ECDSA.RecoverError.NoError || recovered != request.recipient) {
+            revert InvalidSignature(request.recipient);
+        }
+        _useCheckedNonce(request.recipient, request.nonce);
+
+        bool isIssuer = credentialRegistry.hasRole(credentialRegistry.ISSUER_ROLE(), msg.sender);
+        for (uint256 i = 0; i < request.credentialIds.length; i++) {
+            uint256 credentialId = request.credentialIds[i];
+            if (!isIssuer || credentialRegistry.getCredential(credentialId).issuer != msg.sender) {
+                revert NotCredentialIssuer(credentialId, msg.sender);
+            }
+        }
+
+        _migrateAll(request.credentialIds, request.recipient, request.newRecipient);
+    }
+
+    /**
+     * @dev Get every move of a credential, oldest first
+     * @param credentialId ID of the credential
+     * @return migrations Moves; the first `from` is the original recipient, empty if it never moved
+     */
+    function getMigrationHistory(uint256 credentialId) external view returns (Migration[] memory) {
+        return _migrations[credentialId];
+    }
+
+    /**
+     * @dev Get the recipient a credential was issued to, before any migration
+     * @param credentialId ID of the credential
+     * @return recipient Original recipient
+     */
+    function getOriginalRecipient(uint256 credentialId) external view returns (address) {
+        Migration[] storage migrations = _migrations[credentialId];
+        if (migrations.length > 0) return migrations[0].from;
+        return credentialRegistry.getCredential(credentialId).recipient;
+    }
+
+    /// @dev Move credentials held by `recipient` to `newRecipient` and record each move
+    function _migrateAll(uint256[] calldata credentialIds, address recipient, address newRecipient) internal {
+        if (newRecipient == address(0) || newRecipient == recipient) revert InvalidNewRecipient(newRecipient);
+
+        for (uint256 i = 0; i < credentialIds.length; i++) {
+            uint256 credentialId = credentialIds[i];
+            if (credentialRegistry.getCredential(credentialId).recipient != recipient) {
+                revert NotCredentialRecipient(credentialId, recipient);
+            }
+
+            credentialRegistry.reassignRecipient(credentialId, newRecipient);
+            _migrations[credentialId].push(Migration({
+                from: recipient,
+                to: newRecipient,
+                migratedBy: msg.sender,
+                migratedAt: block.timestamp
+            }));
+
+            emit CredentialMigrated(credentialId, recipient, newRecipient, msg.sender, block.timestamp);
+        }
+    }
+}
@@ -0,0 +1,422 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./CredentialRegistry.sol";
+import "./IssuerAccreditation.sol";
+
+/**
+ * @title CredentialMultisig
+ * @dev M-of-N approval of issuance, amendment and revocation for high-stakes credential types of the
+ * CredentialRegistry. Admins give a credential type an approval policy: a set of signers and how
+ * many of them must approve. A signer proposes an issuance, amendment or revocation, other signers approve it
+ * with a transaction or an EIP-712 signature, and it executes with the approval that meets the threshold.
+ * @notice Needs ISSUER_ROLE and REVOKER_ROLE on the registry, and issues credentials as their issuer.
+ * To make a type multi-signature only, authorize it for this contract alone with
+ * CredentialTypeAuthorization, and set this contract as the registry's credentialMultisig so that
+ * only its proposals revoke, amend or renew the credentials it issued, and nobody suspends them.
+ * Reinstating stays with registry admins.
+ */
+contract CredentialMultisig is EIP712 {
+    using ECDSA for bytes32;
+
+    CredentialRegistry public immutable credentialRegistry;
+
+    // EIP-712 type of a signer's approval collected off-chain
+    bytes32 public constant PROPOSAL_APPROVAL_TYPEHASH = keccak256("ProposalApproval(uint256 proposalId)");
+
+    enum ProposalAction {
+        Issue,
+        Revoke,
+        Amend
+    }
+
+    enum ProposalStatus {
+        Pending,
+        Executed,
+        Cancelled,
+        Expired
+    }
+
+    // Signers of a credential type and how many of them must approve
+    struct ApprovalPolicy {
+        address[] signers;
+        uint256 threshold;
+        uint256 version; // Bumped on every change; proposals made under an older version can no longer be approved
+    }
+
+    // Issuance, amendment or revocation awaiting approval
+    struct Proposal {
+        ProposalAction action;
+        ProposalStatus status;
+        address proposer;
+        string credentialType;
+        address recipient; // Issue only
+        string credentialData; // Issue and Amend
+        uint256 expiresAt; // Issue and Amend: expiry of the (new version of the) credential
+        string metadataURI; // Issue and Amend
+        uint256 credentialId; // Revoke and Amend: credential to change; Issue: issued credential once executed
+        string reason; // Revoke only
+        uint256 policyVersion;
+        uint256 approvals;
+        uint256 createdAt;
+        uint256 approvalDeadline; // 0 = open until executed or cancelled
+    }
+
+    uint256 public approvalPeriod = 7 days; // Time signers have to approve a proposal (0 = no limit)
+    mapping(string => ApprovalPolicy) private _policies;
+    string[] private _policyTypes;
+    mapping(string => bool) private _isListedPolicyType;
+    Proposal[] private _proposals; // Proposal ID - 1
+    mapping(uint256 => address[]) private _approvers;
+    mapping(uint256 => mapping(address => bool)) public hasApproved;
+
+    // Events
+    event ApprovalPolicyUpdated(string credentialType, address[] signers, uint256 threshold, uint256 version);
+
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        ProposalAction action,
+        string credentialType,
+        address indexed proposer,
+        uint256 approvalDeadline
+    );
+
+    event ProposalApproved(uint256 indexed proposalId, address indexed signer, uint256 approvals);
+
+    event ProposalExecuted(uint256 indexed proposalId, uint256 indexed credentialId);
+
+    event ProposalCancelled(uint256 indexed proposalId, address indexed cancelledBy);
+
+    event ApprovalPeriodUpdated(uint256 previousApprovalPeriod, uint256 newApprovalPeriod);
+
+    // Custom errors
+    error InvalidApprovalPolicy(string credentialType);
+    error NoApprovalPolicy(string credentialType);
+    error NotPolicySigner(string credentialType, address account);
+    error ProposalNotFound(uint256 proposalId);
+    error InvalidProposalStatus(uint256 proposalId, ProposalStatus status);
+    error ApprovalPolicyChanged(uint256 proposalId);
+    error AlreadyApproved(uint256 proposalId, address signer);
+    error UnauthorizedMultisigManager(address account);
+    error InvalidSignature(uint256 index);
+
+    constructor(address _credentialRegistry) EIP712("CredentialMultisig", "1") {
+        require(_credentialRegistry != address(0), "Invalid registry address");
+        credentialRegistry = CredentialRegistry(_credentialRegistry);
+    }
+
+    /**
+     * @dev Set the approval policy of a credential type (admin only); proposals made under the
+     * previous policy can no longer be approved
+     * @param credentialType Exact credential type
+     * @param signers Accounts that may propose and approve; no duplicates
+     * @param threshold Approvals needed, between 1 and the number of signers; 0 with no signers removes the policy
+     */
+    function setApprovalPolicy(string calldata credentialType, address[] calldata signers, uint256 threshold) external {
+        _checkAdmin();
+        bool removing = threshold == 0 && signers.length == 0;
+        if (!removing && (threshold == 0 || threshold > signers.length)) revert InvalidApprovalPolicy(credentialType);
+        for (uint256 i = 0; i < signers.length; i++) {
+            if (signers[i] == address(0)) revert InvalidApprovalPolicy(credentialType);
+            for (uint256 j = 0; j < i; j++) {
+                if (signers[j] == signers[i]) revert InvalidApprovalPolicy(credentialType);
+            }
+        }
+
+        ApprovalPolicy storage policy = _policies[credentialType];
+        policy.signers = signers;
+        policy.threshold = threshold;
+        policy.version++;
+        if (!_isListedPolicyType[credentialType]) {
+            _isListedPolicyType[credentialType] = true;
+            _policyTypes.push(credentialType);
+        }
+
+        emit ApprovalPolicyUpdated(credentialType, signers, threshold, policy.version);
+    }
+
+    /**
+     * @dev Set how long signers have to approve new proposals (admin only); open proposals keep their deadline
+     * @param newApprovalPeriod Seconds, or 0 for proposals that never expire
+     */
+    function setApprovalPeriod(uint256 newApprovalPeriod) external {
+        _checkAdmin();
+        emit ApprovalPeriodUpdated(approvalPeriod, newApprovalPeriod);
+        approvalPeriod = newApprovalPeriod;
+    }
+
+    /**
+     * @dev Apply for issuer accreditation as this contract (admin only), for registries that enforce it;
+     * accreditors decide the application like any other
+     * @param issuerAccreditation IssuerAccreditation to apply to
+     * @param name Name of the issuer
+     * @param description Description of the issuer
+     * @param website Website of the issuer
+     * @param logoURI Logo URI of the issuer
+     */
+    function submitIssuerApplication(
+        address issuerAccreditation,
+        string calldata name,
+        string calldata description,
+        string calldata website,
+        string calldata logoURI
+    ) external {
+        _checkAdmin();
+        IssuerAccreditation(issuerAccreditation).submitApplication(name, description, website, logoURI);
+    }
+
+    /**
+     * @dev Propose issuing a credential (signer of the type's policy only); counts as the proposer's approval
+     * @param recipient Address of the credential recipient
+     * @param credentialType Type of credential
+     * @param credentialData Credential data (JSON string or IPFS hash)
+     * @param expiresAt Expiration timestamp (0 for no expiration)
+     * @param metadataURI URI for additional metadata
+     * @return proposalId ID of the new proposal
+     */
+    function proposeIssuance(
+        address recipient,
+        string calldata credentialType,
+        string calldata credentialData,
+        uint256 expiresAt,
+        string calldata metadataURI
+    ) external returns (uint256 proposalId) {
+        Proposal storage proposal = _createProposal(ProposalAction.Issue, credentialType);
+        proposal.recipient = recipient;
+        proposal.credentialData = credentialData;
+        proposal.expiresAt = expiresAt;
+        proposal.metadataURI = metadataURI;
+
+        proposalId = _proposals.length;
+        _approve(proposalId, msg.sender);
+    }
+
+    /**
+     * @dev Propose revoking a credential (signer of its type's policy only); counts as the proposer's approval
+     * @param credentialId ID of the credential to revoke
+     * @param reason Reason for revocation
+     * @return proposalId ID of the new proposal
+     */
+    function proposeRevocation(uint256 credentialId, string calldata reason) external returns (uint256 proposalId) {
+        string memory credentialType = credentialRegistry.getCredential(credentialId).credentialType;
+        Proposal storage proposal = _createProposal(ProposalAction.Revoke, credentialType);
+        proposal.credentialId = credentialId;
+        proposal.reason = reason;
+
+        proposalId = _proposals.length;
+        _approve(proposalId, msg.sender);
+    }
+
+    /**
+     * @dev Propose amending a credential this contract issued, through `CredentialRegistry.amendCredential`
+     * (signer of its type's policy only); counts as the proposer's approval. Renew by proposing the same
+     * data with a later expiry.
+     * @param credentialId ID of the credential to amend
+     * @param credentialData Credential data of the new version
+     * @param expiresAt Expiration timestamp of the new version (0 for no expiration)
+     * @param metadataURI Metadata URI of the new version
+     * @return proposalId ID of the new proposal
+     */
+    function proposeAmendment(
+        uint256 credentialId,
+        string calldata credentialData,
+        uint256 expiresAt,
+        string calldata metadataURI
+    ) external returns (uint256 proposalId) {
+        string memory credentialType = credentialRegistry.getCredential(credentialId).credentialType;
+        Proposal storage proposal = _createProposal(ProposalAction.Amend, credentialType);
+        proposal.credentialId = credentialId;
+        proposal.credentialData = credentialData;
+        proposal.expiresAt = expiresAt;
+        proposal.metadataURI = metadataURI;
+
+        proposalId = _proposals.length;
+        _approve(proposalId, msg.sender);
+    }
+
+    /**
+     * @dev Approve a pending proposal (signer of its type's policy only); executes it once the threshold is met
+     * @param proposalId ID of the proposal
+     */
+    function approveProposal(uint256 proposalId) external {
+        _approve(proposalId, msg.sender);
+    }
+
+    /**
+     * @dev Approve a pending proposal with approvals signed off-chain by its signers (anyone may submit);
+     * executes it once the threshold is met
+     * @param proposalId ID of the proposal
+     * @param signatures EIP-712 signatures over `ProposalApproval(proposalId)`, one per signer
+     */
+    function approveProposalBySig(uint256 proposalId, bytes[] calldata signatures) external {
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(PROPOSAL_APPROVAL_TYPEHASH, proposalId)));
+        for (uint256 i = 0; i < signatures.length; i++) {
+            (address signer, ECDSA.RecoverError error, ) = digest.tryRecover(signatures[i]);
+            if (error != ECDSA.RecoverError.NoError) revert InvalidSignature(i);
+            _approve(proposalId, signer);
+        }
+    }
+
+    /**
+     * @dev Cancel a pending proposal (its proposer or an admin)
+     * @param proposalId ID of the proposal
+     */
+    function cancelProposal(uint256 proposalId) external {
+        Proposal storage proposal = _getProposal(proposalId);
+        if (msg.sender != proposal.proposer) _checkAdmin();
+        ProposalStatus status = _effectiveStatus(proposal);
+        if (status != ProposalStatus.Pending) revert InvalidProposalStatus(proposalId, status);
+
+        proposal.status = ProposalStatus.Cancelled;
+
+        emit ProposalCancelled(proposalId, msg.sender);
+    }
+
+    /**
+     * @dev Get a proposal; a pending proposal past its approval deadline reads as Expired
+     * @param proposalId ID of the proposal
+     * @return proposal The proposal
+     */
+    function getProposal(uint256 proposalId) external view returns (Proposal memory proposal) {
+        proposal = _getProposal(proposalId);
+        proposal.status = _effectiveStatus(_getProposal(proposalId));
+    }
+
+    /**
+     * @dev Get the signers who approved a proposal
+     * @param proposalId ID of the proposal
+     * @return approvers Signers in approval order, the proposer first
+     */
+    function getApprovers(uint256 proposalId) external view returns (address[] memory) {
+        _getProposal(proposalId);
+        return _approvers[proposalId];
+    }
+
+    /**
+     * @dev Get the approval policy of a credential type
+     * @param credentialType Exact credential type
+     * @return policy Signers, threshold (0 when the type has no policy) and version
+     */
+    function getApprovalPolicy(string calldata credentialType) external view returns (ApprovalPolicy memory) {
+        return _policies[credentialType];
+    }
+
+    /**
+     * @dev Get every credential type that ever had an approval policy
+     * @return credentialTypes Types, including those whose policy was removed since
+     */
+    function getPolicyTypes() external view returns (string[] memory) {
+        return _policyTypes;
+    }
+
+    /**
+     * @dev Get total number of proposals
+     * @return count Total proposal count
+     */
+    function getTotalProposals() external view returns (uint256) {
+        return _proposals.length;
+    }
+
+    /// @dev Append a pending proposal for a type with a policy, made by one of its signers
+    function _createProposal(ProposalAction action, string memory credentialType) internal returns (Proposal storage proposal) {
+        ApprovalPolicy storage policy = _policies[credentialType];
+        if (policy.threshold == 0) revert NoApprovalPolicy(credentialType);
+        if (!_isSigner(policy, msg.sender)) revert NotPolicySigner(credentialType, msg.sender);
+
+        uint256 approvalDeadline = approvalPeriod == 0 ? 0 : block.timestamp + approvalPeriod;
+        proposal = _proposals.push();
+        proposal.action = action;
+        proposal.proposer = msg.sender;
+        proposal.credentialType = credentialType;
+        proposal.policyVersion = policy.version;
+        proposal.createdAt = block.timestamp;
+        proposal.approvalDeadline = approvalDeadline;
+
+        emit ProposalCreated(_proposals.length, action, credentialType, msg.sender, approvalDeadline);
+    }
+
+    /// @dev Record `signer`'s approval and execute the proposal once it meets the threshold
+    function _approve(uint256 proposalId, address signer) internal {
+        Proposal storage proposal = _getProposal(proposalId);
+        ProposalStatus status = _effectiveStatus(proposal);
+        if (status != ProposalStatus.Pending) revert InvalidProposalStatus(proposalId, status);
+        ApprovalPolicy storage policy = _policies[proposal.credentialType];
+        if (proposal.policyVersion != policy.version) revert ApprovalPolicyChanged(proposalId);
+        if (!_isSigner(policy, signer)) revert NotPolicySigner(proposal.credentialType, signer);
+        if (hasApproved[proposalId][signer]) revert AlreadyApproved(proposalId, signer);
+
+        hasApproved[proposalId][signer] = true;
+        _approvers[proposalId].push(signer);
+        proposal.approvals++;
+
+        emit ProposalApproved(proposalId, signer, proposal.approvals);
+
+        if (proposal.approvals >= policy.threshold) {
+            _execute(proposalId, proposal);
+        }
+    }
+
+    /// @dev Issue, amend or revoke the credential of an approved proposal through the registry.
+    /// ProposalExecuted names the issued credential, the new version or the revoked credential.
+    function _execute(uint256 proposalId, Proposal storage proposal) internal {
+        proposal.status = ProposalStatus.Executed;
+
+        uint256 credentialId = proposal.credentialId;
+        if (proposal.action == ProposalAction.Issue) {
+            credentialId = credentialRegistry.issueCredential(
+                proposal.recipient,
+                proposal.credentialType,
+                proposal.credentialData,
+                proposal.expiresAt,
+                proposal.metadataURI
+            );
+            proposal.credentialId = credentialId;
+        } else if (proposal.action == ProposalAction.Amend) {
+            credentialId = credentialRegistry.amendCredential(
+                proposal.credentialId,
+                proposal.credentialData,
+                proposal.expiresAt,
+                proposal.metadataURI
+            );
+        } else {
+            credentialRegistry.revokeCredential(proposal.credentialId, proposal.reason);
+        }
+
+        emit ProposalExecuted(proposalId, credentialId);
+    }
+
+    /// @dev Proposal by ID, reverting for unknown IDs
+    function _getProposal(uint256 proposalId) internal view returns (Proposal storage) {
+        if (proposalId == 0 || proposalId > _proposals.length) revert ProposalNotFound(proposalId);
+        return _proposals[proposalId - 1];
+    }
+
+    /// @dev Stored status, with a pending proposal counting as Expired past its approval deadline
+    function _effectiveStatus(Proposal storage proposal) internal view returns (ProposalStatus) {
+        if (
+            proposal.status == ProposalStatus.Pending &&
+            proposal.approvalDeadline != 0 &&
+            proposal.approvalDeadline <= block.timestamp
+        ) {
+            return ProposalStatus.Expired;
+        }
+        return proposal.status;
+    }
+
+    /// @dev Whether `account` is one of the policy's signers
+    function _isSigner(ApprovalPolicy storage policy, address account) internal view returns (bool) {
+        for (uint256 i = 0; i < policy.signers.length; i++) {
+            if (policy.signers[i] == account) return true;
+        }
+        return false;
+    }
+
+    /// @dev Revert unless the sender is an admin of the registry
+    function _checkAdmin() internal view {
+        if (!credentialRegistry.hasRole(credentialRegistry.DEFAULT_ADMIN_ROLE(), msg.sender)) {
+            revert UnauthorizedMultisigManager(msg.sender);
+        }
+    }
+}
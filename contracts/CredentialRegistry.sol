@@ -1,118 +1,54 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
-import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/access/IAccessControl.sol";
+import "./CredentialRegistryBase.sol";
+import "./CredentialRegistryExtension.sol";
 
 /**
  * @title CredentialRegistry
  * @dev A comprehensive smart contract for issuing, verifying, and managing digital credentials on Polygon
  * @notice This contract allows authorized issuers to create credentials for recipients with various verification mechanisms
+ * @custom:oz-upgrades Deployed behind a UUPS proxy; new state variables must only be appended (in CredentialRegistryBase)
  */
-contract CredentialRegistry is AccessControl, Pausable, ReentrancyGuard {
+contract CredentialRegistry is CredentialRegistryBase, UUPSUpgradeable {
     using ECDSA for bytes32;
-    using MessageHashUtils for bytes32;
-
-    // Role definitions
-    bytes32 public constant ISSUER_ROLE = keccak256("ISSUER_ROLE");
-    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
-    bytes32 public constant REVOKER_ROLE = keccak256("REVOKER_ROLE");
-
-    // Credential status enumeration
-    enum CredentialStatus {
-        Active,
-        Revoked,
-        Suspended,
-        Expired
-    }
-
-    // Credential structure
-    struct Credential {
-        uint256 id;
-        address issuer;
-        address recipient;
-        string credentialType;
-        string credentialData; // JSON or IPFS hash
-        uint256 issuedAt;
-        uint256 expiresAt;
-        CredentialStatus status;
-        bytes32 dataHash; // Hash of credential data for integrity
-        string metadataURI; // Additional metadata (IPFS, etc.)
-    }
-
-    // Issuer profile structure
-    struct IssuerProfile {
-        string name;
-        string description;
-        string website;
-        string logoURI;
-        bool isActive;
-        uint256 credentialsIssued;
-    }
-
-    // State variables
-    uint256 private _credentialIdCounter;
-    mapping(uint256 => Credential) public credentials;
-    mapping(address => IssuerProfile) public issuerProfiles;
-    mapping(address => uint256[]) public recipientCredentials;
-    mapping(address => uint256[]) public issuerCredentials;
-    mapping(bytes32 => bool) public usedHashes; // Prevent duplicate credential data
-    mapping(string => uint256[]) public credentialsByType;
-
-    // Events
-    event CredentialIssued(
-        uint256 indexed credentialId,
-        address indexed issuer,
-        address indexed recipient,
-        string credentialType,
-        uint256 issuedAt,
-        uint256 expiresAt
-    );
-
-    event CredentialRevoked(
-        uint256 indexed credentialId,
-        address indexed revoker,
-        string reason,
-        uint256 revokedAt
-    );
-
-    event CredentialStatusUpdated(
-        uint256 indexed credentialId,
-        CredentialStatus oldStatus,
-        CredentialStatus newStatus,
-        uint256 updatedAt
-    );
-
-    event IssuerProfileUpdated(
-        address indexed issuer,
-        string name,
-        string description
-    );
-
-    event CredentialVerified(
-        uint256 indexed credentialId,
-        address indexed verifier,
-        uint256 verifiedAt
-    );
-
-    // Custom errors
-    error CredentialNotFound(uint256 credentialId);
-    error CredentialAlreadyRevoked(uint256 credentialId);
-    error CredentialExpired(uint256 credentialId);
-    error UnauthorizedIssuer(address issuer);
-    error UnauthorizedVerifier(address verifier);
-    error InvalidCredentialData();
-    error DuplicateCredentialData();
-    error InvalidExpirationDate();
 
+    // Runs the functions that do not fit in this contract (see CredentialRegistryExtension)
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable extension;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
+        extension = address(new CredentialRegistryExtension());
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initialize the proxy; replaces the constructor and grants every role to the caller
+     */
+    function initialize() external initializer {
+        __AccessControlEnumerable_init();
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        __EIP712_init("CredentialRegistry", "1");
+        __Nonces_init();
+        __UUPSUpgradeable_init();
+
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(ISSUER_ROLE, msg.sender);
         _grantRole(VERIFIER_ROLE, msg.sender);
         _grantRole(REVOKER_ROLE, msg.sender);
+        _grantRole(UPGRADER_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Version of the implementation, bumped with every upgrade
+     * @return Semantic version string
+     */
+    function version() external pure virtual returns (string memory) {
+        return "1.0.0";
     }
 
     /**
@@ -131,50 +67,7 @@ contract CredentialRegistry is AccessControl, Pausable, ReentrancyGuard {
         uint256 expiresAt,
         string memory metadataURI
     ) external onlyRole(ISSUER_ROLE) whenNotPaused nonReentrant returns (uint256) {
-        if (recipient == address(0)) revert InvalidCredentialData();
-        if (bytes(credentialType).length == 0) revert InvalidCredentialData();
-        if (bytes(credentialData).length == 0) revert InvalidCredentialData();
-        if (expiresAt != 0 && expiresAt <= block.timestamp) revert InvalidExpirationDate();
-
-        // Generate data hash for integrity check
-        bytes32 dataHash = keccak256(abi.encodePacked(credentialData, recipient, credentialType));
-        if (usedHashes[dataHash]) revert DuplicateCredentialData();
-
-        uint256 credentialId = ++_credentialIdCounter;
-
-        // Create credential
-        credentials[credentialId] = Credential({
-            id: credentialId,
-            issuer: msg.sender,
-            recipient: recipient,
-            credentialType: credentialType,
-            credentialData: credentialData,
-            issuedAt: block.timestamp,
-            expiresAt: expiresAt,
-            status: CredentialStatus.Active,
-            dataHash: dataHash,
-            metadataURI: metadataURI
-        });
-
-        // Update mappings
-        usedHashes[dataHash] = true;
-        recipientCredentials[recipient].push(credentialId);
-        issuerCredentials[msg.sender].push(credentialId);
-        credentialsByType[credentialType].push(credentialId);
-
-        // Update issuer stats
-        issuerProfiles[msg.sender].credentialsIssued++;
-
-        emit CredentialIssued(
-            credentialId,
-            msg.sender,
-            recipient,
-            credentialType,
-            block.timestamp,
-            expiresAt
-        );
-
-        return credentialId;
+        return _issueCredential(msg.sender, recipient, credentialType, credentialData, expiresAt, metadataURI);
     }
 
     /**
@@ -193,27 +86,14 @@ contract CredentialRegistry is AccessControl, Pausable, ReentrancyGuard {
         uint256[] memory expirationDates,
         string[] memory metadataURIs
     ) external onlyRole(ISSUER_ROLE) whenNotPaused nonReentrant returns (uint256[] memory) {
-        uint256 length = recipients.length;
-        if (length != credentialTypes.length || 
-            length != credentialDataArray.length || 
-            length != expirationDates.length || 
-            length != metadataURIs.length) {
-            revert InvalidCredentialData();
-        }
-
-        uint256[] memory credentialIds = new uint256[](length);
-
-        for (uint256 i = 0; i < length; i++) {
-            credentialIds[i] = issueCredential(
-                recipients[i],
-                credentialTypes[i],
-                credentialDataArray[i],
-                expirationDates[i],
-                metadataURIs[i]
-            );
-        }
-
-        return credentialIds;
+        return _batchIssueCredentials(
+            msg.sender,
+            recipients,
+            credentialTypes,
+            credentialDataArray,
+            expirationDates,
+            metadataURIs
+        );
     }
 
     /**
@@ -225,19 +105,55 @@ contract CredentialRegistry is AccessControl, Pausable, ReentrancyGuard {
         uint256 credentialId,
         string memory reason
     ) external onlyRole(REVOKER_ROLE) whenNotPaused {
-        Credential storage credential = credentials[credentialId];
-        if (credential.id == 0) revert CredentialNotFound(credentialId);
-        if (credential.status == CredentialStatus.Revoked) revert CredentialAlreadyRevoked(credentialId);
+        _revokeCredential(msg.sender, credentialId, reason);
+    }
 
-        CredentialStatus oldStatus = credential.status;
-        credential.status = CredentialStatus.Revoked;
+    /**
+     * @dev Issue a credential on behalf of an issuer who signed the request (relayer pays gas)
+     * @param request Issuance request; `request.issuer` must hold ISSUER_ROLE
+     * @param signature Issuer's EIP-712 signature over the request
+     * @return credentialId The ID of the newly issued credential
+     */
+    function issueCredentialBySig(
+        IssueRequest calldata request,
+        bytes calldata signature
+    ) external returns (uint256) {
+        (request, signature);
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Batch issue credentials on behalf of an issuer who signed the request (relayer pays gas)
+     * @param request Batch issuance request; `request.issuer` must hold ISSUER_ROLE
+     * @param signature Issuer's EIP-712 signature over the request
+     * @return credentialIds Array of issued credential IDs
+     */
+    function batchIssueCredentialsBySig(
+        BatchIssueRequest calldata request,
+        bytes calldata signature
+    ) external returns (uint256[] memory) {
+        (request, signature);
+        _delegateToExtension();
+    }
 
-        emit CredentialRevoked(credentialId, msg.sender, reason, block.timestamp);
-        emit CredentialStatusUpdated(credentialId, oldStatus, CredentialStatus.Revoked, block.timestamp);
+    /**
+     * @dev Revoke a credential on behalf of a revoker who signed the request (relayer pays gas)
+     * @param request Revocation request; `request.revoker` must hold REVOKER_ROLE
+     * @param signature Revoker's EIP-712 signature over the request
+     */
+    function revokeCredentialBySig(
+        RevokeRequest calldata request,
+        bytes calldata signature
+    ) external {
+        (request, signature);
+        _delegateToExtension();
     }
 
     /**
-     * @dev Update credential status (suspend/reactivate)
+     * @dev Update credential status (suspend/reactivate). Only Active and Suspended move into each
+     * other here: revocation goes through `revokeCredential`, Revoked is final and Expired follows
+     * from `expiresAt`; anything else reverts with InvalidStatusTransition. Only the credentialMultisig
+     * suspends the credentials it issued (MultisigApprovalRequired otherwise)
      * @param credentialId ID of the credential
      * @param newStatus New status for the credential
      */
@@ -245,16 +161,80 @@ contract CredentialRegistry is AccessControl, Pausable, ReentrancyGuard {
         uint256 credentialId,
         CredentialStatus newStatus
     ) external onlyRole(ISSUER_ROLE) whenNotPaused {
-        Credential storage credential = credentials[credentialId];
-        if (credential.id == 0) revert CredentialNotFound(credentialId);
-        if (credential.issuer != msg.sender && !hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) {
-            revert UnauthorizedIssuer(msg.sender);
-        }
+        _setStatus(credentialId, newStatus);
+    }
 
-        CredentialStatus oldStatus = credential.status;
-        credential.status = newStatus;
+    /**
+     * @dev Reinstate a suspended credential, ending its suspension now (issuer of the credential or admin)
+     * @param credentialId ID of the credential
+     */
+    function reinstateCredential(uint256 credentialId) external onlyRole(ISSUER_ROLE) whenNotPaused {
+        _setStatus(credentialId, CredentialStatus.Active);
+    }
 
-        emit CredentialStatusUpdated(credentialId, oldStatus, newStatus, block.timestamp);
+    /**
+     * @dev Suspend a credential until a given time, after which it counts as active again
+     * without any transaction (issuer of the credential or admin; reverts with MultisigApprovalRequired
+     * for credentials issued by the credentialMultisig)
+     * @param credentialId ID of the credential
+     * @param until End of the suspension, or 0 to suspend until reactivated
+     * @param reason Reason for the suspension
+     */
+    function suspendCredential(
+        uint256 credentialId,
+        uint256 until,
+        string calldata reason
+    ) external {
+        (credentialId, until, reason);
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Renew a credential: issue its data again as a new version with a later expiry, and mark
+     * this version Superseded (issuer of the credential or admin; reverts with MultisigApprovalRequired
+     * for credentials issued by the credentialMultisig, which renews them through amendment proposals)
+     * @param credentialId ID of an expiring credential; must be active or expired
+     * @param expiresAt Expiration timestamp of the new version, after the current one (0 for non-expiring)
+     * @return newCredentialId The ID of the new version
+     */
+    function renewCredential(
+        uint256 credentialId,
+        uint256 expiresAt
+    ) external returns (uint256) {
+        (credentialId, expiresAt);
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Amend a credential: issue corrected data as a new version for the same recipient and type,
+     * and mark this version Superseded (issuer of the credential or admin; reverts with
+     * MultisigApprovalRequired for credentials issued by the credentialMultisig but through its proposals)
+     * @param credentialId ID of the credential; must be active or expired
+     * @param credentialData The corrected credential data (JSON or IPFS hash)
+     * @param expiresAt Expiration timestamp of the new version (0 for non-expiring)
+     * @param metadataURI Additional metadata URI of the new version
+     * @return newCredentialId The ID of the new version
+     */
+    function amendCredential(
+        uint256 credentialId,
+        string calldata credentialData,
+        uint256 expiresAt,
+        string calldata metadataURI
+    ) external returns (uint256) {
+        (credentialId, credentialData, expiresAt, metadataURI);
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Bind a credential to a new recipient address, moving it between the recipients'
+     * credential lists and recomputing its dataHash for the new recipient (MIGRATOR_ROLE, held by
+     * the CredentialMigration contract)
+     * @param credentialId ID of the credential
+     * @param newRecipient Address that holds the credential from now on
+     */
+    function reassignRecipient(uint256 credentialId, address newRecipient) external {
+        (credentialId, newRecipient);
+        _delegateToExtension();
     }
 
     /**
@@ -272,12 +252,16 @@ contract CredentialRegistry is AccessControl, Pausable, ReentrancyGuard {
         Credential storage credential = credentials[credentialId];
         if (credential.id == 0) revert CredentialNotFound(credentialId);
 
-        // Check if credential is expired
-        if (credential.expiresAt != 0 && credential.expiresAt <= block.timestamp) {
-            credential.status = CredentialStatus.Expired;
+        // Persist expiry and the end of a time-bound suspension, announcing it like any other transition
+        CredentialStatus oldStatus = credential.status;
+        CredentialStatus effectiveStatus = _effectiveStatus(credential);
+        if (effectiveStatus != oldStatus) {
+            credential.status = effectiveStatus;
+            delete suspendedUntil[credentialId];
+            emit CredentialStatusUpdated(credentialId, oldStatus, effectiveStatus, block.timestamp);
         }
 
-        isValid = credential.status == CredentialStatus.Active;
+        isValid = credential.status == CredentialStatus.Active && _isAccepted(credentialId);
         status = credential.status;
         issuer = credential.issuer;
 
@@ -325,41 +309,183 @@ contract CredentialRegistry is AccessControl, Pausable, ReentrancyGuard {
     }
 
     /**
-     * @dev Set up issuer profile
+     * @dev Get the number of credentials held by a recipient (for paging through recipientCredentials)
+     * @param recipient Address of the recipient
+     * @return count Number of credentials
+     */
+    function getCredentialCountByRecipient(address recipient) external view returns (uint256) {
+        return recipientCredentials[recipient].length;
+    }
+
+    /**
+     * @dev Get the number of credentials issued by an issuer (for paging through issuerCredentials)
+     * @param issuer Address of the issuer
+     * @return count Number of credentials
+     */
+    function getCredentialCountByIssuer(address issuer) external view returns (uint256) {
+        return issuerCredentials[issuer].length;
+    }
+
+    /**
+     * @dev Get the number of credentials of a type (for paging through credentialsByType)
+     * @param credentialType Type of credentials
+     * @return count Number of credentials
+     */
+    function getCredentialCountByType(string memory credentialType) external view returns (uint256) {
+        return credentialsByType[credentialType].length;
+    }
+
+    /**
+     * @dev Set up issuer profile; once accreditation is enforced, profiles come from approved
+     * IssuerAccreditation applications instead and this reverts with ProfileManagedByAccreditation
      * @param name Name of the issuer
      * @param description Description of the issuer
      * @param website Website URL
      * @param logoURI Logo URI
      */
     function setupIssuerProfile(
-        string memory name,
-        string memory description,
-        string memory website,
-        string memory logoURI
-    ) external onlyRole(ISSUER_ROLE) {
-        issuerProfiles[msg.sender] = IssuerProfile({
-            name: name,
-            description: description,
-            website: website,
-            logoURI: logoURI,
-            isActive: true,
-            credentialsIssued: issuerProfiles[msg.sender].credentialsIssued
-        });
+        string calldata name,
+        string calldata description,
+        string calldata website,
+        string calldata logoURI
+    ) external {
+        (name, description, website, logoURI);
+        _delegateToExtension();
+    }
 
-        emit IssuerProfileUpdated(msg.sender, name, description);
+    /**
+     * @dev Mark an issuer profile active or inactive (admin, or the IssuerAccreditation contract as
+     * it approves, deactivates and reactivates issuers)
+     * @param issuer Issuer address
+     * @param isActive Whether the issuer is active
+     */
+    function setIssuerActive(address issuer, bool isActive) external {
+        (issuer, isActive);
+        _delegateToExtension();
     }
 
     /**
-     * @dev Check if a credential is valid (not revoked, suspended, or expired)
+     * @dev Check if a credential is valid (not revoked, suspended, or expired); a time-bound
+     * suspension stops counting once its end has passed, and while recipient consent is enforced
+     * the recipient must have accepted the credential
      * @param credentialId ID of the credential
      * @return isValid True if credential is valid
      */
     function isCredentialValid(uint256 credentialId) external view returns (bool) {
-        Credential memory credential = credentials[credentialId];
+        Credential storage credential = credentials[credentialId];
         if (credential.id == 0) return false;
-        if (credential.status != CredentialStatus.Active) return false;
-        if (credential.expiresAt != 0 && credential.expiresAt <= block.timestamp) return false;
-        return true;
+        return _effectiveStatus(credential) == CredentialStatus.Active && _isAccepted(credentialId);
+    }
+
+    /**
+     * @dev Compute the EIP-712 digest an issuer signs for an off-chain credential
+     * @param credential The off-chain credential
+     * @return credentialHash Typed data hash, also used as the credential's revocation key
+     */
+    function hashOffchainCredential(OffchainCredential calldata credential) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            OFFCHAIN_CREDENTIAL_TYPEHASH,
+            credential.issuer,
+            credential.recipient,
+            keccak256(bytes(credential.credentialType)),
+            credential.dataHash,
+            credential.issuedAt,
+            credential.expiresAt,
+            keccak256(bytes(credential.metadataURI))
+        )));
+    }
+
+    /**
+     * @dev Verify a credential signed off-chain: the signature must come from `credential.issuer`,
+     * who must currently hold ISSUER_ROLE, and the credential must be neither revoked nor expired
+     * @param credential The off-chain credential
+     * @param signature Issuer's EIP-712 signature over the credential
+     * @return isValid True if the credential is valid
+     * @return credentialHash Typed data hash of the credential
+     */
+    function verifyOffchainCredential(
+        OffchainCredential calldata credential,
+        bytes calldata signature
+    ) external view returns (bool isValid, bytes32 credentialHash) {
+        credentialHash = hashOffchainCredential(credential);
+
+        (address signer, ECDSA.RecoverError error, ) = credentialHash.tryRecover(signature);
+        if (error != ECDSA.RecoverError.NoError || signer != credential.issuer) return (false, credentialHash);
+        if (!hasRole(ISSUER_ROLE, signer)) return (false, credentialHash);
+        if (revokedOffchainCredentials[signer][credentialHash]) return (false, credentialHash);
+        if (credential.expiresAt != 0 && credential.expiresAt <= block.timestamp) return (false, credentialHash);
+
+        return (true, credentialHash);
+    }
+
+    /**
+     * @dev Revoke a credential signed off-chain; issuers may revoke their own, revokers any issuer's
+     * @param issuer Address that signed the credential
+     * @param credentialHash Typed data hash of the credential (see hashOffchainCredential)
+     * @param reason Reason for revocation
+     */
+    function revokeOffchainCredential(
+        address issuer,
+        bytes32 credentialHash,
+        string calldata reason
+    ) external {
+        (issuer, credentialHash, reason);
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Anchor the Merkle root of a batch of credentials instead of storing each one. While type
+     * authorization is enforced, the issuer needs at least one authorized type
+     * @param root Merkle root over the batch's MerkleCredential leaves
+     * @param leafCount Number of credentials in the batch
+     * @param metadataURI Additional metadata URI for the batch
+     * @return batchId The ID of the anchored batch
+     */
+    function anchorMerkleRoot(
+        bytes32 root,
+        uint256 leafCount,
+        string calldata metadataURI
+    ) external returns (uint256) {
+        (root, leafCount, metadataURI);
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Revoke every credential of a Merkle batch; its issuer or a revoker may revoke
+     * @param batchId ID of the batch
+     * @param reason Reason for revocation
+     */
+    function revokeMerkleBatch(uint256 batchId, string calldata reason) external {
+        (batchId, reason);
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Revoke a single credential of a Merkle batch; its issuer or a revoker may revoke
+     * @param batchId ID of the batch
+     * @param leaf Leaf hash of the credential (see CredentialVerifier.verifyMerkleCredential)
+     * @param reason Reason for revocation
+     */
+    function revokeMerkleCredential(uint256 batchId, bytes32 leaf, string calldata reason) external {
+        (batchId, leaf, reason);
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Get an anchored Merkle batch
+     * @param batchId ID of the batch
+     * @return batch The batch's root, issuer and revocation state
+     */
+    function getMerkleBatch(uint256 batchId) external view returns (MerkleBatch memory) {
+        return _getMerkleBatch(batchId);
+    }
+
+    /**
+     * @dev Get total number of anchored Merkle batches
+     * @return count Total batch count
+     */
+    function getTotalMerkleBatches() external view returns (uint256) {
+        return _merkleBatchIdCounter;
     }
 
     /**
@@ -370,6 +496,51 @@ contract CredentialRegistry is AccessControl, Pausable, ReentrancyGuard {
         return _credentialIdCounter;
     }
 
+    /**
+     * @dev Require credential types to have a schema in a CredentialSchemaRegistry (admin only)
+     * @param newSchemaRegistry CredentialSchemaRegistry address, or the zero address to accept any type
+     */
+    function setSchemaRegistry(address newSchemaRegistry) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        emit SchemaRegistryUpdated(address(schemaRegistry), newSchemaRegistry);
+        schemaRegistry = ICredentialSchemaRegistry(newSchemaRegistry);
+    }
+
+    /**
+     * @dev Only let accredited issuers issue credentials or anchor Merkle roots (admin only)
+     * @param newIssuerAccreditation IssuerAccreditation address, or the zero address to only require ISSUER_ROLE
+     */
+    function setIssuerAccreditation(address newIssuerAccreditation) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        emit IssuerAccreditationUpdated(address(issuerAccreditation), newIssuerAccreditation);
+        issuerAccreditation = IIssuerAccreditation(newIssuerAccreditation);
+    }
+
+    /**
+     * @dev Only let issuers issue the credential types authorized for them (admin only)
+     * @param newTypeAuthorization CredentialTypeAuthorization address, or the zero address to allow any type
+     */
+    function setTypeAuthorization(address newTypeAuthorization) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        emit TypeAuthorizationUpdated(address(typeAuthorization), newTypeAuthorization);
+        typeAuthorization = ICredentialTypeAuthorization(newTypeAuthorization);
+    }
+
+    /**
+     * @dev Require recipients to accept new credentials before they count as valid (admin only)
+     * @param newCredentialConsent CredentialConsent address, or the zero address to count credentials on issuance
+     */
+    function setCredentialConsent(address newCredentialConsent) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        emit CredentialConsentUpdated(address(credentialConsent), newCredentialConsent);
+        credentialConsent = ICredentialConsent(newCredentialConsent);
+    }
+
+    /**
+     * @dev Only let a CredentialMultisig revoke the credentials it issued, once its signers approve (admin only)
+     * @param newCredentialMultisig CredentialMultisig address, or the zero address to let any revoker revoke them
+     */
+    function setCredentialMultisig(address newCredentialMultisig) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        emit CredentialMultisigUpdated(credentialMultisig, newCredentialMultisig);
+        credentialMultisig = newCredentialMultisig;
+    }
+
     /**
      * @dev Pause contract (admin only)
      */
@@ -385,10 +556,11 @@ contract CredentialRegistry is AccessControl, Pausable, ReentrancyGuard {
     }
 
     /**
-     * @dev Grant issuer role to an address
+     * @dev Grant issuer role to an address (admin, or the IssuerAccreditation contract on approval)
      * @param account Address to grant issuer role
      */
-    function grantIssuerRole(address account) external onlyRole(DEFAULT_ADMIN_ROLE) {
+    function grantIssuerRole(address account) external {
+        if (msg.sender != address(issuerAccreditation)) _checkRole(DEFAULT_ADMIN_ROLE);
         _grantRole(ISSUER_ROLE, account);
     }
 
@@ -407,4 +579,95 @@ contract CredentialRegistry is AccessControl, Pausable, ReentrancyGuard {
     function grantRevokerRole(address account) external onlyRole(DEFAULT_ADMIN_ROLE) {
         _grantRole(REVOKER_ROLE, account);
     }
-}
\ No newline at end of file
+
+    /**
+     * @dev Revoke issuer role from an address; emits RoleRevoked
+     * @param account Address to revoke issuer role from
+     */
+    function revokeIssuerRole(address account) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _revokeRole(ISSUER_ROLE, account);
+    }
+
+    /**
+     * @dev Revoke verifier role from an address; emits RoleRevoked
+     * @param account Address to revoke verifier role from
+     */
+    function revokeVerifierRole(address account) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _revokeRole(VERIFIER_ROLE, account);
+    }
+
+    /**
+     * @dev Revoke revoker role from an address; emits RoleRevoked
+     * @param account Address to revoke revoker role from
+     */
+    function revokeRevokerRole(address account) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _revokeRole(REVOKER_ROLE, account);
+    }
+
+    /**
+     * @dev Grant a role; DEFAULT_ADMIN_ROLE can only move through beginDefaultAdminTransfer
+     * @param role Role to grant
+     * @param account Address to grant the role to
+     */
+    function grantRole(bytes32 role, address account) public override(AccessControlUpgradeable, IAccessControl) {
+        if (role == DEFAULT_ADMIN_ROLE) revert DefaultAdminTransferRequired();
+        super.grantRole(role, account);
+    }
+
+    /**
+     * @dev Role that grants and revokes `role`; UPGRADER_ROLE administers itself, so an admin cannot
+     * grant itself the right to upgrade and bypass the admin transfer delay
+     * @param role Role to look up
+     * @return Admin role of `role`
+     */
+    function getRoleAdmin(bytes32 role) public view override(AccessControlUpgradeable, IAccessControl) returns (bytes32) {
+        if (role == UPGRADER_ROLE) return UPGRADER_ROLE;
+        return super.getRoleAdmin(role);
+    }
+
+    /**
+     * @dev Start handing DEFAULT_ADMIN_ROLE over to a new account (admin only). The new admin accepts
+     * after DEFAULT_ADMIN_TRANSFER_DELAY, and the caller loses the role then; starting again replaces
+     * a pending transfer, and the transfer is canceled if the caller loses the role before that
+     * @param newAdmin Account that becomes admin
+     */
+    function beginDefaultAdminTransfer(address newAdmin) external {
+        newAdmin;
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Cancel the pending transfer of DEFAULT_ADMIN_ROLE (admin only)
+     */
+    function cancelDefaultAdminTransfer() external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Accept DEFAULT_ADMIN_ROLE once the transfer delay has passed (pending admin only)
+     */
+    function acceptDefaultAdminTransfer() external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Authorize a proxy upgrade (UPGRADER_ROLE only)
+     * @param newImplementation Address of the new implementation
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+
+    /// @dev Run the called function in the extension on this contract's storage, forwarding msg.data and returning its result
+    /// @custom:oz-upgrades-unsafe-allow delegatecall
+    function _delegateToExtension() private {
+        address target = extension;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            if iszero(success) {
+                revert(0, returndatasize())
+            }
+            return(0, returndatasize())
+        }
+    }
+}
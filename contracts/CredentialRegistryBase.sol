@@ -0,0 +1,539 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/access/extensions/AccessControlEnumerableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/NoncesUpgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./interfaces/ICredentialSchemaRegistry.sol";
+import "./interfaces/IIssuerAccreditation.sol";
+import "./interfaces/ICredentialTypeAuthorization.sol";
+import "./interfaces/ICredentialConsent.sol";
+
+/**
+ * @title CredentialRegistryBase
+ * @dev Types, storage, events, errors and shared internal logic of CredentialRegistry. Also inherited
+ * by CredentialRegistryExtension, which runs on the registry's storage through delegatecall
+ * @custom:oz-upgrades Proxy storage of CredentialRegistry; new state variables must only be appended
+ */
+abstract contract CredentialRegistryBase is
+    Initializable,
+    AccessControlEnumerableUpgradeable,
+    PausableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    EIP712Upgradeable,
+    NoncesUpgradeable
+{
+    // Role definitions
+    bytes32 public constant ISSUER_ROLE = keccak256("ISSUER_ROLE");
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
+    bytes32 public constant REVOKER_ROLE = keccak256("REVOKER_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    bytes32 public constant ACCREDITOR_ROLE = keccak256("ACCREDITOR_ROLE"); // Approves issuer applications in IssuerAccreditation
+    bytes32 public constant MIGRATOR_ROLE = keccak256("MIGRATOR_ROLE"); // Moves credentials to new recipient wallets (CredentialMigration)
+
+    // Delay between an admin starting a transfer of DEFAULT_ADMIN_ROLE and the new admin accepting it
+    uint256 public constant DEFAULT_ADMIN_TRANSFER_DELAY = 2 days;
+
+    // EIP-712 type of credentials signed off-chain by issuers
+    bytes32 public constant OFFCHAIN_CREDENTIAL_TYPEHASH = keccak256(
+        "OffchainCredential(address issuer,address recipient,string credentialType,bytes32 dataHash,uint256 issuedAt,uint256 expiresAt,string metadataURI)"
+    );
+
+    // EIP-712 types of meta-transactions signed by issuers/revokers and submitted by a relayer
+    bytes32 public constant ISSUE_REQUEST_TYPEHASH = keccak256(
+        "IssueRequest(address issuer,address recipient,string credentialType,string credentialData,uint256 expiresAt,string metadataURI,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant BATCH_ISSUE_REQUEST_TYPEHASH = keccak256(
+        "BatchIssueRequest(address issuer,address[] recipients,string[] credentialTypes,string[] credentialDataArray,uint256[] expirationDates,string[] metadataURIs,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant REVOKE_REQUEST_TYPEHASH = keccak256(
+        "RevokeRequest(address revoker,uint256 credentialId,string reason,uint256 nonce,uint256 deadline)"
+    );
+
+    // Credential status enumeration
+    enum CredentialStatus {
+        Active,
+        Revoked,
+        Suspended,
+        Expired,
+        Superseded
+    }
+
+    // Credential structure
+    struct Credential {
+        uint256 id;
+        address issuer;
+        address recipient;
+        string credentialType;
+        string credentialData; // JSON or IPFS hash
+        uint256 issuedAt;
+        uint256 expiresAt;
+        CredentialStatus status;
+        bytes32 dataHash; // Hash of credential data for integrity
+        string metadataURI; // Additional metadata (IPFS, etc.)
+    }
+
+    // Credential signed off-chain with EIP-712; only its hash is ever revealed on-chain
+    struct OffchainCredential {
+        address issuer;
+        address recipient;
+        string credentialType;
+        bytes32 dataHash; // keccak256(abi.encodePacked(credentialData, recipient, credentialType))
+        uint256 issuedAt;
+        uint256 expiresAt;
+        string metadataURI;
+    }
+
+    // Meta-transaction requests; the signer is the account role checks apply to
+    struct IssueRequest {
+        address issuer;
+        address recipient;
+        string credentialType;
+        string credentialData;
+        uint256 expiresAt;
+        string metadataURI;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    struct BatchIssueRequest {
+        address issuer;
+        address[] recipients;
+        string[] credentialTypes;
+        string[] credentialDataArray;
+        uint256[] expirationDates;
+        string[] metadataURIs;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    struct RevokeRequest {
+        address revoker;
+        uint256 credentialId;
+        string reason;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    // Root of a Merkle tree of credentials anchored in one transaction; the leaves stay off-chain
+    struct MerkleBatch {
+        uint256 id;
+        address issuer;
+        bytes32 root;
+        uint256 leafCount;
+        uint256 anchoredAt;
+        bool revoked;
+        string metadataURI;
+    }
+
+    // Leaf of a Merkle batch, hashed as keccak256(bytes.concat(keccak256(abi.encode(...))))
+    struct MerkleCredential {
+        address recipient;
+        string credentialType;
+        bytes32 dataHash; // keccak256(abi.encodePacked(credentialData, recipient, credentialType))
+        uint256 expiresAt;
+    }
+
+    // Issuer profile structure
+    struct IssuerProfile {
+        string name;
+        string description;
+        string website;
+        string logoURI;
+        bool isActive;
+        uint256 credentialsIssued;
+    }
+
+    // State variables (proxy storage: append new variables at the end, never reorder or remove)
+    uint256 internal _credentialIdCounter;
+    mapping(uint256 => Credential) public credentials;
+    mapping(address => IssuerProfile) public issuerProfiles;
+    mapping(address => uint256[]) public recipientCredentials;
+    mapping(address => uint256[]) public issuerCredentials;
+    mapping(bytes32 => bool) public usedHashes; // Prevent duplicate credential data
+    mapping(string => uint256[]) public credentialsByType;
+    mapping(address => mapping(bytes32 => bool)) public revokedOffchainCredentials; // issuer => credential hash => revoked
+    uint256 internal _merkleBatchIdCounter;
+    mapping(uint256 => MerkleBatch) internal _merkleBatches;
+    mapping(uint256 => mapping(bytes32 => bool)) public revokedMerkleCredentials; // batch ID => leaf => revoked
+    ICredentialSchemaRegistry public schemaRegistry; // When set, only registered credential types can be issued
+    mapping(uint256 => uint256) public suspendedUntil; // Credential ID => end of its suspension (0 = indefinite)
+    mapping(uint256 => uint256) public supersededBy; // Credential ID => ID of the version that replaced it
+    mapping(uint256 => uint256) public supersedes; // Credential ID => ID of the version it replaced
+    IIssuerAccreditation public issuerAccreditation; // When set, only accredited issuers can issue
+    ICredentialTypeAuthorization public typeAuthorization; // When set, issuers only issue their authorized types
+    ICredentialConsent public credentialConsent; // When set, new credentials only count once their recipient accepts them
+    address public pendingDefaultAdmin; // Account that may accept DEFAULT_ADMIN_ROLE, zero when no transfer is pending
+    uint256 public pendingDefaultAdminSchedule; // Earliest time pendingDefaultAdmin may accept
+    address internal _pendingDefaultAdminFrom; // Admin that started the pending transfer and gives up DEFAULT_ADMIN_ROLE
+    address public credentialMultisig; // When set, credentials it issued can only be revoked through its proposals
+    mapping(uint256 => uint256) internal _recipientCredentialIndex; // 1-based position in recipientCredentials (0 = issued before it was tracked)
+
+    // Events
+    event CredentialIssued(
+        uint256 indexed credentialId,
+        address indexed issuer,
+        address indexed recipient,
+        string credentialType,
+        uint256 issuedAt,
+        uint256 expiresAt
+    );
+
+    event CredentialRevoked(
+        uint256 indexed credentialId,
+        address indexed revoker,
+        string reason,
+        uint256 revokedAt
+    );
+
+    event CredentialStatusUpdated(
+        uint256 indexed credentialId,
+        CredentialStatus oldStatus,
+        CredentialStatus newStatus,
+        uint256 updatedAt
+    );
+
+    event CredentialSuspended(
+        uint256 indexed credentialId,
+        address indexed suspendedBy,
+        string reason,
+        uint256 suspendedUntil,
+        uint256 suspendedAt
+    );
+
+    event CredentialSuperseded(
+        uint256 indexed credentialId,
+        uint256 indexed newCredentialId,
+        address indexed supersededBy,
+        uint256 supersededAt
+    );
+
+    event CredentialRecipientChanged(
+        uint256 indexed credentialId,
+        address indexed previousRecipient,
+        address indexed newRecipient
+    );
+
+    event IssuerProfileUpdated(
+        address indexed issuer,
+        string name,
+        string description
+    );
+
+    event IssuerActivationUpdated(address indexed issuer, bool isActive);
+
+    event CredentialVerified(
+        uint256 indexed credentialId,
+        address indexed verifier,
+        uint256 verifiedAt
+    );
+
+    event OffchainCredentialRevoked(
+        bytes32 indexed credentialHash,
+        address indexed issuer,
+        address indexed revoker,
+        string reason,
+        uint256 revokedAt
+    );
+
+    event MerkleRootAnchored(
+        uint256 indexed batchId,
+        address indexed issuer,
+        bytes32 root,
+        uint256 leafCount,
+        uint256 anchoredAt
+    );
+
+    event MerkleBatchRevoked(
+        uint256 indexed batchId,
+        address indexed revoker,
+        string reason,
+        uint256 revokedAt
+    );
+
+    event MerkleCredentialRevoked(
+        uint256 indexed batchId,
+        bytes32 indexed leaf,
+        address indexed revoker,
+        string reason,
+        uint256 revokedAt
+    );
+
+    event SchemaRegistryUpdated(
+        address indexed previousSchemaRegistry,
+        address indexed newSchemaRegistry
+    );
+
+    event IssuerAccreditationUpdated(
+        address indexed previousIssuerAccreditation,
+        address indexed newIssuerAccreditation
+    );
+
+    event TypeAuthorizationUpdated(
+        address indexed previousTypeAuthorization,
+        address indexed newTypeAuthorization
+    );
+
+    event CredentialConsentUpdated(
+        address indexed previousCredentialConsent,
+        address indexed newCredentialConsent
+    );
+
+    event CredentialMultisigUpdated(
+        address indexed previousCredentialMultisig,
+        address indexed newCredentialMultisig
+    );
+
+    event DefaultAdminTransferScheduled(
+        address indexed currentAdmin,
+        address indexed newAdmin,
+        uint256 acceptSchedule
+    );
+
+    event DefaultAdminTransferCanceled(address indexed newAdmin);
+
+    // Custom errors
+    error CredentialNotFound(uint256 credentialId);
+    error CredentialAlreadyRevoked(uint256 credentialId);
+    error CredentialExpired(uint256 credentialId);
+    error UnauthorizedIssuer(address issuer);
+    error UnauthorizedVerifier(address verifier);
+    error InvalidCredentialData();
+    error DuplicateCredentialData();
+    error InvalidExpirationDate();
+    error OffchainCredentialAlreadyRevoked(bytes32 credentialHash);
+    error ExpiredSignature(uint256 deadline);
+    error InvalidSignature(address expectedSigner);
+    error MerkleBatchNotFound(uint256 batchId);
+    error MerkleBatchAlreadyRevoked(uint256 batchId);
+    error MerkleCredentialAlreadyRevoked(uint256 batchId, bytes32 leaf);
+    error UnknownCredentialType(string credentialType);
+    error InvalidSuspensionEnd(uint256 suspendedUntil);
+    error InvalidStatusTransition(uint256 credentialId, CredentialStatus from, CredentialStatus to);
+    error IssuerNotAccredited(address issuer);
+    error ProfileManagedByAccreditation(address issuer);
+    error UnauthorizedCredentialType(address issuer, string credentialType);
+    error NoAuthorizedCredentialTypes(address issuer);
+    error DefaultAdminTransferRequired();
+    error InvalidDefaultAdmin(address account);
+    error DefaultAdminTransferNotReady(uint256 acceptSchedule);
+    error MultisigApprovalRequired(uint256 credentialId);
+
+    /**
+     * @dev Revert unless the caller is `issuer` (still holding ISSUER_ROLE) or holds REVOKER_ROLE
+     */
+    function _checkIssuerOrRevoker(address issuer) internal view {
+        bool isOwnCredential = issuer == msg.sender && hasRole(ISSUER_ROLE, msg.sender);
+        if (!isOwnCredential && !hasRole(REVOKER_ROLE, msg.sender)) revert UnauthorizedIssuer(msg.sender);
+    }
+
+    /// @dev Revert unless accreditation is off or `issuer` is currently accredited
+    function _checkAccredited(address issuer) internal view {
+        if (address(issuerAccreditation) != address(0) && !issuerAccreditation.isAccredited(issuer)) {
+            revert IssuerNotAccredited(issuer);
+        }
+    }
+
+    /// @dev True unless recipient consent is enforced and the recipient has not accepted the credential
+    function _isAccepted(uint256 credentialId) internal view returns (bool) {
+        return address(credentialConsent) == address(0) || credentialConsent.isAccepted(credentialId);
+    }
+
+    /**
+     * @dev Storage pointer to an anchored Merkle batch; reverts if it does not exist
+     */
+    function _getMerkleBatch(uint256 batchId) internal view returns (MerkleBatch storage batch) {
+        batch = _merkleBatches[batchId];
+        if (batch.id == 0) revert MerkleBatchNotFound(batchId);
+    }
+
+    /**
+     * @dev Internal revocation logic shared by direct and signed revocation
+     */
+    function _revokeCredential(address revoker, uint256 credentialId, string memory reason) internal {
+        Credential storage credential = credentials[credentialId];
+        if (credential.id == 0) revert CredentialNotFound(credentialId);
+        if (credential.status == CredentialStatus.Revoked) revert CredentialAlreadyRevoked(credentialId);
+        // Credentials issued under an M-of-N policy take the same approval to revoke
+        if (credential.issuer == credentialMultisig && revoker != credentialMultisig) {
+            revert MultisigApprovalRequired(credentialId);
+        }
+
+        CredentialStatus oldStatus = _effectiveStatus(credential);
+        credential.status = CredentialStatus.Revoked;
+
+        emit CredentialRevoked(credentialId, revoker, reason, block.timestamp);
+        emit CredentialStatusUpdated(credentialId, oldStatus, CredentialStatus.Revoked, block.timestamp);
+    }
+
+    /// @dev Move a credential of the sender (or any, for admins) between Active and Suspended
+    function _setStatus(uint256 credentialId, CredentialStatus newStatus) internal {
+        Credential storage credential = _issuedCredential(credentialId);
+        if (newStatus == CredentialStatus.Suspended) _requireMultisigApproval(credential);
+        CredentialStatus oldStatus = _effectiveStatus(credential);
+        bool allowed = (oldStatus == CredentialStatus.Active && newStatus == CredentialStatus.Suspended) ||
+            (oldStatus == CredentialStatus.Suspended && newStatus == CredentialStatus.Active);
+        if (!allowed) revert InvalidStatusTransition(credentialId, oldStatus, newStatus);
+
+        credential.status = newStatus;
+        delete suspendedUntil[credentialId];
+
+        emit CredentialStatusUpdated(credentialId, oldStatus, newStatus, block.timestamp);
+    }
+
+    /// @dev Credentials issued by the credentialMultisig only change through its proposals, even for admins
+    function _requireMultisigApproval(Credential storage credential) internal view {
+        if (credential.issuer == credentialMultisig && msg.sender != credentialMultisig) {
+            revert MultisigApprovalRequired(credential.id);
+        }
+    }
+
+    /// @dev Credential that the sender issued, or any credential for admins
+    function _issuedCredential(uint256 credentialId) internal view returns (Credential storage credential) {
+        credential = credentials[credentialId];
+        if (credential.id == 0) revert CredentialNotFound(credentialId);
+        if (credential.issuer != msg.sender && !hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) {
+            revert UnauthorizedIssuer(msg.sender);
+        }
+    }
+
+    /// @dev Stored status, with a lapsed suspension counting as Active and any credential but a revoked or superseded one as Expired past its expiry
+    function _effectiveStatus(Credential storage credential) internal view returns (CredentialStatus status) {
+        status = credential.status;
+        if (status == CredentialStatus.Suspended) {
+            uint256 until = suspendedUntil[credential.id];
+            if (until != 0 && until <= block.timestamp) status = CredentialStatus.Active;
+        }
+        if (
+            status != CredentialStatus.Revoked &&
+            status != CredentialStatus.Superseded &&
+            credential.expiresAt != 0 &&
+            credential.expiresAt <= block.timestamp
+        ) {
+            status = CredentialStatus.Expired;
+        }
+    }
+
+    /**
+     * @dev Internal batch issuance logic shared by direct and signed batch issuance
+     */
+    function _batchIssueCredentials(
+        address issuer,
+        address[] memory recipients,
+        string[] memory credentialTypes,
+        string[] memory credentialDataArray,
+        uint256[] memory expirationDates,
+        string[] memory metadataURIs
+    ) internal returns (uint256[] memory) {
+        uint256 length = recipients.length;
+        if (length != credentialTypes.length || 
+            length != credentialDataArray.length || 
+            length != expirationDates.length || 
+            length != metadataURIs.length) {
+            revert InvalidCredentialData();
+        }
+
+        uint256[] memory credentialIds = new uint256[](length);
+
+        for (uint256 i = 0; i < length; i++) {
+            credentialIds[i] = _issueCredential(
+                issuer,
+                recipients[i],
+                credentialTypes[i],
+                credentialDataArray[i],
+                expirationDates[i],
+                metadataURIs[i]
+            );
+        }
+
+        return credentialIds;
+    }
+
+    /**
+     * @dev Internal issuance logic shared by single and batch issuance
+     */
+    function _issueCredential(
+        address issuer,
+        address recipient,
+        string memory credentialType,
+        string memory credentialData,
+        uint256 expiresAt,
+        string memory metadataURI
+    ) internal returns (uint256) {
+        if (recipient == address(0)) revert InvalidCredentialData();
+        if (bytes(credentialType).length == 0) revert InvalidCredentialData();
+        if (bytes(credentialData).length == 0) revert InvalidCredentialData();
+        if (expiresAt != 0 && expiresAt <= block.timestamp) revert InvalidExpirationDate();
+        if (address(schemaRegistry) != address(0) && !schemaRegistry.isSchemaRegistered(credentialType)) {
+            revert UnknownCredentialType(credentialType);
+        }
+        _checkAccredited(issuer);
+        if (address(typeAuthorization) != address(0) && !typeAuthorization.isAuthorized(issuer, credentialType)) {
+            revert UnauthorizedCredentialType(issuer, credentialType);
+        }
+
+        // Generate data hash for integrity check
+        bytes32 dataHash = keccak256(abi.encodePacked(credentialData, recipient, credentialType));
+        if (usedHashes[dataHash]) revert DuplicateCredentialData();
+
+        uint256 credentialId = ++_credentialIdCounter;
+
+        // Create credential
+        credentials[credentialId] = Credential({
+            id: credentialId,
+            issuer: issuer,
+            recipient: recipient,
+            credentialType: credentialType,
+            credentialData: credentialData,
+            issuedAt: block.timestamp,
+            expiresAt: expiresAt,
+            status: CredentialStatus.Active,
+            dataHash: dataHash,
+            metadataURI: metadataURI
+        });
+
+        // Update mappings
+        usedHashes[dataHash] = true;
+        recipientCredentials[recipient].push(credentialId);
+        _recipientCredentialIndex[credentialId] = recipientCredentials[recipient].length;
+        issuerCredentials[issuer].push(credentialId);
+        credentialsByType[credentialType].push(credentialId);
+
+        // Update issuer stats
+        issuerProfiles[issuer].credentialsIssued++;
+
+        // The credential only counts once its recipient accepts the offer
+        if (address(credentialConsent) != address(0)) credentialConsent.recordOffer(credentialId, recipient);
+
+        emit CredentialIssued(
+            credentialId,
+            issuer,
+            recipient,
+            credentialType,
+            block.timestamp,
+            expiresAt
+        );
+
+        return credentialId;
+    }
+
+    /// @dev Forget the pending transfer of DEFAULT_ADMIN_ROLE
+    function _clearDefaultAdminTransfer() internal {
+        delete pendingDefaultAdmin;
+        delete pendingDefaultAdminSchedule;
+        delete _pendingDefaultAdminFrom;
+    }
+
+    /// @dev Cancel the pending DEFAULT_ADMIN_ROLE transfer once its initiator is revoked or renounces the role
+    function _revokeRole(bytes32 role, address account) internal virtual override returns (bool) {
+        if (role == DEFAULT_ADMIN_ROLE && account == _pendingDefaultAdminFrom && pendingDefaultAdmin != address(0)) {
+            emit DefaultAdminTransferCanceled(pendingDefaultAdmin);
+            _clearDefaultAdminTransfer();
+        }
+        return super._revokeRole(role, account);
+    }
+}
@@ -0,0 +1,346 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./CredentialRegistryBase.sol";
+
+/**
+ * @title CredentialRegistryExtension
+ * @dev State-changing functions of CredentialRegistry that do not fit in its 24 KB of bytecode. Each
+ * registry implementation deploys its own extension and delegatecalls it, so these run on the proxy's
+ * storage with the original caller; called directly, the extension holds no roles and does nothing
+ */
+contract CredentialRegistryExtension is CredentialRegistryBase {
+    using ECDSA for bytes32;
+
+    /// @dev Implements CredentialRegistry.issueCredentialBySig
+    function issueCredentialBySig(
+        IssueRequest calldata request,
+        bytes calldata signature
+    ) external whenNotPaused nonReentrant returns (uint256) {
+        bytes32 structHash = keccak256(abi.encode(
+            ISSUE_REQUEST_TYPEHASH,
+            request.issuer,
+            request.recipient,
+            keccak256(bytes(request.credentialType)),
+            keccak256(bytes(request.credentialData)),
+            request.expiresAt,
+            keccak256(bytes(request.metadataURI)),
+            request.nonce,
+            request.deadline
+        ));
+        _useSignedRequest(request.issuer, ISSUER_ROLE, structHash, request.nonce, request.deadline, signature);
+
+        return _issueCredential(
+            request.issuer,
+            request.recipient,
+            request.credentialType,
+            request.credentialData,
+            request.expiresAt,
+            request.metadataURI
+        );
+    }
+
+    /// @dev Implements CredentialRegistry.batchIssueCredentialsBySig
+    function batchIssueCredentialsBySig(
+        BatchIssueRequest calldata request,
+        bytes calldata signature
+    ) external whenNotPaused nonReentrant returns (uint256[] memory) {
+        bytes32 structHash = keccak256(abi.encode(
+            BATCH_ISSUE_REQUEST_TYPEHASH,
+            request.issuer,
+            keccak256(abi.encodePacked(request.recipients)),
+            _hashStringArray(request.credentialTypes),
+            _hashStringArray(request.credentialDataArray),
+            keccak256(abi.encodePacked(request.expirationDates)),
+            _hashStringArray(request.metadataURIs),
+            request.nonce,
+            request.deadline
+        ));
+        _useSignedRequest(request.issuer, ISSUER_ROLE, structHash, request.nonce, request.deadline, signature);
+
+        return _batchIssueCredentials(
+            request.issuer,
+            request.recipients,
+            request.credentialTypes,
+            request.credentialDataArray,
+            request.expirationDates,
+            request.metadataURIs
+        );
+    }
+
+    /// @dev Implements CredentialRegistry.revokeCredentialBySig
+    function revokeCredentialBySig(
+        RevokeRequest calldata request,
+        bytes calldata signature
+    ) external whenNotPaused {
+        bytes32 structHash = keccak256(abi.encode(
+            REVOKE_REQUEST_TYPEHASH,
+            request.revoker,
+            request.credentialId,
+            keccak256(bytes(request.reason)),
+            request.nonce,
+            request.deadline
+        ));
+        _useSignedRequest(request.revoker, REVOKER_ROLE, structHash, request.nonce, request.deadline, signature);
+
+        _revokeCredential(request.revoker, request.credentialId, request.reason);
+    }
+
+    /// @dev Implements CredentialRegistry.suspendCredential
+    function suspendCredential(
+        uint256 credentialId,
+        uint256 until,
+        string memory reason
+    ) external onlyRole(ISSUER_ROLE) whenNotPaused {
+        Credential storage credential = _issuedCredential(credentialId);
+        // A suspension without end, or a far one, would revoke the credential in all but name
+        _requireMultisigApproval(credential);
+        if (until != 0 && until <= block.timestamp) revert InvalidSuspensionEnd(until);
+        // A suspended credential may be suspended again, to change the end of its suspension
+        if (_effectiveStatus(credential) != CredentialStatus.Suspended) {
+            _setStatus(credentialId, CredentialStatus.Suspended);
+        }
+        suspendedUntil[credentialId] = until;
+
+        emit CredentialSuspended(credentialId, msg.sender, reason, until, block.timestamp);
+    }
+
+    /// @dev Implements CredentialRegistry.renewCredential
+    function renewCredential(
+        uint256 credentialId,
+        uint256 expiresAt
+    ) external onlyRole(ISSUER_ROLE) whenNotPaused nonReentrant returns (uint256) {
+        Credential storage credential = _issuedCredential(credentialId);
+        if (credential.expiresAt == 0 || (expiresAt != 0 && expiresAt <= credential.expiresAt)) {
+            revert InvalidExpirationDate();
+        }
+        return _supersedeCredential(credentialId, credential.credentialData, expiresAt, credential.metadataURI);
+    }
+
+    /// @dev Implements CredentialRegistry.amendCredential
+    function amendCredential(
+        uint256 credentialId,
+        string memory credentialData,
+        uint256 expiresAt,
+        string memory metadataURI
+    ) external onlyRole(ISSUER_ROLE) whenNotPaused nonReentrant returns (uint256) {
+        return _supersedeCredential(credentialId, credentialData, expiresAt, metadataURI);
+    }
+
+    /// @dev Implements CredentialRegistry.reassignRecipient
+    function reassignRecipient(uint256 credentialId, address newRecipient) external onlyRole(MIGRATOR_ROLE) whenNotPaused {
+        Credential storage credential = credentials[credentialId];
+        if (credential.id == 0) revert CredentialNotFound(credentialId);
+        address previousRecipient = credential.recipient;
+        if (newRecipient == address(0) || newRecipient == previousRecipient) revert InvalidCredentialData();
+
+        // Swap and pop it out of the previous recipient's list, keeping the 1-based index of the moved entry current.
+        // Credentials issued before the index existed are looked up once.
+        uint256[] storage previousCredentials = recipientCredentials[previousRecipient];
+        uint256 index = _recipientCredentialIndex[credentialId];
+        if (index == 0) {
+            while (previousCredentials[index] != credentialId) index++;
+            index++;
+        }
+        uint256 last = previousCredentials[previousCredentials.length - 1];
+        previousCredentials[index - 1] = last;
+        _recipientCredentialIndex[last] = index;
+        previousCredentials.pop();
+
+        recipientCredentials[newRecipient].push(credentialId);
+        _recipientCredentialIndex[credentialId] = recipientCredentials[newRecipient].length;
+        credential.recipient = newRecipient;
+
+        // The hash covers the recipient, so re-issuing the same data to the new recipient counts as a duplicate.
+        // The previous recipient's hash stays used.
+        bytes32 dataHash = keccak256(abi.encodePacked(credential.credentialData, newRecipient, credential.credentialType));
+        usedHashes[dataHash] = true;
+        credential.dataHash = dataHash;
+
+        emit CredentialRecipientChanged(credentialId, previousRecipient, newRecipient);
+    }
+
+    /// @dev Implements CredentialRegistry.setupIssuerProfile
+    function setupIssuerProfile(
+        string memory name,
+        string memory description,
+        string memory website,
+        string memory logoURI
+    ) external onlyRole(ISSUER_ROLE) {
+        if (address(issuerAccreditation) != address(0)) revert ProfileManagedByAccreditation(msg.sender);
+        issuerProfiles[msg.sender] = IssuerProfile({
+            name: name,
+            description: description,
+            website: website,
+            logoURI: logoURI,
+            isActive: true,
+            credentialsIssued: issuerProfiles[msg.sender].credentialsIssued
+        });
+
+        emit IssuerProfileUpdated(msg.sender, name, description);
+    }
+
+    /// @dev Implements CredentialRegistry.setIssuerActive
+    function setIssuerActive(address issuer, bool isActive) external {
+        if (msg.sender != address(issuerAccreditation)) _checkRole(DEFAULT_ADMIN_ROLE);
+        issuerProfiles[issuer].isActive = isActive;
+
+        emit IssuerActivationUpdated(issuer, isActive);
+    }
+
+    /// @dev Implements CredentialRegistry.revokeOffchainCredential
+    function revokeOffchainCredential(
+        address issuer,
+        bytes32 credentialHash,
+        string memory reason
+    ) external whenNotPaused {
+        _checkIssuerOrRevoker(issuer);
+        if (revokedOffchainCredentials[issuer][credentialHash]) revert OffchainCredentialAlreadyRevoked(credentialHash);
+
+        revokedOffchainCredentials[issuer][credentialHash] = true;
+
+        emit OffchainCredentialRevoked(credentialHash, issuer, msg.sender, reason, block.timestamp);
+    }
+
+    /// @dev Implements CredentialRegistry.anchorMerkleRoot
+    function anchorMerkleRoot(
+        bytes32 root,
+        uint256 leafCount,
+        string memory metadataURI
+    ) external onlyRole(ISSUER_ROLE) whenNotPaused returns (uint256) {
+        if (root == bytes32(0) || leafCount == 0) revert InvalidCredentialData();
+        _checkAccredited(msg.sender);
+        // The leaves' types stay off-chain, so CredentialVerifier checks each one against the issuer's authorizations
+        if (address(typeAuthorization) != address(0) && typeAuthorization.getAuthorizedTypes(msg.sender).length == 0) {
+            revert NoAuthorizedCredentialTypes(msg.sender);
+        }
+
+        _merkleBatchIdCounter++;
+        uint256 batchId = _merkleBatchIdCounter;
+        _merkleBatches[batchId] = MerkleBatch({
+            id: batchId,
+            issuer: msg.sender,
+            root: root,
+            leafCount: leafCount,
+            anchoredAt: block.timestamp,
+            revoked: false,
+            metadataURI: metadataURI
+        });
+
+        emit MerkleRootAnchored(batchId, msg.sender, root, leafCount, block.timestamp);
+        return batchId;
+    }
+
+    /// @dev Implements CredentialRegistry.revokeMerkleBatch
+    function revokeMerkleBatch(uint256 batchId, string memory reason) external whenNotPaused {
+        MerkleBatch storage batch = _getMerkleBatch(batchId);
+        _checkIssuerOrRevoker(batch.issuer);
+        if (batch.revoked) revert MerkleBatchAlreadyRevoked(batchId);
+
+        batch.revoked = true;
+
+        emit MerkleBatchRevoked(batchId, msg.sender, reason, block.timestamp);
+    }
+
+    /// @dev Implements CredentialRegistry.revokeMerkleCredential
+    function revokeMerkleCredential(uint256 batchId, bytes32 leaf, string memory reason) external whenNotPaused {
+        _checkIssuerOrRevoker(_getMerkleBatch(batchId).issuer);
+        if (revokedMerkleCredentials[batchId][leaf]) revert MerkleCredentialAlreadyRevoked(batchId, leaf);
+
+        revokedMerkleCredentials[batchId][leaf] = true;
+
+        emit MerkleCredentialRevoked(batchId, leaf, msg.sender, reason, block.timestamp);
+    }
+
+    /// @dev Implements CredentialRegistry.beginDefaultAdminTransfer
+    function beginDefaultAdminTransfer(address newAdmin) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newAdmin == address(0) || newAdmin == msg.sender) revert InvalidDefaultAdmin(newAdmin);
+
+        uint256 acceptSchedule = block.timestamp + DEFAULT_ADMIN_TRANSFER_DELAY;
+        pendingDefaultAdmin = newAdmin;
+        pendingDefaultAdminSchedule = acceptSchedule;
+        _pendingDefaultAdminFrom = msg.sender;
+
+        emit DefaultAdminTransferScheduled(msg.sender, newAdmin, acceptSchedule);
+    }
+
+    /// @dev Implements CredentialRegistry.cancelDefaultAdminTransfer
+    function cancelDefaultAdminTransfer() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        emit DefaultAdminTransferCanceled(pendingDefaultAdmin);
+        _clearDefaultAdminTransfer();
+    }
+
+    /// @dev Implements CredentialRegistry.acceptDefaultAdminTransfer
+    function acceptDefaultAdminTransfer() external {
+        if (msg.sender != pendingDefaultAdmin) revert InvalidDefaultAdmin(msg.sender);
+        if (block.timestamp < pendingDefaultAdminSchedule) revert DefaultAdminTransferNotReady(pendingDefaultAdminSchedule);
+
+        address currentAdmin = _pendingDefaultAdminFrom;
+        _clearDefaultAdminTransfer();
+        _revokeRole(DEFAULT_ADMIN_ROLE, currentAdmin);
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+    }
+
+    /// @dev Issue a new version of a credential for the same recipient and type, and mark the previous one Superseded
+    function _supersedeCredential(
+        uint256 credentialId,
+        string memory credentialData,
+        uint256 expiresAt,
+        string memory metadataURI
+    ) internal returns (uint256 newCredentialId) {
+        Credential storage previous = _issuedCredential(credentialId);
+        // The new version is issued in the multisig's name, so its signers must approve it
+        _requireMultisigApproval(previous);
+        CredentialStatus oldStatus = _effectiveStatus(previous);
+        if (oldStatus != CredentialStatus.Active && oldStatus != CredentialStatus.Expired) {
+            revert InvalidStatusTransition(credentialId, oldStatus, CredentialStatus.Superseded);
+        }
+
+        // Release the previous data hash for this issuance only, so a renewal may repeat it
+        bytes32 previousHash = previous.dataHash;
+        usedHashes[previousHash] = false;
+        newCredentialId = _issueCredential(
+            previous.issuer,
+            previous.recipient,
+            previous.credentialType,
+            credentialData,
+            expiresAt,
+            metadataURI
+        );
+        usedHashes[previousHash] = true;
+
+        previous.status = CredentialStatus.Superseded;
+        supersededBy[credentialId] = newCredentialId;
+        supersedes[newCredentialId] = credentialId;
+
+        emit CredentialStatusUpdated(credentialId, oldStatus, CredentialStatus.Superseded, block.timestamp);
+        emit CredentialSuperseded(credentialId, newCredentialId, msg.sender, block.timestamp);
+    }
+
+    /// @dev Check a meta-transaction signature, its deadline and nonce, and the signer's role
+    function _useSignedRequest(
+        address signer,
+        bytes32 role,
+        bytes32 structHash,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal {
+        if (block.timestamp > deadline) revert ExpiredSignature(deadline);
+
+        (address recovered, ECDSA.RecoverError error, ) = _hashTypedDataV4(structHash).tryRecover(signature);
+        if (error != ECDSA.RecoverError.NoError || recovered != signer) revert InvalidSignature(signer);
+
+        _checkRole(role, signer);
+        _useCheckedNonce(signer, nonce);
+    }
+
+    /// @dev EIP-712 encoding of a string[] member
+    function _hashStringArray(string[] calldata values) internal pure returns (bytes32) {
+        bytes32[] memory hashes = new bytes32[](values.length);
+        for (uint256 i = 0; i < values.length; i++) {
+            hashes[i] = keccak256(bytes(values[i]));
+        }
+        return keccak256(abi.encodePacked(hashes));
+    }
+}
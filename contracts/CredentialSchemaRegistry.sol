@@ -0,0 +1,149 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./CredentialRegistry.sol";
+import "./interfaces/ICredentialSchemaRegistry.sol";
+
+/**
+ * @title CredentialSchemaRegistry
+ * @dev Registry of credential types and the JSON Schemas their credential data must follow
+ * @notice Only the schema hash and its URI are stored; the schema document itself lives off-chain.
+ * Roles are those of the CredentialRegistry: admins and issuers can register schemas.
+ */
+contract CredentialSchemaRegistry is ICredentialSchemaRegistry {
+    CredentialRegistry public immutable credentialRegistry;
+
+    // Schema of a credential type
+    struct CredentialSchema {
+        string typeId;
+        bytes32 schemaHash; // keccak256 of the canonical JSON schema document
+        string schemaURI;
+        address registeredBy;
+        uint256 registeredAt;
+        uint256 updatedAt;
+    }
+
+    mapping(string => CredentialSchema) private _schemas;
+    string[] private _typeIds;
+
+    // Events
+    event SchemaRegistered(
+        string typeId,
+        bytes32 schemaHash,
+        string schemaURI,
+        address indexed registeredBy
+    );
+
+    event SchemaUpdated(
+        string typeId,
+        bytes32 oldSchemaHash,
+        bytes32 newSchemaHash,
+        string schemaURI,
+        address indexed updatedBy
+    );
+
+    // Custom errors
+    error SchemaAlreadyRegistered(string typeId);
+    error SchemaNotFound(string typeId);
+    error InvalidSchema();
+    error UnauthorizedSchemaManager(address account);
+
+    constructor(address _credentialRegistry) {
+        require(_credentialRegistry != address(0), "Invalid registry address");
+        credentialRegistry = CredentialRegistry(_credentialRegistry);
+    }
+
+    /**
+     * @dev Register the schema of a new credential type (issuer or admin of the CredentialRegistry)
+     * @param typeId Credential type, used as credentialType when issuing
+     * @param schemaHash keccak256 of the canonical JSON schema document
+     * @param schemaURI Where the schema document is published
+     */
+    function registerSchema(
+        string calldata typeId,
+        bytes32 schemaHash,
+        string calldata schemaURI
+    ) external {
+        if (
+            !credentialRegistry.hasRole(credentialRegistry.ISSUER_ROLE(), msg.sender) &&
+            !_isAdmin(msg.sender)
+        ) {
+            revert UnauthorizedSchemaManager(msg.sender);
+        }
+        if (bytes(typeId).length == 0 || schemaHash == bytes32(0) || bytes(schemaURI).length == 0) {
+            revert InvalidSchema();
+        }
+        if (_schemas[typeId].registeredAt != 0) revert SchemaAlreadyRegistered(typeId);
+
+        _schemas[typeId] = CredentialSchema({
+            typeId: typeId,
+            schemaHash: schemaHash,
+            schemaURI: schemaURI,
+            registeredBy: msg.sender,
+            registeredAt: block.timestamp,
+            updatedAt: block.timestamp
+        });
+        _typeIds.push(typeId);
+
+        emit SchemaRegistered(typeId, schemaHash, schemaURI, msg.sender);
+    }
+
+    /**
+     * @dev Replace the schema of a credential type (its registrant or an admin)
+     * @param typeId Registered credential type
+     * @param schemaHash keccak256 of the new canonical JSON schema document
+     * @param schemaURI Where the new schema document is published
+     */
+    function updateSchema(
+        string calldata typeId,
+        bytes32 schemaHash,
+        string calldata schemaURI
+    ) external {
+        CredentialSchema storage schema = _schemas[typeId];
+        if (schema.registeredAt == 0) revert SchemaNotFound(typeId);
+        if (schema.registeredBy != msg.sender && !_isAdmin(msg.sender)) {
+            revert UnauthorizedSchemaManager(msg.sender);
+        }
+        if (schemaHash == bytes32(0) || bytes(schemaURI).length == 0) revert InvalidSchema();
+
+        bytes32 oldSchemaHash = schema.schemaHash;
+        schema.schemaHash = schemaHash;
+        schema.schemaURI = schemaURI;
+        schema.updatedAt = block.timestamp;
+
+        emit SchemaUpdated(typeId, oldSchemaHash, schemaHash, schemaURI, msg.sender);
+    }
+
+    /**
+     * @dev Get the schema of a credential type
+     * @param typeId Registered credential type
+     * @return schema Schema details
+     */
+    function getSchema(string calldata typeId) external view returns (CredentialSchema memory) {
+        CredentialSchema memory schema = _schemas[typeId];
+        if (schema.registeredAt == 0) revert SchemaNotFound(typeId);
+        return schema;
+    }
+
+    /**
+     * @dev Check whether a credential type has a registered schema
+     * @param typeId Credential type
+     * @return registered True if a schema is registered for the type
+     */
+    function isSchemaRegistered(string calldata typeId) external view returns (bool) {
+        return _schemas[typeId].registeredAt != 0;
+    }
+
+    /**
+     * @dev Get all registered credential types, in registration order
+     * @return typeIds Registered credential types
+     */
+    function getSchemaTypeIds() external view returns (string[] memory) {
+        return _typeIds;
+    }
+
+    /// @dev Whether an account is an admin of the CredentialRegistry
+    function _isAdmin(address account) internal view returns (bool) {
+        return credentialRegistry.hasRole(credentialRegistry.DEFAULT_ADMIN_ROLE(), account);
+    }
+}
@@ -0,0 +1,144 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./CredentialRegistry.sol";
+import "./interfaces/ICredentialTypeAuthorization.sol";
+
+/**
+ * @title CredentialTypeAuthorization
+ * @dev Credential types each issuer may issue, managed by admins of the CredentialRegistry
+ * @notice An authorization is an exact credential type, or a namespace pattern ending in "/*":
+ * "Medical/*" covers "Medical/License" and "Medical/License/Nurse", and "*" covers every type.
+ */
+contract CredentialTypeAuthorization is ICredentialTypeAuthorization {
+    CredentialRegistry public immutable credentialRegistry;
+
+    // Issuer => type or namespace pattern => authorized
+    mapping(address => mapping(string => bool)) public authorizedTypes;
+    mapping(address => string[]) private _authorizedTypeLists;
+    mapping(address => mapping(string => uint256)) private _typeListIndex; // 1-based position in the list
+    address[] private _issuers;
+    mapping(address => bool) private _isListedIssuer;
+
+    // Events
+    event TypeAuthorized(address indexed issuer, string credentialType, address indexed authorizedBy);
+
+    event TypeDeauthorized(address indexed issuer, string credentialType, address indexed deauthorizedBy);
+
+    // Custom errors
+    error InvalidTypePattern(string credentialType);
+    error TypeAlreadyAuthorized(address issuer, string credentialType);
+    error TypeNotAuthorized(address issuer, string credentialType);
+    error UnauthorizedTypeManager(address account);
+
+    constructor(address _credentialRegistry) {
+        require(_credentialRegistry != address(0), "Invalid registry address");
+        credentialRegistry = CredentialRegistry(_credentialRegistry);
+    }
+
+    /**
+     * @dev Authorize an issuer for credential types or namespaces (admin only)
+     * @param issuer Issuer address
+     * @param credentialTypes Exact types, "Namespace/*" patterns, or "*" for every type
+     */
+    function authorizeTypes(address issuer, string[] calldata credentialTypes) external {
+        _checkAdmin();
+        if (!_isListedIssuer[issuer]) {
+            _isListedIssuer[issuer] = true;
+            _issuers.push(issuer);
+        }
+
+        for (uint256 i = 0; i < credentialTypes.length; i++) {
+            string calldata credentialType = credentialTypes[i];
+            if (!_isValidPattern(bytes(credentialType))) revert InvalidTypePattern(credentialType);
+            if (authorizedTypes[issuer][credentialType]) revert TypeAlreadyAuthorized(issuer, credentialType);
+
+            authorizedTypes[issuer][credentialType] = true;
+            _authorizedTypeLists[issuer].push(credentialType);
+            _typeListIndex[issuer][credentialType] = _authorizedTypeLists[issuer].length;
+
+            emit TypeAuthorized(issuer, credentialType, msg.sender);
+        }
+    }
+
+    /**
+     * @dev Withdraw an issuer's authorization for credential types or namespaces (admin only);
+     * credentials issued before stay valid
+     * @param issuer Issuer address
+     * @param credentialTypes Authorized types or patterns, exactly as they were authorized
+     */
+    function deauthorizeTypes(address issuer, string[] calldata credentialTypes) external {
+        _checkAdmin();
+        string[] storage list = _authorizedTypeLists[issuer];
+
+        for (uint256 i = 0; i < credentialTypes.length; i++) {
+            string calldata credentialType = credentialTypes[i];
+            uint256 index = _typeListIndex[issuer][credentialType];
+            if (index == 0) revert TypeNotAuthorized(issuer, credentialType);
+
+            // Swap and pop, keeping the 1-based index of the moved entry current
+            string memory last = list[list.length - 1];
+            list[index - 1] = last;
+            _typeListIndex[issuer][last] = index;
+            list.pop();
+            delete _typeListIndex[issuer][credentialType];
+            delete authorizedTypes[issuer][credentialType];
+
+            emit TypeDeauthorized(issuer, credentialType, msg.sender);
+        }
+    }
+
+    /**
+     * @dev Check whether an issuer may issue a credential type
+     * @param issuer Issuer address
+     * @param credentialType Credential type
+     * @return authorized True if the type, or a namespace containing it, is authorized for the issuer
+     */
+    function isAuthorized(address issuer, string calldata credentialType) external view returns (bool) {
+        mapping(string => bool) storage authorized = authorizedTypes[issuer];
+        if (authorized[credentialType] || authorized["*"]) return true;
+
+        bytes calldata typeBytes = bytes(credentialType);
+        for (uint256 i = 1; i < typeBytes.length; i++) {
+            if (typeBytes[i] == "/" && authorized[string.concat(string(typeBytes[:i + 1]), "*")]) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Get the types and namespace patterns authorized for an issuer
+     * @param issuer Issuer address
+     * @return credentialTypes Authorized types and patterns; order changes when one is withdrawn
+     */
+    function getAuthorizedTypes(address issuer) external view returns (string[] memory) {
+        return _authorizedTypeLists[issuer];
+    }
+
+    /**
+     * @dev Get every issuer that was ever authorized for a type, in order of first authorization
+     * @return issuers Issuer addresses, including those whose authorizations were all withdrawn
+     */
+    function getIssuers() external view returns (address[] memory) {
+        return _issuers;
+    }
+
+    /// @dev Non-empty, and a "*" may only appear alone or as the last segment of a namespace
+    function _isValidPattern(bytes calldata pattern) internal pure returns (bool) {
+        if (pattern.length == 0) return false;
+        for (uint256 i = 0; i < pattern.length; i++) {
+            if (pattern[i] == "*" && (i != pattern.length - 1 || (i > 0 && pattern[i - 1] != "/"))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /// @dev Revert unless the caller is an admin of the CredentialRegistry
+    function _checkAdmin() internal view {
+        if (!credentialRegistry.hasRole(credentialRegistry.DEFAULT_ADMIN_ROLE(), msg.sender)) {
+            revert UnauthorizedTypeManager(msg.sender);
+        }
+    }
+}
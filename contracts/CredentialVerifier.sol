@@ -2,6 +2,8 @@
 pragma solidity ^0.8.20;
 
 import "./CredentialRegistry.sol";
+import "./IssuerAccreditation.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
 /**
  * @title CredentialVerifier
@@ -11,6 +13,19 @@ import "./CredentialRegistry.sol";
 contract CredentialVerifier {
     CredentialRegistry public immutable credentialRegistry;
 
+    // Status filter of the paginated queries that matches every credential
+    uint8 public constant ANY_STATUS = type(uint8).max;
+    // Largest page returned by the paginated queries
+    uint256 public constant MAX_PAGE_SIZE = 100;
+    // Entries a filtered page examines at most, so sparse matches cannot exceed RPC gas caps
+    uint256 public constant MAX_SCAN = 200;
+
+    enum CredentialIndex {
+        Recipient,
+        Issuer,
+        Type
+    }
+
     // Events
     event CredentialVerificationRequested(
         uint256 indexed credentialId,
@@ -41,10 +56,10 @@ contract CredentialVerifier {
         view 
         returns (
             bool isValid, 
-            CredentialRegistry.Credential memory credentialData
+            CredentialRegistryBase.Credential memory credentialData
         ) 
     {
-        try credentialRegistry.getCredential(credentialId) returns (CredentialRegistry.Credential memory credential) {
+        try credentialRegistry.getCredential(credentialId) returns (CredentialRegistryBase.Credential memory credential) {
             isValid = credentialRegistry.isCredentialValid(credentialId);
             credentialData = credential;
         } catch {
@@ -78,6 +93,78 @@ contract CredentialVerifier {
         return (results, validCount);
     }
 
+    /**
+     * @dev Verify a credential from a Merkle-anchored batch (public function - no role required)
+     * @param batchId ID of the anchored batch
+     * @param credential The credential leaf, as recorded in the holder's proof file
+     * @param proof Merkle proof from the leaf to the batch root
+     * @return isValid True if the leaf is in the batch, neither it nor the batch is revoked, it has not expired and,
+     * while type authorization is enforced, the batch's issuer is authorized for its type
+     * @return leaf Leaf hash, which is also the credential's revocation key
+     */
+    function verifyMerkleCredential(
+        uint256 batchId,
+        CredentialRegistryBase.MerkleCredential calldata credential,
+        bytes32[] calldata proof
+    ) external view returns (bool isValid, bytes32 leaf) {
+        leaf = keccak256(bytes.concat(keccak256(abi.encode(
+            credential.recipient,
+            credential.credentialType,
+            credential.dataHash,
+            credential.expiresAt
+        ))));
+
+        try credentialRegistry.getMerkleBatch(batchId) returns (CredentialRegistryBase.MerkleBatch memory batch) {
+            isValid = !batch.revoked &&
+                !credentialRegistry.revokedMerkleCredentials(batchId, leaf) &&
+                (credential.expiresAt == 0 || credential.expiresAt > block.timestamp) &&
+                MerkleProof.verifyCalldata(proof, batch.root, leaf) &&
+                _isTypeAuthorized(batch.issuer, credential.credentialType);
+        } catch {
+            isValid = false;
+        }
+
+        return (isValid, leaf);
+    }
+
+    /**
+     * @dev Follow a credential's supersedes links to its latest version
+     * @param credentialId ID of any version of the credential
+     * @return latestId ID of the latest version (credentialId itself if it was never renewed or amended)
+     * @return isValid True if the latest version is valid
+     */
+    function getLatestVersion(uint256 credentialId) external view returns (uint256 latestId, bool isValid) {
+        latestId = credentialId;
+        for (uint256 next = credentialRegistry.supersededBy(latestId); next != 0; next = credentialRegistry.supersededBy(latestId)) {
+            latestId = next;
+        }
+        return (latestId, credentialRegistry.isCredentialValid(latestId));
+    }
+
+    /**
+     * @dev Get every version of a credential
+     * @param credentialId ID of any version of the credential
+     * @return versions Credential IDs from the first version to the latest
+     */
+    function getVersionChain(uint256 credentialId) external view returns (uint256[] memory versions) {
+        uint256 first = credentialId;
+        uint256 count = 1;
+        for (uint256 previous = credentialRegistry.supersedes(first); previous != 0; previous = credentialRegistry.supersedes(first)) {
+            first = previous;
+            count++;
+        }
+        for (uint256 next = credentialRegistry.supersededBy(credentialId); next != 0; next = credentialRegistry.supersededBy(next)) {
+            count++;
+        }
+
+        versions = new uint256[](count);
+        versions[0] = first;
+        for (uint256 i = 1; i < count; i++) {
+            versions[i] = credentialRegistry.supersededBy(versions[i - 1]);
+        }
+        return versions;
+    }
+
     /**
      * @dev Check if a credential exists and get basic info
      * @param credentialId ID of the credential
@@ -100,7 +187,7 @@ contract CredentialVerifier {
             uint256 expiresAt
         ) 
     {
-        try credentialRegistry.getCredential(credentialId) returns (CredentialRegistry.Credential memory credential) {
+        try credentialRegistry.getCredential(credentialId) returns (CredentialRegistryBase.Credential memory credential) {
             exists = true;
             issuer = credential.issuer;
             recipient = credential.recipient;
@@ -128,7 +215,7 @@ contract CredentialVerifier {
     }
 
     /**
-     * @dev Get valid (active) credentials for a recipient
+     * @dev Get valid (active) credentials for a recipient, leaving out those the recipient hid
      * @param recipient Address of the credential recipient
      * @return validCredentialIds Array of valid credential IDs
      */
@@ -138,29 +225,83 @@ contract CredentialVerifier {
         returns (uint256[] memory validCredentialIds) 
     {
         uint256[] memory allCredentials = credentialRegistry.getCredentialsByRecipient(recipient);
+        validCredentialIds = new uint256[](allCredentials.length);
         uint256 validCount = 0;
-        
-        // First pass: count valid credentials
+        ICredentialConsent consent = credentialRegistry.credentialConsent();
+
         for (uint256 i = 0; i < allCredentials.length; i++) {
-            if (credentialRegistry.isCredentialValid(allCredentials[i])) {
+            if (credentialRegistry.isCredentialValid(allCredentials[i]) && !_isHidden(consent, allCredentials[i])) {
+                validCredentialIds[validCount] = allCredentials[i];
                 validCount++;
             }
         }
-        
-        // Second pass: collect valid credentials
-        validCredentialIds = new uint256[](validCount);
-        uint256 index = 0;
-        
-        for (uint256 i = 0; i < allCredentials.length; i++) {
-            if (credentialRegistry.isCredentialValid(allCredentials[i])) {
-                validCredentialIds[index] = allCredentials[i];
-                index++;
-            }
+
+        // Shrink the array to the number of valid credentials
+        assembly {
+            mstore(validCredentialIds, validCount)
         }
-        
+
         return validCredentialIds;
     }
 
+    /**
+     * @dev Get a page of a recipient's credentials, optionally filtered by status; credentials
+     * the recipient hid are left out but still advance `nextOffset`
+     * @param recipient Address of the credential recipient
+     * @param statusFilter CredentialStatus to match (Expired matches credentials past their expiry that were neither revoked nor superseded, Active matches lapsed suspensions), or ANY_STATUS
+     * @param offset Position in the recipient's credential list to start from
+     * @param limit Maximum number of credentials to return (capped at MAX_PAGE_SIZE)
+     * @return credentials Matching credentials, in issuance order
+     * @return nextOffset Offset to pass for the next page; equals total once the list is exhausted
+     * @return total Number of credentials held by the recipient, regardless of status
+     */
+    function getCredentialsByRecipientPaginated(
+        address recipient,
+        uint8 statusFilter,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (CredentialRegistryBase.Credential[] memory credentials, uint256 nextOffset, uint256 total) {
+        return _getCredentialsPage(CredentialIndex.Recipient, recipient, "", statusFilter, offset, limit);
+    }
+
+    /**
+     * @dev Get a page of an issuer's credentials, optionally filtered by status
+     * @param issuer Address of the issuer
+     * @param statusFilter CredentialStatus to match (Expired matches credentials past their expiry that were neither revoked nor superseded, Active matches lapsed suspensions), or ANY_STATUS
+     * @param offset Position in the issuer's credential list to start from
+     * @param limit Maximum number of credentials to return (capped at MAX_PAGE_SIZE)
+     * @return credentials Matching credentials, in issuance order
+     * @return nextOffset Offset to pass for the next page; equals total once the list is exhausted
+     * @return total Number of credentials issued by the issuer, regardless of status
+     */
+    function getCredentialsByIssuerPaginated(
+        address issuer,
+        uint8 statusFilter,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (CredentialRegistryBase.Credential[] memory credentials, uint256 nextOffset, uint256 total) {
+        return _getCredentialsPage(CredentialIndex.Issuer, issuer, "", statusFilter, offset, limit);
+    }
+
+    /**
+     * @dev Get a page of the credentials of a type, optionally filtered by status
+     * @param credentialType Type of credentials
+     * @param statusFilter CredentialStatus to match (Expired matches credentials past their expiry that were neither revoked nor superseded, Active matches lapsed suspensions), or ANY_STATUS
+     * @param offset Position in the type's credential list to start from
+     * @param limit Maximum number of credentials to return (capped at MAX_PAGE_SIZE)
+     * @return credentials Matching credentials, in issuance order
+     * @return nextOffset Offset to pass for the next page; equals total once the list is exhausted
+     * @return total Number of credentials of the type, regardless of status
+     */
+    function getCredentialsByTypePaginated(
+        string calldata credentialType,
+        uint8 statusFilter,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (CredentialRegistryBase.Credential[] memory credentials, uint256 nextOffset, uint256 total) {
+        return _getCredentialsPage(CredentialIndex.Type, address(0), credentialType, statusFilter, offset, limit);
+    }
+
     /**
      * @dev Check if recipient has valid credentials of specific type
      * @param recipient Address of the recipient
@@ -173,39 +314,74 @@ contract CredentialVerifier {
         view 
         returns (bool hasValidCredential, uint256 count) 
     {
-        uint256[] memory recipientCredentials = credentialRegistry.getCredentialsByRecipient(recipient);
-        
-        for (uint256 i = 0; i < recipientCredentials.length; i++) {
-            try credentialRegistry.getCredential(recipientCredentials[i]) returns (CredentialRegistry.Credential memory credential) {
-                if (keccak256(bytes(credential.credentialType)) == keccak256(bytes(credentialType))) {
-                    if (credentialRegistry.isCredentialValid(recipientCredentials[i])) {
-                        hasValidCredential = true;
-                        count++;
-                    }
-                }
-            } catch {
-                // Skip invalid credentials
-                continue;
-            }
-        }
-        
-        return (hasValidCredential, count);
+        return _hasValidCredentialType(recipient, credentialType, new address[](0));
+    }
+
+    /**
+     * @dev Check if recipient has valid credentials of specific type from one of a set of trusted issuers
+     * @param recipient Address of the recipient
+     * @param credentialType Type of credential to check
+     * @param trustedIssuers Issuers whose credentials count; an empty set trusts no issuer
+     * @return hasValidCredential True if recipient has valid credentials of the type from a trusted issuer
+     * @return count Number of valid credentials of the type from trusted issuers
+     */
+    function hasValidCredentialType(
+        address recipient,
+        string memory credentialType,
+        address[] memory trustedIssuers
+    ) external view returns (bool hasValidCredential, uint256 count) {
+        // No trusted issuer means no credential counts, rather than every credential
+        if (trustedIssuers.length == 0) return (false, 0);
+        return _hasValidCredentialType(recipient, credentialType, trustedIssuers);
     }
 
     /**
-     * @dev Get issuer profile information
+     * @dev Get issuer profile information; while the registry enforces accreditation, the profile
+     * comes from the issuer's application, if it has one, and isActive is its accreditation status
      * @param issuer Address of the issuer
      * @return profile Issuer profile information
      */
     function getIssuerProfile(address issuer) 
         external 
         view 
-        returns (CredentialRegistry.IssuerProfile memory profile) 
+        returns (CredentialRegistryBase.IssuerProfile memory profile) 
     {
-        (, profile) = credentialRegistry.issuerProfiles(issuer);
+        (
+            profile.name,
+            profile.description,
+            profile.website,
+            profile.logoURI,
+            profile.isActive,
+            profile.credentialsIssued
+        ) = credentialRegistry.issuerProfiles(issuer);
+
+        IssuerAccreditation accreditation = IssuerAccreditation(address(credentialRegistry.issuerAccreditation()));
+        if (address(accreditation) != address(0)) {
+            IssuerAccreditation.Application memory application = accreditation.getApplication(issuer);
+            // Issuers that never applied keep their self-declared profile
+            if (application.status != IssuerAccreditation.ApplicationStatus.None) {
+                profile.name = application.name;
+                profile.description = application.description;
+                profile.website = application.website;
+                profile.logoURI = application.logoURI;
+            }
+            profile.isActive = application.status == IssuerAccreditation.ApplicationStatus.Approved;
+        }
         return profile;
     }
 
+    /**
+     * @dev Check whether an issuer may currently issue credentials
+     * @param issuer Address of the issuer
+     * @return accredited True if the issuer holds ISSUER_ROLE and, while the registry enforces
+     * accreditation, its accreditation is active
+     */
+    function isIssuerAccredited(address issuer) external view returns (bool accredited) {
+        if (!credentialRegistry.hasRole(credentialRegistry.ISSUER_ROLE(), issuer)) return false;
+        IIssuerAccreditation accreditation = credentialRegistry.issuerAccreditation();
+        return address(accreditation) == address(0) || accreditation.isAccredited(issuer);
+    }
+
     /**
      * @dev Get total number of credentials in the registry
      * @return totalCount Total number of credentials
@@ -213,4 +389,128 @@ contract CredentialVerifier {
     function getTotalCredentialsCount() external view returns (uint256 totalCount) {
         return credentialRegistry.getTotalCredentials();
     }
-}
\ No newline at end of file
+
+    /// @dev Count the recipient's valid credentials of a type, only from `trustedIssuers` unless it is empty
+    function _hasValidCredentialType(
+        address recipient,
+        string memory credentialType,
+        address[] memory trustedIssuers
+    ) internal view returns (bool hasValidCredential, uint256 count) {
+        uint256[] memory recipientCredentials = credentialRegistry.getCredentialsByRecipient(recipient);
+        
+        for (uint256 i = 0; i < recipientCredentials.length; i++) {
+            try credentialRegistry.getCredential(recipientCredentials[i]) returns (CredentialRegistryBase.Credential memory credential) {
+                if (
+                    keccak256(bytes(credential.credentialType)) == keccak256(bytes(credentialType)) &&
+                    (trustedIssuers.length == 0 || _contains(trustedIssuers, credential.issuer)) &&
+                    credentialRegistry.isCredentialValid(recipientCredentials[i])
+                ) {
+                    hasValidCredential = true;
+                    count++;
+                }
+            } catch {
+                // Skip invalid credentials
+                continue;
+            }
+        }
+        
+        return (hasValidCredential, count);
+    }
+
+    /// @dev Whether `account` is one of `accounts`
+    function _contains(address[] memory accounts, address account) internal pure returns (bool) {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            if (accounts[i] == account) return true;
+        }
+        return false;
+    }
+
+    /// @dev Collect a page of one credential index, scanning at most MAX_SCAN entries when filtering by status
+    function _getCredentialsPage(
+        CredentialIndex index,
+        address account,
+        string memory credentialType,
+        uint8 statusFilter,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (CredentialRegistryBase.Credential[] memory credentials, uint256 nextOffset, uint256 total) {
+        total = _indexLength(index, account, credentialType);
+        if (limit > MAX_PAGE_SIZE) limit = MAX_PAGE_SIZE;
+        if (offset >= total) return (new CredentialRegistryBase.Credential[](0), total, total);
+
+        uint256 end = offset + (statusFilter == ANY_STATUS ? limit : MAX_SCAN);
+        if (end > total) end = total;
+        credentials = new CredentialRegistryBase.Credential[](limit < end - offset ? limit : end - offset);
+
+        ICredentialConsent consent = index == CredentialIndex.Recipient
+            ? credentialRegistry.credentialConsent()
+            : ICredentialConsent(address(0));
+        uint256 count = 0;
+        for (nextOffset = offset; nextOffset < end && count < limit; nextOffset++) {
+            CredentialRegistryBase.Credential memory credential =
+                credentialRegistry.getCredential(_indexAt(index, account, credentialType, nextOffset));
+            if (
+                (statusFilter == ANY_STATUS || _effectiveStatus(credential) == statusFilter) &&
+                !_isHidden(consent, credential.id)
+            ) {
+                credentials[count] = credential;
+                count++;
+            }
+        }
+
+        // Shrink the array to the number of matches
+        assembly {
+            mstore(credentials, count)
+        }
+
+        return (credentials, nextOffset, total);
+    }
+
+    /// @dev True if recipient consent is enforced and the recipient hid the credential
+    function _isHidden(ICredentialConsent consent, uint256 credentialId) internal view returns (bool) {
+        return address(consent) != address(0) && consent.isHidden(credentialId);
+    }
+
+    /// @dev Number of entries in a credential index
+    function _indexLength(CredentialIndex index, address account, string memory credentialType) internal view returns (uint256) {
+        if (index == CredentialIndex.Recipient) return credentialRegistry.getCredentialCountByRecipient(account);
+        if (index == CredentialIndex.Issuer) return credentialRegistry.getCredentialCountByIssuer(account);
+        return credentialRegistry.getCredentialCountByType(credentialType);
+    }
+
+    /// @dev Credential ID at a position of a credential index
+    function _indexAt(
+        CredentialIndex index,
+        address account,
+        string memory credentialType,
+        uint256 position
+    ) internal view returns (uint256) {
+        if (index == CredentialIndex.Recipient) return credentialRegistry.recipientCredentials(account, position);
+        if (index == CredentialIndex.Issuer) return credentialRegistry.issuerCredentials(account, position);
+        return credentialRegistry.credentialsByType(credentialType, position);
+    }
+
+    /// @dev Stored status, except that a lapsed suspension counts as Active and any credential but a revoked or superseded one as Expired past its expiry
+    function _effectiveStatus(CredentialRegistryBase.Credential memory credential) internal view returns (uint8) {
+        CredentialRegistryBase.CredentialStatus status = credential.status;
+        if (status == CredentialRegistryBase.CredentialStatus.Suspended) {
+            uint256 until = credentialRegistry.suspendedUntil(credential.id);
+            if (until != 0 && until <= block.timestamp) status = CredentialRegistryBase.CredentialStatus.Active;
+        }
+        if (
+            status != CredentialRegistryBase.CredentialStatus.Revoked &&
+            status != CredentialRegistryBase.CredentialStatus.Superseded &&
+            credential.expiresAt != 0 &&
+            credential.expiresAt <= block.timestamp
+        ) {
+            return uint8(CredentialRegistryBase.CredentialStatus.Expired);
+        }
+        return uint8(status);
+    }
+
+    /// @dev True unless type authorization is enforced and `issuer` is not authorized for `credentialType`
+    function _isTypeAuthorized(address issuer, string calldata credentialType) internal view returns (bool) {
+        ICredentialTypeAuthorization typeAuthorization = credentialRegistry.typeAuthorization();
+        return address(typeAuthorization) == address(0) || typeAuthorization.isAuthorized(issuer, credentialType);
+    }
+}
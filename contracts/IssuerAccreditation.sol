@@ -0,0 +1,251 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./CredentialRegistry.sol";
+import "./interfaces/IIssuerAccreditation.sol";
+
+/**
+ * @title IssuerAccreditation
+ * @dev Application workflow for prospective issuers: applicants submit a profile, accreditors
+ * approve or reject it, and approval grants ISSUER_ROLE on the CredentialRegistry
+ * @notice Roles are those of the CredentialRegistry: ACCREDITOR_ROLE decides applications and
+ * admins deactivate or reactivate issuers. Once the registry enforces accreditation, credentials
+ * from deactivated issuers are rejected.
+ */
+contract IssuerAccreditation is IIssuerAccreditation {
+    CredentialRegistry public immutable credentialRegistry;
+
+    enum ApplicationStatus {
+        None,
+        Pending,
+        Approved,
+        Rejected,
+        Deactivated
+    }
+
+    // Issuer application and its latest decision
+    struct Application {
+        address applicant;
+        string name;
+        string description;
+        string website;
+        string logoURI;
+        ApplicationStatus status;
+        uint256 submittedAt;
+        uint256 decidedAt;
+        address decidedBy;
+        string decisionReason;
+    }
+
+    mapping(address => Application) private _applications;
+    address[] private _applicants;
+
+    // Events
+    event ApplicationSubmitted(address indexed applicant, string name, uint256 submittedAt);
+
+    event ApplicationApproved(address indexed applicant, address indexed approvedBy, uint256 approvedAt);
+
+    event ApplicationRejected(
+        address indexed applicant,
+        address indexed rejectedBy,
+        string reason,
+        uint256 rejectedAt
+    );
+
+    event IssuerDeactivated(
+        address indexed issuer,
+        address indexed deactivatedBy,
+        string reason,
+        uint256 deactivatedAt
+    );
+
+    event IssuerReactivated(address indexed issuer, address indexed reactivatedBy, uint256 reactivatedAt);
+
+    event IssuerImported(address indexed issuer, address indexed importedBy, uint256 importedAt);
+
+    // Custom errors
+    error InvalidApplication();
+    error ApplicationAlreadySubmitted(address applicant, ApplicationStatus status);
+    error InvalidApplicationStatus(address applicant, ApplicationStatus status);
+    error UnauthorizedAccreditor(address account);
+    error UnauthorizedAccreditationAdmin(address account);
+    error NotAnIssuer(address account);
+
+    constructor(address _credentialRegistry) {
+        require(_credentialRegistry != address(0), "Invalid registry address");
+        credentialRegistry = CredentialRegistry(_credentialRegistry);
+    }
+
+    /**
+     * @dev Apply to become an issuer, or apply again after a rejection
+     * @param name Name of the issuer
+     * @param description Description of the issuer
+     * @param website Website of the issuer
+     * @param logoURI Logo URI of the issuer
+     */
+    function submitApplication(
+        string calldata name,
+        string calldata description,
+        string calldata website,
+        string calldata logoURI
+    ) external {
+        if (bytes(name).length == 0) revert InvalidApplication();
+        Application storage application = _applications[msg.sender];
+        if (application.status != ApplicationStatus.None && application.status != ApplicationStatus.Rejected) {
+            revert ApplicationAlreadySubmitted(msg.sender, application.status);
+        }
+        if (application.status == ApplicationStatus.None) _applicants.push(msg.sender);
+
+        _applications[msg.sender] = Application({
+            applicant: msg.sender,
+            name: name,
+            description: description,
+            website: website,
+            logoURI: logoURI,
+            status: ApplicationStatus.Pending,
+            submittedAt: block.timestamp,
+            decidedAt: 0,
+            decidedBy: address(0),
+            decisionReason: ""
+        });
+
+        emit ApplicationSubmitted(msg.sender, name, block.timestamp);
+    }
+
+    /**
+     * @dev Approve a pending application and grant the applicant ISSUER_ROLE (accreditor only)
+     * @param applicant Applicant address
+     */
+    function approveApplication(address applicant) external {
+        _checkAccreditor();
+        _decide(applicant, ApplicationStatus.Pending, ApplicationStatus.Approved, "");
+        credentialRegistry.grantIssuerRole(applicant);
+        _syncIssuerActive(applicant, true);
+
+        emit ApplicationApproved(applicant, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Reject a pending application (accreditor only)
+     * @param applicant Applicant address
+     * @param reason Why the application was rejected
+     */
+    function rejectApplication(address applicant, string calldata reason) external {
+        _checkAccreditor();
+        _decide(applicant, ApplicationStatus.Pending, ApplicationStatus.Rejected, reason);
+
+        emit ApplicationRejected(applicant, msg.sender, reason, block.timestamp);
+    }
+
+    /**
+     * @dev Approve issuers that held ISSUER_ROLE before accreditation, with the profile they set up
+     * on the CredentialRegistry, so that they keep issuing once it is enforced (accreditor only)
+     * @param issuers ISSUER_ROLE holders that never applied
+     */
+    function importIssuers(address[] calldata issuers) external {
+        _checkAccreditor();
+        bytes32 issuerRole = credentialRegistry.ISSUER_ROLE();
+        for (uint256 i = 0; i < issuers.length; i++) {
+            address issuer = issuers[i];
+            if (!credentialRegistry.hasRole(issuerRole, issuer)) revert NotAnIssuer(issuer);
+            Application storage application = _applications[issuer];
+            if (application.status != ApplicationStatus.None) {
+                revert ApplicationAlreadySubmitted(issuer, application.status);
+            }
+            _applicants.push(issuer);
+
+            application.applicant = issuer;
+            (application.name, application.description, application.website, application.logoURI, , ) =
+                credentialRegistry.issuerProfiles(issuer);
+            application.status = ApplicationStatus.Approved;
+            application.submittedAt = block.timestamp;
+            application.decidedAt = block.timestamp;
+            application.decidedBy = msg.sender;
+            _syncIssuerActive(issuer, true);
+
+            emit IssuerImported(issuer, msg.sender, block.timestamp);
+        }
+    }
+
+    /**
+     * @dev Withdraw an issuer's accreditation; credentials it issued before stay valid (admin only)
+     * @param issuer Accredited issuer
+     * @param reason Why the issuer was deactivated
+     */
+    function deactivateIssuer(address issuer, string calldata reason) external {
+        _checkAdmin();
+        _decide(issuer, ApplicationStatus.Approved, ApplicationStatus.Deactivated, reason);
+        _syncIssuerActive(issuer, false);
+
+        emit IssuerDeactivated(issuer, msg.sender, reason, block.timestamp);
+    }
+
+    /**
+     * @dev Restore the accreditation of a deactivated issuer (admin only)
+     * @param issuer Deactivated issuer
+     */
+    function reactivateIssuer(address issuer) external {
+        _checkAdmin();
+        _decide(issuer, ApplicationStatus.Deactivated, ApplicationStatus.Approved, "");
+        _syncIssuerActive(issuer, true);
+
+        emit IssuerReactivated(issuer, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Check whether an issuer is currently accredited
+     * @param issuer Issuer address
+     * @return accredited True if the issuer's application was approved and it has not been deactivated
+     */
+    function isAccredited(address issuer) external view returns (bool) {
+        return _applications[issuer].status == ApplicationStatus.Approved;
+    }
+
+    /**
+     * @dev Get the application of an applicant; status is None if it never applied
+     * @param applicant Applicant address
+     * @return application Application details
+     */
+    function getApplication(address applicant) external view returns (Application memory) {
+        return _applications[applicant];
+    }
+
+    /**
+     * @dev Get everyone who ever applied, in order of their first application
+     * @return applicants Applicant addresses
+     */
+    function getApplicants() external view returns (address[] memory) {
+        return _applicants;
+    }
+
+    /// @dev Move an application from `from` to `to`, recording the caller's decision
+    function _decide(address applicant, ApplicationStatus from, ApplicationStatus to, string memory reason) internal {
+        Application storage application = _applications[applicant];
+        if (application.status != from) revert InvalidApplicationStatus(applicant, application.status);
+        application.status = to;
+        application.decidedAt = block.timestamp;
+        application.decidedBy = msg.sender;
+        application.decisionReason = reason;
+    }
+
+    /// @dev Mirror an issuer's accreditation in its registry profile, while the registry enforces this contract
+    function _syncIssuerActive(address issuer, bool isActive) internal {
+        if (address(credentialRegistry.issuerAccreditation()) == address(this)) {
+            credentialRegistry.setIssuerActive(issuer, isActive);
+        }
+    }
+
+    /// @dev Revert unless the caller holds ACCREDITOR_ROLE on the CredentialRegistry
+    function _checkAccreditor() internal view {
+        if (!credentialRegistry.hasRole(credentialRegistry.ACCREDITOR_ROLE(), msg.sender)) {
+            revert UnauthorizedAccreditor(msg.sender);
+        }
+    }
+
+    /// @dev Revert unless the caller is an admin of the CredentialRegistry
+    function _checkAdmin() internal view {
+        if (!credentialRegistry.hasRole(credentialRegistry.DEFAULT_ADMIN_ROLE(), msg.sender)) {
+            revert UnauthorizedAccreditationAdmin(msg.sender);
+        }
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ICredentialConsent
+ * @dev Recipient consent used by the CredentialRegistry to hold new credentials as offers until accepted
+ */
+interface ICredentialConsent {
+    /**
+     * @dev Record a newly issued credential as an offer awaiting its recipient (registry only)
+     * @param credentialId ID of the credential
+     * @param recipient Recipient who may accept or reject the offer
+     */
+    function recordOffer(uint256 credentialId, address recipient) external;
+
+    /**
+     * @dev Check whether a credential counts for its recipient
+     * @param credentialId ID of the credential
+     * @return accepted True if the recipient accepted it, or it never needed consent and was not disowned
+     */
+    function isAccepted(uint256 credentialId) external view returns (bool);
+
+    /**
+     * @dev Check whether the recipient hid a credential from listings
+     * @param credentialId ID of the credential
+     * @return hidden True if the credential is hidden
+     */
+    function isHidden(uint256 credentialId) external view returns (bool);
+}
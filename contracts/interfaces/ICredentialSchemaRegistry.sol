@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ICredentialSchemaRegistry
+ * @dev Schema lookup used by the CredentialRegistry to reject credentials of unregistered types
+ */
+interface ICredentialSchemaRegistry {
+    /**
+     * @dev Check whether a credential type has a registered schema
+     * @param typeId Credential type, as passed to issueCredential
+     * @return registered True if a schema is registered for the type
+     */
+    function isSchemaRegistered(string calldata typeId) external view returns (bool);
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ICredentialTypeAuthorization
+ * @dev Per-issuer credential type lookup used by the CredentialRegistry to reject unauthorized types
+ */
+interface ICredentialTypeAuthorization {
+    /**
+     * @dev Check whether an issuer may issue a credential type
+     * @param issuer Issuer address
+     * @param credentialType Credential type
+     * @return authorized True if the type, or a namespace containing it, is authorized for the issuer
+     */
+    function isAuthorized(address issuer, string calldata credentialType) external view returns (bool);
+
+    /**
+     * @dev Get the types and namespace patterns authorized for an issuer
+     * @param issuer Issuer address
+     * @return credentialTypes Authorized types and patterns
+     */
+    function getAuthorizedTypes(address issuer) external view returns (string[] memory);
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IIssuerAccreditation
+ * @dev Accreditation lookup used by the CredentialRegistry to reject issuance by unaccredited issuers
+ */
+interface IIssuerAccreditation {
+    /**
+     * @dev Check whether an issuer is currently accredited
+     * @param issuer Issuer address
+     * @return accredited True if the issuer's application was approved and it has not been deactivated
+     */
+    function isAccredited(address issuer) external view returns (bool);
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+
+/**
+ * @title CredentialRegistryLayoutClashMock
+ * @dev Upgrade target for tests whose storage layout overwrites the registry's credential counter
+ */
+contract CredentialRegistryLayoutClashMock is UUPSUpgradeable {
+    address public owner;
+
+    /**
+     * @dev Anyone may upgrade; only the storage layout check should stop this contract
+     */
+    function _authorizeUpgrade(address) internal override {}
+}
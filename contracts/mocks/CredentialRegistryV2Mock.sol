@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../CredentialRegistry.sol";
+
+/**
+ * @title CredentialRegistryV2Mock
+ * @dev Upgrade target for tests: appends a state variable and overrides the version
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract CredentialRegistryV2Mock is CredentialRegistry {
+    uint256 public upgradeCounter;
+
+    /**
+     * @dev Version of the implementation
+     * @return Semantic version string
+     */
+    function version() external pure override returns (string memory) {
+        return "2.0.0-mock";
+    }
+
+    /**
+     * @dev Write to the appended storage slot
+     */
+    function incrementUpgradeCounter() external {
+        upgradeCounter += 1;
+    }
+}
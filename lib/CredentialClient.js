@@ -0,0 +1,1809 @@
+const { ethers } = require("ethers");
+const { loadAbi } = require("./abi");
+const { CredentialStatus, parseRoleName, parseStatus } = require("./constants");
+const {
+  serializeCredentialData,
+  decodeCredential,
+  decodeIssuerProfile,
+  decodeMerkleBatch,
+} = require("./credentials");
+const {
+  computeSchemaHash,
+  validateCredentialData,
+  loadSchemaDocument,
+  decodeSchemaRecord,
+} = require("./schemas");
+const { ApplicationStatus, decodeApplication } = require("./accreditation");
+const { CONSENT_REQUEST_TYPES, decodeConsent } = require("./consent");
+const { MIGRATION_REQUEST_TYPES, decodeMigration } = require("./migration");
+const {
+  PROPOSAL_APPROVAL_TYPES,
+  parseProposalStatus,
+  decodeProposal,
+  decodeApprovalPolicy,
+} = require("./multisig");
+const { ROLE_IDS } = require("./roles");
+const { parseCommitment } = require("./privateCredentials");
+const { parseClaimsRoot } = require("./selectiveDisclosure");
+
+// Mirrors CredentialVerifier.ANY_STATUS
+const ANY_STATUS = 255;
+const DEFAULT_PAGE_SIZE = 50;
+const DEFAULT_SIGNED_REQUEST_VALIDITY_SECONDS = 60 * 60;
+
+/**
+ * Client for the CredentialRegistry and CredentialVerifier contracts.
+ * Handles contract wiring, event parsing and result decoding so callers
+ * work with plain objects instead of raw ethers results.
+ */
+class CredentialClient {
+  /**
+   * @param {ethers.ContractRunner} runner Signer (for transactions) or provider (read-only)
+   * @param {object} addresses Deployed contract addresses
+   * @param {string} addresses.registryAddress CredentialRegistry address
+   * @param {string} [addresses.verifierAddress] CredentialVerifier address
+   * @param {string} [addresses.schemaRegistryAddress] CredentialSchemaRegistry address; defaults to
+   *   the one the registry enforces, if any
+   * @param {string} [addresses.accreditationAddress] IssuerAccreditation address; defaults to the one
+   *   the registry enforces, if any
+   * @param {string} [addresses.typeAuthorizationAddress] CredentialTypeAuthorization address; defaults to
+   *   the one the registry enforces, if any
+   * @param {string} [addresses.consentAddress] CredentialConsent address; defaults to the one the
+   *   registry enforces, if any
+   * @param {string} [addresses.migrationAddress] CredentialMigration address
+   * @param {string} [addresses.multisigAddress] CredentialMultisig address
+   * @param {Function} [addresses.schemaLoader] Loads a schema document from its URI (defaults to `loadSchemaDocument`)
+   */
+  constructor(runner, {
+    registryAddress,
+    verifierAddress,
+    schemaRegistryAddress,
+    accreditationAddress,
+    typeAuthorizationAddress,
+    consentAddress,
+    migrationAddress,
+    multisigAddress,
+    schemaLoader = loadSchemaDocument,
+  } = {}) {
+    if (!registryAddress) {
+      throw new Error("registryAddress is required");
+    }
+
+    this.runner = runner;
+    this.registry = new ethers.Contract(registryAddress, loadAbi("CredentialRegistry"), runner);
+    this.verifier = verifierAddress
+      ? new ethers.Contract(verifierAddress, loadAbi("CredentialVerifier"), runner)
+      : null;
+    this.schemaRegistry = schemaRegistryAddress ? this._contractAt("CredentialSchemaRegistry", schemaRegistryAddress) : null;
+    this.accreditation = accreditationAddress ? this._contractAt("IssuerAccreditation", accreditationAddress) : null;
+    this.typeAuthorization = typeAuthorizationAddress
+      ? this._contractAt("CredentialTypeAuthorization", typeAuthorizationAddress)
+      : null;
+    this.consent = consentAddress ? this._contractAt("CredentialConsent", consentAddress) : null;
+    this.migration = migrationAddress ? this._contractAt("CredentialMigration", migrationAddress) : null;
+    this.multisig = multisigAddress ? this._contractAt("CredentialMultisig", multisigAddress) : null;
+    this.schemaLoader = schemaLoader;
+    this._schemaDocuments = new Map();
+  }
+
+  /**
+   * Return a client for the same contracts using a different signer or provider
+   * @param {ethers.ContractRunner} runner Signer or provider
+   * @returns {CredentialClient} New client instance
+   */
+  connect(runner) {
+    return new CredentialClient(runner, {
+      registryAddress: this.registry.target,
+      verifierAddress: this.verifier ? this.verifier.target : undefined,
+      schemaRegistryAddress: this.schemaRegistry ? this.schemaRegistry.target : undefined,
+      accreditationAddress: this.accreditation ? this.accreditation.target : undefined,
+      typeAuthorizationAddress: this.typeAuthorization ? this.typeAuthorization.target : undefined,
+      consentAddress: this.consent ? this.consent.target : undefined,
+      migrationAddress: this.migration ? this.migration.target : undefined,
+      multisigAddress: this.multisig ? this.multisig.target : undefined,
+      schemaLoader: this.schemaLoader,
+    });
+  }
+
+  // ---------------------------------------------------------------------
+  // Issuance
+  // ---------------------------------------------------------------------
+
+  /**
+   * Issue a new credential
+   * @param {object} params Credential parameters
+   * @param {string} params.recipient Recipient address
+   * @param {string} params.credentialType Type/category of the credential
+   * @param {string|object} params.credentialData Credential data; objects are canonically JSON encoded
+   * @param {number} [params.expiresAt=0] Expiration timestamp in seconds (0 for non-expiring)
+   * @param {string} [params.metadataURI=""] Additional metadata URI
+   * @returns {Promise<{credentialId: number, transactionHash: string, receipt: object}>}
+   * @throws When `credentialData` does not match the schema registered for `credentialType`
+   */
+  async issueCredential({ recipient, credentialType, credentialData, expiresAt = 0, metadataURI = "" }) {
+    await this._checkCredentialSchemas([{ credentialType, credentialData }]);
+    const receipt = await this._send(
+      this.registry.issueCredential(
+        recipient,
+        credentialType,
+        serializeCredentialData(credentialData),
+        expiresAt,
+        metadataURI
+      )
+    );
+    const [event] = this._parseEvents(receipt, "CredentialIssued");
+
+    return {
+      credentialId: Number(event.args.credentialId),
+      transactionHash: receipt.hash,
+      receipt,
+    };
+  }
+
+  /**
+   * Issue several credentials in a single transaction
+   * @param {Array<object>} credentials Credential parameters, same shape as `issueCredential`
+   * @param {object} [options]
+   * @param {Function} [options.onSubmitted] Awaited with the transaction response before
+   * waiting for the receipt, e.g. to journal the transaction hash
+   * @returns {Promise<{credentialIds: number[], transactionHash: string, receipt: object}>}
+   * @throws When any credential's data does not match the schema registered for its type
+   */
+  async batchIssueCredentials(credentials, { onSubmitted } = {}) {
+    await this._checkCredentialSchemas(credentials);
+    const receipt = await this._send(
+      this.registry.batchIssueCredentials(...this._batchIssueArgs(credentials)),
+      onSubmitted
+    );
+
+    return {
+      credentialIds: this.getIssuedCredentialIds(receipt),
+      transactionHash: receipt.hash,
+      receipt,
+    };
+  }
+
+  /**
+   * Estimate the gas needed to batch issue `credentials`; reverts surface as errors
+   * @param {Array<object>} credentials Credential parameters, same shape as `issueCredential`
+   * @returns {Promise<bigint>} Estimated gas
+   */
+  async estimateBatchIssueGas(credentials) {
+    return this.registry.batchIssueCredentials.estimateGas(...this._batchIssueArgs(credentials));
+  }
+
+  /**
+   * Extract the IDs of credentials issued in a transaction, in issuance order
+   * @param {object} receipt Transaction receipt
+   * @returns {number[]} Credential IDs
+   */
+  getIssuedCredentialIds(receipt) {
+    return this._parseEvents(receipt, "CredentialIssued").map((event) => Number(event.args.credentialId));
+  }
+
+  // ---------------------------------------------------------------------
+  // Status management
+  // ---------------------------------------------------------------------
+
+  /**
+   * Revoke a credential (requires REVOKER_ROLE)
+   * @param {number|bigint} credentialId ID of the credential
+   * @param {string} reason Reason for revocation
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async revokeCredential(credentialId, reason) {
+    const receipt = await this._send(this.registry.revokeCredential(credentialId, reason));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Suspend a credential (issuer of the credential or admin). With `until` or `duration` the
+   * credential counts as active again once the suspension ends, without another transaction.
+   * @param {number|bigint} credentialId ID of the credential
+   * @param {object} [options]
+   * @param {number} [options.until] End of the suspension in seconds
+   * @param {number} [options.duration] Length of the suspension in seconds, from the latest block
+   * @param {string} [options.reason=""] Reason for the suspension, emitted with `CredentialSuspended`
+   * @returns {Promise<{suspendedUntil: number, transactionHash: string, receipt: object}>}
+   *   `suspendedUntil` is 0 for a suspension that lasts until the credential is reactivated
+   */
+  async suspendCredential(credentialId, { until, duration, reason = "" } = {}) {
+    if (until !== undefined && duration !== undefined) {
+      throw new Error("Pass either until or duration, not both");
+    }
+
+    let suspendedUntil = until || 0;
+    if (duration !== undefined) {
+      const provider = this.runner.provider || this.runner;
+      suspendedUntil = (await provider.getBlock("latest")).timestamp + duration;
+    }
+    const receipt = await this._send(this.registry.suspendCredential(credentialId, suspendedUntil, reason));
+    return { suspendedUntil, transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * @param {number|bigint} credentialId ID of the credential
+   * @returns {Promise<number>} End of the credential's time-bound suspension in seconds, or 0
+   */
+  async getSuspendedUntil(credentialId) {
+    return Number(await this.registry.suspendedUntil(credentialId));
+  }
+
+  /**
+   * Reinstate a suspended credential, ending its suspension now (issuer of the credential or admin)
+   * @param {number|bigint} credentialId ID of the credential
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async reinstateCredential(credentialId) {
+    const receipt = await this._send(this.registry.reinstateCredential(credentialId));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Alias of `reinstateCredential`
+   * @param {number|bigint} credentialId ID of the credential
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async reactivateCredential(credentialId) {
+    return this.reinstateCredential(credentialId);
+  }
+
+  /**
+   * Set the status of a credential. Only Active and Suspended can be set, each from the other;
+   * the registry reverts with `InvalidStatusTransition` otherwise (see `canTransition`).
+   * @param {number|bigint} credentialId ID of the credential
+   * @param {number} status New status, see `CredentialStatus`
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async updateCredentialStatus(credentialId, status) {
+    const receipt = await this._send(this.registry.updateCredentialStatus(credentialId, status));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Revoke a credential signed off-chain (its issuer, or REVOKER_ROLE for any issuer)
+   * @param {string} issuer Address that signed the credential
+   * @param {string} credentialHash EIP-712 hash of the credential
+   * @param {string} reason Reason for revocation
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async revokeOffchainCredential(issuer, credentialHash, reason) {
+    const receipt = await this._send(this.registry.revokeOffchainCredential(issuer, credentialHash, reason));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * @param {string} issuer Address that signed the credential
+   * @param {string} credentialHash EIP-712 hash of the credential
+   * @returns {Promise<boolean>} True if the off-chain credential was revoked
+   */
+  async isOffchainCredentialRevoked(issuer, credentialHash) {
+    return this.registry.revokedOffchainCredentials(issuer, credentialHash);
+  }
+
+  // ---------------------------------------------------------------------
+  // Versioning
+  // ---------------------------------------------------------------------
+
+  /**
+   * Renew a credential: its data is issued again as a new version with a later expiry, and
+   * the renewed version becomes Superseded (issuer of the credential or admin)
+   * @param {number|bigint} credentialId ID of an expiring credential that is active or expired
+   * @param {object} params
+   * @param {number} params.expiresAt Expiration timestamp of the new version, after the current one (0 for non-expiring)
+   * @returns {Promise<{credentialId: number, previousCredentialId: number, transactionHash: string, receipt: object}>}
+   */
+  async renewCredential(credentialId, { expiresAt }) {
+    const receipt = await this._send(this.registry.renewCredential(credentialId, expiresAt));
+    return this._supersededResult(receipt);
+  }
+
+  /**
+   * Amend a credential: corrected data is issued as a new version for the same recipient and
+   * type, and the amended version becomes Superseded (issuer of the credential or admin)
+   * @param {number|bigint} credentialId ID of a credential that is active or expired
+   * @param {object} params
+   * @param {string|object} params.credentialData Corrected credential data; objects are canonically JSON encoded
+   * @param {number} [params.expiresAt=0] Expiration timestamp of the new version (0 for non-expiring)
+   * @param {string} [params.metadataURI=""] Additional metadata URI of the new version
+   * @returns {Promise<{credentialId: number, previousCredentialId: number, transactionHash: string, receipt: object}>}
+   * @throws When `credentialData` does not match the schema registered for the credential's type
+   */
+  async amendCredential(credentialId, { credentialData, expiresAt = 0, metadataURI = "" }) {
+    const { credentialType } = await this.getCredential(credentialId);
+    await this._checkCredentialSchemas([{ credentialType, credentialData }]);
+    const receipt = await this._send(
+      this.registry.amendCredential(credentialId, serializeCredentialData(credentialData), expiresAt, metadataURI)
+    );
+    return this._supersededResult(receipt);
+  }
+
+  /**
+   * Get every version of a credential by following its supersedes links
+   * @param {number|bigint} credentialId ID of any version of the credential
+   * @returns {Promise<number[]>} Credential IDs from the first version to the latest
+   */
+  async getVersionChain(credentialId) {
+    if (this.verifier) {
+      return (await this.verifier.getVersionChain(credentialId)).map(Number);
+    }
+
+    let first = Number(credentialId);
+    for (let previous = await this.registry.supersedes(first); previous !== 0n; previous = await this.registry.supersedes(first)) {
+      first = Number(previous);
+    }
+    const versions = [first];
+    for (let next = await this.registry.supersededBy(first); next !== 0n; next = await this.registry.supersededBy(next)) {
+      versions.push(Number(next));
+    }
+    return versions;
+  }
+
+  /**
+   * Get the latest version of a credential, which is what verifiers should check
+   * @param {number|bigint} credentialId ID of any version of the credential
+   * @returns {Promise<{credentialId: number, isValid: boolean, credential: object}>}
+   */
+  async getLatestVersion(credentialId) {
+    let latestId;
+    if (this.verifier) {
+      [latestId] = await this.verifier.getLatestVersion(credentialId);
+    } else {
+      latestId = (await this.getVersionChain(credentialId)).pop();
+    }
+
+    return {
+      credentialId: Number(latestId),
+      isValid: await this.registry.isCredentialValid(latestId),
+      credential: await this.getCredential(latestId),
+    };
+  }
+
+  // ---------------------------------------------------------------------
+  // Meta-transactions (sent by a relayer, authorized by the signer)
+  // ---------------------------------------------------------------------
+
+  /**
+   * Read the registry's EIP-712 domain (ERC-5267), used for all typed data it verifies
+   * @returns {Promise<{name: string, version: string, chainId: number, verifyingContract: string}>}
+   */
+  async getEip712Domain() {
+    const domain = await this.registry.eip712Domain();
+    return {
+      name: domain.name,
+      version: domain.version,
+      chainId: Number(domain.chainId),
+      verifyingContract: domain.verifyingContract,
+    };
+  }
+
+  /**
+   * @param {string} account Signer address
+   * @returns {Promise<number>} Nonce the account's next signed request must use
+   */
+  async getNonce(account) {
+    return Number(await this.registry.nonces(account));
+  }
+
+  /**
+   * Submit an issuance request signed by an issuer; this client's signer pays the gas
+   * @param {object} request Signed `IssueRequest`
+   * @param {string} signature Issuer signature
+   * @returns {Promise<{credentialId: number, transactionHash: string, receipt: object}>}
+   */
+  async issueCredentialBySig(request, signature) {
+    const receipt = await this._send(this.registry.issueCredentialBySig(request, signature));
+    const [event] = this._parseEvents(receipt, "CredentialIssued");
+    return { credentialId: Number(event.args.credentialId), transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Submit a batch issuance request signed by an issuer; this client's signer pays the gas
+   * @param {object} request Signed `BatchIssueRequest`
+   * @param {string} signature Issuer signature
+   * @returns {Promise<{credentialIds: number[], transactionHash: string, receipt: object}>}
+   */
+  async batchIssueCredentialsBySig(request, signature) {
+    const receipt = await this._send(this.registry.batchIssueCredentialsBySig(request, signature));
+    return { credentialIds: this.getIssuedCredentialIds(receipt), transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Submit a revocation request signed by a revoker; this client's signer pays the gas
+   * @param {object} request Signed `RevokeRequest`
+   * @param {string} signature Revoker signature
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async revokeCredentialBySig(request, signature) {
+    const receipt = await this._send(this.registry.revokeCredentialBySig(request, signature));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  // ---------------------------------------------------------------------
+  // Merkle batches (root anchored on-chain, credentials held off-chain)
+  // ---------------------------------------------------------------------
+
+  /**
+   * Anchor the Merkle root of a credential batch (requires ISSUER_ROLE)
+   * @param {object} params
+   * @param {string} params.root Merkle root, e.g. from `buildMerkleBatch`
+   * @param {number} params.leafCount Number of credentials in the batch
+   * @param {string} [params.metadataURI=""] Additional metadata URI for the batch
+   * @returns {Promise<{batchId: number, transactionHash: string, receipt: object}>}
+   */
+  async anchorMerkleRoot({ root, leafCount, metadataURI = "" }) {
+    const receipt = await this._send(this.registry.anchorMerkleRoot(root, leafCount, metadataURI));
+    const [event] = this._parseEvents(receipt, "MerkleRootAnchored");
+    return { batchId: Number(event.args.batchId), transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Get a decoded Merkle batch; reverts with MerkleBatchNotFound if it does not exist
+   * @param {number|bigint} batchId ID of the batch
+   * @returns {Promise<object>} Decoded batch
+   */
+  async getMerkleBatch(batchId) {
+    return decodeMerkleBatch(await this.registry.getMerkleBatch(batchId));
+  }
+
+  /**
+   * Revoke every credential of a Merkle batch (its issuer, or REVOKER_ROLE)
+   * @param {number|bigint} batchId ID of the batch
+   * @param {string} reason Reason for revocation
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async revokeMerkleBatch(batchId, reason) {
+    const receipt = await this._send(this.registry.revokeMerkleBatch(batchId, reason));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Revoke one credential of a Merkle batch (the batch's issuer, or REVOKER_ROLE)
+   * @param {number|bigint} batchId ID of the batch
+   * @param {string} leaf Leaf hash of the credential
+   * @param {string} reason Reason for revocation
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async revokeMerkleCredential(batchId, leaf, reason) {
+    const receipt = await this._send(this.registry.revokeMerkleCredential(batchId, leaf, reason));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * @param {number|bigint} batchId ID of the batch
+   * @param {string} leaf Leaf hash of the credential
+   * @returns {Promise<boolean>} True if the credential was revoked individually
+   */
+  async isMerkleCredentialRevoked(batchId, leaf) {
+    return this.registry.revokedMerkleCredentials(batchId, leaf);
+  }
+
+  // ---------------------------------------------------------------------
+  // Schemas (JSON Schema per credential type, see CredentialSchemaRegistry)
+  // ---------------------------------------------------------------------
+
+  /**
+   * Register the JSON Schema of a new credential type (issuer or admin)
+   * @param {object} params Schema parameters
+   * @param {string} params.typeId Credential type, used as `credentialType` when issuing
+   * @param {object} params.schema JSON Schema document; only its hash goes on-chain
+   * @param {string} params.schemaURI Where the document is published
+   * @returns {Promise<{schemaHash: string, transactionHash: string, receipt: object}>}
+   */
+  async registerSchema({ typeId, schema, schemaURI }) {
+    const schemaHash = computeSchemaHash(schema);
+    const schemaRegistry = await this._requireSchemaRegistry();
+    const receipt = await this._send(schemaRegistry.registerSchema(typeId, schemaHash, schemaURI));
+    return { schemaHash, transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Replace the JSON Schema of a credential type (its registrant or an admin)
+   * @param {object} params Same as `registerSchema`
+   * @returns {Promise<{schemaHash: string, transactionHash: string, receipt: object}>}
+   */
+  async updateSchema({ typeId, schema, schemaURI }) {
+    const schemaHash = computeSchemaHash(schema);
+    const schemaRegistry = await this._requireSchemaRegistry();
+    const receipt = await this._send(schemaRegistry.updateSchema(typeId, schemaHash, schemaURI));
+    return { schemaHash, transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Get the schema record of a credential type, or null if none is registered
+   * @param {string} typeId Credential type
+   * @returns {Promise<object|null>} Decoded record: typeId, schemaHash, schemaURI, registeredBy, registeredAt, updatedAt
+   */
+  async findSchema(typeId) {
+    const schemaRegistry = await this._requireSchemaRegistry();
+    if (!(await schemaRegistry.isSchemaRegistered(typeId))) {
+      return null;
+    }
+    return decodeSchemaRecord(await schemaRegistry.getSchema(typeId));
+  }
+
+  /** @returns {Promise<string[]>} Credential types with a registered schema, in registration order */
+  async getSchemaTypeIds() {
+    const schemaRegistry = await this._requireSchemaRegistry();
+    return [...(await schemaRegistry.getSchemaTypeIds())];
+  }
+
+  /**
+   * Fetch the schema document of a credential type and check it against the registered hash
+   * @param {string} typeId Credential type
+   * @returns {Promise<object|null>} Schema record with the document as `schema`, or null if none is registered
+   */
+  async resolveSchema(typeId) {
+    const record = await this.findSchema(typeId);
+    if (!record) {
+      return null;
+    }
+
+    if (!this._schemaDocuments.has(record.schemaHash)) {
+      const schema = await this.schemaLoader(record.schemaURI);
+      if (computeSchemaHash(schema) !== record.schemaHash) {
+        throw new Error(`Schema document at ${record.schemaURI} does not match the hash registered for ${typeId}`);
+      }
+      this._schemaDocuments.set(record.schemaHash, schema);
+    }
+    return { ...record, schema: this._schemaDocuments.get(record.schemaHash) };
+  }
+
+  /**
+   * Check credential data against the schemas of their types, without sending anything
+   * @param {Array<object>} credentials Credential parameters, same shape as `issueCredential`
+   * @returns {Promise<Array<string|null>>} Per credential, why it would be rejected, or null if it
+   *   conforms. Types without a schema are only rejected while the registry enforces schemas, and
+   *   committed data of private and selectively disclosable credentials is not checked.
+   */
+  async checkCredentialSchemas(credentials) {
+    if (!(await this._getSchemaRegistry())) {
+      return credentials.map(() => null);
+    }
+
+    const schemas = new Map();
+    for (const credentialType of new Set(credentials.map((c) => c.credentialType))) {
+      schemas.set(credentialType, await this.resolveSchema(credentialType));
+    }
+    const enforced = [...schemas.values()].includes(null) && (await this.isSchemaEnforced());
+
+    return credentials.map(({ credentialType, credentialData }) => {
+      const resolved = schemas.get(credentialType);
+      if (!resolved) {
+        return enforced ? `Unknown credential type: no schema is registered for ${credentialType}` : null;
+      }
+      // A commitment hides the data; private issuance checks the plaintext before committing
+      if (parseCommitment(credentialData) !== null || parseClaimsRoot(credentialData) !== null) {
+        return null;
+      }
+      const { valid, errors } = validateCredentialData(resolved.schema, credentialData);
+      return valid ? null : `Credential data does not match the ${credentialType} schema: ${errors.join(", ")}`;
+    });
+  }
+
+  /** @returns {Promise<boolean>} True if the registry only issues credential types with a registered schema */
+  async isSchemaEnforced() {
+    return (await this.registry.schemaRegistry()) !== ethers.ZeroAddress;
+  }
+
+  /**
+   * Enforce the schemas of a CredentialSchemaRegistry on issuance (admin only)
+   * @param {string} schemaRegistryAddress CredentialSchemaRegistry address, or the zero address to stop enforcing
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async setSchemaRegistry(schemaRegistryAddress) {
+    const receipt = await this._send(this.registry.setSchemaRegistry(schemaRegistryAddress));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  // ---------------------------------------------------------------------
+  // Verification
+  // ---------------------------------------------------------------------
+
+  /**
+   * Verify a credential without requiring VERIFIER_ROLE
+   * @param {number|bigint} credentialId ID of the credential
+   * @returns {Promise<{credentialId: number, isValid: boolean, exists: boolean, credential: object|null}>}
+   */
+  async verifyCredential(credentialId) {
+    if (this.verifier) {
+      const [isValid, credential] = await this.verifier.verifyCredentialPublic(credentialId);
+      const exists = credential.id !== 0n;
+      return {
+        credentialId: Number(credentialId),
+        isValid,
+        exists,
+        credential: exists ? decodeCredential(credential) : null,
+      };
+    }
+
+    const credential = await this.findCredential(credentialId);
+    return {
+      credentialId: Number(credentialId),
+      isValid: credential ? await this.registry.isCredentialValid(credentialId) : false,
+      exists: credential !== null,
+      credential,
+    };
+  }
+
+  /**
+   * Why a credential is not valid right now. The stored status lags behind expiries and
+   * time-bound suspensions, so those are worked out against the latest block.
+   * @param {object} credential Decoded credential, as returned by `findCredential`
+   * @returns {Promise<string|null>} "Revoked", "Suspended", "Expired", "Superseded", "NotAccepted",
+   *   or null when the credential is valid
+   */
+  async getInvalidReason(credential) {
+    if (await this.registry.isCredentialValid(credential.id)) {
+      return null;
+    }
+    if (credential.status !== CredentialStatus.Active && credential.status !== CredentialStatus.Suspended) {
+      return credential.statusName;
+    }
+
+    const provider = this.runner.provider || this.runner;
+    const now = (await provider.getBlock("latest")).timestamp;
+    if (credential.expiresAt !== 0 && credential.expiresAt <= now) {
+      return "Expired";
+    }
+    if (credential.status === CredentialStatus.Suspended) {
+      const until = await this.getSuspendedUntil(credential.id);
+      if (until === 0 || until > now) {
+        return "Suspended";
+      }
+    }
+    // Still counts as active, so only recipient consent can hold it back
+    return "NotAccepted";
+  }
+
+  /**
+   * Check the validity of several credentials at once
+   * @param {Array<number|bigint>} credentialIds IDs of the credentials
+   * @returns {Promise<{results: boolean[], validCount: number}>}
+   */
+  async batchVerifyCredentials(credentialIds) {
+    if (this.verifier) {
+      const [results, validCount] = await this.verifier.batchVerifyCredentials(credentialIds);
+      return { results: [...results], validCount: Number(validCount) };
+    }
+
+    const results = await Promise.all(credentialIds.map((id) => this.registry.isCredentialValid(id)));
+    return { results, validCount: results.filter(Boolean).length };
+  }
+
+  /**
+   * @param {number|bigint} credentialId ID of the credential
+   * @returns {Promise<boolean>} True if the credential is active and not expired
+   */
+  async isCredentialValid(credentialId) {
+    return this.registry.isCredentialValid(credentialId);
+  }
+
+  /**
+   * Check whether a recipient holds a valid credential of a type, optionally only from trusted issuers
+   * @param {string} recipient Recipient address
+   * @param {string} credentialType Credential type
+   * @param {object} [options]
+   * @param {string[]} [options.trustedIssuers] Only count credentials from these issuers
+   * @returns {Promise<{hasValidCredential: boolean, count: number}>}
+   */
+  async hasValidCredentialType(recipient, credentialType, { trustedIssuers } = {}) {
+    if (this.verifier) {
+      const [hasValidCredential, count] = trustedIssuers
+        ? await this.verifier["hasValidCredentialType(address,string,address[])"](recipient, credentialType, trustedIssuers)
+        : await this.verifier["hasValidCredentialType(address,string)"](recipient, credentialType);
+      return { hasValidCredential, count: Number(count) };
+    }
+
+    const trusted = trustedIssuers && new Set(trustedIssuers.map((issuer) => issuer.toLowerCase()));
+    const candidates = (await this.getCredentialsByRecipient(recipient)).filter(
+      (c) => c.credentialType === credentialType && (!trusted || trusted.has(c.issuer.toLowerCase()))
+    );
+    const { validCount } = await this.batchVerifyCredentials(candidates.map((c) => c.id));
+    return { hasValidCredential: validCount > 0, count: validCount };
+  }
+
+  // ---------------------------------------------------------------------
+  // Queries
+  // ---------------------------------------------------------------------
+
+  /**
+   * Get a decoded credential; reverts with CredentialNotFound if it does not exist
+   * @param {number|bigint} credentialId ID of the credential
+   * @returns {Promise<object>} Decoded credential
+   */
+  async getCredential(credentialId) {
+    return decodeCredential(await this.registry.getCredential(credentialId));
+  }
+
+  /**
+   * Get a decoded credential, or null if it does not exist
+   * @param {number|bigint} credentialId ID of the credential
+   * @returns {Promise<object|null>} Decoded credential or null
+   */
+  async findCredential(credentialId) {
+    const credential = await this.registry.credentials(credentialId);
+    return credential.id === 0n ? null : decodeCredential(credential);
+  }
+
+  /** @returns {Promise<number[]>} Credential IDs held by `recipient` */
+  async getCredentialIdsByRecipient(recipient) {
+    return (await this.registry.getCredentialsByRecipient(recipient)).map(Number);
+  }
+
+  /**
+   * @returns {Promise<number[]>} IDs of the credentials held by `recipient` that are currently valid,
+   *   leaving out those the recipient hid
+   */
+  async getValidCredentialIdsByRecipient(recipient) {
+    if (this.verifier) {
+      return (await this.verifier.getValidCredentialsForRecipient(recipient)).map(Number);
+    }
+
+    const credentialIds = await this.getCredentialIdsByRecipient(recipient);
+    const { results } = await this.batchVerifyCredentials(credentialIds);
+    const consent = await this._getEnforcedContract(null, "credentialConsent", "CredentialConsent");
+    const hidden = consent ? await Promise.all(credentialIds.map((id) => consent.isHidden(id))) : [];
+    return credentialIds.filter((id, index) => results[index] && !hidden[index]);
+  }
+
+  /** @returns {Promise<number[]>} Credential IDs issued by `issuer` */
+  async getCredentialIdsByIssuer(issuer) {
+    return (await this.registry.getCredentialsByIssuer(issuer)).map(Number);
+  }
+
+  /** @returns {Promise<number[]>} Credential IDs of type `credentialType` */
+  async getCredentialIdsByType(credentialType) {
+    return (await this.registry.getCredentialsByType(credentialType)).map(Number);
+  }
+
+  /** @returns {Promise<object[]>} Decoded credentials held by `recipient` */
+  async getCredentialsByRecipient(recipient) {
+    return this._getCredentials(await this.getCredentialIdsByRecipient(recipient));
+  }
+
+  /** @returns {Promise<object[]>} Decoded credentials issued by `issuer` */
+  async getCredentialsByIssuer(issuer) {
+    return this._getCredentials(await this.getCredentialIdsByIssuer(issuer));
+  }
+
+  /** @returns {Promise<object[]>} Decoded credentials of type `credentialType` */
+  async getCredentialsByType(credentialType) {
+    return this._getCredentials(await this.getCredentialIdsByType(credentialType));
+  }
+
+  /**
+   * Count the credentials held by a recipient, issued by an issuer or of a type, whatever their status
+   * @param {object} query Exactly one of `recipient`, `issuer` or `credentialType`
+   * @returns {Promise<number>} Number of credentials
+   */
+  async getCredentialCount(query) {
+    const [index, key] = this._resolveCredentialIndex(query);
+    return Number(await this.registry[`getCredentialCountBy${index}`](key));
+  }
+
+  /**
+   * Get one page of the credentials held by a recipient, issued by an issuer or of a type.
+   * Requires a CredentialVerifier, which reads the page in a single call.
+   * @param {object} query Exactly one of `recipient`, `issuer` or `credentialType`, plus paging options
+   * @param {string|number} [query.status] Only return credentials with this status; "Active" means
+   *   currently valid and "Expired" includes credentials past their expiry that were neither revoked
+   *   nor superseded. Omit for every status.
+   * @param {number} [query.offset=0] Position to start from; pass the previous page's `nextOffset`
+   * @param {number} [query.limit=50] Maximum number of credentials (the verifier caps it at MAX_PAGE_SIZE)
+   * @returns {Promise<{credentials: object[], nextOffset: number, total: number, done: boolean}>}
+   *   With a status filter a page may hold fewer than `limit` credentials, or none, before `done`
+   */
+  async getCredentialsPage({ status, offset = 0, limit = DEFAULT_PAGE_SIZE, ...query }) {
+    if (!this.verifier) {
+      throw new Error("Paginated queries require a CredentialVerifier address");
+    }
+
+    const [index, key] = this._resolveCredentialIndex(query);
+    const statusFilter = status === undefined ? ANY_STATUS : parseStatus(status);
+    const [credentials, nextOffset, total] =
+      await this.verifier[`getCredentialsBy${index}Paginated`](key, statusFilter, offset, limit);
+    return {
+      credentials: credentials.map(decodeCredential),
+      nextOffset: Number(nextOffset),
+      total: Number(total),
+      done: nextOffset >= total,
+    };
+  }
+
+  /**
+   * Iterate over the credentials held by a recipient, issued by an issuer or of a type,
+   * fetching pages with `getCredentialsPage` as needed
+   * @param {object} query Exactly one of `recipient`, `issuer` or `credentialType`, plus options
+   * @param {string|number} [query.status] Only yield credentials with this status
+   * @param {number} [query.pageSize=50] Credentials requested per call
+   * @returns {AsyncGenerator<object>} Decoded credentials, in issuance order
+   */
+  async *iterateCredentials({ pageSize = DEFAULT_PAGE_SIZE, ...query }) {
+    if (!(pageSize >= 1)) {
+      throw new Error("pageSize must be at least 1");
+    }
+
+    let offset = 0;
+    for (;;) {
+      const page = await this.getCredentialsPage({ ...query, offset, limit: pageSize });
+      yield* page.credentials;
+      if (page.done) {
+        return;
+      }
+      offset = page.nextOffset;
+    }
+  }
+
+  /**
+   * @param {string} dataHash Credential data hash, see `computeDataHash`
+   * @returns {Promise<boolean>} True if a credential with this data hash was already issued
+   */
+  async isDataHashUsed(dataHash) {
+    return this.registry.usedHashes(dataHash);
+  }
+
+  /** @returns {Promise<number>} Total number of credentials issued */
+  async getTotalCredentials() {
+    return Number(await this.registry.getTotalCredentials());
+  }
+
+  // ---------------------------------------------------------------------
+  // Issuer profiles
+  // ---------------------------------------------------------------------
+
+  /**
+   * @param {string} issuer Issuer address
+   * @returns {Promise<object>} Decoded issuer profile
+   */
+  async getIssuerProfile(issuer) {
+    if (this.verifier) {
+      return decodeIssuerProfile(await this.verifier.getIssuerProfile(issuer));
+    }
+    const profile = decodeIssuerProfile(await this.registry.issuerProfiles(issuer));
+    // Mirrors CredentialVerifier.getIssuerProfile: accredited profiles replace self-declared ones
+    if (await this.isAccreditationEnforced()) {
+      const { name, description, website, logoURI, status, accredited } = await this.getIssuerApplication(issuer);
+      return status === ApplicationStatus.None
+        ? { ...profile, isActive: false }
+        : { ...profile, name, description, website, logoURI, isActive: accredited };
+    }
+    return profile;
+  }
+
+  /**
+   * Create or update the caller's issuer profile
+   * @param {object} profile Profile fields
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async setupIssuerProfile({ name, description = "", website = "", logoURI = "" }) {
+    const receipt = await this._send(
+      this.registry.setupIssuerProfile(name, description, website, logoURI)
+    );
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  // ---------------------------------------------------------------------
+  // Issuer accreditation (see IssuerAccreditation)
+  // ---------------------------------------------------------------------
+
+  /**
+   * Apply to become an issuer, or apply again after a rejection
+   * @param {object} profile Profile fields shown to verifiers once approved
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async submitIssuerApplication({ name, description = "", website = "", logoURI = "" }) {
+    const accreditation = await this._requireAccreditation();
+    const receipt = await this._send(accreditation.submitApplication(name, description, website, logoURI));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Approve a pending application, granting the applicant ISSUER_ROLE (accreditor only)
+   * @param {string} applicant Applicant address
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async approveIssuerApplication(applicant) {
+    const accreditation = await this._requireAccreditation();
+    const receipt = await this._send(accreditation.approveApplication(applicant));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Reject a pending application (accreditor only)
+   * @param {string} applicant Applicant address
+   * @param {string} reason Why the application was rejected
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async rejectIssuerApplication(applicant, reason) {
+    const accreditation = await this._requireAccreditation();
+    const receipt = await this._send(accreditation.rejectApplication(applicant, reason));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Approve ISSUER_ROLE holders that never applied, with their registry profile, so that they keep
+   * issuing once accreditation is enforced (accreditor only)
+   * @param {string[]} issuers Issuer addresses
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async importIssuers(issuers) {
+    const accreditation = await this._requireAccreditation();
+    const receipt = await this._send(accreditation.importIssuers(issuers));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Withdraw an issuer's accreditation; while enforced, its new credentials are rejected (admin only)
+   * @param {string} issuer Accredited issuer
+   * @param {string} reason Why the issuer was deactivated
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async deactivateIssuer(issuer, reason) {
+    const accreditation = await this._requireAccreditation();
+    const receipt = await this._send(accreditation.deactivateIssuer(issuer, reason));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Restore the accreditation of a deactivated issuer (admin only)
+   * @param {string} issuer Deactivated issuer
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async reactivateIssuer(issuer) {
+    const accreditation = await this._requireAccreditation();
+    const receipt = await this._send(accreditation.reactivateIssuer(issuer));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * @param {string} applicant Applicant address
+   * @returns {Promise<object>} Decoded application; statusName is "None" if it never applied
+   */
+  async getIssuerApplication(applicant) {
+    const accreditation = await this._requireAccreditation();
+    return decodeApplication(await accreditation.getApplication(applicant));
+  }
+
+  /**
+   * List applications, optionally only those with one status
+   * @param {object} [options]
+   * @param {string} [options.status] Application status name, e.g. "Pending"
+   * @returns {Promise<Array<object>>} Decoded applications, in order of first application
+   */
+  async getIssuerApplications({ status } = {}) {
+    const accreditation = await this._requireAccreditation();
+    const applicants = await accreditation.getApplicants();
+    const applications = (
+      await Promise.all(applicants.map((applicant) => accreditation.getApplication(applicant)))
+    ).map(decodeApplication);
+    return status === undefined
+      ? applications
+      : applications.filter((a) => a.statusName.toLowerCase() === String(status).toLowerCase());
+  }
+
+  /**
+   * Check whether an issuer may currently issue credentials
+   * @param {string} issuer Issuer address
+   * @returns {Promise<boolean>} True if it holds ISSUER_ROLE and, while enforced, is accredited
+   */
+  async isIssuerAccredited(issuer) {
+    if (this.verifier) {
+      return this.verifier.isIssuerAccredited(issuer);
+    }
+    if (!(await this.hasRole("ISSUER_ROLE", issuer))) {
+      return false;
+    }
+    return !(await this.isAccreditationEnforced()) || (await this.getIssuerApplication(issuer)).accredited;
+  }
+
+  /** @returns {Promise<boolean>} True if the registry only lets accredited issuers issue */
+  async isAccreditationEnforced() {
+    return (await this.registry.issuerAccreditation()) !== ethers.ZeroAddress;
+  }
+
+  /**
+   * Only let issuers accredited by an IssuerAccreditation issue credentials (admin only)
+   * @param {string} accreditationAddress IssuerAccreditation address, or the zero address to stop enforcing
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async setIssuerAccreditation(accreditationAddress) {
+    const receipt = await this._send(this.registry.setIssuerAccreditation(accreditationAddress));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  // ---------------------------------------------------------------------
+  // Credential type authorization (see CredentialTypeAuthorization)
+  // ---------------------------------------------------------------------
+
+  /**
+   * Authorize an issuer for credential types or namespaces (admin only)
+   * @param {string} issuer Issuer address
+   * @param {string[]} credentialTypes Exact types, "Namespace/*" patterns, or "*" for every type
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async authorizeCredentialTypes(issuer, credentialTypes) {
+    const typeAuthorization = await this._requireTypeAuthorization();
+    const receipt = await this._send(typeAuthorization.authorizeTypes(issuer, credentialTypes));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Withdraw an issuer's authorization for credential types or namespaces (admin only)
+   * @param {string} issuer Issuer address
+   * @param {string[]} credentialTypes Types or patterns, exactly as they were authorized
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async deauthorizeCredentialTypes(issuer, credentialTypes) {
+    const typeAuthorization = await this._requireTypeAuthorization();
+    const receipt = await this._send(typeAuthorization.deauthorizeTypes(issuer, credentialTypes));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * @param {string} issuer Issuer address
+   * @returns {Promise<string[]>} Types and namespace patterns authorized for the issuer
+   */
+  async getAuthorizedCredentialTypes(issuer) {
+    const typeAuthorization = await this._requireTypeAuthorization();
+    return [...(await typeAuthorization.getAuthorizedTypes(issuer))];
+  }
+
+  /**
+   * @returns {Promise<Array<{issuer: string, credentialTypes: string[]}>>} Authorizations of every
+   *   issuer that still has one, in order of first authorization
+   */
+  async getCredentialTypeAuthorizations() {
+    const typeAuthorization = await this._requireTypeAuthorization();
+    const authorizations = await Promise.all(
+      (await typeAuthorization.getIssuers()).map(async (issuer) => ({
+        issuer,
+        credentialTypes: [...(await typeAuthorization.getAuthorizedTypes(issuer))],
+      }))
+    );
+    return authorizations.filter((a) => a.credentialTypes.length > 0);
+  }
+
+  /**
+   * @param {string} issuer Issuer address
+   * @param {string} credentialType Credential type
+   * @returns {Promise<boolean>} True if the type, or a namespace containing it, is authorized for the issuer
+   */
+  async isCredentialTypeAuthorized(issuer, credentialType) {
+    const typeAuthorization = await this._requireTypeAuthorization();
+    return typeAuthorization.isAuthorized(issuer, credentialType);
+  }
+
+  /** @returns {Promise<boolean>} True if the registry only lets issuers issue their authorized types */
+  async isTypeAuthorizationEnforced() {
+    return (await this.registry.typeAuthorization()) !== ethers.ZeroAddress;
+  }
+
+  /**
+   * Only let issuers issue the credential types a CredentialTypeAuthorization authorizes (admin only)
+   * @param {string} typeAuthorizationAddress CredentialTypeAuthorization address, or the zero address to allow any type
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async setTypeAuthorization(typeAuthorizationAddress) {
+    const receipt = await this._send(this.registry.setTypeAuthorization(typeAuthorizationAddress));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  // ---------------------------------------------------------------------
+  // Recipient consent (see CredentialConsent)
+  // ---------------------------------------------------------------------
+
+  /**
+   * Accept a credential offered to this client's signer; while enforced, it only counts from then on
+   * @param {number} credentialId ID of the credential
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async acceptCredential(credentialId) {
+    const consent = await this._requireCredentialConsent();
+    const receipt = await this._send(consent.acceptCredential(credentialId));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Reject a credential offered to this client's signer; a rejected credential never counts
+   * @param {number} credentialId ID of the credential
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async rejectCredential(credentialId) {
+    const consent = await this._requireCredentialConsent();
+    const receipt = await this._send(consent.rejectCredential(credentialId));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Sign an answer to an offer with this client's signer as recipient, for anyone to submit
+   * with `answerOfferBySig`
+   * @param {number} credentialId ID of the credential
+   * @param {boolean} accept True to accept the offer, false to reject it
+   * @param {object} [options]
+   * @param {number} [options.nonce] Consent nonce to use (defaults to the signer's current nonce)
+   * @param {number} [options.deadline] Unix time after which the request is rejected (defaults to one hour of chain time)
+   * @returns {Promise<{request: object, signature: string}>} Signed request
+   */
+  async signConsentRequest(credentialId, accept, options) {
+    const consent = await this._requireCredentialConsent();
+    return this._signRequest(consent, CONSENT_REQUEST_TYPES, {
+      credentialId: Number(credentialId),
+      accept: Boolean(accept),
+    }, options);
+  }
+
+  /**
+   * Submit an answer to an offer signed by its recipient; this client's signer pays the gas
+   * @param {object} request Request from `signConsentRequest`
+   * @param {string} signature Recipient signature
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async answerOfferBySig(request, signature) {
+    const consent = await this._requireCredentialConsent();
+    const receipt = await this._send(consent.answerOfferBySig(request, signature));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Disown a credential this client's signer holds, so that it stops counting for good
+   * @param {number} credentialId ID of an accepted credential, or of one issued without an offer
+   * @param {string} reason Why the recipient disowns the credential
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async disownCredential(credentialId, reason) {
+    const consent = await this._requireCredentialConsent();
+    const receipt = await this._send(consent.disownCredential(credentialId, reason));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Hide a credential this client's signer holds from the verifier's recipient listings, or show it
+   * again; hiding does not change whether the credential is valid
+   * @param {number} credentialId ID of the credential
+   * @param {boolean} hidden True to hide the credential
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async setCredentialHidden(credentialId, hidden) {
+    const consent = await this._requireCredentialConsent();
+    const receipt = await this._send(consent.setHidden(credentialId, hidden));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * @param {number} credentialId ID of the credential
+   * @returns {Promise<object>} Decoded consent; statusName is "None" for credentials issued without an offer
+   */
+  async getConsent(credentialId) {
+    const consent = await this._requireCredentialConsent();
+    return decodeConsent(credentialId, await consent.getConsent(credentialId));
+  }
+
+  /**
+   * @param {string} recipient Recipient address
+   * @returns {Promise<number[]>} IDs of the credentials awaiting the recipient's answer
+   */
+  async getPendingOffers(recipient) {
+    const consent = await this._requireCredentialConsent();
+    return (await consent.getPendingOffers(recipient)).map(Number);
+  }
+
+  /** @returns {Promise<number>} Seconds recipients have to answer new offers (0 = no limit) */
+  async getOfferPeriod() {
+    const consent = await this._requireCredentialConsent();
+    return Number(await consent.offerPeriod());
+  }
+
+  /**
+   * Set how long recipients have to answer new offers (admin only)
+   * @param {number} seconds Offer period, or 0 for offers that never expire
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async setOfferPeriod(seconds) {
+    const consent = await this._requireCredentialConsent();
+    const receipt = await this._send(consent.setOfferPeriod(seconds));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /** @returns {Promise<boolean>} True if new credentials only count once their recipient accepts them */
+  async isConsentEnforced() {
+    return (await this.registry.credentialConsent()) !== ethers.ZeroAddress;
+  }
+
+  /**
+   * Require recipients to accept new credentials through a CredentialConsent (admin only)
+   * @param {string} consentAddress CredentialConsent address, or the zero address to count credentials on issuance
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async setCredentialConsent(consentAddress) {
+    const receipt = await this._send(this.registry.setCredentialConsent(consentAddress));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  // ---------------------------------------------------------------------
+  // Wallet migration (see CredentialMigration)
+  // ---------------------------------------------------------------------
+
+  /**
+   * Move credentials this client's signer holds to a new wallet
+   * @param {number[]} credentialIds IDs of the credentials to move; the signer keeps the others
+   * @param {string} newRecipient Wallet that holds the credentials from now on
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async migrateCredentials(credentialIds, newRecipient) {
+    const migration = this._requireMigration();
+    const receipt = await this._send(migration.migrateCredentials(credentialIds, newRecipient));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Sign a migration of this client's signer's credentials, for their issuer to submit with
+   * `migrateCredentialsBySig`
+   * @param {number[]} credentialIds IDs of the credentials to move
+   * @param {string} newRecipient Wallet that holds the credentials from now on
+   * @param {object} [options]
+   * @param {number} [options.nonce] Migration nonce to use (defaults to the signer's current nonce)
+   * @param {number} [options.deadline] Unix time after which the request is rejected (defaults to one hour of chain time)
+   * @returns {Promise<{request: object, signature: string}>} Signed request
+   */
+  async signMigrationRequest(credentialIds, newRecipient, options) {
+    const migration = this._requireMigration();
+    return this._signRequest(migration, MIGRATION_REQUEST_TYPES, {
+      recipient: await this.runner.getAddress(),
+      newRecipient: ethers.getAddress(newRecipient),
+      credentialIds: credentialIds.map(Number),
+    }, options);
+  }
+
+  /**
+   * Submit a migration signed by the recipient (issuer of every credential only)
+   * @param {object} request Request from `signMigrationRequest`
+   * @param {string} signature Recipient signature
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async migrateCredentialsBySig(request, signature) {
+    const migration = this._requireMigration();
+    const receipt = await this._send(migration.migrateCredentialsBySig(request, signature));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * @param {number} credentialId ID of the credential
+   * @returns {Promise<Array<{from: string, to: string, migratedBy: string, migratedAt: number}>>} Every
+   *   move of the credential, oldest first; empty if it never moved
+   */
+  async getMigrationHistory(credentialId) {
+    const migration = this._requireMigration();
+    return (await migration.getMigrationHistory(credentialId)).map(decodeMigration);
+  }
+
+  /**
+   * @param {number} credentialId ID of the credential
+   * @returns {Promise<string>} Recipient the credential was issued to, before any migration
+   */
+  async getOriginalRecipient(credentialId) {
+    const migration = this._requireMigration();
+    return migration.getOriginalRecipient(credentialId);
+  }
+
+  // ---------------------------------------------------------------------
+  // Multi-signature approvals (see CredentialMultisig)
+  // ---------------------------------------------------------------------
+
+  /**
+   * Require M-of-N approval for issuing and revoking a credential type (admin only); proposals
+   * made under the previous policy can no longer be approved
+   * @param {string} credentialType Exact credential type
+   * @param {object} policy
+   * @param {string[]} policy.signers Accounts that may propose and approve
+   * @param {number} policy.threshold Approvals needed; 0 with no signers removes the policy
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async setApprovalPolicy(credentialType, { signers, threshold }) {
+    const multisig = this._requireMultisig();
+    const receipt = await this._send(multisig.setApprovalPolicy(credentialType, signers, threshold));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * @param {string} credentialType Exact credential type
+   * @returns {Promise<{credentialType: string, signers: string[], threshold: number, version: number, enabled: boolean}>}
+   */
+  async getApprovalPolicy(credentialType) {
+    const multisig = this._requireMultisig();
+    return decodeApprovalPolicy(credentialType, await multisig.getApprovalPolicy(credentialType));
+  }
+
+  /**
+   * @returns {Promise<Array<object>>} Policies of the credential types that currently need approval
+   */
+  async getApprovalPolicies() {
+    const multisig = this._requireMultisig();
+    const policies = await Promise.all(
+      (await multisig.getPolicyTypes()).map((credentialType) => this.getApprovalPolicy(credentialType))
+    );
+    return policies.filter((policy) => policy.enabled);
+  }
+
+  /**
+   * Propose issuing a credential of a type with an approval policy (signer of the policy only);
+   * executes right away when the policy needs a single approval
+   * @param {object} params Same shape as `issueCredential`
+   * @returns {Promise<{proposalId: number, executed: boolean, credentialId: number|null, transactionHash: string, receipt: object}>}
+   * @throws When the credential data does not match the schema registered for its type
+   */
+  async proposeIssuance({ recipient, credentialType, credentialData, expiresAt = 0, metadataURI = "" }) {
+    const multisig = this._requireMultisig();
+    await this._checkCredentialSchemas([{ credentialType, credentialData }]);
+    const receipt = await this._send(
+      multisig.proposeIssuance(recipient, credentialType, serializeCredentialData(credentialData), expiresAt, metadataURI)
+    );
+    const [event] = this._parseEvents(receipt, "ProposalCreated", multisig);
+    return this._proposalResult(Number(event.args.proposalId), receipt);
+  }
+
+  /**
+   * Propose revoking a credential of a type with an approval policy (signer of the policy only)
+   * @param {number} credentialId ID of the credential to revoke
+   * @param {string} reason Reason for revocation
+   * @returns {Promise<{proposalId: number, executed: boolean, credentialId: number, transactionHash: string, receipt: object}>}
+   */
+  async proposeRevocation(credentialId, reason) {
+    const multisig = this._requireMultisig();
+    const receipt = await this._send(multisig.proposeRevocation(credentialId, reason));
+    const [event] = this._parseEvents(receipt, "ProposalCreated", multisig);
+    return this._proposalResult(Number(event.args.proposalId), receipt);
+  }
+
+  /**
+   * Propose amending a credential the multisig issued (signer of its type's policy only). Renew by
+   * proposing the same data with a later expiry.
+   * @param {number} credentialId ID of the credential to amend
+   * @param {object} params Same shape as `amendCredential`
+   * @returns {Promise<{proposalId: number, executed: boolean, credentialId: number|null, transactionHash: string, receipt: object}>}
+   *   `credentialId` is the new version once executed
+   * @throws When the credential data does not match the schema registered for its type
+   */
+  async proposeAmendment(credentialId, { credentialData, expiresAt = 0, metadataURI = "" }) {
+    const multisig = this._requireMultisig();
+    const { credentialType } = await this.getCredential(credentialId);
+    await this._checkCredentialSchemas([{ credentialType, credentialData }]);
+    const receipt = await this._send(
+      multisig.proposeAmendment(credentialId, serializeCredentialData(credentialData), expiresAt, metadataURI)
+    );
+    const [event] = this._parseEvents(receipt, "ProposalCreated", multisig);
+    return this._proposalResult(Number(event.args.proposalId), receipt);
+  }
+
+  /**
+   * Approve a pending proposal (signer of its policy only); the approval that meets the threshold executes it
+   * @param {number} proposalId ID of the proposal
+   * @returns {Promise<{proposalId: number, executed: boolean, credentialId: number|null, transactionHash: string, receipt: object}>}
+   */
+  async approveProposal(proposalId) {
+    const multisig = this._requireMultisig();
+    const receipt = await this._send(multisig.approveProposal(proposalId));
+    return this._proposalResult(Number(proposalId), receipt);
+  }
+
+  /**
+   * Sign an approval of a proposal with this client's signer, for anyone to submit with `approveProposalBySig`
+   * @param {number} proposalId ID of the proposal
+   * @returns {Promise<{proposalId: number, signer: string, signature: string}>}
+   */
+  async signProposalApproval(proposalId) {
+    const multisig = this._requireMultisig();
+    const signature = await this._signTypedData(multisig, PROPOSAL_APPROVAL_TYPES, { proposalId: Number(proposalId) });
+    return { proposalId: Number(proposalId), signer: await this.runner.getAddress(), signature };
+  }
+
+  /**
+   * Submit approvals signed by a proposal's signers; executes the proposal once the threshold is met
+   * @param {number} proposalId ID of the proposal
+   * @param {string[]} signatures Signatures from `signProposalApproval`
+   * @returns {Promise<{proposalId: number, executed: boolean, credentialId: number|null, transactionHash: string, receipt: object}>}
+   */
+  async approveProposalBySig(proposalId, signatures) {
+    const multisig = this._requireMultisig();
+    const receipt = await this._send(multisig.approveProposalBySig(proposalId, signatures));
+    return this._proposalResult(Number(proposalId), receipt);
+  }
+
+  /**
+   * Cancel a pending proposal (its proposer or an admin)
+   * @param {number} proposalId ID of the proposal
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async cancelProposal(proposalId) {
+    const multisig = this._requireMultisig();
+    const receipt = await this._send(multisig.cancelProposal(proposalId));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * @param {number} proposalId ID of the proposal
+   * @returns {Promise<object>} Decoded proposal with its approvers; pending proposals past their deadline read as Expired
+   */
+  async getProposal(proposalId) {
+    const multisig = this._requireMultisig();
+    const [proposal, approvers] = await Promise.all([
+      multisig.getProposal(proposalId),
+      multisig.getApprovers(proposalId),
+    ]);
+    return decodeProposal(proposalId, proposal, approvers);
+  }
+
+  /**
+   * @param {object} [filters]
+   * @param {number|string} [filters.status] Only proposals with this status, e.g. "pending"
+   * @returns {Promise<Array<object>>} Decoded proposals, oldest first
+   */
+  async getProposals({ status } = {}) {
+    const multisig = this._requireMultisig();
+    const total = Number(await multisig.getTotalProposals());
+    const proposals = await Promise.all(
+      Array.from({ length: total }, (_, index) => this.getProposal(index + 1))
+    );
+    if (status === undefined) {
+      return proposals;
+    }
+    const wanted = typeof status === "number" ? status : parseProposalStatus(status);
+    return proposals.filter((proposal) => proposal.status === wanted);
+  }
+
+  /**
+   * @returns {Promise<number>} Seconds signers have to approve new proposals (0 = no limit)
+   */
+  async getApprovalPeriod() {
+    const multisig = this._requireMultisig();
+    return Number(await multisig.approvalPeriod());
+  }
+
+  /**
+   * Set how long signers have to approve new proposals (admin only)
+   * @param {number} seconds Approval period, or 0 for proposals that never expire
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async setApprovalPeriod(seconds) {
+    const multisig = this._requireMultisig();
+    const receipt = await this._send(multisig.setApprovalPeriod(seconds));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /** @returns {Promise<boolean>} True if only the registry's CredentialMultisig revokes the credentials it issued */
+  async isMultisigRevocationEnforced() {
+    return (await this.registry.credentialMultisig()) !== ethers.ZeroAddress;
+  }
+
+  /**
+   * Only let a CredentialMultisig revoke the credentials it issued, through approved proposals (admin only)
+   * @param {string} multisigAddress CredentialMultisig address, or the zero address to let any revoker revoke them
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async setCredentialMultisig(multisigAddress) {
+    const receipt = await this._send(this.registry.setCredentialMultisig(multisigAddress));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  // ---------------------------------------------------------------------
+  // Administration
+  // ---------------------------------------------------------------------
+
+  /**
+   * @param {string} role Role name, e.g. "issuer" or "ISSUER_ROLE"
+   * @returns {Promise<string>} Role identifier (bytes32)
+   */
+  async getRoleId(role) {
+    return this.registry[parseRoleName(role)]();
+  }
+
+  /**
+   * @param {string} role Role name, e.g. "issuer" or "ISSUER_ROLE"
+   * @param {string} account Account address
+   * @returns {Promise<boolean>} True if `account` holds `role`
+   */
+  async hasRole(role, account) {
+    return this.registry.hasRole(await this.getRoleId(role), account);
+  }
+
+  /**
+   * Grant a role (requires the role's admin, DEFAULT_ADMIN_ROLE by default)
+   * @param {string} role Role name, e.g. "issuer" or "ISSUER_ROLE"
+   * @param {string} account Account address
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async grantRole(role, account) {
+    const receipt = await this._send(this.registry.grantRole(await this.getRoleId(role), account));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Revoke a role (requires the role's admin, DEFAULT_ADMIN_ROLE by default)
+   * @param {string} role Role name, e.g. "issuer" or "ISSUER_ROLE"
+   * @param {string} account Account address
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async revokeRole(role, account) {
+    const receipt = await this._send(this.registry.revokeRole(await this.getRoleId(role), account));
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * List the current holders of every registry role, read from its enumerable role members
+   * @param {object} [options]
+   * @param {number} [options.blockTag] Block to read at (defaults to the latest block)
+   * @returns {Promise<{blockNumber: number, roles: Array<{name: string, roleId: string, holders: string[]}>}>}
+   */
+  async getRoleHolders({ blockTag } = {}) {
+    const blockNumber = blockTag ?? await this.registry.runner.provider.getBlockNumber();
+    const roles = [];
+    for (const [roleId, name] of Object.entries(ROLE_IDS)) {
+      roles.push({ name, roleId, holders: await this._getRoleMembers(roleId, blockNumber) });
+    }
+    return { blockNumber, roles };
+  }
+
+  /**
+   * @param {string} role Role name, e.g. "issuer" or "ISSUER_ROLE"
+   * @param {object} [options] See `getRoleHolders`
+   * @returns {Promise<string[]>} Accounts currently holding `role`
+   */
+  async getRoleMembers(role, { blockTag = "latest" } = {}) {
+    return this._getRoleMembers(await this.getRoleId(role), blockTag);
+  }
+
+  /**
+   * @returns {Promise<{account: string, acceptSchedule: number}|null>} Account that may accept
+   *   DEFAULT_ADMIN_ROLE and the earliest time it may, or null when no transfer is pending
+   */
+  async getPendingDefaultAdmin() {
+    const account = await this.registry.pendingDefaultAdmin();
+    if (account === ethers.ZeroAddress) {
+      return null;
+    }
+    return { account, acceptSchedule: Number(await this.registry.pendingDefaultAdminSchedule()) };
+  }
+
+  /**
+   * Start handing DEFAULT_ADMIN_ROLE over to `newAdmin` (admin only); it accepts after the registry's
+   * DEFAULT_ADMIN_TRANSFER_DELAY and this client's signer loses the role then
+   * @param {string} newAdmin Account that becomes admin
+   * @returns {Promise<{acceptSchedule: number, transactionHash: string, receipt: object}>}
+   */
+  async beginDefaultAdminTransfer(newAdmin) {
+    const receipt = await this._send(this.registry.beginDefaultAdminTransfer(newAdmin));
+    const [event] = this._parseEvents(receipt, "DefaultAdminTransferScheduled");
+    return { acceptSchedule: Number(event.args.acceptSchedule), transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Accept DEFAULT_ADMIN_ROLE once the transfer delay has passed (pending admin only)
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async acceptDefaultAdminTransfer() {
+    const receipt = await this._send(this.registry.acceptDefaultAdminTransfer());
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Cancel the pending transfer of DEFAULT_ADMIN_ROLE (admin only)
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async cancelDefaultAdminTransfer() {
+    const receipt = await this._send(this.registry.cancelDefaultAdminTransfer());
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /** @returns {Promise<boolean>} True if the registry is paused */
+  async isPaused() {
+    return this.registry.paused();
+  }
+
+  /**
+   * Pause the registry (admin only)
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async pause() {
+    const receipt = await this._send(this.registry.pause());
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  /**
+   * Unpause the registry (admin only)
+   * @returns {Promise<{transactionHash: string, receipt: object}>}
+   */
+  async unpause() {
+    const receipt = await this._send(this.registry.unpause());
+    return { transactionHash: receipt.hash, receipt };
+  }
+
+  // ---------------------------------------------------------------------
+  // Internal helpers
+  // ---------------------------------------------------------------------
+
+  async _send(txPromise, onSubmitted) {
+    const tx = await txPromise;
+    if (onSubmitted) {
+      await onSubmitted(tx);
+    }
+    return tx.wait();
+  }
+
+  _contractAt(contractName, address) {
+    return new ethers.Contract(address, loadAbi(contractName), this.runner);
+  }
+
+  /**
+   * Resolve a companion contract: the one passed to the constructor, else the one the registry
+   * points to through `pointer` (null when unset). Follows the registry when an admin repoints it.
+   */
+  async _getEnforcedContract(configured, pointer, contractName) {
+    if (configured) {
+      return configured;
+    }
+    const enforced = await this.registry[pointer]();
+    if (enforced === ethers.ZeroAddress) {
+      return null;
+    }
+    this._enforcedContracts = this._enforcedContracts || {};
+    if (!this._enforcedContracts[pointer] || this._enforcedContracts[pointer].target !== enforced) {
+      this._enforcedContracts[pointer] = this._contractAt(contractName, enforced);
+    }
+    return this._enforcedContracts[pointer];
+  }
+
+  async _getSchemaRegistry() {
+    return this._getEnforcedContract(this.schemaRegistry, "schemaRegistry", "CredentialSchemaRegistry");
+  }
+
+  async _requireSchemaRegistry() {
+    const schemaRegistry = await this._getSchemaRegistry();
+    if (!schemaRegistry) {
+      throw new Error("No CredentialSchemaRegistry: pass schemaRegistryAddress or enable enforcement on the registry");
+    }
+    return schemaRegistry;
+  }
+
+  async _requireAccreditation() {
+    const accreditation = await this._getEnforcedContract(this.accreditation, "issuerAccreditation", "IssuerAccreditation");
+    if (!accreditation) {
+      throw new Error("No IssuerAccreditation: pass accreditationAddress or enable enforcement on the registry");
+    }
+    return accreditation;
+  }
+
+  async _requireTypeAuthorization() {
+    const typeAuthorization = await this._getEnforcedContract(
+      this.typeAuthorization,
+      "typeAuthorization",
+      "CredentialTypeAuthorization"
+    );
+    if (!typeAuthorization) {
+      throw new Error("No CredentialTypeAuthorization: pass typeAuthorizationAddress or enable enforcement on the registry");
+    }
+    return typeAuthorization;
+  }
+
+  async _requireCredentialConsent() {
+    const consent = await this._getEnforcedContract(this.consent, "credentialConsent", "CredentialConsent");
+    if (!consent) {
+      throw new Error("No CredentialConsent: pass consentAddress or enable enforcement on the registry");
+    }
+    return consent;
+  }
+
+  _requireMultisig() {
+    if (!this.multisig) {
+      throw new Error("No CredentialMultisig: pass multisigAddress");
+    }
+    return this.multisig;
+  }
+
+  _proposalResult(proposalId, receipt) {
+    const [executed] = this._parseEvents(receipt, "ProposalExecuted", this.multisig);
+    return {
+      proposalId,
+      executed: Boolean(executed),
+      credentialId: executed ? Number(executed.args.credentialId) : null,
+      transactionHash: receipt.hash,
+      receipt,
+    };
+  }
+
+  async _getRoleMembers(roleId, blockTag) {
+    const count = Number(await this.registry.getRoleMemberCount(roleId, { blockTag }));
+    const members = [];
+    for (let index = 0; index < count; index++) {
+      members.push(await this.registry.getRoleMember(roleId, index, { blockTag }));
+    }
+    return members;
+  }
+
+  _requireMigration() {
+    if (!this.migration) {
+      throw new Error("No CredentialMigration: pass migrationAddress");
+    }
+    return this.migration;
+  }
+
+  /**
+   * Sign an EIP-712 request to `contract` with this client's signer, filling in the signer's
+   * current nonce on that contract and a deadline one hour of chain time ahead
+   */
+  async _signRequest(contract, types, fields, { nonce, deadline } = {}) {
+    const signer = await this.runner.getAddress();
+    if (deadline === undefined) {
+      // Chain time, which is what the contract compares the deadline against
+      const latestBlock = await this.runner.provider.getBlock("latest");
+      deadline = latestBlock.timestamp + DEFAULT_SIGNED_REQUEST_VALIDITY_SECONDS;
+    }
+    const request = { ...fields, nonce: nonce ?? Number(await contract.nonces(signer)), deadline };
+    return { request, signature: await this._signTypedData(contract, types, request) };
+  }
+
+  /** Sign EIP-712 typed data in the domain of `contract` with this client's signer */
+  async _signTypedData(contract, types, value) {
+    const domain = await contract.eip712Domain();
+    return this.runner.signTypedData(
+      {
+        name: domain.name,
+        version: domain.version,
+        chainId: Number(domain.chainId),
+        verifyingContract: domain.verifyingContract,
+      },
+      types,
+      value
+    );
+  }
+
+  async _checkCredentialSchemas(credentials) {
+    const errors = await this.checkCredentialSchemas(credentials);
+    const index = errors.findIndex(Boolean);
+    if (index !== -1) {
+      throw new Error(credentials.length > 1 ? `Credential ${index + 1}: ${errors[index]}` : errors[index]);
+    }
+  }
+
+  _batchIssueArgs(credentials) {
+    return [
+      credentials.map((c) => c.recipient),
+      credentials.map((c) => c.credentialType),
+      credentials.map((c) => serializeCredentialData(c.credentialData)),
+      credentials.map((c) => c.expiresAt || 0),
+      credentials.map((c) => c.metadataURI || ""),
+    ];
+  }
+
+  _supersededResult(receipt) {
+    const [event] = this._parseEvents(receipt, "CredentialSuperseded");
+    return {
+      credentialId: Number(event.args.newCredentialId),
+      previousCredentialId: Number(event.args.credentialId),
+      transactionHash: receipt.hash,
+      receipt,
+    };
+  }
+
+  _parseEvents(receipt, eventName, contract = this.registry) {
+    const contractAddress = contract.target.toLowerCase();
+    return receipt.logs
+      .filter((log) => log.address.toLowerCase() === contractAddress)
+      .map((log) => contract.interface.parseLog(log))
+      .filter((event) => event && event.name === eventName);
+  }
+
+  _resolveCredentialIndex({ recipient, issuer, credentialType } = {}) {
+    const indexes = [["Recipient", recipient], ["Issuer", issuer], ["Type", credentialType]]
+      .filter(([, key]) => key !== undefined);
+    if (indexes.length !== 1) {
+      throw new Error("Query exactly one of recipient, issuer or credentialType");
+    }
+    return indexes[0];
+  }
+
+  async _getCredentials(credentialIds) {
+    return Promise.all(credentialIds.map((id) => this.getCredential(id)));
+  }
+}
+
+module.exports = { CredentialClient };
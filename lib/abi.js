@@ -0,0 +1,19 @@
+const path = require("path");
+
+const ARTIFACTS_DIR = path.join(__dirname, "..", "artifacts", "contracts");
+
+/**
+ * Load a contract ABI from the Hardhat artifacts (run `npm run compile` first)
+ * @param {string} contractName Name of the contract, e.g. "CredentialRegistry"
+ * @returns {Array} Contract ABI
+ */
+function loadAbi(contractName) {
+  const artifactPath = path.join(ARTIFACTS_DIR, `${contractName}.sol`, `${contractName}.json`);
+  try {
+    return require(artifactPath).abi;
+  } catch (e) {
+    throw new Error(`Artifact for ${contractName} not found at ${artifactPath}; run "npm run compile" first`);
+  }
+}
+
+module.exports = { loadAbi };
@@ -0,0 +1,41 @@
+// Mirrors IssuerAccreditation.ApplicationStatus; order must match the Solidity enum
+const ApplicationStatus = Object.freeze({
+  None: 0,
+  Pending: 1,
+  Approved: 2,
+  Rejected: 3,
+  Deactivated: 4,
+});
+
+const APPLICATION_STATUS_NAMES = Object.freeze(
+  Object.fromEntries(Object.entries(ApplicationStatus).map(([name, value]) => [value, name]))
+);
+
+/**
+ * Decode an `IssuerAccreditation.Application` struct into a plain object
+ * @param {object} application Application as returned by ethers
+ * @returns {object} Decoded application; `accredited` is true only while it is approved
+ */
+function decodeApplication(application) {
+  const status = Number(application.status);
+  return {
+    applicant: application.applicant,
+    name: application.name,
+    description: application.description,
+    website: application.website,
+    logoURI: application.logoURI,
+    status,
+    statusName: APPLICATION_STATUS_NAMES[status] || "Unknown",
+    accredited: status === ApplicationStatus.Approved,
+    submittedAt: Number(application.submittedAt),
+    decidedAt: Number(application.decidedAt),
+    decidedBy: application.decidedBy,
+    decisionReason: application.decisionReason,
+  };
+}
+
+module.exports = {
+  ApplicationStatus,
+  APPLICATION_STATUS_NAMES,
+  decodeApplication,
+};
@@ -0,0 +1,151 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { CredentialStatus } = require("./constants");
+const { ApiError, createJsonHandler } = require("./http");
+
+function credentialNotFound(credentialId) {
+  return new ApiError(404, "CredentialNotFound", `Credential ${credentialId} does not exist`, { credentialId });
+}
+
+function parseCredentialId(value) {
+  if (!/^\d+$/.test(String(value)) || Number(value) === 0 || !Number.isSafeInteger(Number(value))) {
+    throw new ApiError(400, "InvalidCredentialId", `Invalid credential ID: ${value}`, { credentialId: value });
+  }
+  return Number(value);
+}
+
+function parseAddress(value) {
+  if (!ethers.isAddress(value)) {
+    throw new ApiError(400, "InvalidAddress", `Invalid address: ${value}`, { address: value });
+  }
+  return ethers.getAddress(value);
+}
+
+/**
+ * Create the request handler for the verification API
+ * @param {CredentialClient} client Read-only client; a configured verifier is required
+ * @param {object} [options]
+ * @param {number} [options.maxBatchSize=100] Maximum credential IDs per batch request
+ * @param {Function} [options.onError] Called with unexpected errors, such as `console.error`; ignored by default
+ * @returns {Function} `(req, res)` handler for `http.createServer`
+ */
+function createApiHandler(client, { maxBatchSize = 100, onError } = {}) {
+  if (!client.verifier) {
+    throw new Error("The verification API requires a CredentialVerifier address");
+  }
+
+  // Look up a credential through verifyCredentialPublic and attach its issuer profile
+  async function loadCredential(credentialId, issuerProfiles = new Map()) {
+    const { exists, isValid, credential } = await client.verifyCredential(credentialId);
+    if (!exists) {
+      throw credentialNotFound(credentialId);
+    }
+
+    if (!issuerProfiles.has(credential.issuer)) {
+      issuerProfiles.set(credential.issuer, client.getIssuerProfile(credential.issuer));
+    }
+
+    return {
+      ...credential,
+      isValid,
+      invalidReason: isValid ? null : await client.getInvalidReason(credential),
+      issuerProfile: await issuerProfiles.get(credential.issuer),
+    };
+  }
+
+  const routes = [
+    {
+      method: "GET",
+      pattern: /^\/credentials\/([^/]+)$/,
+      handle: async ([id]) => loadCredential(parseCredentialId(id)),
+    },
+    {
+      method: "GET",
+      pattern: /^\/credentials\/([^/]+)\/verify$/,
+      handle: async ([id]) => {
+        const credential = await loadCredential(parseCredentialId(id));
+        const result = {
+          credentialId: credential.id,
+          isValid: credential.isValid,
+          reason: credential.invalidReason,
+          statusName: credential.statusName,
+          issuer: credential.issuer,
+          issuerProfile: credential.issuerProfile,
+          credential,
+        };
+        // Point verifiers holding an old version at the one that replaced it
+        if (credential.status === CredentialStatus.Superseded) {
+          const { credentialId, isValid } = await client.getLatestVersion(credential.id);
+          result.latestVersion = { credentialId, isValid };
+        }
+        return result;
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/verify\/batch$/,
+      handle: async (params, { body }) => {
+        const credentialIds = body && body.credentialIds;
+        if (!Array.isArray(credentialIds) || credentialIds.length === 0) {
+          throw new ApiError(400, "InvalidRequest", "Body must be {\"credentialIds\": [...]} with at least one ID");
+        }
+        if (credentialIds.length > maxBatchSize) {
+          throw new ApiError(400, "InvalidRequest", `At most ${maxBatchSize} credential IDs per batch`, { maxBatchSize });
+        }
+
+        const ids = credentialIds.map(parseCredentialId);
+        const { results, validCount } = await client.batchVerifyCredentials(ids);
+        return {
+          results: ids.map((credentialId, index) => ({ credentialId, isValid: results[index] })),
+          validCount,
+          totalCount: ids.length,
+        };
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/recipients\/([^/]+)\/credentials$/,
+      handle: async ([address], { query }) => {
+        const recipient = parseAddress(address);
+        const validOnly = query.get("valid") === "true";
+        const credentialIds = validOnly
+          ? await client.getValidCredentialIdsByRecipient(recipient)
+          : await client.getCredentialIdsByRecipient(recipient);
+
+        const issuerProfiles = new Map();
+        const credentials = await Promise.all(credentialIds.map((id) => loadCredential(id, issuerProfiles)));
+        return { recipient, total: credentials.length, credentials };
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/issuers\/([^/]+)$/,
+      handle: async ([address]) => {
+        const issuer = parseAddress(address);
+        const profile = await client.getIssuerProfile(issuer);
+        if (!profile.isActive && profile.credentialsIssued === 0 && profile.name === "") {
+          throw new ApiError(404, "IssuerNotFound", `No issuer profile for ${issuer}`, { address: issuer });
+        }
+        return { address: issuer, ...profile };
+      },
+    },
+  ];
+
+  return createJsonHandler(routes, { onError });
+}
+
+/**
+ * Create an HTTP server for the verification API (call `.listen(port)` to start it)
+ * @param {CredentialClient} client Read-only client; a configured verifier is required
+ * @param {object} [options] See `createApiHandler`
+ * @returns {http.Server} Server instance
+ */
+function createApiServer(client, options) {
+  return http.createServer(createApiHandler(client, options));
+}
+
+module.exports = {
+  ApiError,
+  createApiHandler,
+  createApiServer,
+};
@@ -0,0 +1,439 @@
+const { ethers } = require("ethers");
+const { loadAbi } = require("./abi");
+const { CredentialStatus, getStatusName } = require("./constants");
+const { toCsv } = require("./csv");
+const { getRoleName, fetchRoleEvents } = require("./roles");
+
+const CREDENTIAL_AUDIT_EVENTS = [
+  "CredentialIssued",
+  "CredentialRevoked",
+  "CredentialStatusUpdated",
+  "CredentialSuspended",
+  "CredentialSuperseded",
+  "CredentialRecipientChanged",
+  "CredentialVerified",
+];
+const AUDIT_EVENTS = Object.freeze([...CREDENTIAL_AUDIT_EVENTS, "RoleGranted", "RoleRevoked"]);
+
+const AUDIT_CSV_COLUMNS = Object.freeze([
+  "date",
+  "timestamp",
+  "blockNumber",
+  "transactionHash",
+  "logIndex",
+  "event",
+  "credentialId",
+  "credentialType",
+  "issuer",
+  "actor",
+  "subject",
+  "role",
+  "oldStatus",
+  "newStatus",
+  "reason",
+  "detail",
+  "sender",
+]);
+const AUDIT_REPORT_FORMATS = Object.freeze(["csv", "json", "html"]);
+
+// Read and decode registry logs of the given events, in chain order
+async function fetchRegistryLogs(provider, { registryAddress, names, fromBlock, toBlock, batchSize }) {
+  const iface = new ethers.Interface(loadAbi("CredentialRegistry"));
+  const topics = [names.map((name) => iface.getEvent(name).topicHash)];
+
+  const events = [];
+  for (let from = fromBlock; from <= toBlock; from += batchSize) {
+    const logs = await provider.getLogs({
+      address: registryAddress,
+      topics,
+      fromBlock: from,
+      toBlock: Math.min(from + batchSize - 1, toBlock),
+    });
+    for (const log of logs) {
+      const event = iface.parseLog(log);
+      events.push({
+        name: event.name,
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        transactionHash: log.transactionHash,
+        args: event.args,
+      });
+    }
+  }
+  return events;
+}
+
+/**
+ * Find the first block mined at or after a timestamp
+ * @param {ethers.Provider} provider Provider connected to the registry's chain
+ * @param {number} timestamp Unix timestamp in seconds
+ * @param {number} low First block to consider
+ * @param {number} high Last block to consider
+ * @returns {Promise<number>} Block number, or `high + 1` when every block is older
+ */
+async function findBlockByTimestamp(provider, timestamp, low, high) {
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if ((await provider.getBlock(middle)).timestamp >= timestamp) {
+      high = middle - 1;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString();
+}
+
+// Turn one decoded event into an audit entry; `credentials` holds what CredentialIssued said about each ID
+function toAuditEntry({ name, blockNumber, logIndex, transactionHash, args }, credentials) {
+  const entry = {
+    event: name,
+    blockNumber,
+    logIndex,
+    transactionHash,
+    credentialId: null,
+    credentialType: null,
+    issuer: null,
+    actor: null,
+    subject: null,
+    role: null,
+    oldStatus: null,
+    newStatus: null,
+    reason: null,
+    detail: null,
+  };
+
+  if (name === "RoleGranted" || name === "RoleRevoked") {
+    return Object.assign(entry, { role: getRoleName(args.role), subject: args.account, actor: args.sender });
+  }
+
+  const credentialId = Number(args.credentialId);
+  const credential = credentials.get(credentialId) || {};
+  Object.assign(entry, { credentialId, credentialType: credential.credentialType || null, issuer: credential.issuer || null });
+
+  switch (name) {
+    case "CredentialIssued":
+      return Object.assign(entry, {
+        actor: args.issuer,
+        subject: args.recipient,
+        newStatus: getStatusName(CredentialStatus.Active),
+        detail: args.expiresAt > 0n ? `Expires ${formatDate(Number(args.expiresAt))}` : "Does not expire",
+      });
+    case "CredentialRevoked":
+      return Object.assign(entry, { actor: args.revoker, reason: args.reason });
+    case "CredentialStatusUpdated":
+      // The event does not name who changed the status; `actor` falls back to the transaction sender
+      return Object.assign(entry, { oldStatus: getStatusName(args.oldStatus), newStatus: getStatusName(args.newStatus) });
+    case "CredentialSuspended":
+      return Object.assign(entry, {
+        actor: args.suspendedBy,
+        reason: args.reason,
+        detail: args.suspendedUntil > 0n ? `Until ${formatDate(Number(args.suspendedUntil))}` : "Until reinstated",
+      });
+    case "CredentialSuperseded":
+      return Object.assign(entry, { actor: args.supersededBy, detail: `Superseded by #${args.newCredentialId}` });
+    case "CredentialRecipientChanged":
+      return Object.assign(entry, { subject: args.newRecipient, detail: `Moved from ${args.previousRecipient}` });
+    case "CredentialVerified":
+      return Object.assign(entry, { actor: args.verifier });
+    default:
+      return entry;
+  }
+}
+
+// Whether an entry concerns an account: it issued the credential, acted, or had a role granted or revoked
+function concernsAccount(entry, account) {
+  return [entry.issuer, entry.actor, entry.role && entry.subject].some((address) => address === account);
+}
+
+/**
+ * Reconstruct who issued, verified, suspended, revoked or moved which credential, and who was
+ * granted or lost which role, over a block or date range. A date range narrows a block range.
+ * @param {ethers.Provider} provider Provider connected to the registry's chain
+ * @param {object} options
+ * @param {string} options.registryAddress CredentialRegistry address
+ * @param {number} [options.startBlock=0] Registry deployment block; issuances since then give the
+ *   type and issuer of credentials issued before the range
+ * @param {number} [options.fromBlock] First block of the range (defaults to `startBlock`)
+ * @param {number} [options.toBlock] Last block of the range (defaults to the latest block)
+ * @param {number} [options.fromDate] Only blocks mined at or after this Unix timestamp
+ * @param {number} [options.toDate] Only blocks mined at or before this Unix timestamp
+ * @param {string} [options.issuer] Only entries about credentials of this issuer, its actions and its roles
+ * @param {number} [options.credentialId] Only entries about this credential
+ * @param {number} [options.batchSize=2000] Maximum block range per `eth_getLogs` request
+ * @param {string} [options.generatedAt] Report time as an ISO date (defaults to now)
+ * @returns {Promise<object>} Report with `range`, `summary`, every `entries` in chain order, and
+ *   `credentials` and `issuers` with their timelines
+ */
+async function generateAuditReport(provider, {
+  registryAddress,
+  startBlock = 0,
+  fromBlock,
+  toBlock,
+  fromDate,
+  toDate,
+  issuer,
+  credentialId,
+  batchSize = 2000,
+  generatedAt = new Date().toISOString(),
+}) {
+  registryAddress = ethers.getAddress(registryAddress);
+  const latest = await provider.getBlockNumber();
+  let first = Math.max(fromBlock ?? startBlock, startBlock);
+  let last = Math.min(toBlock ?? latest, latest);
+  if (fromDate !== undefined) {
+    first = await findBlockByTimestamp(provider, fromDate, first, last);
+  }
+  if (toDate !== undefined) {
+    last = (await findBlockByTimestamp(provider, toDate + 1, first, last)) - 1;
+  }
+
+  // Issuances before the range only provide context for the credentials acted on in it
+  const earlier = await fetchRegistryLogs(provider, {
+    registryAddress,
+    names: ["CredentialIssued"],
+    fromBlock: startBlock,
+    toBlock: Math.min(first - 1, last),
+    batchSize,
+  });
+  const events = [
+    ...(await fetchRegistryLogs(provider, {
+      registryAddress,
+      names: CREDENTIAL_AUDIT_EVENTS,
+      fromBlock: first,
+      toBlock: last,
+      batchSize,
+    })),
+    ...(await fetchRoleEvents(provider, { registryAddress, fromBlock: first, toBlock: last, batchSize })),
+  ].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  const credentials = new Map();
+  for (const { name, args } of [...earlier, ...events]) {
+    if (name === "CredentialIssued") {
+      credentials.set(Number(args.credentialId), {
+        credentialType: args.credentialType,
+        issuer: args.issuer,
+        recipient: args.recipient,
+      });
+    }
+  }
+
+  let entries = events.map((event) => toAuditEntry(event, credentials));
+  if (issuer) {
+    entries = entries.filter((entry) => concernsAccount(entry, ethers.getAddress(issuer)));
+  }
+  if (credentialId !== undefined) {
+    entries = entries.filter((entry) => entry.credentialId === Number(credentialId));
+  }
+
+  const timestamps = new Map();
+  const senders = new Map();
+  for (const entry of entries) {
+    if (!timestamps.has(entry.blockNumber)) {
+      timestamps.set(entry.blockNumber, (await provider.getBlock(entry.blockNumber)).timestamp);
+    }
+    if (!senders.has(entry.transactionHash)) {
+      senders.set(entry.transactionHash, (await provider.getTransaction(entry.transactionHash)).from);
+    }
+    entry.timestamp = timestamps.get(entry.blockNumber);
+    entry.date = formatDate(entry.timestamp);
+    entry.sender = senders.get(entry.transactionHash);
+    entry.actor = entry.actor || entry.sender;
+  }
+
+  const credentialTimelines = new Map();
+  for (const entry of entries.filter((candidate) => candidate.credentialId !== null)) {
+    if (!credentialTimelines.has(entry.credentialId)) {
+      const { credentialType = null, issuer: credentialIssuer = null, recipient = null } = credentials.get(entry.credentialId) || {};
+      credentialTimelines.set(entry.credentialId, {
+        credentialId: entry.credentialId,
+        credentialType,
+        issuer: credentialIssuer,
+        recipient,
+        timeline: [],
+      });
+    }
+    const credential = credentialTimelines.get(entry.credentialId);
+    credential.timeline.push(entry);
+    if (entry.event === "CredentialRecipientChanged") {
+      credential.recipient = entry.subject;
+    }
+  }
+
+  const issuerAddresses = new Set([
+    ...[...credentialTimelines.values()].map((credential) => credential.issuer).filter(Boolean),
+    ...entries.filter((entry) => entry.role === "ISSUER_ROLE").map((entry) => entry.subject),
+  ]);
+  const issuers = [...issuerAddresses].sort().map((address) => {
+    const timeline = entries.filter((entry) => concernsAccount(entry, address));
+    const count = (name) => timeline.filter((entry) => entry.event === name && entry.issuer === address).length;
+    return {
+      issuer: address,
+      credentialsIssued: count("CredentialIssued"),
+      revocations: count("CredentialRevoked"),
+      suspensions: count("CredentialSuspended"),
+      verifications: count("CredentialVerified"),
+      timeline,
+    };
+  });
+
+  const eventCounts = Object.fromEntries(AUDIT_EVENTS.map((name) => [
+    name,
+    entries.filter((entry) => entry.event === name).length,
+  ]));
+  const [fromBlockInfo, toBlockInfo] = first <= last
+    ? await Promise.all([provider.getBlock(first), provider.getBlock(last)])
+    : [null, null];
+
+  return {
+    registryAddress,
+    chainId: Number((await provider.getNetwork()).chainId),
+    generatedAt,
+    range: {
+      fromBlock: first,
+      toBlock: last,
+      fromDate: fromBlockInfo && formatDate(fromBlockInfo.timestamp),
+      toDate: toBlockInfo && formatDate(toBlockInfo.timestamp),
+    },
+    filters: { issuer: issuer ? ethers.getAddress(issuer) : null, credentialId: credentialId ?? null },
+    summary: {
+      entries: entries.length,
+      credentials: credentialTimelines.size,
+      issuers: issuers.length,
+      events: eventCounts,
+    },
+    entries,
+    credentials: [...credentialTimelines.values()].sort((a, b) => a.credentialId - b.credentialId),
+    issuers,
+  };
+}
+
+/**
+ * Serialize an audit report's entries to CSV, one line per event
+ * @param {object} report Report from `generateAuditReport`
+ * @returns {string} CSV text with `AUDIT_CSV_COLUMNS` as header
+ */
+function auditReportToCsv(report) {
+  return toCsv(report.entries, AUDIT_CSV_COLUMNS);
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function htmlTable(columns, rows) {
+  const header = columns.map(([label]) => `<th>${escapeHtml(label)}</th>`).join("");
+  const body = rows.map((row) =>
+    `<tr>${columns.map(([, value]) => `<td>${escapeHtml(value(row))}</td>`).join("")}</tr>`
+  ).join("\n");
+  return `<table>\n<thead><tr>${header}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+const TIMELINE_COLUMNS = [
+  ["Date", (entry) => entry.date],
+  ["Block", (entry) => entry.blockNumber],
+  ["Event", (entry) => entry.event],
+  ["Credential", (entry) => (entry.credentialId === null ? "" : `#${entry.credentialId} ${entry.credentialType || ""}`)],
+  ["Actor", (entry) => entry.actor],
+  ["Subject", (entry) => [entry.role, entry.subject].filter(Boolean).join(" ")],
+  ["Status", (entry) => (entry.newStatus ? [entry.oldStatus, entry.newStatus].filter(Boolean).join(" → ") : "")],
+  ["Reason", (entry) => entry.reason],
+  ["Detail", (entry) => entry.detail],
+  ["Transaction", (entry) => entry.transactionHash],
+];
+
+/**
+ * Render an audit report as a standalone HTML page, laid out to be printed or saved as PDF
+ * @param {object} report Report from `generateAuditReport`
+ * @returns {string} HTML document
+ */
+function auditReportToHtml(report) {
+  const { range, summary, filters } = report;
+  const overview = [
+    ["Registry", report.registryAddress],
+    ["Chain ID", report.chainId],
+    ["Blocks", `${range.fromBlock} – ${range.toBlock}`],
+    ["Period", range.fromDate ? `${range.fromDate} – ${range.toDate}` : "No blocks"],
+    ["Issuer filter", filters.issuer || "None"],
+    ["Credential filter", filters.credentialId === null ? "None" : `#${filters.credentialId}`],
+    ["Generated", report.generatedAt],
+  ];
+
+  const issuerSections = report.issuers.map((issuer) => `<section>
+<h3>${escapeHtml(issuer.issuer)}</h3>
+<p>Issued ${issuer.credentialsIssued}, revoked ${issuer.revocations}, suspended ${issuer.suspensions}, verified ${issuer.verifications}</p>
+${htmlTable(TIMELINE_COLUMNS, issuer.timeline)}
+</section>`);
+  const credentialSections = report.credentials.map((credential) => `<section>
+<h3>#${credential.credentialId} ${escapeHtml(credential.credentialType || "")}</h3>
+<p>Issuer ${escapeHtml(credential.issuer || "unknown")}, recipient ${escapeHtml(credential.recipient || "unknown")}</p>
+${htmlTable(TIMELINE_COLUMNS, credential.timeline)}
+</section>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Credential audit report, blocks ${range.fromBlock}–${range.toBlock}</title>
+<style>
+body { font-family: sans-serif; font-size: 12px; margin: 2em; color: #222; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 1em; }
+th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; word-break: break-all; }
+th { background: #f0f0f0; }
+section { margin-bottom: 1.5em; }
+@page { size: A4 landscape; margin: 1cm; }
+@media print { body { margin: 0; } section { page-break-inside: avoid; } h2 { page-break-before: always; } }
+</style>
+</head>
+<body>
+<h1>Credential audit report</h1>
+${htmlTable([["Field", (row) => row[0]], ["Value", (row) => row[1]]], overview)}
+<h2>Summary</h2>
+${htmlTable([["Event", (row) => row[0]], ["Count", (row) => row[1]]], Object.entries(summary.events))}
+<p>${summary.entries} events about ${summary.credentials} credentials and ${summary.issuers} issuers</p>
+<h2>Issuers</h2>
+${issuerSections.join("\n") || "<p>None</p>"}
+<h2>Credentials</h2>
+${credentialSections.join("\n") || "<p>None</p>"}
+</body>
+</html>
+`;
+}
+
+/**
+ * Serialize an audit report
+ * @param {object} report Report from `generateAuditReport`
+ * @param {string} format "csv", "json" or "html"
+ * @returns {string} File contents
+ */
+function formatAuditReport(report, format) {
+  switch (format) {
+    case "csv":
+      return auditReportToCsv(report);
+    case "json":
+      return JSON.stringify(report, null, 2) + "\n";
+    case "html":
+      return auditReportToHtml(report);
+    default:
+      throw new Error(`Unknown report format: ${format} (use ${AUDIT_REPORT_FORMATS.join(", ")})`);
+  }
+}
+
+module.exports = {
+  AUDIT_EVENTS,
+  AUDIT_CSV_COLUMNS,
+  AUDIT_REPORT_FORMATS,
+  findBlockByTimestamp,
+  generateAuditReport,
+  auditReportToCsv,
+  auditReportToHtml,
+  formatAuditReport,
+};
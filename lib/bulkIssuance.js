@@ -0,0 +1,390 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { parseCsv, toCsv } = require("./csv");
+const { computeDataHash, serializeCredentialData } = require("./credentials");
+const { describeContractError } = require("./errors");
+
+const CREDENTIAL_COLUMNS = ["recipient", "credentialType", "credentialData", "expiresAt", "metadataURI"];
+const RESULT_COLUMNS = ["row", "recipient", "credentialType", "status", "credentialId", "transactionHash", "error"];
+const JOURNAL_VERSION = 1;
+
+/**
+ * Parse an `expiresAt` value: empty means non-expiring, numbers are Unix seconds,
+ * anything else is parsed as a date (e.g. "2034-05-15")
+ * @param {string|number|undefined} value Raw value
+ * @returns {number} Unix timestamp in seconds, 0 for non-expiring, NaN if unparseable
+ */
+function parseExpiresAt(value) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return 0;
+  }
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text);
+  }
+  const millis = Date.parse(text);
+  return Number.isNaN(millis) ? NaN : Math.floor(millis / 1000);
+}
+
+/**
+ * Normalize one input record into `issueCredential` parameters. Columns other than
+ * the credential columns become the credential data when no `credentialData` column is given.
+ * @param {object} record Raw CSV or JSON record
+ * @returns {object} Credential parameters
+ */
+function normalizeIssuanceRow(record) {
+  const extraFields = Object.fromEntries(
+    Object.entries(record).filter(([column]) => !CREDENTIAL_COLUMNS.includes(column))
+  );
+
+  let credentialData = record.credentialData;
+  if (credentialData === undefined || credentialData === "") {
+    credentialData = Object.keys(extraFields).length > 0 ? extraFields : "";
+  }
+
+  return {
+    recipient: String(record.recipient || "").trim(),
+    credentialType: String(record.credentialType || "").trim(),
+    credentialData,
+    expiresAt: parseExpiresAt(record.expiresAt),
+    metadataURI: record.metadataURI ? String(record.metadataURI).trim() : "",
+  };
+}
+
+/**
+ * Load credentials to issue from a CSV or JSON file
+ * @param {string} filePath `.json` files must hold an array of records; anything else is read as CSV
+ * @returns {Array<object>} Normalized credential parameters, in file order
+ */
+function loadIssuanceRows(filePath) {
+  const text = fs.readFileSync(filePath, "utf8");
+  if (path.extname(filePath).toLowerCase() === ".json") {
+    const records = JSON.parse(text);
+    if (!Array.isArray(records)) {
+      throw new Error(`${filePath} must contain a JSON array of credentials`);
+    }
+    return records.map(normalizeIssuanceRow);
+  }
+  return parseCsv(text).map(normalizeIssuanceRow);
+}
+
+/**
+ * Validate rows without touching the chain: address checksum, required fields,
+ * future expiry and duplicates within the input
+ * @param {Array<object>} rows Normalized credential parameters
+ * @param {object} options
+ * @param {number} options.now Current timestamp in seconds (use the latest block time)
+ * @returns {Array<{recipient: string|null, dataHash: string|null, error: string|null}>}
+ * One entry per row; `recipient` is the checksummed address
+ */
+function validateIssuanceRows(rows, { now }) {
+  const firstRowByHash = new Map();
+
+  return rows.map((row, index) => {
+    const invalid = (error) => ({ recipient: null, dataHash: null, error });
+
+    let recipient;
+    try {
+      recipient = ethers.getAddress(row.recipient);
+    } catch (e) {
+      return invalid("Invalid recipient address (bad format or checksum)");
+    }
+    if (recipient === ethers.ZeroAddress) {
+      return invalid("Recipient cannot be the zero address");
+    }
+    if (row.credentialType === "") {
+      return invalid("Missing credential type");
+    }
+    if (serializeCredentialData(row.credentialData) === "" ||
+        (typeof row.credentialData === "object" && Object.keys(row.credentialData).length === 0)) {
+      return invalid("Missing credential data");
+    }
+    if (Number.isNaN(row.expiresAt)) {
+      return invalid("Invalid expiration date");
+    }
+    if (row.expiresAt !== 0 && row.expiresAt <= now) {
+      return invalid("Expiration date is not in the future");
+    }
+
+    const dataHash = computeDataHash(row.credentialData, recipient, row.credentialType);
+    if (firstRowByHash.has(dataHash)) {
+      return { recipient, dataHash, error: `Duplicate of row ${firstRowByHash.get(dataHash) + 1}` };
+    }
+    firstRowByHash.set(dataHash, index);
+
+    return { recipient, dataHash, error: null };
+  });
+}
+
+/**
+ * Write bulk issuance results as JSON (for `.json` paths) or CSV
+ * @param {string} filePath Output path
+ * @param {Array<object>} results Results returned by `BulkIssuer.run`
+ */
+function writeIssuanceResults(filePath, results) {
+  const content = path.extname(filePath).toLowerCase() === ".json"
+    ? JSON.stringify(results, null, 2) + "\n"
+    : toCsv(results, RESULT_COLUMNS);
+  fs.writeFileSync(filePath, content);
+}
+
+/**
+ * Issues large sets of credentials in gas-bounded batches, recording progress in a
+ * journal file so that an interrupted run can be resumed without issuing twice.
+ *
+ * Journal entries move pending -> submitted (transaction hash known) -> issued | failed.
+ * On resume, submitted entries are reconciled against their transaction receipt, failed
+ * entries are retried, and every pending row is re-checked against `usedHashes`.
+ */
+class BulkIssuer {
+  /**
+   * @param {CredentialClient} client Client connected with an ISSUER_ROLE signer
+   * @param {object} options
+   * @param {string} options.journalPath Path of the progress journal
+   * @param {number} [options.chunkSize=50] Maximum credentials per transaction
+   * @param {number} [options.maxGasPerTransaction=10000000] Chunks estimated above this are split
+   * @param {Function} [options.onProgress] Called with `{ issued, failed, total }` after each chunk
+   */
+  constructor(client, { journalPath, chunkSize = 50, maxGasPerTransaction = 10_000_000, onProgress } = {}) {
+    if (!journalPath) {
+      throw new Error("journalPath is required");
+    }
+    if (!(chunkSize > 0)) {
+      throw new Error("chunkSize must be a positive number");
+    }
+
+    this.client = client;
+    this.journalPath = journalPath;
+    this.chunkSize = chunkSize;
+    this.maxGasPerTransaction = BigInt(maxGasPerTransaction);
+    this.onProgress = onProgress || (() => {});
+  }
+
+  /**
+   * Validate rows against the input rules and the registry's `usedHashes`, without issuing
+   * @param {Array<object>} rows Normalized credential parameters
+   * @returns {Promise<Array<{recipient: string|null, dataHash: string|null, error: string|null}>>}
+   */
+  async validate(rows) {
+    const validation = validateIssuanceRows(rows, { now: await this._now() });
+    const schemaErrors = await this.client.checkCredentialSchemas(rows);
+    for (const [index, entry] of validation.entries()) {
+      if (!entry.error && schemaErrors[index]) {
+        entry.error = schemaErrors[index];
+      } else if (!entry.error && (await this.client.isDataHashUsed(entry.dataHash))) {
+        entry.error = "Credential already issued (data hash is in usedHashes)";
+      }
+    }
+    return validation;
+  }
+
+  /**
+   * Issue all rows not yet issued according to the journal
+   * @param {Array<object>} rows Normalized credential parameters
+   * @returns {Promise<Array<object>>} One result per row: row number, status, credential ID or error
+   */
+  async run(rows) {
+    const journal = this._loadJournal(rows);
+    await this._reconcile(journal);
+
+    for (const entry of journal.rows) {
+      if (entry.status === "failed") {
+        Object.assign(entry, { status: "pending", error: null });
+      }
+    }
+
+    const validation = validateIssuanceRows(rows, { now: await this._now() });
+    const schemaErrors = await this.client.checkCredentialSchemas(rows);
+    const queue = [];
+    for (const [index, entry] of journal.rows.entries()) {
+      if (entry.status !== "pending") {
+        continue;
+      }
+      const { dataHash, error } = validation[index];
+      if (error || schemaErrors[index]) {
+        Object.assign(entry, { status: "failed", error: error || schemaErrors[index] });
+      } else if (await this.client.isDataHashUsed(dataHash)) {
+        Object.assign(entry, { status: "failed", error: "Credential already issued (data hash is in usedHashes)" });
+      } else {
+        queue.push(index);
+      }
+    }
+    this._saveJournal(journal);
+
+    const chunks = [];
+    for (let i = 0; i < queue.length; i += this.chunkSize) {
+      chunks.push(queue.slice(i, i + this.chunkSize));
+    }
+
+    while (chunks.length > 0) {
+      const indices = chunks.shift();
+      const credentials = indices.map((index) => ({ ...rows[index], recipient: validation[index].recipient }));
+
+      let gas;
+      try {
+        gas = await this.client.estimateBatchIssueGas(credentials);
+      } catch (error) {
+        if (indices.length > 1) {
+          // Split to isolate the row that makes the batch revert
+          chunks.unshift(...halve(indices));
+        } else {
+          this._markFailed(journal, indices, describeContractError(error));
+          this._reportProgress(journal);
+        }
+        continue;
+      }
+
+      if (gas > this.maxGasPerTransaction && indices.length > 1) {
+        chunks.unshift(...halve(indices));
+        continue;
+      }
+
+      await this._issueChunk(journal, indices, credentials);
+      this._reportProgress(journal);
+    }
+
+    return journal.rows.map((entry, index) => ({
+      row: index + 1,
+      recipient: rows[index].recipient,
+      credentialType: rows[index].credentialType,
+      status: entry.status,
+      credentialId: entry.credentialId,
+      transactionHash: entry.transactionHash,
+      error: entry.error,
+    }));
+  }
+
+  async _issueChunk(journal, indices, credentials) {
+    let submitted = false;
+    try {
+      const { credentialIds, transactionHash } = await this.client.batchIssueCredentials(credentials, {
+        onSubmitted: (tx) => {
+          submitted = true;
+          for (const index of indices) {
+            Object.assign(journal.rows[index], { status: "submitted", transactionHash: tx.hash });
+          }
+          this._saveJournal(journal);
+        },
+      });
+
+      indices.forEach((index, position) => {
+        Object.assign(journal.rows[index], {
+          status: "issued",
+          credentialId: credentialIds[position],
+          transactionHash,
+          error: null,
+        });
+      });
+      this._saveJournal(journal);
+    } catch (error) {
+      // A submitted transaction that did not revert may still be mined: keep it
+      // journaled as submitted and let a resumed run reconcile it
+      if (submitted && error.code !== "CALL_EXCEPTION") {
+        throw error;
+      }
+      this._markFailed(journal, indices, describeContractError(error));
+    }
+  }
+
+  async _reconcile(journal) {
+    const provider = this._provider();
+    const submittedHashes = new Set(
+      journal.rows.filter((entry) => entry.status === "submitted").map((entry) => entry.transactionHash)
+    );
+
+    for (const transactionHash of submittedHashes) {
+      let receipt = await provider.getTransactionReceipt(transactionHash);
+      if (!receipt) {
+        const tx = await provider.getTransaction(transactionHash);
+        if (tx) {
+          receipt = await tx.wait().catch((error) => error.receipt || null);
+        }
+      }
+
+      const indices = journal.rows
+        .map((entry, index) => (entry.transactionHash === transactionHash && entry.status === "submitted" ? index : -1))
+        .filter((index) => index !== -1);
+
+      if (receipt && receipt.status === 1) {
+        const credentialIds = this.client.getIssuedCredentialIds(receipt);
+        indices.forEach((index, position) => {
+          Object.assign(journal.rows[index], { status: "issued", credentialId: credentialIds[position], error: null });
+        });
+      } else {
+        // Dropped or reverted: the rows were not issued and can be retried
+        for (const index of indices) {
+          Object.assign(journal.rows[index], { status: "pending", transactionHash: null });
+        }
+      }
+    }
+    this._saveJournal(journal);
+  }
+
+  _loadJournal(rows) {
+    const inputHash = ethers.id(JSON.stringify(rows));
+    const registryAddress = this.client.registry.target;
+
+    if (fs.existsSync(this.journalPath)) {
+      const journal = JSON.parse(fs.readFileSync(this.journalPath, "utf8"));
+      if (journal.inputHash !== inputHash) {
+        throw new Error(`Journal ${this.journalPath} was written for a different input file`);
+      }
+      if (journal.registryAddress.toLowerCase() !== registryAddress.toLowerCase()) {
+        throw new Error(`Journal ${this.journalPath} was written for registry ${journal.registryAddress}`);
+      }
+      return journal;
+    }
+
+    return {
+      version: JOURNAL_VERSION,
+      inputHash,
+      registryAddress,
+      rows: rows.map(() => ({ status: "pending", credentialId: null, transactionHash: null, error: null })),
+    };
+  }
+
+  _saveJournal(journal) {
+    // Write then rename so an interrupted write never leaves a truncated journal
+    const tempPath = `${this.journalPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(journal, null, 2));
+    fs.renameSync(tempPath, this.journalPath);
+  }
+
+  _markFailed(journal, indices, error) {
+    for (const index of indices) {
+      Object.assign(journal.rows[index], { status: "failed", transactionHash: null, error });
+    }
+    this._saveJournal(journal);
+  }
+
+  _reportProgress(journal) {
+    this.onProgress({
+      issued: journal.rows.filter((entry) => entry.status === "issued").length,
+      failed: journal.rows.filter((entry) => entry.status === "failed").length,
+      total: journal.rows.length,
+    });
+  }
+
+  _provider() {
+    return this.client.runner.provider || this.client.runner;
+  }
+
+  async _now() {
+    return (await this._provider().getBlock("latest")).timestamp;
+  }
+}
+
+function halve(indices) {
+  const middle = Math.ceil(indices.length / 2);
+  return [indices.slice(0, middle), indices.slice(middle)];
+}
+
+module.exports = {
+  BulkIssuer,
+  loadIssuanceRows,
+  normalizeIssuanceRow,
+  validateIssuanceRows,
+  writeIssuanceResults,
+  parseExpiresAt,
+};
@@ -0,0 +1,50 @@
+// Mirrors CredentialConsent.ConsentStatus; order must match the Solidity enum
+const ConsentStatus = Object.freeze({
+  None: 0,
+  Pending: 1,
+  Accepted: 2,
+  Rejected: 3,
+  Expired: 4,
+  Disowned: 5,
+});
+
+const CONSENT_STATUS_NAMES = Object.freeze(
+  Object.fromEntries(Object.entries(ConsentStatus).map(([name, value]) => [value, name]))
+);
+
+// Must match CredentialConsent.CONSENT_REQUEST_TYPEHASH
+const CONSENT_REQUEST_TYPES = {
+  ConsentRequest: [
+    { name: "credentialId", type: "uint256" },
+    { name: "accept", type: "bool" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * Decode a `CredentialConsent.Consent` struct into a plain object
+ * @param {number} credentialId ID of the credential
+ * @param {object} consent Consent as returned by ethers
+ * @returns {object} Decoded consent; `counts` is false while the credential does not count for its recipient
+ */
+function decodeConsent(credentialId, consent) {
+  const status = Number(consent.status);
+  return {
+    credentialId: Number(credentialId),
+    status,
+    statusName: CONSENT_STATUS_NAMES[status] || "Unknown",
+    counts: status === ConsentStatus.None || status === ConsentStatus.Accepted,
+    offeredAt: Number(consent.offeredAt),
+    offerExpiresAt: Number(consent.offerExpiresAt),
+    decidedAt: Number(consent.decidedAt),
+    hidden: consent.hidden,
+  };
+}
+
+module.exports = {
+  ConsentStatus,
+  CONSENT_STATUS_NAMES,
+  CONSENT_REQUEST_TYPES,
+  decodeConsent,
+};
@@ -0,0 +1,100 @@
+// Mirrors CredentialRegistry.CredentialStatus; order must match the Solidity enum
+const CredentialStatus = Object.freeze({
+  Active: 0,
+  Revoked: 1,
+  Suspended: 2,
+  Expired: 3,
+  Superseded: 4,
+});
+
+const STATUS_NAMES = Object.freeze(
+  Object.fromEntries(Object.entries(CredentialStatus).map(([name, value]) => [value, name]))
+);
+
+// Mirrors the transitions CredentialRegistry allows. Revoked is only reached through
+// revokeCredential and is final; Expired is never set, it follows from expiresAt;
+// Superseded is set by renewCredential and amendCredential.
+const STATUS_TRANSITIONS = Object.freeze({
+  [CredentialStatus.Active]: Object.freeze([CredentialStatus.Suspended, CredentialStatus.Revoked, CredentialStatus.Superseded]),
+  [CredentialStatus.Suspended]: Object.freeze([CredentialStatus.Active, CredentialStatus.Revoked]),
+  [CredentialStatus.Revoked]: Object.freeze([]),
+  [CredentialStatus.Expired]: Object.freeze([CredentialStatus.Revoked, CredentialStatus.Superseded]),
+  [CredentialStatus.Superseded]: Object.freeze([CredentialStatus.Revoked]),
+});
+
+const ROLE_NAMES = Object.freeze([
+  "DEFAULT_ADMIN_ROLE",
+  "ISSUER_ROLE",
+  "VERIFIER_ROLE",
+  "REVOKER_ROLE",
+  "UPGRADER_ROLE",
+  "ACCREDITOR_ROLE",
+  "MIGRATOR_ROLE",
+]);
+
+/**
+ * Resolve a role name such as "issuer", "ISSUER" or "ISSUER_ROLE" to its constant name
+ * @param {string} role Role name; "admin" maps to DEFAULT_ADMIN_ROLE
+ * @returns {string} Role constant name as exposed by the registry
+ */
+function parseRoleName(role) {
+  const normalized = String(role).toUpperCase().replace(/-/g, "_");
+  const name = normalized === "ADMIN" ? "DEFAULT_ADMIN_ROLE" : normalized.replace(/(_ROLE)?$/, "_ROLE");
+  if (!ROLE_NAMES.includes(name)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+  return name;
+}
+
+/**
+ * Convert a numeric credential status to its name
+ * @param {number|bigint} status Status value as returned by the contract
+ * @returns {string} Status name, or "Unknown" for unrecognised values
+ */
+function getStatusName(status) {
+  return STATUS_NAMES[Number(status)] || "Unknown";
+}
+
+/**
+ * Convert a status name (case-insensitive) or number to the numeric enum value
+ * @param {string|number|bigint} status Status name or value
+ * @returns {number} Numeric status value
+ */
+function parseStatus(status) {
+  if (typeof status === "number" || typeof status === "bigint") {
+    const value = Number(status);
+    if (STATUS_NAMES[value] === undefined) {
+      throw new Error(`Unknown credential status: ${status}`);
+    }
+    return value;
+  }
+
+  const name = Object.keys(CredentialStatus).find(
+    (key) => key.toLowerCase() === String(status).toLowerCase()
+  );
+  if (name === undefined) {
+    throw new Error(`Unknown credential status: ${status}`);
+  }
+  return CredentialStatus[name];
+}
+
+/**
+ * Check whether the registry lets a credential move from one status to another
+ * @param {string|number|bigint} from Current (effective) status name or value
+ * @param {string|number|bigint} to Requested status name or value
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(from, to) {
+  return STATUS_TRANSITIONS[parseStatus(from)].includes(parseStatus(to));
+}
+
+module.exports = {
+  CredentialStatus,
+  STATUS_NAMES,
+  STATUS_TRANSITIONS,
+  ROLE_NAMES,
+  getStatusName,
+  parseStatus,
+  canTransition,
+  parseRoleName,
+};
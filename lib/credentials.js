@@ -0,0 +1,124 @@
+const { ethers } = require("ethers");
+const { getStatusName } = require("./constants");
+
+/**
+ * Parse the `credentialData` string stored on-chain
+ * @param {string} credentialData Raw credential data (JSON or IPFS hash)
+ * @returns {object|null} Parsed JSON, or null when the data is not JSON
+ */
+function parseCredentialData(credentialData) {
+  try {
+    return JSON.parse(credentialData);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Encode a JSON value canonically: object keys sorted, no whitespace. The same data
+ * always produces the same string, and therefore the same `dataHash`.
+ * @param {*} value JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+function canonicalizeJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalizeJson).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalizeJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Serialize credential data for `issueCredential`; strings are passed through unchanged
+ * and objects are encoded as canonical JSON
+ * @param {string|object} credentialData Credential data
+ * @returns {string} Serialized credential data
+ */
+function serializeCredentialData(credentialData) {
+  return typeof credentialData === "string" ? credentialData : canonicalizeJson(credentialData);
+}
+
+/**
+ * Compute the `dataHash` the registry derives for a credential, as checked against `usedHashes`
+ * @param {string|object} credentialData Credential data; objects are canonically JSON encoded
+ * @param {string} recipient Recipient address
+ * @param {string} credentialType Credential type
+ * @returns {string} keccak256(abi.encodePacked(credentialData, recipient, credentialType))
+ */
+function computeDataHash(credentialData, recipient, credentialType) {
+  return ethers.solidityPackedKeccak256(
+    ["string", "address", "string"],
+    [serializeCredentialData(credentialData), recipient, credentialType]
+  );
+}
+
+/**
+ * Decode a `CredentialRegistry.Credential` struct into a plain object
+ * @param {object} credential Credential struct as returned by ethers
+ * @returns {object} Decoded credential with named status and parsed data
+ */
+function decodeCredential(credential) {
+  return {
+    id: Number(credential.id),
+    issuer: credential.issuer,
+    recipient: credential.recipient,
+    credentialType: credential.credentialType,
+    credentialData: credential.credentialData,
+    data: parseCredentialData(credential.credentialData),
+    issuedAt: Number(credential.issuedAt),
+    expiresAt: Number(credential.expiresAt),
+    status: Number(credential.status),
+    statusName: getStatusName(credential.status),
+    dataHash: credential.dataHash,
+    metadataURI: credential.metadataURI,
+  };
+}
+
+/**
+ * Decode a `CredentialRegistry.IssuerProfile` struct into a plain object
+ * @param {object} profile Issuer profile as returned by ethers
+ * @returns {object} Decoded issuer profile
+ */
+function decodeIssuerProfile(profile) {
+  return {
+    name: profile.name,
+    description: profile.description,
+    website: profile.website,
+    logoURI: profile.logoURI,
+    isActive: profile.isActive,
+    credentialsIssued: Number(profile.credentialsIssued),
+  };
+}
+
+/**
+ * Decode a `CredentialRegistry.MerkleBatch` struct into a plain object
+ * @param {object} batch Merkle batch as returned by ethers
+ * @returns {object} Decoded batch
+ */
+function decodeMerkleBatch(batch) {
+  return {
+    id: Number(batch.id),
+    issuer: batch.issuer,
+    root: batch.root,
+    leafCount: Number(batch.leafCount),
+    anchoredAt: Number(batch.anchoredAt),
+    revoked: batch.revoked,
+    metadataURI: batch.metadataURI,
+  };
+}
+
+module.exports = {
+  parseCredentialData,
+  canonicalizeJson,
+  serializeCredentialData,
+  computeDataHash,
+  decodeCredential,
+  decodeIssuerProfile,
+  decodeMerkleBatch,
+};
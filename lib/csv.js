@@ -0,0 +1,77 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+ * @param {string} text CSV text whose first line is the header
+ * @returns {Array<object>} One object per data line, keyed by header column
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((r) => r.length > 1 || r[0] !== "");
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const header = nonEmpty[0].map((column) => column.trim());
+  return nonEmpty.slice(1).map((values) =>
+    Object.fromEntries(header.map((column, index) => [column, values[index] !== undefined ? values[index] : ""]))
+  );
+}
+
+function escapeCsvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize objects to CSV
+ * @param {Array<object>} rows Rows to serialize
+ * @param {string[]} columns Column names, in order
+ * @returns {string} CSV text with a header line
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map(escapeCsvField).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCsvField(row[column])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = { parseCsv, toCsv };
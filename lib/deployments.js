@@ -0,0 +1,101 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Path of the deployment file written by `scripts/deploy.js` for a network
+ * @param {string} networkName Hardhat network name
+ * @param {string} [root=process.cwd()] Project root
+ * @returns {string} Absolute path of the deployment file
+ */
+function getDeploymentPath(networkName, root = process.cwd()) {
+  return path.resolve(root, "deployments", `${networkName}_deployment.json`);
+}
+
+/**
+ * Read a deployment file written by `scripts/deploy.js`
+ * @param {string} filePath Path of the deployment file
+ * @returns {object} Parsed deployment info
+ */
+function loadDeployment(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Deployment file not found: ${filePath}; run scripts/deploy.js for this network first`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Write deployment info, creating the deployments directory if needed
+ * @param {string} filePath Path of the deployment file
+ * @param {object} deployment Deployment info
+ */
+function saveDeployment(filePath, deployment) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(deployment, null, 2));
+}
+
+/**
+ * Record a new implementation of a proxied contract. The entry becomes the contract's current
+ * `implementation` and is appended to its `implementationHistory`.
+ * @param {object} deployment Parsed deployment info; modified in place
+ * @param {string} contractName Proxied contract, e.g. "CredentialRegistry"
+ * @param {object} entry Implementation details
+ * @param {string} entry.implementation Implementation address
+ * @param {string} [entry.contractName] Name of the implementation contract, when it differs from the proxy's
+ * @param {string} [entry.version] Value of the implementation's `version()`
+ * @param {string} [entry.transactionHash] Transaction that deployed or upgraded the proxy
+ * @param {number} [entry.blockNumber] Block of that transaction
+ * @returns {object} The updated contract entry
+ */
+function recordImplementation(deployment, contractName, entry) {
+  const contract = deployment.contracts && deployment.contracts[contractName];
+  if (!contract) {
+    throw new Error(`Deployment info does not contain ${contractName}`);
+  }
+  contract.implementation = entry.implementation;
+  contract.implementationHistory = [
+    ...(contract.implementationHistory || []),
+    { ...entry, timestamp: new Date().toISOString() },
+  ];
+  return contract;
+}
+
+/**
+ * Extract the contract addresses expected by `CredentialClient` from deployment info
+ * @param {object} deployment Parsed deployment info
+ * @returns {{registryAddress: string, verifierAddress: string|undefined, schemaRegistryAddress: string|undefined,
+ *   accreditationAddress: string|undefined, typeAuthorizationAddress: string|undefined,
+ *   consentAddress: string|undefined, migrationAddress: string|undefined, multisigAddress: string|undefined}}
+ */
+function getContractAddresses(deployment) {
+  const {
+    CredentialRegistry,
+    CredentialVerifier,
+    CredentialSchemaRegistry,
+    IssuerAccreditation,
+    CredentialTypeAuthorization,
+    CredentialConsent,
+    CredentialMigration,
+    CredentialMultisig,
+  } = deployment.contracts || {};
+  if (!CredentialRegistry || !CredentialRegistry.address) {
+    throw new Error("Deployment info does not contain a CredentialRegistry address");
+  }
+  return {
+    registryAddress: CredentialRegistry.address,
+    verifierAddress: CredentialVerifier ? CredentialVerifier.address : undefined,
+    schemaRegistryAddress: CredentialSchemaRegistry ? CredentialSchemaRegistry.address : undefined,
+    accreditationAddress: IssuerAccreditation ? IssuerAccreditation.address : undefined,
+    typeAuthorizationAddress: CredentialTypeAuthorization ? CredentialTypeAuthorization.address : undefined,
+    consentAddress: CredentialConsent ? CredentialConsent.address : undefined,
+    migrationAddress: CredentialMigration ? CredentialMigration.address : undefined,
+    multisigAddress: CredentialMultisig ? CredentialMultisig.address : undefined,
+  };
+}
+
+module.exports = {
+  getDeploymentPath,
+  loadDeployment,
+  saveDeployment,
+  recordImplementation,
+  getContractAddresses,
+};
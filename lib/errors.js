@@ -0,0 +1,17 @@
+/**
+ * Describe a failed contract call in one line, preferring the decoded custom error
+ * @param {Error} error Error thrown by ethers
+ * @returns {string} e.g. "DuplicateCredentialData()" or the revert/shortMessage text
+ */
+function describeContractError(error) {
+  if (error && error.revert && error.revert.name) {
+    const args = Array.from(error.revert.args || []).map(String);
+    return `${error.revert.name}(${args.join(", ")})`;
+  }
+  if (error && error.reason) {
+    return error.reason;
+  }
+  return (error && (error.shortMessage || error.message)) || String(error);
+}
+
+module.exports = { describeContractError };
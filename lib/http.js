@@ -0,0 +1,108 @@
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Error returned to API clients as `{ error: { code, message, ...details } }`
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} statusCode HTTP status code
+   * @param {string} code Machine-readable error code, e.g. "CredentialNotFound"
+   * @param {string} message Human-readable message
+   * @param {object} [details] Extra fields included in the error body
+   */
+  constructor(statusCode, code, message, details = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Create a JSON request handler from a route table. Errors are returned as
+ * `{ error: { code, message, ...details } }`; unexpected ones as a 500 InternalError.
+ * @param {Array<{method: string, pattern: RegExp, handle: Function}>} routes Routes; `handle` is
+ *   called with the decoded pattern captures and `{ query, body }` and returns the response body
+ * @param {object} [options]
+ * @param {Function} [options.onError] Called with unexpected errors; ignored by default
+ * @returns {Function} `(req, res)` handler for `http.createServer`
+ */
+function createJsonHandler(routes, { onError = () => {} } = {}) {
+  return async function handleRequest(req, res) {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204).end();
+      return;
+    }
+
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const pathname = url.pathname.replace(/\/+$/, "") || "/";
+      const matching = routes
+        .map((route) => ({ route, match: route.pattern.exec(pathname) }))
+        .filter(({ match }) => match);
+
+      if (matching.length === 0) {
+        throw new ApiError(404, "NotFound", `No route for ${pathname}`);
+      }
+      const found = matching.find(({ route }) => route.method === req.method);
+      if (!found) {
+        throw new ApiError(405, "MethodNotAllowed", `${req.method} is not supported for ${pathname}`);
+      }
+
+      const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+      const result = await found.route.handle(found.match.slice(1).map(decodePathParameter), {
+        query: url.searchParams,
+        body,
+      });
+      sendJson(res, 200, result);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        sendJson(res, error.statusCode, { error: { code: error.code, message: error.message, ...error.details } });
+        return;
+      }
+      onError(error);
+      sendJson(res, 500, { error: { code: "InternalError", message: "Internal server error" } });
+    }
+  };
+}
+
+function decodePathParameter(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    throw new ApiError(400, "InvalidRequest", `Malformed URL encoding: ${value}`, { parameter: value });
+  }
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+async function readJsonBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new ApiError(413, "PayloadTooLarge", "Request body is too large");
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8") || "null");
+  } catch (e) {
+    throw new ApiError(400, "InvalidJson", "Request body is not valid JSON");
+  }
+}
+
+module.exports = {
+  ApiError,
+  createJsonHandler,
+};
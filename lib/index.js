@@ -0,0 +1,58 @@
+const { CredentialClient } = require("./CredentialClient");
+const constants = require("./constants");
+const credentials = require("./credentials");
+const deployments = require("./deployments");
+const bulkIssuance = require("./bulkIssuance");
+const verifiableCredentials = require("./verifiableCredentials");
+const offchainCredentials = require("./offchainCredentials");
+const metaTransactions = require("./metaTransactions");
+const merkleBatches = require("./merkleBatches");
+const statusList = require("./statusList");
+const schemas = require("./schemas");
+const accreditation = require("./accreditation");
+const consent = require("./consent");
+const migration = require("./migration");
+const multisig = require("./multisig");
+const roles = require("./roles");
+const auditReport = require("./auditReport");
+const privateCredentials = require("./privateCredentials");
+const selectiveDisclosure = require("./selectiveDisclosure");
+const { CredentialIndexer, INDEXED_EVENTS } = require("./indexer");
+const { JsonIndexStore, getIndexPath } = require("./indexStore");
+const { ApiError, createApiHandler, createApiServer } = require("./api");
+const { loadAbi } = require("./abi");
+const { parseCsv, toCsv } = require("./csv");
+const { describeContractError } = require("./errors");
+
+module.exports = {
+  CredentialClient,
+  ...constants,
+  ...credentials,
+  ...deployments,
+  ...bulkIssuance,
+  ...verifiableCredentials,
+  ...offchainCredentials,
+  ...metaTransactions,
+  ...merkleBatches,
+  ...statusList,
+  ...schemas,
+  ...accreditation,
+  ...consent,
+  ...migration,
+  ...multisig,
+  ...roles,
+  ...auditReport,
+  ...privateCredentials,
+  ...selectiveDisclosure,
+  CredentialIndexer,
+  INDEXED_EVENTS,
+  JsonIndexStore,
+  getIndexPath,
+  ApiError,
+  createApiHandler,
+  createApiServer,
+  loadAbi,
+  parseCsv,
+  toCsv,
+  describeContractError,
+};
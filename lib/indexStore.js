@@ -0,0 +1,78 @@
+const fs = require("fs");
+const path = require("path");
+
+const STORE_VERSION = 1;
+
+/**
+ * Path of the default index file for a network
+ * @param {string} networkName Hardhat network name
+ * @param {string} [root=process.cwd()] Project root
+ * @returns {string} Absolute path of the index file
+ */
+function getIndexPath(networkName, root = process.cwd()) {
+  return path.resolve(root, "indexes", `${networkName}_index.json`);
+}
+
+/**
+ * Local store for indexed registry events, persisted as a single JSON file.
+ *
+ * The store only keeps the raw events and the sync checkpoint; query views are
+ * rebuilt from the events by `CredentialIndexer`, so rolling back a reorg is just
+ * dropping the events of the orphaned blocks.
+ */
+class JsonIndexStore {
+  /**
+   * @param {string|null} filePath Index file; null keeps the index in memory only
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Load the index, or return an empty one when the file does not exist yet
+   * @param {string} registryAddress Registry the index must belong to
+   * @returns {object} {version, registryAddress, lastSyncedBlock, lastSyncedBlockHash, events}
+   */
+  load(registryAddress) {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return {
+        version: STORE_VERSION,
+        registryAddress,
+        lastSyncedBlock: null,
+        lastSyncedBlockHash: null,
+        events: [],
+      };
+    }
+
+    const state = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    if (state.version !== STORE_VERSION) {
+      throw new Error(`Index ${this.filePath} has unsupported version ${state.version}`);
+    }
+    if (registryAddress && state.registryAddress.toLowerCase() !== registryAddress.toLowerCase()) {
+      throw new Error(
+        `Index ${this.filePath} belongs to registry ${state.registryAddress}, not ${registryAddress}`
+      );
+    }
+    return state;
+  }
+
+  /**
+   * Persist the index; a no-op for in-memory stores
+   * @param {object} state Index state returned by `load`
+   */
+  save(state) {
+    if (!this.filePath) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    // Write then rename so an interrupted sync never leaves a truncated index
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = {
+  JsonIndexStore,
+  getIndexPath,
+};
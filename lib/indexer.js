@@ -0,0 +1,450 @@
+const { ethers } = require("ethers");
+const { loadAbi } = require("./abi");
+const { CredentialStatus, getStatusName, parseStatus } = require("./constants");
+const { JsonIndexStore } = require("./indexStore");
+
+const INDEXED_EVENTS = [
+  "CredentialIssued",
+  "CredentialRevoked",
+  "CredentialStatusUpdated",
+  "CredentialSuspended",
+  "CredentialSuperseded",
+  "CredentialRecipientChanged",
+  "IssuerProfileUpdated",
+  "CredentialVerified",
+];
+
+/**
+ * Convert decoded event arguments into a JSON-serializable object keyed by parameter name
+ * @param {ethers.LogDescription} event Parsed log
+ * @returns {object} Arguments; integers (ids, timestamps, enums) become Numbers
+ */
+function eventArgsToObject(event) {
+  return Object.fromEntries(
+    event.fragment.inputs.map((input, index) => {
+      const value = event.args[index];
+      return [input.name, typeof value === "bigint" ? Number(value) : value];
+    })
+  );
+}
+
+/**
+ * Off-chain index of CredentialRegistry events with a queryable view of credentials and issuers.
+ *
+ * `sync()` pulls new logs from the last checkpoint (initially the registry's deployment
+ * block) and detects reorgs by re-checking stored block hashes, dropping events from
+ * orphaned blocks before continuing. Queries run against the local store only.
+ */
+class CredentialIndexer {
+  /**
+   * @param {ethers.Provider|null} provider Provider used by `sync`; may be null for query-only use
+   * @param {object} options Indexer options
+   * @param {string} options.registryAddress CredentialRegistry address
+   * @param {number} [options.startBlock=0] First block to index (the registry deployment block)
+   * @param {JsonIndexStore} [options.store] Event store; defaults to an in-memory store
+   * @param {number} [options.batchSize=2000] Maximum block range per `eth_getLogs` request
+   * @param {number} [options.confirmations=0] Blocks to stay behind the chain head
+   */
+  constructor(provider, { registryAddress, startBlock = 0, store, batchSize = 2000, confirmations = 0 } = {}) {
+    if (!registryAddress) {
+      throw new Error("registryAddress is required");
+    }
+
+    this.provider = provider;
+    this.registryAddress = ethers.getAddress(registryAddress);
+    this.startBlock = startBlock;
+    this.store = store || new JsonIndexStore(null);
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+    this.interface = new ethers.Interface(loadAbi("CredentialRegistry"));
+
+    this.state = this.store.load(this.registryAddress);
+    this._rebuildViews();
+  }
+
+  // ---------------------------------------------------------------------
+  // Syncing
+  // ---------------------------------------------------------------------
+
+  /**
+   * Index all events up to the chain head (minus `confirmations`) and persist the store
+   * @returns {Promise<{fromBlock: number, toBlock: number|null, newEvents: number, removedEvents: number}>}
+   */
+  async sync() {
+    if (!this.provider) {
+      throw new Error("A provider is required to sync the index");
+    }
+
+    const removedEvents = await this._rollbackReorg();
+    const head = await this.provider.getBlockNumber();
+    const targetBlock = head - this.confirmations;
+    const fromBlock = this.state.lastSyncedBlock === null
+      ? this.startBlock
+      : this.state.lastSyncedBlock + 1;
+
+    let newEvents = 0;
+    for (let from = fromBlock; from <= targetBlock; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, targetBlock);
+      const logs = await this.provider.getLogs({
+        address: this.registryAddress,
+        fromBlock: from,
+        toBlock: to,
+      });
+
+      for (const log of logs) {
+        const event = this.interface.parseLog(log);
+        if (!event || !INDEXED_EVENTS.includes(event.name)) {
+          continue;
+        }
+        this.state.events.push({
+          name: event.name,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          transactionHash: log.transactionHash,
+          logIndex: log.index,
+          args: eventArgsToObject(event),
+        });
+        newEvents++;
+      }
+
+      const block = await this.provider.getBlock(to);
+      this.state.lastSyncedBlock = to;
+      this.state.lastSyncedBlockHash = block.hash;
+    }
+
+    this.store.save(this.state);
+    this._rebuildViews();
+
+    return {
+      fromBlock,
+      toBlock: this.state.lastSyncedBlock,
+      newEvents,
+      removedEvents,
+    };
+  }
+
+  /**
+   * Detect a reorg behind the checkpoint and drop events from orphaned blocks
+   * @returns {Promise<number>} Number of events removed
+   */
+  async _rollbackReorg() {
+    const { lastSyncedBlock, lastSyncedBlockHash } = this.state;
+    if (lastSyncedBlock === null || (await this._isCanonical(lastSyncedBlock, lastSyncedBlockHash))) {
+      return 0;
+    }
+
+    // Walk back through the blocks we hold events for until one is still canonical
+    const eventBlocks = [...new Map(
+      this.state.events.map((event) => [event.blockNumber, event.blockHash])
+    )].sort(([a], [b]) => b - a);
+
+    let commonAncestor = this.startBlock - 1;
+    for (const [blockNumber, blockHash] of eventBlocks) {
+      if (blockNumber < lastSyncedBlock && (await this._isCanonical(blockNumber, blockHash))) {
+        commonAncestor = blockNumber;
+        break;
+      }
+    }
+
+    const before = this.state.events.length;
+    this.state.events = this.state.events.filter((event) => event.blockNumber <= commonAncestor);
+
+    if (commonAncestor < this.startBlock) {
+      this.state.lastSyncedBlock = null;
+      this.state.lastSyncedBlockHash = null;
+    } else {
+      this.state.lastSyncedBlock = commonAncestor;
+      this.state.lastSyncedBlockHash = (await this.provider.getBlock(commonAncestor)).hash;
+    }
+
+    return before - this.state.events.length;
+  }
+
+  async _isCanonical(blockNumber, blockHash) {
+    const block = await this.provider.getBlock(blockNumber);
+    return Boolean(block) && block.hash === blockHash;
+  }
+
+  // ---------------------------------------------------------------------
+  // Queries
+  // ---------------------------------------------------------------------
+
+  /**
+   * Search indexed credentials. Status filters use the effective status, so
+   * credentials past their expiry match "Expired" unless revoked or superseded, and credentials
+   * past the end of a time-bound suspension match "Active".
+   * @param {object} [filters] Search filters; all are optional and combined with AND
+   * @param {string} [filters.recipient] Recipient address
+   * @param {string} [filters.issuer] Issuer address
+   * @param {string} [filters.credentialType] Exact credential type
+   * @param {string|number} [filters.status] Status name or number
+   * @param {number} [filters.issuedFrom] Earliest issuance timestamp in seconds (inclusive)
+   * @param {number} [filters.issuedTo] Latest issuance timestamp in seconds (inclusive)
+   * @param {number} [filters.offset=0] Results to skip
+   * @param {number} [filters.limit] Maximum results to return
+   * @param {number} [filters.now] Timestamp used to derive expiry (defaults to the current time)
+   * @returns {{total: number, credentials: Array<object>}} Matching credentials ordered by ID
+   */
+  searchCredentials({
+    recipient,
+    issuer,
+    credentialType,
+    status,
+    issuedFrom,
+    issuedTo,
+    offset = 0,
+    limit,
+    now = Math.floor(Date.now() / 1000),
+  } = {}) {
+    const wantedStatus = status === undefined ? undefined : parseStatus(status);
+
+    const matches = [...this.credentials.values()]
+      .map((credential) => this._withEffectiveStatus(credential, now))
+      .filter((credential) =>
+        (!recipient || sameAddress(credential.recipient, recipient)) &&
+        (!issuer || sameAddress(credential.issuer, issuer)) &&
+        (!credentialType || credential.credentialType === credentialType) &&
+        (wantedStatus === undefined || credential.status === wantedStatus) &&
+        (issuedFrom === undefined || credential.issuedAt >= issuedFrom) &&
+        (issuedTo === undefined || credential.issuedAt <= issuedTo)
+      )
+      .sort((a, b) => a.id - b.id);
+
+    return {
+      total: matches.length,
+      credentials: matches.slice(offset, limit === undefined ? undefined : offset + limit),
+    };
+  }
+
+  /**
+   * Get an indexed credential
+   * @param {number} credentialId Credential ID
+   * @param {object} [options]
+   * @param {number} [options.now] Timestamp used to derive expiry (defaults to the current time)
+   * @returns {object|null} Credential, or null when it has not been indexed
+   */
+  getCredential(credentialId, { now = Math.floor(Date.now() / 1000) } = {}) {
+    const credential = this.credentials.get(Number(credentialId));
+    return credential ? this._withEffectiveStatus(credential, now) : null;
+  }
+
+  /**
+   * Get every indexed version of a credential, following its supersedes links
+   * @param {number} credentialId ID of any version of the credential
+   * @param {object} [options]
+   * @param {number} [options.now] Timestamp used to derive expiry (defaults to the current time)
+   * @returns {Array<object>} Credentials from the first version to the latest; empty when not indexed
+   */
+  getVersionChain(credentialId, { now = Math.floor(Date.now() / 1000) } = {}) {
+    let first = this.credentials.get(Number(credentialId));
+    while (first && first.supersedes !== null && this.credentials.has(first.supersedes)) {
+      first = this.credentials.get(first.supersedes);
+    }
+
+    const versions = [];
+    for (let credential = first; credential; credential = this.credentials.get(credential.supersededBy)) {
+      versions.push(this._withEffectiveStatus(credential, now));
+    }
+    return versions;
+  }
+
+  /**
+   * Get an indexed issuer with its latest profile and issuance count
+   * @param {string} address Issuer address
+   * @returns {object|null} Issuer, or null when it has no profile update or credential in the index
+   */
+  getIssuer(address) {
+    const issuer = this.issuers.get(address.toLowerCase());
+    return issuer ? { ...issuer } : null;
+  }
+
+  /**
+   * Get raw indexed events in chain order
+   * @param {object} [filters]
+   * @param {string} [filters.name] Event name
+   * @param {number} [filters.credentialId] Only events about this credential
+   * @param {number} [filters.fromBlock] First block (inclusive)
+   * @param {number} [filters.toBlock] Last block (inclusive)
+   * @returns {Array<object>} Events
+   */
+  getEvents({ name, credentialId, fromBlock, toBlock } = {}) {
+    return this.state.events.filter((event) =>
+      (!name || event.name === name) &&
+      (credentialId === undefined || event.args.credentialId === Number(credentialId)) &&
+      (fromBlock === undefined || event.blockNumber >= fromBlock) &&
+      (toBlock === undefined || event.blockNumber <= toBlock)
+    );
+  }
+
+  /**
+   * Describe the sync checkpoint
+   * @returns {{registryAddress: string, lastSyncedBlock: number|null, events: number, credentials: number}}
+   */
+  getStatus() {
+    return {
+      registryAddress: this.registryAddress,
+      lastSyncedBlock: this.state.lastSyncedBlock,
+      events: this.state.events.length,
+      credentials: this.credentials.size,
+    };
+  }
+
+  // ---------------------------------------------------------------------
+  // Internal
+  // ---------------------------------------------------------------------
+
+  _rebuildViews() {
+    this.credentials = new Map();
+    this.issuers = new Map();
+
+    const events = [...this.state.events].sort(
+      (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+    );
+    for (const event of events) {
+      this._applyEvent(event);
+    }
+  }
+
+  _applyEvent({ name, args, blockNumber, transactionHash }) {
+    switch (name) {
+      case "CredentialIssued": {
+        this.credentials.set(args.credentialId, {
+          id: args.credentialId,
+          issuer: args.issuer,
+          recipient: args.recipient,
+          credentialType: args.credentialType,
+          issuedAt: args.issuedAt,
+          expiresAt: args.expiresAt,
+          status: CredentialStatus.Active,
+          statusName: getStatusName(CredentialStatus.Active),
+          statusUpdatedAt: null,
+          revokedAt: null,
+          revokedBy: null,
+          revocationReason: null,
+          suspendedUntil: null,
+          suspensionReason: null,
+          supersedes: null,
+          supersededBy: null,
+          previousRecipients: [],
+          verificationCount: 0,
+          lastVerifiedAt: null,
+          blockNumber,
+          transactionHash,
+        });
+        this._getOrCreateIssuer(args.issuer).credentialsIssued++;
+        break;
+      }
+      case "CredentialRevoked": {
+        const credential = this.credentials.get(args.credentialId);
+        if (credential) {
+          Object.assign(credential, {
+            revokedAt: args.revokedAt,
+            revokedBy: args.revoker,
+            revocationReason: args.reason,
+          });
+        }
+        break;
+      }
+      case "CredentialStatusUpdated": {
+        const credential = this.credentials.get(args.credentialId);
+        if (credential) {
+          Object.assign(credential, {
+            status: args.newStatus,
+            statusName: getStatusName(args.newStatus),
+            statusUpdatedAt: args.updatedAt,
+            suspendedUntil: null,
+            suspensionReason: null,
+          });
+        }
+        break;
+      }
+      case "CredentialSuspended": {
+        // Emitted right after the CredentialStatusUpdated of the same suspension
+        const credential = this.credentials.get(args.credentialId);
+        if (credential) {
+          Object.assign(credential, {
+            suspendedUntil: args.suspendedUntil || null,
+            suspensionReason: args.reason,
+          });
+        }
+        break;
+      }
+      case "CredentialSuperseded": {
+        // Emitted after the CredentialIssued of the new version
+        const previous = this.credentials.get(args.credentialId);
+        const next = this.credentials.get(args.newCredentialId);
+        if (previous) {
+          previous.supersededBy = args.newCredentialId;
+        }
+        if (next) {
+          next.supersedes = args.credentialId;
+        }
+        break;
+      }
+      case "CredentialRecipientChanged": {
+        const credential = this.credentials.get(args.credentialId);
+        if (credential) {
+          credential.previousRecipients.push(args.previousRecipient);
+          credential.recipient = args.newRecipient;
+        }
+        break;
+      }
+      case "CredentialVerified": {
+        const credential = this.credentials.get(args.credentialId);
+        if (credential) {
+          credential.verificationCount++;
+          credential.lastVerifiedAt = args.verifiedAt;
+        }
+        break;
+      }
+      case "IssuerProfileUpdated": {
+        Object.assign(this._getOrCreateIssuer(args.issuer), {
+          name: args.name,
+          description: args.description,
+          profileUpdatedAtBlock: blockNumber,
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  _getOrCreateIssuer(address) {
+    const key = address.toLowerCase();
+    if (!this.issuers.has(key)) {
+      this.issuers.set(key, {
+        address,
+        name: null,
+        description: null,
+        profileUpdatedAtBlock: null,
+        credentialsIssued: 0,
+      });
+    }
+    return this.issuers.get(key);
+  }
+
+  // The registry only marks a credential Expired, or active again after a time-bound
+  // suspension, when someone verifies it, so derive both here
+  _withEffectiveStatus(credential, now) {
+    let { status } = credential;
+    if (status === CredentialStatus.Suspended && credential.suspendedUntil !== null && credential.suspendedUntil <= now) {
+      status = CredentialStatus.Active;
+    }
+    const final = status === CredentialStatus.Revoked || status === CredentialStatus.Superseded;
+    if (!final && credential.expiresAt !== 0 && credential.expiresAt <= now) {
+      status = CredentialStatus.Expired;
+    }
+
+    return { ...credential, status, statusName: getStatusName(status) };
+  }
+}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+module.exports = {
+  CredentialIndexer,
+  INDEXED_EVENTS,
+};
@@ -0,0 +1,146 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+const { computeDataHash, serializeCredentialData } = require("./credentials");
+
+// Must match the leaf hashed by CredentialVerifier.verifyMerkleCredential
+const MERKLE_LEAF_ENCODING = ["address", "string", "bytes32", "uint256"];
+const PROOF_VERSION = 1;
+
+function toLeafValues({ recipient, credentialType, dataHash, expiresAt }) {
+  return [recipient, credentialType, dataHash, String(expiresAt)];
+}
+
+/**
+ * Build the Merkle tree of a credential batch. Only the root goes on-chain; each recipient
+ * receives their credential, its data and a proof (see `createMerkleProofs`).
+ * @param {Array<object>} credentials Credential parameters (recipient, credentialType, credentialData,
+ *   optional expiresAt), e.g. rows from `loadIssuanceRows` that passed `validateIssuanceRows`
+ * @returns {{root: string, tree: StandardMerkleTree, credentials: Array<object>}} Tree and the
+ *   normalized credentials in leaf order, each with its `dataHash` and `leaf` hash
+ */
+function buildMerkleBatch(credentials) {
+  if (credentials.length === 0) {
+    throw new Error("A Merkle batch needs at least one credential");
+  }
+
+  const leaves = credentials.map(({ recipient, credentialType, credentialData, expiresAt = 0 }) => {
+    const credential = {
+      recipient: ethers.getAddress(recipient),
+      credentialType,
+      dataHash: computeDataHash(credentialData, recipient, credentialType),
+      expiresAt: Number(expiresAt),
+    };
+    return { credential, credentialData: serializeCredentialData(credentialData) };
+  });
+
+  const tree = StandardMerkleTree.of(leaves.map(({ credential }) => toLeafValues(credential)), MERKLE_LEAF_ENCODING);
+  return {
+    root: tree.root,
+    tree,
+    credentials: leaves.map((leaf, index) => ({ ...leaf, leaf: tree.leafHash(toLeafValues(leaf.credential)), index })),
+  };
+}
+
+/**
+ * Create one proof document per credential of an anchored batch. A document is everything
+ * its holder needs to prove the credential to a verifier.
+ * @param {object} batch Result of `buildMerkleBatch`
+ * @param {object} anchor Where the root was anchored
+ * @param {number} anchor.batchId Batch ID returned by `anchorMerkleRoot`
+ * @param {string} anchor.issuer Issuer that anchored the root
+ * @param {number} anchor.chainId Chain ID of the registry
+ * @param {string} anchor.registryAddress CredentialRegistry address
+ * @returns {Array<object>} Proof documents, in leaf order
+ */
+function createMerkleProofs(batch, { batchId, issuer, chainId, registryAddress }) {
+  return batch.credentials.map(({ credential, credentialData, leaf, index }) => ({
+    type: "MerkleCredentialProof",
+    version: PROOF_VERSION,
+    chainId: Number(chainId),
+    registryAddress,
+    batchId: Number(batchId),
+    issuer,
+    root: batch.root,
+    credential,
+    credentialData,
+    leaf,
+    proof: batch.tree.getProof(index),
+  }));
+}
+
+/**
+ * Write proof documents to a directory, one `<n>-<recipient>.json` file per credential
+ * @param {string} directory Output directory (created if missing)
+ * @param {Array<object>} proofs Documents returned by `createMerkleProofs`
+ * @returns {string[]} Paths of the written files, in leaf order
+ */
+function writeMerkleProofFiles(directory, proofs) {
+  fs.mkdirSync(directory, { recursive: true });
+  return proofs.map((proof, index) => {
+    const filePath = path.join(directory, `${index + 1}-${proof.credential.recipient}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(proof, null, 2) + "\n");
+    return filePath;
+  });
+}
+
+/**
+ * Verify a Merkle proof document against the registry. The CredentialVerifier view checks
+ * the proof against the anchored root, revocation of the batch and the leaf, expiry and,
+ * while type authorization is enforced, the issuer's authorized types; when `credentialData` is included it must also hash to the leaf's `dataHash`.
+ * @param {CredentialClient} client Client with a configured verifier (a provider is enough)
+ * @param {object} document Proof document as created by `createMerkleProofs`
+ * @returns {Promise<{isValid: boolean, leaf: string, reason: string|null}>}
+ *   `reason` is one of DataMismatch, BatchNotFound, InvalidProof, BatchRevoked, Revoked, UnauthorizedType or Expired
+ */
+async function verifyMerkleCredential(client, { batchId, credential, credentialData, proof }) {
+  if (!client.verifier) {
+    throw new Error("Merkle credential verification requires a CredentialVerifier address");
+  }
+
+  const [onChainValid, leaf] = await client.verifier.verifyMerkleCredential(batchId, credential, proof);
+  const dataMatches = credentialData === undefined ||
+    computeDataHash(credentialData, credential.recipient, credential.credentialType) === credential.dataHash;
+
+  let reason = null;
+  if (!dataMatches) {
+    reason = "DataMismatch";
+  } else if (!onChainValid) {
+    reason = await explainInvalidMerkleCredential(client, batchId, credential, leaf, proof);
+  }
+
+  return { isValid: onChainValid && dataMatches, leaf, reason };
+}
+
+async function explainInvalidMerkleCredential(client, batchId, credential, leaf, proof) {
+  if (Number(batchId) < 1 || Number(batchId) > Number(await client.registry.getTotalMerkleBatches())) {
+    return "BatchNotFound";
+  }
+  // Always check against the anchored root, never the one supplied with the document
+  const batch = await client.getMerkleBatch(batchId);
+  if (!StandardMerkleTree.verify(batch.root, MERKLE_LEAF_ENCODING, toLeafValues(credential), proof)) {
+    return "InvalidProof";
+  }
+  if (batch.revoked) {
+    return "BatchRevoked";
+  }
+  if (await client.isMerkleCredentialRevoked(batchId, leaf)) {
+    return "Revoked";
+  }
+  if (
+    (await client.isTypeAuthorizationEnforced()) &&
+    !(await client.isCredentialTypeAuthorized(batch.issuer, credential.credentialType))
+  ) {
+    return "UnauthorizedType";
+  }
+  return "Expired";
+}
+
+module.exports = {
+  MERKLE_LEAF_ENCODING,
+  buildMerkleBatch,
+  createMerkleProofs,
+  writeMerkleProofFiles,
+  verifyMerkleCredential,
+};
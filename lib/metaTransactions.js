@@ -0,0 +1,263 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { serializeCredentialData } = require("./credentials");
+const { describeContractError } = require("./errors");
+const { ApiError, createJsonHandler } = require("./http");
+
+// Must match the *_REQUEST_TYPEHASH constants in CredentialRegistry
+const META_TRANSACTION_TYPES = {
+  IssueRequest: {
+    IssueRequest: [
+      { name: "issuer", type: "address" },
+      { name: "recipient", type: "address" },
+      { name: "credentialType", type: "string" },
+      { name: "credentialData", type: "string" },
+      { name: "expiresAt", type: "uint256" },
+      { name: "metadataURI", type: "string" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+  BatchIssueRequest: {
+    BatchIssueRequest: [
+      { name: "issuer", type: "address" },
+      { name: "recipients", type: "address[]" },
+      { name: "credentialTypes", type: "string[]" },
+      { name: "credentialDataArray", type: "string[]" },
+      { name: "expirationDates", type: "uint256[]" },
+      { name: "metadataURIs", type: "string[]" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+  RevokeRequest: {
+    RevokeRequest: [
+      { name: "revoker", type: "address" },
+      { name: "credentialId", type: "uint256" },
+      { name: "reason", type: "string" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+};
+
+// Field holding the account whose signature and role authorize each request type
+const SIGNER_FIELDS = {
+  IssueRequest: "issuer",
+  BatchIssueRequest: "issuer",
+  RevokeRequest: "revoker",
+};
+
+// Registry function (and CredentialClient method) that executes each request type
+const RELAY_METHODS = {
+  IssueRequest: "issueCredentialBySig",
+  BatchIssueRequest: "batchIssueCredentialsBySig",
+  RevokeRequest: "revokeCredentialBySig",
+};
+
+const DEFAULT_VALIDITY_SECONDS = 60 * 60;
+
+async function signRequest(client, type, fields, { nonce, deadline } = {}) {
+  const signer = await client.runner.getAddress();
+  if (deadline === undefined) {
+    // Chain time, which is what the registry compares the deadline against
+    const latestBlock = await client.runner.provider.getBlock("latest");
+    deadline = latestBlock.timestamp + DEFAULT_VALIDITY_SECONDS;
+  }
+  const request = {
+    [SIGNER_FIELDS[type]]: signer,
+    ...fields,
+    nonce: nonce ?? await client.getNonce(signer),
+    deadline,
+  };
+  const signature = await client.runner.signTypedData(
+    await client.getEip712Domain(),
+    META_TRANSACTION_TYPES[type],
+    request
+  );
+  return { type, request, signature };
+}
+
+/**
+ * Sign an `issueCredential` meta-transaction with the client's signer as issuer
+ * @param {CredentialClient} client Client connected with the issuer's signer (needs no funds)
+ * @param {object} params Credential parameters, same shape as `CredentialClient.issueCredential`
+ * @param {object} [options]
+ * @param {number} [options.nonce] Registry nonce to use (defaults to the signer's current nonce)
+ * @param {number} [options.deadline] Unix time after which the request is rejected (defaults to one hour of chain time)
+ * @returns {Promise<{type: string, request: object, signature: string}>} Signed request for a relayer
+ */
+async function signIssueRequest(client, { recipient, credentialType, credentialData, expiresAt = 0, metadataURI = "" }, options) {
+  return signRequest(client, "IssueRequest", {
+    recipient: ethers.getAddress(recipient),
+    credentialType,
+    credentialData: serializeCredentialData(credentialData),
+    expiresAt,
+    metadataURI,
+  }, options);
+}
+
+/**
+ * Sign a `batchIssueCredentials` meta-transaction with the client's signer as issuer
+ * @param {CredentialClient} client Client connected with the issuer's signer (needs no funds)
+ * @param {Array<object>} credentials Credential parameters, same shape as `CredentialClient.issueCredential`
+ * @param {object} [options] See `signIssueRequest`
+ * @returns {Promise<{type: string, request: object, signature: string}>} Signed request for a relayer
+ */
+async function signBatchIssueRequest(client, credentials, options) {
+  return signRequest(client, "BatchIssueRequest", {
+    recipients: credentials.map((c) => ethers.getAddress(c.recipient)),
+    credentialTypes: credentials.map((c) => c.credentialType),
+    credentialDataArray: credentials.map((c) => serializeCredentialData(c.credentialData)),
+    expirationDates: credentials.map((c) => c.expiresAt || 0),
+    metadataURIs: credentials.map((c) => c.metadataURI || ""),
+  }, options);
+}
+
+/**
+ * Sign a `revokeCredential` meta-transaction with the client's signer as revoker
+ * @param {CredentialClient} client Client connected with the revoker's signer (needs no funds)
+ * @param {number} credentialId ID of the credential
+ * @param {string} reason Reason for revocation
+ * @param {object} [options] See `signIssueRequest`
+ * @returns {Promise<{type: string, request: object, signature: string}>} Signed request for a relayer
+ */
+async function signRevokeRequest(client, credentialId, reason, options) {
+  return signRequest(client, "RevokeRequest", { credentialId: Number(credentialId), reason }, options);
+}
+
+/**
+ * Recover the account that signed a meta-transaction request
+ * @param {object} domain EIP-712 domain of the registry
+ * @param {{type: string, request: object, signature: string}} signed Signed request
+ * @returns {string|null} Signer address, or null for a malformed signature
+ */
+function recoverRequestSigner(domain, { type, request, signature }) {
+  try {
+    return ethers.verifyTypedData(domain, META_TRANSACTION_TYPES[type], request, signature);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Submits signed meta-transactions to the registry and pays their gas. Requests are checked
+ * before sending so that bad signatures, stale nonces and missing roles cost nothing; the
+ * registry enforces the same rules on-chain against the original signer.
+ */
+class Relayer {
+  /**
+   * @param {CredentialClient} client Client connected with the relayer's funded signer
+   * @param {object} [options]
+   * @param {Function} [options.onRelayed] Called with each relay result, e.g. for logging
+   */
+  constructor(client, { onRelayed } = {}) {
+    this.client = client;
+    this.onRelayed = onRelayed;
+  }
+
+  /**
+   * Check and submit a signed request
+   * @param {{type: string, request: object, signature: string}} signed Signed request
+   * @returns {Promise<object>} `{type, signer, transactionHash}` plus `credentialId` or `credentialIds` for issuance
+   * @throws {ApiError} InvalidRequest, InvalidSignature, ExpiredSignature, InvalidNonce or Rejected
+   */
+  async relay(signed) {
+    const { type, request, signature } = signed || {};
+    if (!META_TRANSACTION_TYPES[type] || !request || typeof signature !== "string") {
+      throw new ApiError(400, "InvalidRequest", `Body must be {type, request, signature} with type one of ${Object.keys(META_TRANSACTION_TYPES).join(", ")}`);
+    }
+
+    const claimedSigner = request[SIGNER_FIELDS[type]];
+    const signer = recoverRequestSigner(await this.client.getEip712Domain(), signed);
+    if (!signer || !ethers.isAddress(claimedSigner) || signer !== ethers.getAddress(claimedSigner)) {
+      throw new ApiError(400, "InvalidSignature", `Request is not signed by ${claimedSigner}`);
+    }
+
+    const latestBlock = await this.client.registry.runner.provider.getBlock("latest");
+    if (Number(request.deadline) < latestBlock.timestamp) {
+      throw new ApiError(400, "ExpiredSignature", `Request deadline ${request.deadline} has passed`);
+    }
+
+    const expectedNonce = await this.client.getNonce(signer);
+    if (Number(request.nonce) !== expectedNonce) {
+      throw new ApiError(400, "InvalidNonce", `Expected nonce ${expectedNonce} for ${signer}`, { expectedNonce });
+    }
+
+    // Simulate first so that reverts (missing role, pause, ...) are rejected before paying gas
+    const method = RELAY_METHODS[type];
+    try {
+      await this.client.registry[method].staticCall(request, signature);
+    } catch (error) {
+      throw new ApiError(400, "Rejected", describeContractError(error));
+    }
+
+    const { receipt, ...relayed } = await this.client[method](request, signature);
+    const response = { type, signer, ...relayed };
+    if (this.onRelayed) {
+      this.onRelayed(response);
+    }
+    return response;
+  }
+}
+
+/**
+ * Create an HTTP server for a relayer (call `.listen(port)` to start it). Routes:
+ * `POST /relay` with a signed request, and `GET /nonces/:address` for the next nonce to sign with.
+ * @param {Relayer} relayer Relayer instance
+ * @param {object} [options]
+ * @param {Function} [options.onError] Called with unexpected errors, such as `console.error`; ignored by default
+ * @returns {http.Server} Server instance
+ */
+function createRelayerServer(relayer, { onError } = {}) {
+  const routes = [
+    {
+      method: "POST",
+      pattern: /^\/relay$/,
+      handle: async (params, { body }) => relayer.relay(body),
+    },
+    {
+      method: "GET",
+      pattern: /^\/nonces\/([^/]+)$/,
+      handle: async ([address]) => {
+        if (!ethers.isAddress(address)) {
+          throw new ApiError(400, "InvalidAddress", `Invalid address: ${address}`, { address });
+        }
+        return { address: ethers.getAddress(address), nonce: await relayer.client.getNonce(address) };
+      },
+    },
+  ];
+  return http.createServer(createJsonHandler(routes, { onError }));
+}
+
+/**
+ * Send a signed request to a relayer over HTTP
+ * @param {string} relayerUrl Base URL of the relayer, e.g. "http://localhost:3001"
+ * @param {{type: string, request: object, signature: string}} signed Signed request
+ * @returns {Promise<object>} Relay result
+ */
+async function submitToRelayer(relayerUrl, signed) {
+  const response = await fetch(`${relayerUrl.replace(/\/+$/, "")}/relay`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(signed),
+  });
+  const body = await response.json();
+  if (!response.ok) {
+    const error = new Error(`Relayer rejected the request: ${body.error.code}: ${body.error.message}`);
+    error.code = body.error.code;
+    throw error;
+  }
+  return body;
+}
+
+module.exports = {
+  META_TRANSACTION_TYPES,
+  signIssueRequest,
+  signBatchIssueRequest,
+  signRevokeRequest,
+  recoverRequestSigner,
+  Relayer,
+  createRelayerServer,
+  submitToRelayer,
+};
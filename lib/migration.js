@@ -0,0 +1,29 @@
+// Must match CredentialMigration.MIGRATION_REQUEST_TYPEHASH
+const MIGRATION_REQUEST_TYPES = {
+  MigrationRequest: [
+    { name: "recipient", type: "address" },
+    { name: "newRecipient", type: "address" },
+    { name: "credentialIds", type: "uint256[]" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * Decode a `CredentialMigration.Migration` struct into a plain object
+ * @param {object} migration Migration as returned by ethers
+ * @returns {{from: string, to: string, migratedBy: string, migratedAt: number}} Decoded migration
+ */
+function decodeMigration(migration) {
+  return {
+    from: migration.from,
+    to: migration.to,
+    migratedBy: migration.migratedBy,
+    migratedAt: Number(migration.migratedAt),
+  };
+}
+
+module.exports = {
+  MIGRATION_REQUEST_TYPES,
+  decodeMigration,
+};
@@ -0,0 +1,106 @@
+// Mirror CredentialMultisig.ProposalAction and ProposalStatus; order must match the Solidity enums
+const ProposalAction = Object.freeze({
+  Issue: 0,
+  Revoke: 1,
+  Amend: 2,
+});
+
+const ProposalStatus = Object.freeze({
+  Pending: 0,
+  Executed: 1,
+  Cancelled: 2,
+  Expired: 3,
+});
+
+const PROPOSAL_ACTION_NAMES = Object.freeze(
+  Object.fromEntries(Object.entries(ProposalAction).map(([name, value]) => [value, name]))
+);
+
+const PROPOSAL_STATUS_NAMES = Object.freeze(
+  Object.fromEntries(Object.entries(ProposalStatus).map(([name, value]) => [value, name]))
+);
+
+// Must match CredentialMultisig.PROPOSAL_APPROVAL_TYPEHASH
+const PROPOSAL_APPROVAL_TYPES = {
+  ProposalApproval: [{ name: "proposalId", type: "uint256" }],
+};
+
+/**
+ * Parse a proposal status name such as "pending" or "Executed"
+ * @param {string} status Status name, case-insensitive
+ * @returns {number} ProposalStatus value
+ */
+function parseProposalStatus(status) {
+  const name = Object.keys(ProposalStatus).find((key) => key.toLowerCase() === String(status).toLowerCase());
+  if (name === undefined) {
+    throw new Error(`Unknown proposal status: ${status}`);
+  }
+  return ProposalStatus[name];
+}
+
+/**
+ * Decode a `CredentialMultisig.Proposal` struct into a plain object
+ * @param {number} proposalId ID of the proposal
+ * @param {object} proposal Proposal as returned by ethers
+ * @param {string[]} approvers Signers who approved it, in approval order
+ * @returns {object} Decoded proposal; `credentialId` is null for issuances not executed yet, and is
+ *   the amended version (not the new one) for amendments
+ */
+function decodeProposal(proposalId, proposal, approvers) {
+  const action = Number(proposal.action);
+  const status = Number(proposal.status);
+  const decoded = {
+    id: Number(proposalId),
+    action,
+    actionName: PROPOSAL_ACTION_NAMES[action] || "Unknown",
+    status,
+    statusName: PROPOSAL_STATUS_NAMES[status] || "Unknown",
+    proposer: proposal.proposer,
+    credentialType: proposal.credentialType,
+    credentialId: Number(proposal.credentialId) || null,
+    approvals: Number(proposal.approvals),
+    approvers: [...approvers],
+    policyVersion: Number(proposal.policyVersion),
+    createdAt: Number(proposal.createdAt),
+    approvalDeadline: Number(proposal.approvalDeadline),
+  };
+  if (action === ProposalAction.Issue || action === ProposalAction.Amend) {
+    Object.assign(decoded, {
+      ...(action === ProposalAction.Issue && { recipient: proposal.recipient }),
+      credentialData: proposal.credentialData,
+      expiresAt: Number(proposal.expiresAt),
+      metadataURI: proposal.metadataURI,
+    });
+  } else {
+    decoded.reason = proposal.reason;
+  }
+  return decoded;
+}
+
+/**
+ * Decode a `CredentialMultisig.ApprovalPolicy` struct into a plain object
+ * @param {string} credentialType Credential type the policy applies to
+ * @param {object} policy Policy as returned by ethers
+ * @returns {{credentialType: string, signers: string[], threshold: number, version: number, enabled: boolean}}
+ */
+function decodeApprovalPolicy(credentialType, policy) {
+  const threshold = Number(policy.threshold);
+  return {
+    credentialType,
+    signers: [...policy.signers],
+    threshold,
+    version: Number(policy.version),
+    enabled: threshold > 0,
+  };
+}
+
+module.exports = {
+  ProposalAction,
+  ProposalStatus,
+  PROPOSAL_ACTION_NAMES,
+  PROPOSAL_STATUS_NAMES,
+  PROPOSAL_APPROVAL_TYPES,
+  parseProposalStatus,
+  decodeProposal,
+  decodeApprovalPolicy,
+};
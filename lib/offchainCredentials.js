@@ -0,0 +1,118 @@
+const { ethers } = require("ethers");
+const { computeDataHash, serializeCredentialData } = require("./credentials");
+
+// Must match CredentialRegistry.OFFCHAIN_CREDENTIAL_TYPEHASH
+const OFFCHAIN_CREDENTIAL_TYPES = {
+  OffchainCredential: [
+    { name: "issuer", type: "address" },
+    { name: "recipient", type: "address" },
+    { name: "credentialType", type: "string" },
+    { name: "dataHash", type: "bytes32" },
+    { name: "issuedAt", type: "uint256" },
+    { name: "expiresAt", type: "uint256" },
+    { name: "metadataURI", type: "string" },
+  ],
+};
+
+/**
+ * Sign a credential off-chain with the client's signer as issuer. Nothing is sent on-chain;
+ * the returned payload is handed to the holder, who presents it to verifiers.
+ * @param {CredentialClient} client Client connected with the issuer's signer
+ * @param {object} params Credential parameters
+ * @param {string} params.recipient Recipient address
+ * @param {string} params.credentialType Type/category of the credential
+ * @param {string|object} params.credentialData Credential data; objects are canonically JSON encoded
+ * @param {number} [params.issuedAt] Issuance timestamp in seconds (defaults to now)
+ * @param {number} [params.expiresAt=0] Expiration timestamp in seconds (0 for non-expiring)
+ * @param {string} [params.metadataURI=""] Additional metadata URI
+ * @returns {Promise<{domain: object, credential: object, credentialData: string, signature: string, credentialHash: string}>}
+ */
+async function signOffchainCredential(client, {
+  recipient,
+  credentialType,
+  credentialData,
+  issuedAt = Math.floor(Date.now() / 1000),
+  expiresAt = 0,
+  metadataURI = "",
+}) {
+  const serializedData = serializeCredentialData(credentialData);
+  const credential = {
+    issuer: await client.runner.getAddress(),
+    recipient: ethers.getAddress(recipient),
+    credentialType,
+    dataHash: computeDataHash(serializedData, recipient, credentialType),
+    issuedAt,
+    expiresAt,
+    metadataURI,
+  };
+  const domain = await client.getEip712Domain();
+
+  return {
+    domain,
+    credential,
+    credentialData: serializedData,
+    signature: await client.runner.signTypedData(domain, OFFCHAIN_CREDENTIAL_TYPES, credential),
+    credentialHash: ethers.TypedDataEncoder.hash(domain, OFFCHAIN_CREDENTIAL_TYPES, credential),
+  };
+}
+
+/**
+ * Recover the address that signed an off-chain credential
+ * @param {object} domain EIP-712 domain of the registry
+ * @param {object} credential Signed credential fields
+ * @param {string} signature Issuer signature
+ * @returns {string|null} Signer address, or null for a malformed signature
+ */
+function recoverOffchainCredentialSigner(domain, credential, signature) {
+  try {
+    return ethers.verifyTypedData(domain, OFFCHAIN_CREDENTIAL_TYPES, credential, signature);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Verify a signed off-chain credential against the registry. The registry's view checks the
+ * signature, the issuer's ISSUER_ROLE, revocation and expiry; when `credentialData` is
+ * included it must also hash to the signed `dataHash`.
+ * @param {CredentialClient} client Client connected to the registry (a provider is enough)
+ * @param {object} signed Payload returned by `signOffchainCredential`
+ * @returns {Promise<{isValid: boolean, credentialHash: string, signer: string|null, reason: string|null}>}
+ *   `reason` is one of DataMismatch, InvalidSignature, UnauthorizedIssuer, Revoked or Expired
+ */
+async function verifyOffchainCredential(client, { credential, credentialData, signature }) {
+  const [onChainValid, credentialHash] = await client.registry.verifyOffchainCredential(credential, signature);
+  // Always check against the registry's own domain, never one supplied with the payload
+  const signer = recoverOffchainCredentialSigner(await client.getEip712Domain(), credential, signature);
+  const dataMatches = credentialData === undefined ||
+    computeDataHash(credentialData, credential.recipient, credential.credentialType) === credential.dataHash;
+
+  let reason = null;
+  if (!dataMatches) {
+    reason = "DataMismatch";
+  } else if (!onChainValid) {
+    reason = await explainInvalidOffchainCredential(client, credential, credentialHash, signer);
+  }
+
+  return { isValid: onChainValid && dataMatches, credentialHash, signer, reason };
+}
+
+async function explainInvalidOffchainCredential(client, credential, credentialHash, signer) {
+  if (!signer || signer !== ethers.getAddress(credential.issuer)) {
+    return "InvalidSignature";
+  }
+  if (!(await client.hasRole("issuer", signer))) {
+    return "UnauthorizedIssuer";
+  }
+  if (await client.isOffchainCredentialRevoked(signer, credentialHash)) {
+    return "Revoked";
+  }
+  return "Expired";
+}
+
+module.exports = {
+  OFFCHAIN_CREDENTIAL_TYPES,
+  signOffchainCredential,
+  recoverOffchainCredentialSigner,
+  verifyOffchainCredential,
+};
@@ -0,0 +1,241 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { serializeCredentialData, parseCredentialData } = require("./credentials");
+
+// On-chain `credentialData` of a private credential: this prefix followed by the commitment
+const COMMITMENT_PREFIX = "commitment:";
+const ENVELOPE_VERSION = 1;
+const ENVELOPE_ALGORITHM = "ECIES-secp256k1-HKDF-SHA256-AES-256-GCM";
+const COMMITMENT_KEY_MESSAGE = "CredentialRegistry commitment key v1";
+const PUBLIC_KEY_MESSAGE = "CredentialRegistry encryption public key v1";
+const HKDF_INFO = "CredentialRegistry credential payload v1";
+
+/**
+ * Derive the issuer's commitment key by signing a fixed message. ECDSA signatures are
+ * deterministic (RFC 6979), so the same signer always gets the same key and therefore the
+ * same commitment for the same credential, which keeps `dataHash` deduplication working.
+ * @param {ethers.Signer} signer Issuer signer
+ * @returns {Promise<string>} 32-byte key as hex; keep it secret, it protects every salt
+ */
+async function deriveCommitmentKey(signer) {
+  return ethers.keccak256(await signer.signMessage(COMMITMENT_KEY_MESSAGE));
+}
+
+/**
+ * Compute the commitment stored on-chain for a private credential
+ * @param {string|object} credentialData Plaintext credential data; objects are canonically JSON encoded
+ * @param {string} salt 32-byte salt as hex
+ * @returns {string} keccak256(abi.encodePacked(salt, credentialData))
+ */
+function computeCommitment(credentialData, salt) {
+  return ethers.solidityPackedKeccak256(["bytes32", "string"], [salt, serializeCredentialData(credentialData)]);
+}
+
+/**
+ * Commit to credential data with a salt derived from the issuer's commitment key, so the
+ * commitment reveals nothing about the data but is the same each time it is issued
+ * @param {object} params
+ * @param {string} params.commitmentKey Key returned by `deriveCommitmentKey`
+ * @param {string} params.recipient Recipient address
+ * @param {string} params.credentialType Type/category of the credential
+ * @param {string|object} params.credentialData Plaintext credential data
+ * @returns {{credentialData: string, salt: string, commitment: string, onChainData: string}}
+ *   `onChainData` is the `credentialData` to issue in place of the plaintext
+ */
+function createCommitment({ commitmentKey, recipient, credentialType, credentialData }) {
+  const serializedData = serializeCredentialData(credentialData);
+  const salt = ethers.computeHmac(
+    "sha256",
+    commitmentKey,
+    ethers.solidityPacked(["address", "string", "string"], [recipient, credentialType, serializedData])
+  );
+  const commitment = computeCommitment(serializedData, salt);
+
+  return { credentialData: serializedData, salt, commitment, onChainData: formatCommitment(commitment) };
+}
+
+/**
+ * @param {string} commitment 32-byte commitment as hex
+ * @returns {string} On-chain `credentialData` for the commitment
+ */
+function formatCommitment(commitment) {
+  return `${COMMITMENT_PREFIX}${ethers.hexlify(commitment)}`;
+}
+
+/**
+ * @param {string} credentialData On-chain `credentialData`
+ * @returns {string|null} The commitment of a private credential, or null for plaintext data
+ */
+function parseCommitment(credentialData) {
+  if (typeof credentialData !== "string" || !credentialData.startsWith(COMMITMENT_PREFIX)) {
+    return null;
+  }
+  const commitment = credentialData.slice(COMMITMENT_PREFIX.length);
+  return ethers.isHexString(commitment, 32) ? commitment.toLowerCase() : null;
+}
+
+/**
+ * Get the public key payloads are encrypted to. Wallets expose it directly; other signers
+ * sign a fixed message it is recovered from.
+ * @param {ethers.Signer} signer Recipient signer
+ * @returns {Promise<string>} Uncompressed secp256k1 public key as hex
+ */
+async function getEncryptionPublicKey(signer) {
+  if (signer.signingKey) {
+    return signer.signingKey.publicKey;
+  }
+  const signature = await signer.signMessage(PUBLIC_KEY_MESSAGE);
+  return ethers.SigningKey.recoverPublicKey(ethers.hashMessage(PUBLIC_KEY_MESSAGE), signature);
+}
+
+function deriveEnvelopeKey(sharedSecret, ephemeralPublicKey) {
+  // The x coordinate of the shared point, bound to the ephemeral key it was agreed with
+  const secret = ethers.getBytes(ethers.dataSlice(sharedSecret, 1, 33));
+  return Buffer.from(crypto.hkdfSync("sha256", secret, ethers.getBytes(ephemeralPublicKey), HKDF_INFO, 32));
+}
+
+/**
+ * Encrypt a payload to a recipient's public key (ECIES over secp256k1 with AES-256-GCM)
+ * @param {object} payload JSON-serializable payload, e.g. a disclosure
+ * @param {string} recipientPublicKey Public key returned by `getEncryptionPublicKey`
+ * @returns {object} Envelope that only the holder of the matching private key can open
+ */
+function encryptCredentialPayload(payload, recipientPublicKey) {
+  const ephemeralKey = new ethers.SigningKey(ethers.randomBytes(32));
+  const ephemeralPublicKey = ephemeralKey.compressedPublicKey;
+  const key = deriveEnvelopeKey(ephemeralKey.computeSharedSecret(recipientPublicKey), ephemeralPublicKey);
+  const iv = crypto.randomBytes(12);
+
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload), "utf8"), cipher.final()]);
+
+  return {
+    version: ENVELOPE_VERSION,
+    algorithm: ENVELOPE_ALGORITHM,
+    recipient: ethers.computeAddress(recipientPublicKey),
+    ephemeralPublicKey,
+    iv: ethers.hexlify(iv),
+    ciphertext: ethers.hexlify(ciphertext),
+    tag: ethers.hexlify(cipher.getAuthTag()),
+  };
+}
+
+/**
+ * Decrypt an envelope created by `encryptCredentialPayload`
+ * @param {object} envelope Encrypted envelope
+ * @param {string|ethers.SigningKey} privateKey Recipient private key
+ * @returns {object} Decrypted payload
+ * @throws When the envelope was not encrypted to this key or has been tampered with
+ */
+function decryptCredentialPayload(envelope, privateKey) {
+  if (envelope.version !== ENVELOPE_VERSION || envelope.algorithm !== ENVELOPE_ALGORITHM) {
+    throw new Error(`Unsupported envelope: version ${envelope.version}, ${envelope.algorithm}`);
+  }
+
+  const signingKey = privateKey instanceof ethers.SigningKey ? privateKey : new ethers.SigningKey(privateKey);
+  const key = deriveEnvelopeKey(signingKey.computeSharedSecret(envelope.ephemeralPublicKey), envelope.ephemeralPublicKey);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, ethers.getBytes(envelope.iv));
+  decipher.setAuthTag(ethers.getBytes(envelope.tag));
+
+  try {
+    const plaintext = Buffer.concat([decipher.update(ethers.getBytes(envelope.ciphertext)), decipher.final()]);
+    return JSON.parse(plaintext.toString("utf8"));
+  } catch (e) {
+    throw new Error("Failed to decrypt the envelope: wrong key or tampered ciphertext");
+  }
+}
+
+/**
+ * Issue a credential that stores only a commitment on-chain. The plaintext is checked against
+ * the schema of its type, then encrypted to the recipient as a disclosure they can later show
+ * to verifiers. Deliver the envelope off-chain, e.g. by email or at `metadataURI`.
+ * @param {CredentialClient} client Client connected with the issuer's signer
+ * @param {object} params Same as `CredentialClient.issueCredential`, plus:
+ * @param {string} params.recipientPublicKey Recipient public key, see `getEncryptionPublicKey`
+ * @param {string} [params.commitmentKey] Issuer commitment key (derived from the signer by default)
+ * @returns {Promise<{credentialId: number, transactionHash: string, receipt: object, commitment: string, envelope: object}>}
+ */
+async function issuePrivateCredential(client, {
+  recipient,
+  recipientPublicKey,
+  credentialType,
+  credentialData,
+  expiresAt = 0,
+  metadataURI = "",
+  commitmentKey,
+}) {
+  if (ethers.computeAddress(recipientPublicKey) !== ethers.getAddress(recipient)) {
+    throw new Error(`The public key does not belong to the recipient ${recipient}`);
+  }
+
+  const [error] = await client.checkCredentialSchemas([{ credentialType, credentialData }]);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const committed = createCommitment({
+    commitmentKey: commitmentKey || (await deriveCommitmentKey(client.runner)),
+    recipient,
+    credentialType,
+    credentialData,
+  });
+  const { credentialId, transactionHash, receipt } = await client.issueCredential({
+    recipient,
+    credentialType,
+    credentialData: committed.onChainData,
+    expiresAt,
+    metadataURI,
+  });
+  const disclosure = { credentialId, credentialData: committed.credentialData, salt: committed.salt };
+
+  return {
+    credentialId,
+    transactionHash,
+    receipt,
+    commitment: committed.commitment,
+    envelope: encryptCredentialPayload(disclosure, recipientPublicKey),
+  };
+}
+
+/**
+ * Verify a disclosure of a private credential: the disclosed data and salt must open the
+ * commitment stored on-chain, and the credential must be valid
+ * @param {CredentialClient} client Client connected to the registry (a provider is enough)
+ * @param {object} disclosure `{credentialId, credentialData, salt}`, as decrypted by the holder
+ * @returns {Promise<{isValid: boolean, credential: object|null, reason: string|null}>}
+ *   `credential` carries the disclosed `credentialData` and parsed `data`; `reason` is one of
+ *   NotFound, NotCommitted, DataMismatch, Revoked, Suspended, Expired, Superseded or NotAccepted
+ */
+async function verifyDisclosure(client, { credentialId, credentialData, salt }) {
+  const credential = await client.findCredential(credentialId);
+  if (!credential) {
+    return { isValid: false, credential: null, reason: "NotFound" };
+  }
+
+  const commitment = parseCommitment(credential.credentialData);
+  if (!commitment) {
+    return { isValid: false, credential, reason: "NotCommitted" };
+  }
+  if (!ethers.isHexString(salt, 32) || computeCommitment(credentialData, salt) !== commitment) {
+    return { isValid: false, credential, reason: "DataMismatch" };
+  }
+
+  const serializedData = serializeCredentialData(credentialData);
+  const disclosed = { ...credential, credentialData: serializedData, data: parseCredentialData(serializedData), commitment };
+  const reason = await client.getInvalidReason(credential);
+  return { isValid: reason === null, credential: disclosed, reason };
+}
+
+module.exports = {
+  COMMITMENT_PREFIX,
+  deriveCommitmentKey,
+  computeCommitment,
+  createCommitment,
+  formatCommitment,
+  parseCommitment,
+  getEncryptionPublicKey,
+  encryptCredentialPayload,
+  decryptCredentialPayload,
+  issuePrivateCredential,
+  verifyDisclosure,
+};
@@ -0,0 +1,93 @@
+const { ethers } = require("ethers");
+const { loadAbi } = require("./abi");
+const { ROLE_NAMES } = require("./constants");
+
+const ROLE_EVENTS = ["RoleGranted", "RoleRevoked"];
+
+// Role identifier (bytes32) => constant name, for the roles the registry defines
+const ROLE_IDS = Object.freeze(Object.fromEntries(ROLE_NAMES.map((name) => [
+  name === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(name),
+  name,
+])));
+
+/**
+ * @param {string} roleId Role identifier (bytes32)
+ * @returns {string} Role constant name, or the identifier itself for roles the registry does not define
+ */
+function getRoleName(roleId) {
+  return ROLE_IDS[roleId] || roleId;
+}
+
+/**
+ * Read the registry's role grants and revocations, up to and including `toBlock`
+ * @param {ethers.Provider} provider Provider connected to the registry's chain
+ * @param {object} options
+ * @param {string} options.registryAddress CredentialRegistry address
+ * @param {number} options.toBlock Last block to read
+ * @param {number} [options.fromBlock=0] First block to read (the registry deployment block)
+ * @param {number} [options.batchSize=2000] Maximum block range per `eth_getLogs` request
+ * @returns {Promise<Array<object>>} Events in chain order, with `args` `{role, account, sender}`
+ */
+async function fetchRoleEvents(provider, { registryAddress, toBlock, fromBlock = 0, batchSize = 2000 }) {
+  const iface = new ethers.Interface(loadAbi("CredentialRegistry"));
+  const topics = [ROLE_EVENTS.map((name) => iface.getEvent(name).topicHash)];
+
+  const events = [];
+  for (let from = fromBlock; from <= toBlock; from += batchSize) {
+    const logs = await provider.getLogs({
+      address: registryAddress,
+      topics,
+      fromBlock: from,
+      toBlock: Math.min(from + batchSize - 1, toBlock),
+    });
+    for (const log of logs) {
+      const event = iface.parseLog(log);
+      events.push({
+        name: event.name,
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        transactionHash: log.transactionHash,
+        args: { role: event.args.role, account: event.args.account, sender: event.args.sender },
+      });
+    }
+  }
+  return events;
+}
+
+/**
+ * Audit who holds each registry role: current holders and whether they are contracts, the pending
+ * admin transfer, and warnings worth acting on
+ * @param {CredentialClient} client Client for the registry
+ * @param {object} [options] See `CredentialClient.getRoleHolders`
+ * @returns {Promise<{blockNumber: number, roles: Array<object>, pendingDefaultAdmin: object|null, warnings: string[]}>}
+ *   Each role's `holders` are `{account, isContract}`
+ */
+async function auditRoles(client, options = {}) {
+  const { blockNumber, roles } = await client.getRoleHolders(options);
+  const provider = client.registry.runner.provider;
+
+  for (const role of roles) {
+    const holders = [];
+    for (const account of role.holders) {
+      holders.push({ account, isContract: (await provider.getCode(account, blockNumber)) !== "0x" });
+    }
+    role.holders = holders;
+  }
+
+  const warnings = [];
+  const adminCount = roles.find((role) => role.name === "DEFAULT_ADMIN_ROLE").holders.length;
+  if (adminCount === 0) {
+    warnings.push("No account holds DEFAULT_ADMIN_ROLE: roles can no longer be granted and the registry cannot be paused");
+  } else if (adminCount > 1) {
+    warnings.push(`${adminCount} accounts hold DEFAULT_ADMIN_ROLE, and each can act alone`);
+  }
+
+  return { blockNumber, roles, pendingDefaultAdmin: await client.getPendingDefaultAdmin(), warnings };
+}
+
+module.exports = {
+  ROLE_IDS,
+  getRoleName,
+  fetchRoleEvents,
+  auditRoles,
+};
@@ -0,0 +1,86 @@
+const fs = require("fs");
+const Ajv = require("ajv");
+const { ethers } = require("ethers");
+const { canonicalizeJson, parseCredentialData } = require("./credentials");
+
+// Draft-07 JSON Schema; `$id`s are not registered, so a schema can be compiled again after an update
+const ajv = new Ajv({ allErrors: true, strict: false, addUsedSchema: false });
+const validators = new WeakMap();
+
+/**
+ * Compute the hash registered on-chain for a JSON Schema document
+ * @param {object} schema JSON Schema
+ * @returns {string} keccak256 of the canonical JSON encoding, so key order does not matter
+ */
+function computeSchemaHash(schema) {
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalizeJson(schema)));
+}
+
+/**
+ * Validate credential data against a JSON Schema. JSON strings are parsed first, so
+ * data stored as `'{"gpa":"3.85"}'` is checked as an object.
+ * @param {object} schema JSON Schema
+ * @param {string|object} credentialData Credential data, as passed to `issueCredential`
+ * @returns {{valid: boolean, errors: string[]}} Readable errors such as "/gpa must be string"
+ */
+function validateCredentialData(schema, credentialData) {
+  let data = credentialData;
+  if (typeof credentialData === "string") {
+    const parsed = parseCredentialData(credentialData);
+    data = parsed === null ? credentialData : parsed;
+  }
+
+  if (!validators.has(schema)) {
+    validators.set(schema, ajv.compile(schema));
+  }
+  const validate = validators.get(schema);
+  const valid = validate(data);
+  return {
+    valid,
+    errors: valid ? [] : validate.errors.map((error) => `${error.instancePath || "/"} ${error.message}`),
+  };
+}
+
+/**
+ * Load a schema document from its URI. Supports http(s) URLs, `file://` URLs and local paths;
+ * pass a custom loader to `CredentialClient` for other schemes such as `ipfs://`.
+ * @param {string} schemaURI Schema URI as registered on-chain
+ * @returns {Promise<object>} Parsed JSON Schema
+ */
+async function loadSchemaDocument(schemaURI) {
+  if (/^https?:\/\//.test(schemaURI)) {
+    const response = await fetch(schemaURI);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch schema ${schemaURI}: HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(schemaURI) && !schemaURI.startsWith("file://")) {
+    throw new Error(`Unsupported schema URI: ${schemaURI} (use http(s), file:// or a custom schema loader)`);
+  }
+  const filePath = schemaURI.startsWith("file://") ? new URL(schemaURI) : schemaURI;
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Decode a `CredentialSchemaRegistry.CredentialSchema` struct into a plain object
+ * @param {object} schema Schema record as returned by ethers
+ * @returns {object} Decoded schema record
+ */
+function decodeSchemaRecord(schema) {
+  return {
+    typeId: schema.typeId,
+    schemaHash: schema.schemaHash,
+    schemaURI: schema.schemaURI,
+    registeredBy: schema.registeredBy,
+    registeredAt: Number(schema.registeredAt),
+    updatedAt: Number(schema.updatedAt),
+  };
+}
+
+module.exports = {
+  computeSchemaHash,
+  validateCredentialData,
+  loadSchemaDocument,
+  decodeSchemaRecord,
+};
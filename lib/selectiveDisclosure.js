@@ -0,0 +1,190 @@
+const { ethers } = require("ethers");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+const { canonicalizeJson, parseCredentialData } = require("./credentials");
+const { deriveCommitmentKey, encryptCredentialPayload } = require("./privateCredentials");
+
+// On-chain `credentialData` of a selectively disclosable credential: this prefix followed by the claims root
+const CLAIMS_ROOT_PREFIX = "claims:";
+// Leaf of the claims tree: claim name, salt and canonical JSON value
+const CLAIM_LEAF_ENCODING = ["string", "bytes32", "string"];
+
+function toClaimLeafValues({ name, salt, value }) {
+  return [name, salt, canonicalizeJson(value)];
+}
+
+/**
+ * Commit to each top-level field of credential data separately, as the leaves of a Merkle
+ * tree. Salts are derived from the issuer's commitment key, so the same credential always
+ * has the same root and `dataHash` deduplication keeps working.
+ * @param {object} params
+ * @param {string} params.commitmentKey Key returned by `deriveCommitmentKey`
+ * @param {string} params.recipient Recipient address
+ * @param {string} params.credentialType Type/category of the credential
+ * @param {object|string} params.credentialData Credential data; must be a JSON object
+ * @returns {{root: string, onChainData: string, claims: Array<{name: string, value: *, salt: string}>}}
+ *   `onChainData` is the `credentialData` to issue; `claims` are kept by the holder
+ */
+function createClaimsCommitment({ commitmentKey, recipient, credentialType, credentialData }) {
+  const data = typeof credentialData === "string" ? parseCredentialData(credentialData) : credentialData;
+  if (data === null || typeof data !== "object" || Array.isArray(data) || Object.keys(data).length === 0) {
+    throw new Error("Selective disclosure needs credential data with at least one field");
+  }
+
+  const claims = Object.keys(data)
+    .filter((name) => data[name] !== undefined)
+    .sort()
+    .map((name) => {
+      const value = data[name];
+      const salt = ethers.computeHmac(
+        "sha256",
+        commitmentKey,
+        ethers.solidityPacked(["address", "string", "string", "string"], [recipient, credentialType, name, canonicalizeJson(value)])
+      );
+      return { name, value, salt };
+    });
+  const tree = StandardMerkleTree.of(claims.map(toClaimLeafValues), CLAIM_LEAF_ENCODING);
+
+  return { root: tree.root, onChainData: `${CLAIMS_ROOT_PREFIX}${tree.root}`, claims };
+}
+
+/**
+ * @param {string} credentialData On-chain `credentialData`
+ * @returns {string|null} The claims root of a selectively disclosable credential, or null otherwise
+ */
+function parseClaimsRoot(credentialData) {
+  if (typeof credentialData !== "string" || !credentialData.startsWith(CLAIMS_ROOT_PREFIX)) {
+    return null;
+  }
+  const root = credentialData.slice(CLAIMS_ROOT_PREFIX.length);
+  return ethers.isHexString(root, 32) ? root.toLowerCase() : null;
+}
+
+/**
+ * Issue a credential whose fields can be disclosed one by one. The full data is checked against
+ * the schema of its type, only the claims root goes on-chain, and the salted claims are
+ * encrypted to the recipient (see `decryptCredentialPayload`).
+ * @param {CredentialClient} client Client connected with the issuer's signer
+ * @param {object} params Same as `issuePrivateCredential`; `credentialData` must be a JSON object
+ * @returns {Promise<{credentialId: number, transactionHash: string, receipt: object, root: string, envelope: object}>}
+ */
+async function issueSelectiveCredential(client, {
+  recipient,
+  recipientPublicKey,
+  credentialType,
+  credentialData,
+  expiresAt = 0,
+  metadataURI = "",
+  commitmentKey,
+}) {
+  if (ethers.computeAddress(recipientPublicKey) !== ethers.getAddress(recipient)) {
+    throw new Error(`The public key does not belong to the recipient ${recipient}`);
+  }
+
+  const [error] = await client.checkCredentialSchemas([{ credentialType, credentialData }]);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const { root, onChainData, claims } = createClaimsCommitment({
+    commitmentKey: commitmentKey || (await deriveCommitmentKey(client.runner)),
+    recipient,
+    credentialType,
+    credentialData,
+  });
+  const { credentialId, transactionHash, receipt } = await client.issueCredential({
+    recipient,
+    credentialType,
+    credentialData: onChainData,
+    expiresAt,
+    metadataURI,
+  });
+
+  return {
+    credentialId,
+    transactionHash,
+    receipt,
+    root,
+    envelope: encryptCredentialPayload({ credentialId, claims }, recipientPublicKey),
+  };
+}
+
+/**
+ * Holder side: present only some fields of a credential. The other fields stay hidden; the
+ * proof only reveals hashes of them.
+ * @param {object} document `{credentialId, claims}` as decrypted from the issuance envelope
+ * @param {string[]} fields Names of the fields to reveal
+ * @returns {{credentialId: number, claims: Array<object>, proof: string[], proofFlags: boolean[]}}
+ */
+function createPresentation({ credentialId, claims }, fields) {
+  if (fields.length === 0) {
+    throw new Error("A presentation must reveal at least one field");
+  }
+
+  const tree = StandardMerkleTree.of(claims.map(toClaimLeafValues), CLAIM_LEAF_ENCODING);
+  const indices = fields.map((field) => {
+    const index = claims.findIndex((claim) => claim.name === field);
+    if (index === -1) {
+      throw new Error(`The credential has no field ${field}`);
+    }
+    return index;
+  });
+  const { leaves, proof, proofFlags } = tree.getMultiProof(indices);
+
+  // The proof expects the revealed leaves in tree order, not in the order they were asked for
+  return {
+    credentialId,
+    claims: leaves.map(([name]) => claims.find((claim) => claim.name === name)),
+    proof,
+    proofFlags,
+  };
+}
+
+/**
+ * Verify a presentation: the revealed fields must be leaves of the claims root stored on-chain,
+ * and the credential must be valid
+ * @param {CredentialClient} client Client connected to the registry (a provider is enough)
+ * @param {object} presentation Result of `createPresentation`
+ * @returns {Promise<{isValid: boolean, credential: object|null, claims: object|null, reason: string|null}>}
+ *   `claims` maps each revealed field to its value; `reason` is one of NotFound, NotSelective,
+ *   InvalidProof, Revoked, Suspended, Expired, Superseded or NotAccepted
+ */
+async function verifyPresentation(client, { credentialId, claims, proof, proofFlags }) {
+  const credential = await client.findCredential(credentialId);
+  if (!credential) {
+    return { isValid: false, credential: null, claims: null, reason: "NotFound" };
+  }
+
+  const root = parseClaimsRoot(credential.credentialData);
+  if (!root) {
+    return { isValid: false, credential, claims: null, reason: "NotSelective" };
+  }
+
+  let proven = false;
+  try {
+    const names = new Set(claims.map((claim) => claim.name));
+    proven = names.size === claims.length && StandardMerkleTree.verifyMultiProof(root, CLAIM_LEAF_ENCODING, {
+      leaves: claims.map(toClaimLeafValues),
+      proof,
+      proofFlags,
+    });
+  } catch (e) {
+    proven = false;
+  }
+  if (!proven) {
+    return { isValid: false, credential, claims: null, reason: "InvalidProof" };
+  }
+
+  const revealed = Object.fromEntries(claims.map(({ name, value }) => [name, value]));
+  const reason = await client.getInvalidReason(credential);
+  return { isValid: reason === null, credential, claims: revealed, reason };
+}
+
+module.exports = {
+  CLAIMS_ROOT_PREFIX,
+  CLAIM_LEAF_ENCODING,
+  createClaimsCommitment,
+  parseClaimsRoot,
+  issueSelectiveCredential,
+  createPresentation,
+  verifyPresentation,
+};
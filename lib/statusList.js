@@ -0,0 +1,396 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { ethers } = require("ethers");
+const { loadAbi } = require("./abi");
+const { CredentialStatus } = require("./constants");
+const { canonicalizeJson } = require("./credentials");
+const { VC_CONTEXT, REGISTRY_CONTEXT, toDid, parseDid } = require("./verifiableCredentials");
+
+const STATUS_LIST_CONTEXT = "https://w3id.org/vc/status-list/2021/v1";
+// Each status purpose gets its own list; the bit of a credential is set while it has one of its
+// statuses. A superseded credential counts as revoked: it is never valid again.
+const STATUS_PURPOSES = Object.freeze({
+  revocation: Object.freeze([CredentialStatus.Revoked, CredentialStatus.Superseded]),
+  suspension: Object.freeze([CredentialStatus.Suspended]),
+});
+// The spec's minimum of 16KB, so a list does not reveal how many credentials an issuer has
+const MIN_STATUS_LIST_LENGTH = 131072;
+const STATUS_EVENTS = ["CredentialIssued", "CredentialRevoked", "CredentialStatusUpdated", "CredentialSuspended"];
+// The issuer signs EIP-712 typed data, so any wallet can sign a list and verifiers recover the
+// issuer without a JSON-LD processor. `documentHash` covers the whole list except the proof.
+const STATUS_LIST_PROOF_TYPE = "EthereumEip712Signature2021";
+const STATUS_LIST_PROOF_TYPES = {
+  StatusList2021Credential: [
+    { name: "id", type: "string" },
+    { name: "statusPurpose", type: "string" },
+    { name: "blockNumber", type: "uint256" },
+    { name: "documentHash", type: "bytes32" },
+  ],
+};
+
+/**
+ * Read the events that determine credential statuses, up to and including `toBlock`
+ * @param {ethers.Provider} provider Provider connected to the registry's chain
+ * @param {object} options
+ * @param {string} options.registryAddress CredentialRegistry address
+ * @param {number} options.toBlock Last block to read
+ * @param {number} [options.fromBlock=0] First block to read (the registry deployment block)
+ * @param {number} [options.batchSize=2000] Maximum block range per `eth_getLogs` request
+ * @returns {Promise<Array<object>>} Events in chain order, shaped like `CredentialIndexer.getEvents()`
+ */
+async function fetchCredentialStatusEvents(provider, { registryAddress, toBlock, fromBlock = 0, batchSize = 2000 }) {
+  const iface = new ethers.Interface(loadAbi("CredentialRegistry"));
+  const topics = [STATUS_EVENTS.map((name) => iface.getEvent(name).topicHash)];
+
+  const events = [];
+  for (let from = fromBlock; from <= toBlock; from += batchSize) {
+    const logs = await provider.getLogs({
+      address: registryAddress,
+      topics,
+      fromBlock: from,
+      toBlock: Math.min(from + batchSize - 1, toBlock),
+    });
+    for (const log of logs) {
+      const event = iface.parseLog(log);
+      events.push({
+        name: event.name,
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        args: {
+          credentialId: Number(event.args.credentialId),
+          ...(event.name === "CredentialIssued" && { issuer: event.args.issuer }),
+          ...(event.name === "CredentialStatusUpdated" && { newStatus: Number(event.args.newStatus) }),
+          ...(event.name === "CredentialSuspended" && { suspendedUntil: Number(event.args.suspendedUntil) }),
+        },
+      });
+    }
+  }
+  return events;
+}
+
+/**
+ * Replay status events into the current status of every credential
+ * @param {Array<object>} events Events from `fetchCredentialStatusEvents` or `CredentialIndexer.getEvents()`
+ * @returns {Map<number, {issuer: string, status: number, suspendedUntil: number}>} Statuses keyed by
+ *   credential ID; `suspendedUntil` is the end of a time-bound suspension, or 0
+ */
+function replayCredentialStatuses(events) {
+  const statuses = new Map();
+  const ordered = [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  for (const { name, args } of ordered) {
+    if (name === "CredentialIssued") {
+      statuses.set(args.credentialId, {
+        issuer: ethers.getAddress(args.issuer),
+        status: CredentialStatus.Active,
+        suspendedUntil: 0,
+      });
+    } else if (statuses.has(args.credentialId)) {
+      if (name === "CredentialRevoked") {
+        statuses.get(args.credentialId).status = CredentialStatus.Revoked;
+      } else if (name === "CredentialStatusUpdated") {
+        Object.assign(statuses.get(args.credentialId), { status: args.newStatus, suspendedUntil: 0 });
+      } else if (name === "CredentialSuspended") {
+        statuses.get(args.credentialId).suspendedUntil = args.suspendedUntil;
+      }
+    }
+  }
+  return statuses;
+}
+
+/**
+ * Encode a bitstring as a StatusList2021 `encodedList`: GZIP-compressed, then base64.
+ * Bit 0 is the most significant bit of the first byte.
+ * @param {Iterable<number>} indexes Indexes of the bits to set
+ * @param {number} [length=MIN_STATUS_LIST_LENGTH] Length in bits, grown to fit the largest index
+ * @returns {string} Encoded list
+ */
+function encodeStatusList(indexes, length = MIN_STATUS_LIST_LENGTH) {
+  const set = [...indexes];
+  const bits = set.reduce((max, index) => Math.max(max, index + 1), length);
+  const bitstring = Buffer.alloc(Math.ceil(bits / 8));
+  for (const index of set) {
+    bitstring[index >> 3] |= 0x80 >> (index & 7);
+  }
+  return zlib.gzipSync(bitstring).toString("base64");
+}
+
+/**
+ * Decode a StatusList2021 `encodedList`
+ * @param {string} encodedList Encoded list
+ * @returns {Buffer} Bitstring
+ */
+function decodeStatusList(encodedList) {
+  return zlib.gunzipSync(Buffer.from(encodedList, "base64"));
+}
+
+// A time-bound suspension that has ended no longer sets the suspension bit
+function effectiveStatus({ status, suspendedUntil }, now) {
+  const lapsed = status === CredentialStatus.Suspended && suspendedUntil !== 0 && suspendedUntil <= now;
+  return lapsed ? CredentialStatus.Active : status;
+}
+
+function statusListFileName(issuer, statusPurpose) {
+  return `${ethers.getAddress(issuer)}-${statusPurpose}.json`;
+}
+
+/**
+ * Build the StatusList2021 credentials of every issuer from status events. A credential's
+ * `statusListIndex` is its registry ID, so the same events always produce the same lists.
+ * @param {Array<object>} events Events from `fetchCredentialStatusEvents` or `CredentialIndexer.getEvents()`
+ * @param {object} options
+ * @param {number|bigint} options.chainId Chain the registry is deployed on
+ * @param {string} options.registryAddress CredentialRegistry address
+ * @param {number} options.blockNumber Block the events were read up to
+ * @param {number} options.issuedAt Timestamp of that block, used as `issuanceDate` and to end time-bound suspensions
+ * @param {string[]} [options.issuers] Only build lists for these issuers (defaults to every issuer with credentials)
+ * @param {string} [options.baseUrl] URL the list files will be published under; lists get a URN ID otherwise
+ * @param {string} [options.didMethod="ethr"] DID method for the list issuer: "ethr" or "pkh"
+ * @returns {Array<{issuer: string, statusPurpose: string, fileName: string, credential: object}>}
+ */
+function createStatusListCredentials(events, {
+  chainId,
+  registryAddress,
+  blockNumber,
+  issuedAt,
+  issuers,
+  baseUrl,
+  didMethod = "ethr",
+}) {
+  const registryId = `eip155:${chainId}:${ethers.getAddress(registryAddress)}`;
+  const statuses = replayCredentialStatuses(events);
+  const wanted = issuers
+    ? issuers.map((issuer) => ethers.getAddress(issuer))
+    : [...new Set([...statuses.values()].map(({ issuer }) => issuer))];
+  // Every list of an export has the same length, covering the highest credential ID
+  const length = [...statuses.keys()].reduce((max, id) => Math.max(max, id + 1), MIN_STATUS_LIST_LENGTH);
+
+  return wanted.flatMap((issuer) => Object.entries(STATUS_PURPOSES).map(([statusPurpose, purposeStatuses]) => {
+    const fileName = statusListFileName(issuer, statusPurpose);
+    const id = baseUrl
+      ? `${baseUrl.replace(/\/+$/, "")}/${fileName}`
+      : `urn:${registryId}:status-list:${issuer}:${statusPurpose}`;
+    const indexes = [...statuses]
+      .filter(([, credential]) => credential.issuer === issuer && purposeStatuses.includes(effectiveStatus(credential, issuedAt)))
+      .map(([credentialId]) => credentialId);
+
+    const credential = {
+      "@context": [VC_CONTEXT, STATUS_LIST_CONTEXT, REGISTRY_CONTEXT],
+      id,
+      type: ["VerifiableCredential", "StatusList2021Credential"],
+      issuer: toDid(issuer, chainId, didMethod),
+      issuanceDate: new Date(issuedAt * 1000).toISOString().replace(".000Z", "Z"),
+      registry: registryId,
+      blockNumber,
+      credentialSubject: {
+        id: `${id}#list`,
+        type: "StatusList2021",
+        statusPurpose,
+        encodedList: encodeStatusList(indexes, length),
+      },
+    };
+    return { issuer, statusPurpose, fileName, credential };
+  }));
+}
+
+// Typed data the issuer signs for a list; the chain comes from the list's `registry`
+function statusListTypedData(statusList) {
+  const { proof, ...document } = statusList;
+  return {
+    domain: { name: "StatusList2021", version: "1", chainId: Number(String(statusList.registry).split(":")[1]) },
+    message: {
+      id: document.id,
+      statusPurpose: document.credentialSubject.statusPurpose,
+      blockNumber: document.blockNumber,
+      documentHash: ethers.keccak256(ethers.toUtf8Bytes(canonicalizeJson(document))),
+    },
+  };
+}
+
+/**
+ * Sign a status list credential with its issuer's key
+ * @param {ethers.Signer} signer Signer of the list issuer
+ * @param {object} statusList Credential built by `createStatusListCredentials`
+ * @returns {Promise<object>} The credential with an `EthereumEip712Signature2021` proof
+ */
+async function signStatusListCredential(signer, statusList) {
+  const issuer = parseDid(statusList.issuer).address;
+  const signerAddress = await signer.getAddress();
+  if (signerAddress !== issuer) {
+    throw new Error(`Status list issuer ${issuer} does not match the signer ${signerAddress}`);
+  }
+
+  const { domain, message } = statusListTypedData(statusList);
+  return {
+    ...statusList,
+    proof: {
+      type: STATUS_LIST_PROOF_TYPE,
+      created: statusList.issuanceDate,
+      proofPurpose: "assertionMethod",
+      verificationMethod: `${statusList.issuer}#controller`,
+      proofValue: await signer.signTypedData(domain, STATUS_LIST_PROOF_TYPES, message),
+    },
+  };
+}
+
+/**
+ * Check that a status list credential was signed by its issuer and not altered since
+ * @param {object} statusList Status list credential
+ * @returns {{isValid: boolean, signer: string|null, reason: string|null}} `reason` is one of
+ *   Unsigned, UnsupportedProof, InvalidSignature or IssuerMismatch
+ */
+function verifyStatusListCredential(statusList) {
+  const { proof } = statusList;
+  if (!proof) {
+    return { isValid: false, signer: null, reason: "Unsigned" };
+  }
+  if (proof.type !== STATUS_LIST_PROOF_TYPE) {
+    return { isValid: false, signer: null, reason: "UnsupportedProof" };
+  }
+
+  let signer = null;
+  try {
+    const { domain, message } = statusListTypedData(statusList);
+    signer = ethers.verifyTypedData(domain, STATUS_LIST_PROOF_TYPES, message, proof.proofValue);
+  } catch (e) {
+    return { isValid: false, signer: null, reason: "InvalidSignature" };
+  }
+  if (signer !== parseDid(statusList.issuer).address) {
+    return { isValid: false, signer, reason: "IssuerMismatch" };
+  }
+  return { isValid: true, signer, reason: null };
+}
+
+/**
+ * Export the StatusList2021 credentials of every issuer as of a block
+ * @param {ethers.Provider} provider Provider connected to the registry's chain
+ * @param {object} options See `createStatusListCredentials`, plus:
+ * @param {number|string} [options.blockTag="latest"] Block to export the state at
+ * @param {number} [options.fromBlock=0] Registry deployment block
+ * @param {number} [options.batchSize=2000] Maximum block range per `eth_getLogs` request
+ * @param {ethers.Signer} [options.signer] Issuer to sign the lists with; only its lists are exported
+ * @returns {Promise<{blockNumber: number, blockHash: string, lists: Array<object>}>}
+ */
+async function exportStatusLists(provider, {
+  registryAddress,
+  blockTag = "latest",
+  fromBlock = 0,
+  batchSize = 2000,
+  signer,
+  ...options
+}) {
+  const block = await provider.getBlock(blockTag);
+  if (!block) {
+    throw new Error(`Block not found: ${blockTag}`);
+  }
+  const { chainId } = await provider.getNetwork();
+  const events = await fetchCredentialStatusEvents(provider, {
+    registryAddress,
+    fromBlock,
+    toBlock: block.number,
+    batchSize,
+  });
+
+  const lists = createStatusListCredentials(events, {
+    ...options,
+    issuers: options.issuers || (signer && [await signer.getAddress()]),
+    chainId,
+    registryAddress,
+    blockNumber: block.number,
+    issuedAt: block.timestamp,
+  });
+  if (signer) {
+    for (const list of lists) {
+      list.credential = await signStatusListCredential(signer, list.credential);
+    }
+  }
+  return { blockNumber: block.number, blockHash: block.hash, lists };
+}
+
+/**
+ * Write status list credentials to a directory, one `<issuer>-<purpose>.json` file per list
+ * @param {string} directory Output directory (created if missing)
+ * @param {Array<object>} lists Lists returned by `createStatusListCredentials`
+ * @returns {string[]} Paths of the written files
+ */
+function writeStatusListFiles(directory, lists) {
+  fs.mkdirSync(directory, { recursive: true });
+  return lists.map(({ fileName, credential }) => {
+    const filePath = path.join(directory, fileName);
+    fs.writeFileSync(filePath, JSON.stringify(credential, null, 2) + "\n");
+    return filePath;
+  });
+}
+
+/**
+ * Build the `credentialStatus` entry pointing a credential at its issuer's status list
+ * @param {number} credentialId Registry credential ID, used as the list index
+ * @param {string} statusListCredential ID (URL) of the status list credential
+ * @param {string} [statusPurpose="revocation"] "revocation" or "suspension"
+ * @returns {object} StatusList2021Entry
+ */
+function createStatusListEntry(credentialId, statusListCredential, statusPurpose = "revocation") {
+  if (STATUS_PURPOSES[statusPurpose] === undefined) {
+    throw new Error(`Unknown status purpose: ${statusPurpose}`);
+  }
+  return {
+    id: `${statusListCredential}#${credentialId}`,
+    type: "StatusList2021Entry",
+    statusPurpose,
+    statusListIndex: String(credentialId),
+    statusListCredential,
+  };
+}
+
+/**
+ * Check a credential's bit in a fetched status list credential
+ * @param {object} entry The credential's StatusList2021Entry (see `createStatusListEntry`)
+ * @param {object} statusList Status list credential fetched from `entry.statusListCredential`
+ * @returns {{statusPurpose: string, statusListIndex: number, isSet: boolean, isSigned: boolean}}
+ *   `isSet` is true when the credential is revoked (or suspended, for a suspension list);
+ *   `isSigned` is true when the list carries a valid proof by its issuer
+ */
+function checkStatusListEntry(entry, statusList) {
+  const subject = statusList && statusList.credentialSubject;
+  if (!subject || subject.type !== "StatusList2021" || typeof subject.encodedList !== "string") {
+    throw new Error("Not a StatusList2021 credential");
+  }
+  // An unsigned list is only as trustworthy as where it was fetched from, but a bad proof means tampering
+  const verification = verifyStatusListCredential(statusList);
+  if (statusList.proof && !verification.isValid) {
+    throw new Error(`Invalid status list proof: ${verification.reason}`);
+  }
+  if (entry.statusListCredential !== statusList.id) {
+    throw new Error(`Status list mismatch: entry points to ${entry.statusListCredential}, got ${statusList.id}`);
+  }
+  if (entry.statusPurpose !== subject.statusPurpose) {
+    throw new Error(`Status purpose mismatch: entry is for ${entry.statusPurpose}, list is for ${subject.statusPurpose}`);
+  }
+
+  const index = Number(entry.statusListIndex);
+  const bitstring = decodeStatusList(subject.encodedList);
+  if (!Number.isInteger(index) || index < 0 || index >= bitstring.length * 8) {
+    throw new Error(`Status list index out of range: ${entry.statusListIndex}`);
+  }
+  return {
+    statusPurpose: subject.statusPurpose,
+    statusListIndex: index,
+    isSet: (bitstring[index >> 3] & (0x80 >> (index & 7))) !== 0,
+    isSigned: verification.isValid,
+  };
+}
+
+module.exports = {
+  STATUS_LIST_CONTEXT,
+  MIN_STATUS_LIST_LENGTH,
+  fetchCredentialStatusEvents,
+  encodeStatusList,
+  decodeStatusList,
+  createStatusListCredentials,
+  signStatusListCredential,
+  verifyStatusListCredential,
+  exportStatusLists,
+  writeStatusListFiles,
+  createStatusListEntry,
+  checkStatusListEntry,
+};
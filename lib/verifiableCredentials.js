@@ -0,0 +1,234 @@
+const { ethers } = require("ethers");
+const { canonicalizeJson, computeDataHash } = require("./credentials");
+
+const VC_CONTEXT = "https://www.w3.org/2018/credentials/v1";
+// Maps the registry-specific terms and free-form credential data fields to IRIs
+const REGISTRY_CONTEXT = { "@vocab": "urn:credential-registry:vocab#" };
+const STATUS_TYPE = "CredentialRegistryStatus";
+const DID_METHODS = ["ethr", "pkh"];
+
+/**
+ * Build a DID for an Ethereum account
+ * @param {string} address Account address
+ * @param {number|bigint} chainId Chain ID
+ * @param {string} [method="ethr"] "ethr" (did:ethr:0x89:0x...) or "pkh" (did:pkh:eip155:137:0x...)
+ * @returns {string} DID
+ */
+function toDid(address, chainId, method = "ethr") {
+  const checksummed = ethers.getAddress(address);
+  switch (method) {
+    case "ethr":
+      return `did:ethr:0x${BigInt(chainId).toString(16)}:${checksummed}`;
+    case "pkh":
+      return `did:pkh:eip155:${chainId}:${checksummed}`;
+    default:
+      throw new Error(`Unsupported DID method: ${method} (expected one of ${DID_METHODS.join(", ")})`);
+  }
+}
+
+/**
+ * Parse a did:ethr or did:pkh identifier (or a bare address)
+ * @param {string} did DID or address
+ * @returns {{address: string, chainId: number|null}} Checksummed address; chainId is null when the DID omits it
+ */
+function parseDid(did) {
+  if (ethers.isAddress(did)) {
+    return { address: ethers.getAddress(did), chainId: null };
+  }
+
+  const ethr = /^did:ethr:(?:([^:]+):)?(0x[0-9a-fA-F]{40})$/.exec(did || "");
+  if (ethr) {
+    const network = ethr[1];
+    let chainId = null;
+    if (network === undefined || network === "mainnet") {
+      chainId = 1;
+    } else if (/^0x[0-9a-fA-F]+$/.test(network) || /^\d+$/.test(network)) {
+      chainId = Number(network);
+    }
+    return { address: ethers.getAddress(ethr[2]), chainId };
+  }
+
+  const pkh = /^did:pkh:eip155:(\d+):(0x[0-9a-fA-F]{40})$/.exec(did || "");
+  if (pkh) {
+    return { address: ethers.getAddress(pkh[2]), chainId: Number(pkh[1]) };
+  }
+
+  throw new Error(`Unsupported identifier: ${did} (expected did:ethr, did:pkh or an address)`);
+}
+
+/**
+ * Turn a credential type such as "Bachelor Degree" into a VC type term ("BachelorDegree")
+ * @param {string} credentialType Registry credential type
+ * @returns {string} PascalCase type term
+ */
+function toVcType(credentialType) {
+  const term = credentialType
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1))
+    .join("");
+  return term || "Credential";
+}
+
+function toIsoDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString().replace(".000Z", "Z");
+}
+
+function fromIsoDate(value, field) {
+  const millis = Date.parse(value);
+  if (Number.isNaN(millis)) {
+    throw new Error(`Invalid ${field}: ${value}`);
+  }
+  return Math.floor(millis / 1000);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Render an on-chain credential as a W3C Verifiable Credential (data model v1.1).
+ *
+ * JSON object data becomes the `credentialSubject` claims; any other data (e.g. an IPFS
+ * hash) is kept as `credentialSubject.credentialData`. `credentialStatus` points at the
+ * registry entry, which stays the source of truth for revocation and suspension.
+ * @param {object} credential Decoded credential, see `decodeCredential`
+ * @param {object} options
+ * @param {number|bigint} options.chainId Chain the registry is deployed on
+ * @param {string} options.registryAddress CredentialRegistry address
+ * @param {string} [options.didMethod="ethr"] DID method for issuer and subject: "ethr" or "pkh"
+ * @param {object} [options.issuerProfile] Decoded issuer profile; its name is included when set
+ * @returns {object} Verifiable Credential document
+ */
+function toVerifiableCredential(credential, { chainId, registryAddress, didMethod = "ethr", issuerProfile } = {}) {
+  if (chainId === undefined || !registryAddress) {
+    throw new Error("chainId and registryAddress are required");
+  }
+
+  const registryId = `eip155:${chainId}:${ethers.getAddress(registryAddress)}`;
+  const claims = isPlainObject(credential.data)
+    ? credential.data
+    : { credentialData: credential.credentialData };
+
+  const issuer = { id: toDid(credential.issuer, chainId, didMethod) };
+  if (issuerProfile && issuerProfile.name) {
+    issuer.name = issuerProfile.name;
+  }
+
+  const vc = {
+    "@context": [VC_CONTEXT, REGISTRY_CONTEXT],
+    id: `urn:${registryId}:credential:${credential.id}`,
+    type: ["VerifiableCredential", toVcType(credential.credentialType)],
+    credentialType: credential.credentialType,
+    issuer,
+    issuanceDate: toIsoDate(credential.issuedAt),
+  };
+  if (credential.expiresAt) {
+    vc.expirationDate = toIsoDate(credential.expiresAt);
+  }
+  vc.credentialSubject = { id: toDid(credential.recipient, chainId, didMethod), ...claims };
+  vc.credentialStatus = {
+    id: `urn:${registryId}:credential:${credential.id}#status`,
+    type: STATUS_TYPE,
+    registry: registryId,
+    credentialId: credential.id,
+    dataHash: credential.dataHash,
+  };
+  if (credential.metadataURI) {
+    vc.metadataURI = credential.metadataURI;
+  }
+  return vc;
+}
+
+/**
+ * Convert a Verifiable Credential into `issueCredential` parameters. Object claims are
+ * encoded as canonical JSON, so the resulting `dataHash` does not depend on key order.
+ * @param {object} vc Verifiable Credential document
+ * @returns {{issuer: string, recipient: string, credentialType: string, credentialData: string,
+ *   expiresAt: number, metadataURI: string, dataHash: string}}
+ */
+function fromVerifiableCredential(vc) {
+  if (!vc || !Array.isArray(vc["@context"]) || vc["@context"][0] !== VC_CONTEXT) {
+    throw new Error(`Not a Verifiable Credential: @context must start with ${VC_CONTEXT}`);
+  }
+  if (!Array.isArray(vc.type) || !vc.type.includes("VerifiableCredential")) {
+    throw new Error("Not a Verifiable Credential: type must include VerifiableCredential");
+  }
+  if (!isPlainObject(vc.credentialSubject) || !vc.credentialSubject.id) {
+    throw new Error("credentialSubject.id is required to determine the recipient");
+  }
+
+  const credentialType = vc.credentialType || vc.type.filter((type) => type !== "VerifiableCredential").pop();
+  if (!credentialType) {
+    throw new Error("Cannot determine the credential type: set credentialType or add a type besides VerifiableCredential");
+  }
+
+  const { id: subjectId, ...claims } = vc.credentialSubject;
+  const claimNames = Object.keys(claims);
+  const credentialData = claimNames.length === 1 && typeof claims.credentialData === "string"
+    ? claims.credentialData
+    : canonicalizeJson(claims);
+
+  const recipient = parseDid(subjectId).address;
+  return {
+    issuer: parseDid(typeof vc.issuer === "string" ? vc.issuer : vc.issuer && vc.issuer.id).address,
+    recipient,
+    credentialType,
+    credentialData,
+    expiresAt: vc.expirationDate ? fromIsoDate(vc.expirationDate, "expirationDate") : 0,
+    metadataURI: vc.metadataURI || "",
+    dataHash: computeDataHash(credentialData, recipient, credentialType),
+  };
+}
+
+/**
+ * Export a registry credential as a Verifiable Credential, including the issuer's profile name
+ * @param {CredentialClient} client Client connected to the registry
+ * @param {number} credentialId Credential ID
+ * @param {object} [options]
+ * @param {string} [options.didMethod="ethr"] "ethr" or "pkh"
+ * @returns {Promise<object>} Verifiable Credential document
+ */
+async function exportVerifiableCredential(client, credentialId, { didMethod = "ethr" } = {}) {
+  const credential = await client.getCredential(credentialId);
+  const provider = client.runner.provider || client.runner;
+  const { chainId } = await provider.getNetwork();
+
+  return toVerifiableCredential(credential, {
+    chainId,
+    registryAddress: client.registry.target,
+    didMethod,
+    issuerProfile: await client.getIssuerProfile(credential.issuer),
+  });
+}
+
+/**
+ * Issue a Verifiable Credential through `issueCredential`. The client's signer must be the VC issuer.
+ * @param {CredentialClient} client Client connected with the issuer's signer
+ * @param {object} vc Verifiable Credential document
+ * @returns {Promise<{credentialId: number, transactionHash: string, dataHash: string}>}
+ */
+async function importVerifiableCredential(client, vc) {
+  const params = fromVerifiableCredential(vc);
+  const signerAddress = await client.runner.getAddress();
+  if (params.issuer !== signerAddress) {
+    throw new Error(`VC issuer ${params.issuer} does not match the signer ${signerAddress}`);
+  }
+  if (await client.isDataHashUsed(params.dataHash)) {
+    throw new Error(`Credential already issued (data hash ${params.dataHash} is in usedHashes)`);
+  }
+
+  const { credentialId, transactionHash } = await client.issueCredential(params);
+  return { credentialId, transactionHash, dataHash: params.dataHash };
+}
+
+module.exports = {
+  VC_CONTEXT,
+  REGISTRY_CONTEXT,
+  toDid,
+  parseDid,
+  toVerifiableCredential,
+  fromVerifiableCredential,
+  exportVerifiableCredential,
+  importVerifiableCredential,
+};
@@ -0,0 +1,49 @@
+require("dotenv").config();
+const { ethers } = require("ethers");
+const {
+  CredentialClient,
+  createApiServer,
+  getDeploymentPath,
+  loadDeployment,
+  getContractAddresses,
+} = require("../lib");
+
+/**
+ * Read-only verification API, runnable with plain Node:
+ *
+ *   NETWORK=mumbai node scripts/apiServer.js
+ *
+ * Contract addresses come from CREDENTIAL_REGISTRY_ADDRESS / CREDENTIAL_VERIFIER_ADDRESS
+ * or, when unset, from deployments/<NETWORK>_deployment.json.
+ */
+async function main() {
+  const network = process.env.NETWORK || "mumbai";
+  const rpcUrl = process.env.RPC_URL || process.env[`${network.toUpperCase()}_RPC_URL`];
+  const port = Number(process.env.API_PORT || 3000);
+
+  if (!rpcUrl) {
+    throw new Error(`Set RPC_URL or ${network.toUpperCase()}_RPC_URL`);
+  }
+
+  const addresses = process.env.CREDENTIAL_VERIFIER_ADDRESS
+    ? {
+      registryAddress: process.env.CREDENTIAL_REGISTRY_ADDRESS,
+      verifierAddress: process.env.CREDENTIAL_VERIFIER_ADDRESS,
+    }
+    : getContractAddresses(loadDeployment(getDeploymentPath(network)));
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const client = new CredentialClient(provider, addresses);
+  const server = createApiServer(client, { onError: console.error });
+
+  server.listen(port, () => {
+    console.log(`🌐 Verification API listening on http://localhost:${port}`);
+    console.log(`   Network: ${network}`);
+    console.log(`   CredentialVerifier: ${addresses.verifierAddress}`);
+  });
+}
+
+main().catch((error) => {
+  console.error("❌ Failed to start the verification API:", error.message);
+  process.exitCode = 1;
+});
@@ -1,4 +1,10 @@
 const { ethers, upgrades } = require("hardhat");
+const { getDeploymentPath, saveDeployment, recordImplementation } = require("../lib");
+
+// Comma-separated credential types from an environment variable, e.g. "Medical License,Medical/*"
+function parseTypeList(value) {
+  return (value || "").split(",").map((entry) => entry.trim()).filter(Boolean);
+}
 
 async function main() {
   console.log("🚀 Starting deployment to Polygon...");
@@ -9,14 +15,18 @@ async function main() {
   const balance = await deployer.provider.getBalance(deployer.address);
   console.log(`💰 Account balance: ${ethers.formatEther(balance)} MATIC`);
 
-  // Deploy CredentialRegistry
+  // Deploy CredentialRegistry behind a UUPS proxy; the proxy address never changes on upgrade
   console.log("\n📋 Deploying CredentialRegistry...");
   const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
-  const credentialRegistry = await CredentialRegistry.deploy();
+  const credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
   await credentialRegistry.waitForDeployment();
   
   const registryAddress = await credentialRegistry.getAddress();
-  console.log(`✅ CredentialRegistry deployed to: ${registryAddress}`);
+  const implementationAddress = await upgrades.erc1967.getImplementationAddress(registryAddress);
+  const extensionAddress = await credentialRegistry.extension();
+  console.log(`✅ CredentialRegistry proxy deployed to: ${registryAddress}`);
+  console.log(`   Implementation: ${implementationAddress}`);
+  console.log(`   Extension: ${extensionAddress}`);
 
   // Deploy CredentialVerifier
   console.log("\n🔍 Deploying CredentialVerifier...");
@@ -27,6 +37,60 @@ async function main() {
   const verifierAddress = await credentialVerifier.getAddress();
   console.log(`✅ CredentialVerifier deployed to: ${verifierAddress}`);
 
+  // Deploy CredentialSchemaRegistry
+  console.log("\n📐 Deploying CredentialSchemaRegistry...");
+  const CredentialSchemaRegistry = await ethers.getContractFactory("CredentialSchemaRegistry");
+  const schemaRegistry = await CredentialSchemaRegistry.deploy(registryAddress);
+  await schemaRegistry.waitForDeployment();
+
+  const schemaRegistryAddress = await schemaRegistry.getAddress();
+  console.log(`✅ CredentialSchemaRegistry deployed to: ${schemaRegistryAddress}`);
+
+  // Deploy IssuerAccreditation
+  console.log("\n🏛️ Deploying IssuerAccreditation...");
+  const IssuerAccreditation = await ethers.getContractFactory("IssuerAccreditation");
+  const issuerAccreditation = await IssuerAccreditation.deploy(registryAddress);
+  await issuerAccreditation.waitForDeployment();
+
+  const accreditationAddress = await issuerAccreditation.getAddress();
+  console.log(`✅ IssuerAccreditation deployed to: ${accreditationAddress}`);
+
+  // Deploy CredentialTypeAuthorization
+  console.log("\n🏷️ Deploying CredentialTypeAuthorization...");
+  const CredentialTypeAuthorization = await ethers.getContractFactory("CredentialTypeAuthorization");
+  const typeAuthorization = await CredentialTypeAuthorization.deploy(registryAddress);
+  await typeAuthorization.waitForDeployment();
+
+  const typeAuthorizationAddress = await typeAuthorization.getAddress();
+  console.log(`✅ CredentialTypeAuthorization deployed to: ${typeAuthorizationAddress}`);
+
+  // Deploy CredentialConsent
+  console.log("\n🤝 Deploying CredentialConsent...");
+  const CredentialConsent = await ethers.getContractFactory("CredentialConsent");
+  const credentialConsent = await CredentialConsent.deploy(registryAddress);
+  await credentialConsent.waitForDeployment();
+
+  const consentAddress = await credentialConsent.getAddress();
+  console.log(`✅ CredentialConsent deployed to: ${consentAddress}`);
+
+  // Deploy CredentialMigration
+  console.log("\n🔀 Deploying CredentialMigration...");
+  const CredentialMigration = await ethers.getContractFactory("CredentialMigration");
+  const credentialMigration = await CredentialMigration.deploy(registryAddress);
+  await credentialMigration.waitForDeployment();
+
+  const migrationAddress = await credentialMigration.getAddress();
+  console.log(`✅ CredentialMigration deployed to: ${migrationAddress}`);
+
+  // Deploy CredentialMultisig
+  console.log("\n🗳️ Deploying CredentialMultisig...");
+  const CredentialMultisig = await ethers.getContractFactory("CredentialMultisig");
+  const credentialMultisig = await CredentialMultisig.deploy(registryAddress);
+  await credentialMultisig.waitForDeployment();
+
+  const multisigAddress = await credentialMultisig.getAddress();
+  console.log(`✅ CredentialMultisig deployed to: ${multisigAddress}`);
+
   // Setup initial configuration
   console.log("\n⚙️ Setting up initial configuration...");
   
@@ -35,15 +99,85 @@ async function main() {
   await credentialRegistry.grantRole(VERIFIER_ROLE, verifierAddress);
   console.log("✅ Granted VERIFIER_ROLE to CredentialVerifier contract");
 
-  // Setup deployer as an issuer (already has admin role)
-  const deployerProfile = await credentialRegistry.setupIssuerProfile(
+  // Let recipients move their credentials to new wallets
+  await (await credentialRegistry.grantRole(await credentialRegistry.MIGRATOR_ROLE(), migrationAddress)).wait();
+  console.log("✅ Granted MIGRATOR_ROLE to CredentialMigration contract");
+
+  // Let approved proposals issue and revoke credentials
+  await (await credentialRegistry.grantRole(await credentialRegistry.ISSUER_ROLE(), multisigAddress)).wait();
+  await (await credentialRegistry.grantRole(await credentialRegistry.REVOKER_ROLE(), multisigAddress)).wait();
+  console.log("✅ Granted ISSUER_ROLE and REVOKER_ROLE to CredentialMultisig contract");
+
+  // Credentials the multisig issues are only revoked through its proposals
+  await (await credentialRegistry.setCredentialMultisig(multisigAddress)).wait();
+  console.log("✅ Registered CredentialMultisig as the only revoker of its credentials");
+
+  // Let the deployer decide issuer applications
+  await (await credentialRegistry.grantRole(await credentialRegistry.ACCREDITOR_ROLE(), deployer.address)).wait();
+  console.log("✅ Granted ACCREDITOR_ROLE to deployer");
+
+  const deployerProfile = [
     "Default Issuer",
     "Initial credential issuer for testing and setup",
     "https://example.com",
     "https://example.com/logo.png"
-  );
-  await deployerProfile.wait();
-  console.log("✅ Setup issuer profile for deployer");
+  ];
+  if (process.env.ENFORCE_ACCREDITATION === "true") {
+    // The deployer goes through the same application flow as every other issuer; approvals grant
+    // ISSUER_ROLE through the registry, which only accepts that from its IssuerAccreditation
+    await (await credentialRegistry.setIssuerAccreditation(accreditationAddress)).wait();
+    await (await issuerAccreditation.submitApplication(...deployerProfile)).wait();
+    await (await issuerAccreditation.approveApplication(deployer.address)).wait();
+    await (await credentialMultisig.submitIssuerApplication(
+      accreditationAddress,
+      "Multi-signature Issuer",
+      "Credentials issued once enough signers approve them",
+      "",
+      ""
+    )).wait();
+    await (await issuerAccreditation.approveApplication(multisigAddress)).wait();
+    console.log("✅ Issuer accreditation enabled: issuers apply with issuer:apply and accreditors approve them");
+  } else {
+    // Setup deployer as an issuer (already has admin role)
+    await (await credentialRegistry.setupIssuerProfile(...deployerProfile)).wait();
+    console.log("✅ Setup issuer profile for deployer");
+    console.log("ℹ️ Issuer accreditation disabled (set ENFORCE_ACCREDITATION=true or run issuer:enforce-accreditation to enable)");
+  }
+
+  // Only registered credential types can be issued once schemas are enforced
+  if (process.env.ENFORCE_SCHEMAS === "true") {
+    await (await credentialRegistry.setSchemaRegistry(schemaRegistryAddress)).wait();
+    console.log("✅ Schema enforcement enabled: register a schema before issuing a credential type");
+  } else {
+    console.log("ℹ️ Schema enforcement disabled (set ENFORCE_SCHEMAS=true or run schema:enforce to enable)");
+  }
+
+  // Issuers can only issue the types an admin authorized for them once enforced
+  if (process.env.ENFORCE_TYPE_AUTHORIZATION === "true") {
+    // Multi-signature types go to the multisig alone, so that no single issuer can issue them
+    const multisigTypes = parseTypeList(process.env.MULTISIG_CREDENTIAL_TYPES);
+    const deployerTypes = parseTypeList(process.env.DEPLOYER_CREDENTIAL_TYPES);
+    if (multisigTypes.length > 0) {
+      await (await typeAuthorization.authorizeTypes(multisigAddress, multisigTypes)).wait();
+      console.log(`✅ Authorized CredentialMultisig for: ${multisigTypes.join(", ")} (set their approval policies with proposal:policy)`);
+    }
+    if (deployerTypes.length > 0) {
+      await (await typeAuthorization.authorizeTypes(deployer.address, deployerTypes)).wait();
+      console.log(`✅ Authorized deployer for: ${deployerTypes.join(", ")}`);
+    }
+    await (await credentialRegistry.setTypeAuthorization(typeAuthorizationAddress)).wait();
+    console.log("✅ Type authorization enabled: authorize types per issuer with issuer:authorize-types");
+  } else {
+    console.log("ℹ️ Type authorization disabled (set ENFORCE_TYPE_AUTHORIZATION=true or run issuer:enforce-types to enable)");
+  }
+
+  // New credentials only count once their recipient accepts them
+  if (process.env.ENFORCE_CONSENT === "true") {
+    await (await credentialRegistry.setCredentialConsent(consentAddress)).wait();
+    console.log("✅ Recipient consent enabled: recipients accept offers with consent:accept");
+  } else {
+    console.log("ℹ️ Recipient consent disabled (set ENFORCE_CONSENT=true or run consent:enforce to enable)");
+  }
 
   // Verify deployment
   console.log("\n🔍 Verifying deployment...");
@@ -61,11 +195,18 @@ async function main() {
   console.log("=" * 50);
   console.log(`Network: ${network.name}`);
   console.log(`Deployer: ${deployer.address}`);
-  console.log(`CredentialRegistry: ${registryAddress}`);
+  console.log(`CredentialRegistry: ${registryAddress} (implementation ${implementationAddress}, extension ${extensionAddress})`);
   console.log(`CredentialVerifier: ${verifierAddress}`);
+  console.log(`CredentialSchemaRegistry: ${schemaRegistryAddress}`);
+  console.log(`IssuerAccreditation: ${accreditationAddress}`);
+  console.log(`CredentialTypeAuthorization: ${typeAuthorizationAddress}`);
+  console.log(`CredentialConsent: ${consentAddress}`);
+  console.log(`CredentialMigration: ${migrationAddress}`);
+  console.log(`CredentialMultisig: ${multisigAddress}`);
   console.log("=" * 50);
 
   // Save deployment info
+  const registryDeployment = await credentialRegistry.deploymentTransaction().wait();
   const deploymentInfo = {
     network: network.name,
     chainId: network.config.chainId,
@@ -73,42 +214,85 @@ async function main() {
     contracts: {
       CredentialRegistry: {
         address: registryAddress,
-        deploymentBlock: await credentialRegistry.deploymentTransaction()?.blockNumber
+        proxyKind: "uups",
+        deploymentBlock: registryDeployment.blockNumber
       },
       CredentialVerifier: {
         address: verifierAddress,
-        deploymentBlock: await credentialVerifier.deploymentTransaction()?.blockNumber
+        deploymentBlock: (await credentialVerifier.deploymentTransaction().wait()).blockNumber
+      },
+      CredentialSchemaRegistry: {
+        address: schemaRegistryAddress,
+        deploymentBlock: (await schemaRegistry.deploymentTransaction().wait()).blockNumber
+      },
+      IssuerAccreditation: {
+        address: accreditationAddress,
+        deploymentBlock: (await issuerAccreditation.deploymentTransaction().wait()).blockNumber
+      },
+      CredentialTypeAuthorization: {
+        address: typeAuthorizationAddress,
+        deploymentBlock: (await typeAuthorization.deploymentTransaction().wait()).blockNumber
+      },
+      CredentialConsent: {
+        address: consentAddress,
+        deploymentBlock: (await credentialConsent.deploymentTransaction().wait()).blockNumber
+      },
+      CredentialMigration: {
+        address: migrationAddress,
+        deploymentBlock: (await credentialMigration.deploymentTransaction().wait()).blockNumber
+      },
+      CredentialMultisig: {
+        address: multisigAddress,
+        deploymentBlock: (await credentialMultisig.deploymentTransaction().wait()).blockNumber
       }
     },
     timestamp: new Date().toISOString()
   };
 
+  recordImplementation(deploymentInfo, "CredentialRegistry", {
+    implementation: implementationAddress,
+    version: await credentialRegistry.version(),
+    transactionHash: registryDeployment.hash,
+    blockNumber: registryDeployment.blockNumber
+  });
+
   // Write deployment info to file
-  const fs = require('fs');
-  const deploymentPath = `./deployments/${network.name}_deployment.json`;
-  
-  // Create deployments directory if it doesn't exist
-  if (!fs.existsSync('./deployments')) {
-    fs.mkdirSync('./deployments');
-  }
-  
-  fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
+  const deploymentPath = getDeploymentPath(network.name);
+  saveDeployment(deploymentPath, deploymentInfo);
   console.log(`📄 Deployment info saved to: ${deploymentPath}`);
 
   // Display next steps
   console.log("\n🎯 Next Steps:");
   console.log("1. Verify contracts on PolygonScan:");
   console.log(`   npx hardhat verify --network ${network.name} ${registryAddress}`);
+  console.log(`   npx hardhat verify --network ${network.name} ${extensionAddress}`);
   console.log(`   npx hardhat verify --network ${network.name} ${verifierAddress} ${registryAddress}`);
-  console.log("\n2. Grant additional issuer roles:");
+  console.log(`   npx hardhat verify --network ${network.name} ${schemaRegistryAddress} ${registryAddress}`);
+  console.log(`   npx hardhat verify --network ${network.name} ${accreditationAddress} ${registryAddress}`);
+  console.log(`   npx hardhat verify --network ${network.name} ${typeAuthorizationAddress} ${registryAddress}`);
+  console.log(`   npx hardhat verify --network ${network.name} ${consentAddress} ${registryAddress}`);
+  console.log(`   npx hardhat verify --network ${network.name} ${migrationAddress} ${registryAddress}`);
+  console.log(`   npx hardhat verify --network ${network.name} ${multisigAddress} ${registryAddress}`);
+  console.log("\n2. Onboard issuers:");
+  console.log(`   npx hardhat issuer:apply --name NAME --network ${network.name}   (as the prospective issuer)`);
+  console.log(`   npx hardhat issuer:approve --address ADDRESS --network ${network.name}   (as an accreditor)`);
+  console.log("\n3. Without enforced accreditation, grant roles and set up profiles directly:");
   console.log(`   credentialRegistry.grantIssuerRole(ADDRESS)`);
-  console.log("\n3. Setup issuer profiles:");
   console.log(`   credentialRegistry.setupIssuerProfile(name, description, website, logoURI)`);
   console.log("\n4. Start issuing credentials!");
+  console.log("\n5. Ship fixes later without changing the registry address:");
+  console.log(`   npx hardhat run scripts/upgrade.js --network ${network.name}`);
   
   return {
     credentialRegistry: registryAddress,
-    credentialVerifier: verifierAddress
+    credentialRegistryExtension: extensionAddress,
+    credentialVerifier: verifierAddress,
+    credentialSchemaRegistry: schemaRegistryAddress,
+    issuerAccreditation: accreditationAddress,
+    credentialTypeAuthorization: typeAuthorizationAddress,
+    credentialConsent: consentAddress,
+    credentialMigration: migrationAddress,
+    credentialMultisig: multisigAddress
   };
 }
 
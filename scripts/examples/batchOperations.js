@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { CredentialClient } = require("../../lib");
 
 async function main() {
   console.log("📦 Batch Operations Example");
@@ -16,19 +17,22 @@ async function main() {
 
   const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
   const credentialRegistry = CredentialRegistry.attach(CREDENTIAL_REGISTRY_ADDRESS);
+  const client = new CredentialClient(signer, {
+    registryAddress: CREDENTIAL_REGISTRY_ADDRESS,
+    verifierAddress: process.env.CREDENTIAL_VERIFIER_ADDRESS
+  });
 
   try {
     // Setup issuer profile if needed
-    const existingProfile = await credentialRegistry.issuerProfiles(signer.address);
+    const existingProfile = await client.getIssuerProfile(signer.address);
     if (!existingProfile.isActive) {
       console.log("⚙️ Setting up issuer profile...");
-      const profileTx = await credentialRegistry.setupIssuerProfile(
-        "Blockchain Academy",
-        "Premier blockchain education institution",
-        "https://blockchain-academy.edu",
-        "https://blockchain-academy.edu/logo.png"
-      );
-      await profileTx.wait();
+      await client.setupIssuerProfile({
+        name: "Blockchain Academy",
+        description: "Premier blockchain education institution",
+        website: "https://blockchain-academy.edu",
+        logoURI: "https://blockchain-academy.edu/logo.png"
+      });
       console.log("✅ Issuer profile created");
     }
 
@@ -46,7 +50,7 @@ async function main() {
         honors: "Magna Cum Laude"
       },
       {
-        address: "0x8ba1f109551bD432803012645Hac136c9.SendTransactionOptions", // Replace with real addresses  
+        address: "0x8ba1f109551bD432803012645Ac136ddd64DBA72", // Replace with real addresses
         name: "Bob Smith",
         degree: "Information Systems", 
         gpa: "3.72",
@@ -62,11 +66,7 @@ async function main() {
     ];
 
     // Prepare batch data
-    const recipients = [];
-    const credentialTypes = [];
-    const credentialDataArray = [];
-    const expirationDates = [];
-    const metadataURIs = [];
+    const batch = [];
 
     const baseExpirationTime = Math.floor(Date.now() / 1000) + (10 * 365 * 24 * 60 * 60); // 10 years
 
@@ -81,71 +81,46 @@ async function main() {
         batchYear: "2024"
       };
 
-      recipients.push(student.address);
-      credentialTypes.push("Bachelor Degree");
-      credentialDataArray.push(JSON.stringify(credentialData));
-      expirationDates.push(baseExpirationTime);
-      metadataURIs.push(`ipfs://QmGraduation2024${student.name.replace(' ', '')}`);
+      batch.push({
+        recipient: student.address,
+        credentialType: "Bachelor Degree",
+        credentialData,
+        expiresAt: baseExpirationTime,
+        metadataURI: `ipfs://QmGraduation2024${student.name.replace(' ', '')}`
+      });
     }
 
-    console.log(`📊 Preparing to issue ${recipients.length} credentials...`);
+    console.log(`📊 Preparing to issue ${batch.length} credentials...`);
 
     // Execute batch issuance
     console.log("🚀 Executing batch issuance...");
-    const batchTx = await credentialRegistry.batchIssueCredentials(
-      recipients,
-      credentialTypes,
-      credentialDataArray,
-      expirationDates,
-      metadataURIs
-    );
-
-    const receipt = await batchTx.wait();
+    const { credentialIds, receipt } = await client.batchIssueCredentials(batch);
     console.log(`✅ Batch issuance completed! Gas used: ${receipt.gasUsed}`);
 
-    // Extract credential IDs from events
-    const credentialIssuedEvents = receipt.logs.filter(
-      log => log.fragment?.name === "CredentialIssued"
-    );
-
     console.log(`\n📋 Issued Credentials:`);
-    credentialIssuedEvents.forEach((event, index) => {
-      const credentialId = event.args[0];
-      const recipient = event.args[2];
-      console.log(`   Credential ${credentialId}: ${graduatingClass[index].name} (${recipient})`);
+    credentialIds.forEach((credentialId, index) => {
+      console.log(`   Credential ${credentialId}: ${graduatingClass[index].name} (${batch[index].recipient})`);
     });
 
     // Example: Batch verification
     console.log("\n🔍 Batch Verification Example");
     console.log("=============================");
 
-    // Get some credential IDs to verify
-    const credentialIds = credentialIssuedEvents.map(event => event.args[0]);
-    
     // Add some invalid IDs to test
     const testIds = [...credentialIds, 9999, 10000];
 
     console.log(`📊 Verifying ${testIds.length} credentials...`);
     
-    // For batch verification, we need to use the CredentialVerifier contract
-    const CREDENTIAL_VERIFIER_ADDRESS = process.env.CREDENTIAL_VERIFIER_ADDRESS;
+    // Uses the CredentialVerifier contract when its address is set, the registry otherwise
+    const { results, validCount } = await client.batchVerifyCredentials(testIds);
     
-    if (CREDENTIAL_VERIFIER_ADDRESS && CREDENTIAL_VERIFIER_ADDRESS !== "0x...") {
-      const CredentialVerifier = await ethers.getContractFactory("CredentialVerifier");
-      const credentialVerifier = CredentialVerifier.attach(CREDENTIAL_VERIFIER_ADDRESS);
-
-      const [results, validCount] = await credentialVerifier.batchVerifyCredentials(testIds);
-      
-      console.log(`✅ Verification completed:`);
-      console.log(`   Valid credentials: ${validCount}/${testIds.length}`);
-      
-      testIds.forEach((id, index) => {
-        const status = results[index] ? "✅ Valid" : "❌ Invalid";
-        console.log(`   Credential ${id}: ${status}`);
-      });
-    } else {
-      console.log("⚠️ CredentialVerifier address not set, skipping batch verification");
-    }
+    console.log(`✅ Verification completed:`);
+    console.log(`   Valid credentials: ${validCount}/${testIds.length}`);
+    
+    testIds.forEach((id, index) => {
+      const status = results[index] ? "✅ Valid" : "❌ Invalid";
+      console.log(`   Credential ${id}: ${status}`);
+    });
 
     // Example: Query credentials by type
     console.log("\n📊 Credential Statistics");
@@ -158,7 +133,7 @@ async function main() {
     console.log(`Bachelor Degree credentials: ${bachelorDegreeCredentials.length}`);
 
     // Show issuer statistics
-    const issuerProfile = await credentialRegistry.issuerProfiles(signer.address);
+    const issuerProfile = await client.getIssuerProfile(signer.address);
     console.log(`Credentials issued by ${issuerProfile.name}: ${issuerProfile.credentialsIssued}`);
 
     // Example: Role management
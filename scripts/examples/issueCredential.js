@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { CredentialClient } = require("../../lib");
 
 async function main() {
   console.log("🎓 Credential Issuance Example");
@@ -17,22 +18,20 @@ async function main() {
   console.log(`📝 Using account: ${signer.address}`);
 
   // Connect to the deployed contract
-  const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
-  const credentialRegistry = CredentialRegistry.attach(CREDENTIAL_REGISTRY_ADDRESS);
+  const client = new CredentialClient(signer, { registryAddress: CREDENTIAL_REGISTRY_ADDRESS });
 
   try {
     // Setup issuer profile (if not already done)
     console.log("\n⚙️ Setting up issuer profile...");
     
-    const existingProfile = await credentialRegistry.issuerProfiles(signer.address);
+    const existingProfile = await client.getIssuerProfile(signer.address);
     if (!existingProfile.isActive) {
-      const profileTx = await credentialRegistry.setupIssuerProfile(
-        "Example University",
-        "A leading institution in blockchain education",
-        "https://example-university.edu",
-        "https://example-university.edu/logo.png"
-      );
-      await profileTx.wait();
+      await client.setupIssuerProfile({
+        name: "Example University",
+        description: "A leading institution in blockchain education",
+        website: "https://example-university.edu",
+        logoURI: "https://example-university.edu/logo.png"
+      });
       console.log("✅ Issuer profile created");
     } else {
       console.log("✅ Issuer profile already exists");
@@ -61,22 +60,14 @@ async function main() {
     const expirationDate = Math.floor(Date.now() / 1000) + (365 * 24 * 60 * 60); // 1 year from now
     const metadataURI = "ipfs://QmExampleHash123456789"; // Replace with actual IPFS hash
 
-    const issueTx = await credentialRegistry.issueCredential(
-      RECIPIENT_ADDRESS,
-      "Bachelor Degree",
-      JSON.stringify(credentialData),
-      expirationDate,
+    const { credentialId, transactionHash } = await client.issueCredential({
+      recipient: RECIPIENT_ADDRESS,
+      credentialType: "Bachelor Degree",
+      credentialData,
+      expiresAt: expirationDate,
       metadataURI
-    );
+    });
 
-    const receipt = await issueTx.wait();
-    
-    // Extract credential ID from event
-    const credentialIssuedEvent = receipt.logs.find(
-      log => log.fragment?.name === "CredentialIssued"
-    );
-    
-    const credentialId = credentialIssuedEvent?.args[0];
     console.log(`✅ Credential issued successfully!`);
     console.log(`📋 Credential ID: ${credentialId}`);
     console.log(`👤 Recipient: ${RECIPIENT_ADDRESS}`);
@@ -84,23 +75,23 @@ async function main() {
 
     // Verify the credential was issued correctly
     console.log("\n🔍 Verifying issued credential...");
-    const credential = await credentialRegistry.getCredential(credentialId);
+    const credential = await client.getCredential(credentialId);
     
     console.log("📄 Credential Details:");
     console.log(`   ID: ${credential.id}`);
     console.log(`   Issuer: ${credential.issuer}`);
     console.log(`   Recipient: ${credential.recipient}`);
     console.log(`   Type: ${credential.credentialType}`);
-    console.log(`   Status: ${credential.status === 0 ? 'Active' : 'Other'}`);
-    console.log(`   Issued At: ${new Date(Number(credential.issuedAt) * 1000).toLocaleString()}`);
-    console.log(`   Expires At: ${new Date(Number(credential.expiresAt) * 1000).toLocaleString()}`);
+    console.log(`   Status: ${credential.statusName}`);
+    console.log(`   Issued At: ${new Date(credential.issuedAt * 1000).toLocaleString()}`);
+    console.log(`   Expires At: ${new Date(credential.expiresAt * 1000).toLocaleString()}`);
 
     // Check credential validity
-    const isValid = await credentialRegistry.isCredentialValid(credentialId);
+    const isValid = await client.isCredentialValid(credentialId);
     console.log(`✅ Credential is valid: ${isValid}`);
 
     // Get total credentials count
-    const totalCredentials = await credentialRegistry.getTotalCredentials();
+    const totalCredentials = await client.getTotalCredentials();
     console.log(`📊 Total credentials in registry: ${totalCredentials}`);
 
     console.log("\n🎉 Credential issuance completed successfully!");
@@ -110,7 +101,7 @@ async function main() {
     console.log("1. Share credential ID with recipient");
     console.log("2. Recipient can verify credential using CredentialVerifier contract");
     console.log("3. Third parties can verify credential authenticity");
-    console.log(`4. View credential on blockchain explorer: ${network.name === 'polygon' ? 'https://polygonscan.com' : 'https://mumbai.polygonscan.com'}/tx/${receipt.hash}`);
+    console.log(`4. View credential on blockchain explorer: ${network.name === 'polygon' ? 'https://polygonscan.com' : 'https://mumbai.polygonscan.com'}/tx/${transactionHash}`);
 
   } catch (error) {
     console.error("❌ Error issuing credential:");
@@ -1,10 +1,12 @@
 const { ethers } = require("hardhat");
+const { CredentialClient } = require("../../lib");
 
 async function main() {
   console.log("🔍 Credential Verification Example");
   console.log("==================================");
 
   // Get contract addresses and credential ID from environment
+  const CREDENTIAL_REGISTRY_ADDRESS = process.env.CREDENTIAL_REGISTRY_ADDRESS;
   const CREDENTIAL_VERIFIER_ADDRESS = process.env.CREDENTIAL_VERIFIER_ADDRESS || "0x..."; // Update this
   const CREDENTIAL_ID = process.env.CREDENTIAL_ID || "1"; // Update this
 
@@ -19,13 +21,17 @@ async function main() {
   // Connect to the deployed CredentialVerifier contract
   const CredentialVerifier = await ethers.getContractFactory("CredentialVerifier");
   const credentialVerifier = CredentialVerifier.attach(CREDENTIAL_VERIFIER_ADDRESS);
+  const client = new CredentialClient(signer, {
+    registryAddress: CREDENTIAL_REGISTRY_ADDRESS || await credentialVerifier.credentialRegistry(),
+    verifierAddress: CREDENTIAL_VERIFIER_ADDRESS
+  });
 
   try {
     console.log(`\n🔍 Verifying credential ID: ${CREDENTIAL_ID}`);
 
     // 1. Public verification (no special permissions needed)
     console.log("\n📋 Public Verification:");
-    const [isValid, credentialData] = await credentialVerifier.verifyCredentialPublic(CREDENTIAL_ID);
+    const { isValid, credential: credentialData } = await client.verifyCredential(CREDENTIAL_ID);
     
     if (isValid) {
       console.log("✅ Credential is VALID");
@@ -34,31 +40,30 @@ async function main() {
       console.log(`   Issuer: ${credentialData.issuer}`);
       console.log(`   Recipient: ${credentialData.recipient}`);
       console.log(`   Type: ${credentialData.credentialType}`);
-      console.log(`   Issued: ${new Date(Number(credentialData.issuedAt) * 1000).toLocaleString()}`);
+      console.log(`   Issued: ${new Date(credentialData.issuedAt * 1000).toLocaleString()}`);
       
       if (credentialData.expiresAt > 0) {
-        const expirationDate = new Date(Number(credentialData.expiresAt) * 1000);
+        const expirationDate = new Date(credentialData.expiresAt * 1000);
         const isExpired = expirationDate < new Date();
         console.log(`   Expires: ${expirationDate.toLocaleString()} ${isExpired ? '(EXPIRED)' : ''}`);
       } else {
         console.log(`   Expires: Never`);
       }
       
-      console.log(`   Status: ${getStatusString(credentialData.status)}`);
+      console.log(`   Status: ${credentialData.statusName}`);
       console.log(`   Metadata: ${credentialData.metadataURI}`);
       
-      // Parse and display credential data if it's JSON
-      try {
-        const parsedData = JSON.parse(credentialData.credentialData);
+      // Display credential data, parsed if it's JSON
+      if (credentialData.data) {
         console.log("\n📚 Credential Content:");
-        Object.entries(parsedData).forEach(([key, value]) => {
+        Object.entries(credentialData.data).forEach(([key, value]) => {
           if (Array.isArray(value)) {
             console.log(`   ${key}: ${value.join(', ')}`);
           } else {
             console.log(`   ${key}: ${value}`);
           }
         });
-      } catch (e) {
+      } else {
         console.log(`\n📚 Credential Data: ${credentialData.credentialData}`);
       }
 
@@ -86,7 +91,7 @@ async function main() {
 
       // 3. Get issuer profile
       console.log("\n🏢 Issuer Profile:");
-      const issuerProfile = await credentialVerifier.getIssuerProfile(issuer);
+      const issuerProfile = await client.getIssuerProfile(issuer);
       
       if (issuerProfile.isActive) {
         console.log(`   Name: ${issuerProfile.name}`);
@@ -132,7 +137,7 @@ async function main() {
     // 6. Batch verification example
     console.log("\n📦 Batch Verification Example:");
     const testIds = [CREDENTIAL_ID, "999", "1000"]; // Include some non-existent IDs
-    const [results, validCount] = await credentialVerifier.batchVerifyCredentials(testIds);
+    const { results, validCount } = await client.batchVerifyCredentials(testIds);
     
     console.log(`   Tested IDs: ${testIds.join(', ')}`);
     console.log(`   Results: ${results.map(r => r ? '✅' : '❌').join(' ')}`);
@@ -152,17 +157,6 @@ async function main() {
   }
 }
 
-// Helper function to convert status enum to string
-function getStatusString(status) {
-  const statusMap = {
-    0: "Active",
-    1: "Revoked", 
-    2: "Suspended",
-    3: "Expired"
-  };
-  return statusMap[status] || "Unknown";
-}
-
 // Execute the script
 main()
   .then(() => process.exit(0))
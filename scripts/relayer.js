@@ -0,0 +1,56 @@
+require("dotenv").config();
+const { ethers } = require("ethers");
+const {
+  CredentialClient,
+  Relayer,
+  createRelayerServer,
+  getDeploymentPath,
+  loadDeployment,
+  getContractAddresses,
+} = require("../lib");
+
+/**
+ * Meta-transaction relayer: accepts requests signed by issuers and revokers, and pays their gas.
+ *
+ *   NETWORK=mumbai RELAYER_PRIVATE_KEY=... node scripts/relayer.js
+ *
+ * The registry address comes from CREDENTIAL_REGISTRY_ADDRESS or, when unset,
+ * from deployments/<NETWORK>_deployment.json.
+ */
+async function main() {
+  const network = process.env.NETWORK || "mumbai";
+  const rpcUrl = process.env.RPC_URL || process.env[`${network.toUpperCase()}_RPC_URL`];
+  const port = Number(process.env.RELAYER_PORT || 3001);
+
+  if (!rpcUrl) {
+    throw new Error(`Set RPC_URL or ${network.toUpperCase()}_RPC_URL`);
+  }
+  if (!process.env.RELAYER_PRIVATE_KEY) {
+    throw new Error("Set RELAYER_PRIVATE_KEY to the funded account that pays for relayed transactions");
+  }
+
+  const addresses = process.env.CREDENTIAL_REGISTRY_ADDRESS
+    ? { registryAddress: process.env.CREDENTIAL_REGISTRY_ADDRESS }
+    : getContractAddresses(loadDeployment(getDeploymentPath(network)));
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const wallet = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider);
+  const relayer = new Relayer(new CredentialClient(wallet, addresses), {
+    onRelayed: (result) => {
+      const ids = result.credentialIds || (result.credentialId ? [result.credentialId] : []);
+      console.log(`📨 ${result.type} from ${result.signer}: ${result.transactionHash}${ids.length ? ` (credentials ${ids.join(", ")})` : ""}`);
+    },
+  });
+
+  createRelayerServer(relayer, { onError: console.error }).listen(port, () => {
+    console.log(`⛽ Relayer listening on http://localhost:${port}`);
+    console.log(`   Network: ${network}`);
+    console.log(`   Relayer account: ${wallet.address}`);
+    console.log(`   CredentialRegistry: ${addresses.registryAddress}`);
+  });
+}
+
+main().catch((error) => {
+  console.error("❌ Failed to start the relayer:", error.message);
+  process.exitCode = 1;
+});
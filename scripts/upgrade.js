@@ -0,0 +1,105 @@
+const hre = require("hardhat");
+const {
+  getDeploymentPath,
+  loadDeployment,
+  saveDeployment,
+  recordImplementation,
+  getContractAddresses,
+} = require("../lib");
+
+/**
+ * Upgrade the CredentialRegistry proxy recorded in a deployment file. The new implementation is
+ * checked against the deployed one first: incompatible storage layouts and upgrade-unsafe code
+ * abort before anything is deployed. The new implementation is appended to the deployment file.
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} [options]
+ * @param {string} [options.deploymentPath] Deployment file (defaults to deployments/<network>_deployment.json)
+ * @param {string} [options.contractName="CredentialRegistry"] Contract holding the new implementation
+ * @param {boolean} [options.validateOnly=false] Only check the storage layout, without deploying
+ * @returns {Promise<{proxyAddress: string, previousImplementation: string, implementation: string|null, version: string|null, transactionHash: string|null}>}
+ *   `transactionHash` is null when validating only or when the implementation is already current
+ */
+async function upgradeRegistry(hre, {
+  deploymentPath = getDeploymentPath(hre.network.name, hre.config.paths.root),
+  contractName = "CredentialRegistry",
+  validateOnly = false,
+} = {}) {
+  const { ethers, upgrades } = hre;
+  const deployment = loadDeployment(deploymentPath);
+  const { registryAddress: proxyAddress } = getContractAddresses(deployment);
+  const previousImplementation = ethers.getAddress(await upgrades.erc1967.getImplementationAddress(proxyAddress));
+  const NewImplementation = await ethers.getContractFactory(contractName);
+
+  const result = { proxyAddress, previousImplementation, implementation: null, version: null, transactionHash: null };
+  if (validateOnly) {
+    await upgrades.validateUpgrade(proxyAddress, NewImplementation, { kind: "uups" });
+    return result;
+  }
+
+  // Validates, then deploys the implementation (or reuses an identical one already deployed)
+  const implementation = ethers.getAddress(
+    await upgrades.prepareUpgrade(proxyAddress, NewImplementation, { kind: "uups" })
+  );
+  const registry = NewImplementation.attach(proxyAddress);
+  result.implementation = implementation;
+  if (implementation === previousImplementation) {
+    result.version = await registry.version();
+    return result;
+  }
+
+  const receipt = await (await registry.upgradeToAndCall(implementation, "0x")).wait();
+  result.version = await registry.version();
+  result.transactionHash = receipt.hash;
+
+  recordImplementation(deployment, "CredentialRegistry", {
+    implementation,
+    contractName,
+    version: result.version,
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+  });
+  saveDeployment(deploymentPath, deployment);
+  return result;
+}
+
+/**
+ * Usage:
+ *   npx hardhat run scripts/upgrade.js --network mumbai
+ *
+ * UPGRADE_CONTRACT names the new implementation (default CredentialRegistry, i.e. the current
+ * source); VALIDATE_ONLY=true checks storage layout compatibility without deploying.
+ */
+async function main() {
+  const contractName = process.env.UPGRADE_CONTRACT || "CredentialRegistry";
+  const validateOnly = process.env.VALIDATE_ONLY === "true";
+  const deploymentPath = getDeploymentPath(hre.network.name);
+
+  console.log(`🔄 Upgrading CredentialRegistry on ${hre.network.name} to ${contractName}...`);
+  const result = await upgradeRegistry(hre, { deploymentPath, contractName, validateOnly });
+
+  console.log(`📋 Proxy: ${result.proxyAddress}`);
+  console.log(`   Previous implementation: ${result.previousImplementation}`);
+  console.log("✅ Storage layout is compatible");
+
+  if (validateOnly) {
+    console.log("ℹ️ Validation only; nothing was deployed");
+  } else if (!result.transactionHash) {
+    console.log(`ℹ️ Implementation ${result.implementation} is already current (version ${result.version})`);
+  } else {
+    console.log(`✅ Upgraded to implementation ${result.implementation} (version ${result.version})`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+    console.log(`📄 Implementation history updated in: ${deploymentPath}`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Upgrade failed:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { upgradeRegistry };
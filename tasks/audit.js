@@ -0,0 +1,55 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { getContractAddresses, generateAuditReport, formatAuditReport, AUDIT_REPORT_FORMATS } = require("../lib");
+const { withCommonOptions, getDeployment, output, parseTimestampArgument } = require("./helpers");
+
+withCommonOptions(
+  task("audit:report", "Export who issued, verified, suspended or revoked which credential, and role changes, over a range")
+    .addOptionalParam("fromBlock", "First block (defaults to the registry deployment block)", undefined, types.int)
+    .addOptionalParam("toBlock", "Last block (defaults to latest)", undefined, types.int)
+    .addOptionalParam("from", "Only blocks mined at or after this date (Unix seconds or date)")
+    .addOptionalParam("to", "Only blocks mined at or before this date (Unix seconds or date)")
+    .addOptionalParam("issuer", "Only credentials of this issuer, its actions and its roles")
+    .addOptionalParam("id", "Only this credential", undefined, types.int)
+    .addOptionalParam("format", "csv, json or html (defaults to the --output extension, else html)")
+    .addOptionalParam("output", "Report file (defaults to audit-reports/<network>_<fromBlock>-<toBlock>.<format>)")
+).setAction(async (args, hre) => {
+  const format = args.format || (args.output ? path.extname(args.output).slice(1).toLowerCase() : "") || "html";
+  if (!AUDIT_REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown report format: ${format} (use ${AUDIT_REPORT_FORMATS.join(", ")})`);
+  }
+  const deployment = await getDeployment(hre, args);
+  const { registryAddress } = getContractAddresses(deployment);
+
+  const report = await generateAuditReport(hre.ethers.provider, {
+    registryAddress,
+    startBlock: deployment.contracts.CredentialRegistry.deploymentBlock || 0,
+    fromBlock: args.fromBlock,
+    toBlock: args.toBlock,
+    fromDate: parseTimestampArgument(args.from),
+    toDate: parseTimestampArgument(args.to),
+    issuer: args.issuer,
+    credentialId: args.id,
+  });
+  const contents = formatAuditReport(report, format);
+
+  const file = args.output || path.join(
+    hre.config.paths.root,
+    "audit-reports",
+    `${hre.network.name}_${report.range.fromBlock}-${report.range.toBlock}.${format}`
+  );
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, contents);
+
+  const result = { file, format, range: report.range, summary: report.summary };
+  return output(args, result, () => {
+    console.log(`📄 Audit report for blocks ${result.range.fromBlock}–${result.range.toBlock} written to ${result.file}`);
+    console.log(`   ${result.summary.entries} events about ${result.summary.credentials} credentials and ${result.summary.issuers} issuers`);
+    for (const [name, count] of Object.entries(result.summary.events)) {
+      if (count > 0) {
+        console.log(`   ${name}: ${count}`);
+      }
+    }
+  });
+});
@@ -0,0 +1,157 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { withCommonOptions, getClient, output, parseDurationArgument, formatTimestamp } = require("./helpers");
+
+function requireConsent(client) {
+  if (!client.consent) {
+    throw new Error("The deployment file does not contain a CredentialConsent address");
+  }
+  return client.consent.target;
+}
+
+function printConsent(consent) {
+  console.log(`🤝 Credential ${consent.credentialId}: ${consent.statusName}${consent.hidden ? " (hidden)" : ""}`);
+  if (consent.offeredAt) {
+    console.log(`   Offered: ${formatTimestamp(consent.offeredAt)}`);
+    console.log(`   Offer expires: ${formatTimestamp(consent.offerExpiresAt)}`);
+  }
+  if (consent.decidedAt) {
+    console.log(`   Answered: ${formatTimestamp(consent.decidedAt)}`);
+  }
+  console.log(`   Counts for the recipient: ${consent.counts ? "yes" : "no"}`);
+}
+
+function consentAction(emoji, verb, send) {
+  return async (args, hre) => {
+    const client = await getClient(hre, args);
+    requireConsent(client);
+    const { transactionHash } = await send(client, args);
+
+    const result = { ...(await client.getConsent(args.id)), transactionHash };
+    return output(args, result, () => {
+      console.log(`${emoji} Credential ${result.credentialId} ${verb}`);
+      console.log(`   Transaction: ${result.transactionHash}`);
+    });
+  };
+}
+
+withCommonOptions(
+  task("consent:offers", "List the credentials awaiting a recipient's answer")
+    .addOptionalParam("recipient", "Recipient address (defaults to the signer)")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireConsent(client);
+  const recipient = args.recipient || (await client.runner.getAddress());
+  const offers = await Promise.all(
+    (await client.getPendingOffers(recipient)).map(async (id) => ({
+      ...(await client.getCredential(id)),
+      consent: await client.getConsent(id),
+    }))
+  );
+
+  const result = { recipient, enforced: await client.isConsentEnforced(), offers };
+  return output(args, result, () => {
+    console.log(`📬 ${result.offers.length} open offers for ${result.recipient} (consent enforced: ${result.enforced ? "yes" : "no"})`);
+    for (const offer of result.offers) {
+      console.log(`   #${offer.id} ${offer.credentialType} from ${offer.issuer}, expires ${formatTimestamp(offer.consent.offerExpiresAt)}`);
+    }
+  });
+});
+
+withCommonOptions(
+  task("consent:show", "Show the recipient's answer to a credential")
+    .addParam("id", "Credential ID", undefined, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireConsent(client);
+  const result = await client.getConsent(args.id);
+  return output(args, result, printConsent);
+});
+
+withCommonOptions(
+  task("consent:accept", "Accept a credential offered to the signer")
+    .addParam("id", "Credential ID", undefined, types.int)
+).setAction(consentAction("✅", "accepted", (client, args) => client.acceptCredential(args.id)));
+
+withCommonOptions(
+  task("consent:reject", "Reject a credential offered to the signer")
+    .addParam("id", "Credential ID", undefined, types.int)
+).setAction(consentAction("❌", "rejected", (client, args) => client.rejectCredential(args.id)));
+
+withCommonOptions(
+  task("consent:disown", "Disown a credential the signer holds, so that it stops counting for good")
+    .addParam("id", "Credential ID", undefined, types.int)
+    .addParam("reason", "Why the credential is disowned")
+).setAction(consentAction("🚫", "disowned", (client, args) => client.disownCredential(args.id, args.reason)));
+
+withCommonOptions(
+  task("consent:hide", "Hide a credential the signer holds from the verifier's recipient listings")
+    .addParam("id", "Credential ID", undefined, types.int)
+    .addFlag("show", "Show the credential in listings again")
+).setAction(consentAction("🙈", "visibility updated", (client, args) => client.setCredentialHidden(args.id, !args.show)));
+
+withCommonOptions(
+  task("consent:sign", "Sign an answer to an offer as the recipient, for someone else to submit with consent:submit")
+    .addParam("id", "Credential ID", undefined, types.int)
+    .addFlag("reject", "Sign a rejection instead of an acceptance")
+    .addOptionalParam("output", "Write the signed request to this file instead of printing it")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireConsent(client);
+  const signed = await client.signConsentRequest(args.id, !args.reject);
+
+  if (args.output) {
+    fs.writeFileSync(args.output, JSON.stringify(signed, null, 2) + "\n");
+  }
+
+  return output(args, signed, () => {
+    if (args.output) {
+      console.log(`✍️ Signed ${args.reject ? "rejection" : "acceptance"} of credential ${args.id} saved to ${args.output}`);
+    } else {
+      console.log(JSON.stringify(signed, null, 2));
+    }
+  });
+});
+
+withCommonOptions(
+  task("consent:submit", "Submit an answer to an offer signed by its recipient; the signer pays the gas")
+    .addParam("file", "JSON file written by consent:sign")
+).setAction(async (args, hre) => {
+  const { request, signature } = JSON.parse(fs.readFileSync(args.file, "utf8"));
+  const client = await getClient(hre, args);
+  requireConsent(client);
+  const { transactionHash } = await client.answerOfferBySig(request, signature);
+
+  const result = { ...(await client.getConsent(request.credentialId)), transactionHash };
+  return output(args, result, () => {
+    console.log(`📨 Credential ${result.credentialId} ${result.statusName.toLowerCase()} by its recipient`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("consent:enforce", "Only count new credentials once their recipient accepts them (admin only)")
+    .addFlag("disable", "Count new credentials on issuance again")
+    .addOptionalParam("offerPeriod", "Time recipients have to answer new offers, e.g. 30d (0 for no limit)")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const consentAddress = args.disable ? hre.ethers.ZeroAddress : requireConsent(client);
+  const { transactionHash } = await client.setCredentialConsent(consentAddress);
+  if (args.offerPeriod !== undefined) {
+    await client.setOfferPeriod(args.offerPeriod === "0" ? 0 : parseDurationArgument(args.offerPeriod));
+  }
+
+  const result = { enforced: !args.disable, consentAddress, transactionHash };
+  if (client.consent) {
+    result.offerPeriod = await client.getOfferPeriod();
+  }
+  return output(args, result, () => {
+    console.log(result.enforced
+      ? `✅ Recipient consent enforced with ${result.consentAddress}`
+      : "✅ Recipient consent no longer enforced");
+    if (result.offerPeriod !== undefined) {
+      console.log(`   Offer period: ${result.offerPeriod ? `${result.offerPeriod / 86400} days` : "no limit"}`);
+    }
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
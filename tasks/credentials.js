@@ -0,0 +1,441 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const {
+  parseStatus,
+  BulkIssuer,
+  loadIssuanceRows,
+  writeIssuanceResults,
+  exportVerifiableCredential,
+  importVerifiableCredential,
+  issuePrivateCredential,
+  verifyDisclosure,
+  issueSelectiveCredential,
+  createPresentation,
+  verifyPresentation,
+} = require("../lib");
+const {
+  withCommonOptions,
+  getClient,
+  output,
+  parseDataArgument,
+  parseTimestampArgument,
+  parseDurationArgument,
+  parseListArgument,
+  formatTimestamp,
+} = require("./helpers");
+
+function printCredential(credential) {
+  console.log(`📄 Credential ${credential.id}`);
+  console.log(`   Issuer: ${credential.issuer}`);
+  console.log(`   Recipient: ${credential.recipient}`);
+  console.log(`   Type: ${credential.credentialType}`);
+  console.log(`   Status: ${credential.statusName}`);
+  console.log(`   Issued At: ${formatTimestamp(credential.issuedAt)}`);
+  console.log(`   Expires At: ${formatTimestamp(credential.expiresAt)}`);
+  console.log(`   Data Hash: ${credential.dataHash}`);
+  console.log(`   Metadata: ${credential.metadataURI}`);
+  console.log(`   Data: ${credential.data ? JSON.stringify(credential.data, null, 2) : credential.credentialData}`);
+}
+
+withCommonOptions(
+  task("credential:issue", "Issue a credential")
+    .addParam("recipient", "Recipient address")
+    .addParam("type", "Credential type, e.g. \"Bachelor Degree\"")
+    .addParam("data", "Credential data (JSON or plain string such as an IPFS hash)")
+    .addOptionalParam("expiresAt", "Expiration timestamp in seconds (0 for non-expiring)", 0, types.int)
+    .addOptionalParam("metadataUri", "Additional metadata URI", "")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const { credentialId, transactionHash } = await client.issueCredential({
+    recipient: args.recipient,
+    credentialType: args.type,
+    credentialData: parseDataArgument(args.data),
+    expiresAt: args.expiresAt,
+    metadataURI: args.metadataUri,
+  });
+
+  return output(args, { credentialId, transactionHash }, (result) => {
+    console.log(`✅ Credential ${result.credentialId} issued to ${args.recipient}`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("credential:issue-private", "Issue a credential storing only a commitment on-chain, encrypting the data to the recipient")
+    .addParam("recipient", "Recipient address")
+    .addParam("publicKey", "Recipient secp256k1 public key the data is encrypted to")
+    .addParam("type", "Credential type, e.g. \"Bachelor Degree\"")
+    .addParam("data", "Credential data (JSON or plain string such as an IPFS hash)")
+    .addOptionalParam("expiresAt", "Expiration timestamp in seconds (0 for non-expiring)", 0, types.int)
+    .addOptionalParam("metadataUri", "Additional metadata URI", "")
+    .addOptionalParam("output", "Envelope file for the recipient (defaults to envelopes/<network>/<id>-<recipient>.json)")
+    .addFlag("selective", "Commit to each field separately, so the holder can disclose them one by one")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const issue = args.selective ? issueSelectiveCredential : issuePrivateCredential;
+  const { credentialId, transactionHash, commitment, root, envelope } = await issue(client, {
+    recipient: args.recipient,
+    recipientPublicKey: args.publicKey,
+    credentialType: args.type,
+    credentialData: parseDataArgument(args.data),
+    expiresAt: args.expiresAt,
+    metadataURI: args.metadataUri,
+  });
+
+  const envelopePath = args.output ||
+    path.join(hre.config.paths.root, "envelopes", hre.network.name, `${credentialId}-${envelope.recipient}.json`);
+  fs.mkdirSync(path.dirname(envelopePath), { recursive: true });
+  fs.writeFileSync(envelopePath, JSON.stringify(envelope, null, 2) + "\n");
+
+  const result = { credentialId, commitment: commitment || root, selective: args.selective, transactionHash, envelope: envelopePath };
+  return output(args, result, () => {
+    console.log(`✅ Private credential ${result.credentialId} issued to ${args.recipient}`);
+    console.log(`   ${result.selective ? "Claims root" : "Commitment"}: ${result.commitment}`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+    console.log(`   Envelope (send to the recipient): ${result.envelope}`);
+  });
+});
+
+withCommonOptions(
+  task("credential:verify-disclosure", "Check disclosed data of a private credential against its on-chain commitment")
+    .addParam("disclosure", "JSON file with the credentialId, credentialData and salt decrypted by the holder")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const disclosure = JSON.parse(fs.readFileSync(args.disclosure, "utf8"));
+  const { isValid, credential, reason } = await verifyDisclosure(client, disclosure);
+
+  const result = { credentialId: disclosure.credentialId, isValid, reason, credential };
+  return output(args, result, () => {
+    console.log(`${result.isValid ? "✅ Valid" : `❌ Invalid (${result.reason})`}: credential ${result.credentialId}`);
+    // Only a credential opened by the disclosure has its data to show
+    if (result.credential && result.credential.commitment) {
+      printCredential(result.credential);
+    }
+  });
+});
+
+withCommonOptions(
+  task("credential:present", "Create a presentation revealing only some fields of a selectively disclosable credential")
+    .addParam("claims", "JSON file with the credentialId and claims decrypted from the issuance envelope")
+    .addParam("fields", "Comma-separated names of the fields to reveal, e.g. degree,major")
+    .addOptionalParam("output", "Write the presentation to this file instead of printing it")
+).setAction(async (args) => {
+  const document = JSON.parse(fs.readFileSync(args.claims, "utf8"));
+  const presentation = createPresentation(document, parseListArgument(args.fields));
+
+  if (args.output) {
+    fs.writeFileSync(args.output, JSON.stringify(presentation, null, 2) + "\n");
+  }
+
+  return output(args, presentation, () => {
+    if (args.output) {
+      console.log(`📄 Presentation of ${presentation.claims.map((claim) => claim.name).join(", ")} saved to ${args.output}`);
+    } else {
+      console.log(JSON.stringify(presentation, null, 2));
+    }
+  });
+});
+
+withCommonOptions(
+  task("credential:verify-presentation", "Check the fields revealed by a presentation against the on-chain claims root")
+    .addParam("presentation", "Presentation file written by credential:present")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const presentation = JSON.parse(fs.readFileSync(args.presentation, "utf8"));
+  const { isValid, credential, claims, reason } = await verifyPresentation(client, presentation);
+
+  const result = { credentialId: presentation.credentialId, isValid, reason, claims, credential };
+  return output(args, result, () => {
+    console.log(`${result.isValid ? "✅ Valid" : `❌ Invalid (${result.reason})`}: credential ${result.credentialId}`);
+    if (result.claims) {
+      console.log(`   Issuer: ${result.credential.issuer}`);
+      console.log(`   Recipient: ${result.credential.recipient}`);
+      console.log(`   Type: ${result.credential.credentialType}`);
+      for (const [name, value] of Object.entries(result.claims)) {
+        console.log(`   ${name}: ${JSON.stringify(value)}`);
+      }
+    }
+  });
+});
+
+withCommonOptions(
+  task("credential:revoke", "Revoke a credential")
+    .addParam("id", "Credential ID", undefined, types.int)
+    .addParam("reason", "Reason for revocation")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const { transactionHash } = await client.revokeCredential(args.id, args.reason);
+
+  return output(args, { credentialId: args.id, transactionHash }, (result) => {
+    console.log(`✅ Credential ${result.credentialId} revoked`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("credential:suspend", "Suspend a credential, for a duration or until a date, with a reason")
+    .addParam("id", "Credential ID", undefined, types.int)
+    .addOptionalParam("duration", "Length of the suspension, e.g. 12h, 7d or 2w (in seconds without a unit)")
+    .addOptionalParam("until", "End of the suspension (Unix seconds or a date such as 2025-01-31)")
+    .addOptionalParam("reason", "Reason for the suspension", "")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const { suspendedUntil, transactionHash } = await client.suspendCredential(args.id, {
+    duration: parseDurationArgument(args.duration),
+    until: parseTimestampArgument(args.until),
+    reason: args.reason,
+  });
+
+  return output(args, { credentialId: args.id, suspendedUntil, reason: args.reason, transactionHash }, (result) => {
+    console.log(`⏸️ Credential ${result.credentialId} suspended until ${result.suspendedUntil ? formatTimestamp(result.suspendedUntil) : "reactivated"}`);
+    if (result.reason) {
+      console.log(`   Reason: ${result.reason}`);
+    }
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("credential:reinstate", "Reinstate a suspended credential")
+    .addParam("id", "Credential ID", undefined, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const { transactionHash } = await client.reinstateCredential(args.id);
+
+  return output(args, { credentialId: args.id, transactionHash }, (result) => {
+    console.log(`✅ Credential ${result.credentialId} reinstated`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("credential:renew", "Issue a credential again with a later expiry, superseding the current version")
+    .addParam("id", "Credential ID", undefined, types.int)
+    .addParam("expiresAt", "New expiry (Unix seconds or a date such as 2026-06-30; 0 for non-expiring)")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const { credentialId, previousCredentialId, transactionHash } = await client.renewCredential(args.id, {
+    expiresAt: parseTimestampArgument(args.expiresAt),
+  });
+
+  return output(args, { credentialId, previousCredentialId, transactionHash }, (result) => {
+    console.log(`🔁 Credential ${result.previousCredentialId} renewed as credential ${result.credentialId}`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("credential:amend", "Issue corrected data for a credential, superseding the current version")
+    .addParam("id", "Credential ID", undefined, types.int)
+    .addParam("data", "Corrected credential data (JSON or plain string such as an IPFS hash)")
+    .addOptionalParam("expiresAt", "Expiration timestamp in seconds (0 for non-expiring)", 0, types.int)
+    .addOptionalParam("metadataUri", "Additional metadata URI", "")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const { credentialId, previousCredentialId, transactionHash } = await client.amendCredential(args.id, {
+    credentialData: parseDataArgument(args.data),
+    expiresAt: args.expiresAt,
+    metadataURI: args.metadataUri,
+  });
+
+  return output(args, { credentialId, previousCredentialId, transactionHash }, (result) => {
+    console.log(`✏️ Credential ${result.previousCredentialId} amended as credential ${result.credentialId}`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("credential:versions", "List every version of a credential, from the first to the latest")
+    .addParam("id", "ID of any version of the credential", undefined, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const versions = await Promise.all((await client.getVersionChain(args.id)).map(async (credentialId) => {
+    const credential = await client.getCredential(credentialId);
+    return {
+      credentialId,
+      statusName: credential.statusName,
+      isValid: await client.isCredentialValid(credentialId),
+      issuedAt: credential.issuedAt,
+      expiresAt: credential.expiresAt,
+    };
+  }));
+  const latest = versions[versions.length - 1];
+
+  return output(args, { credentialId: args.id, latestCredentialId: latest.credentialId, versions }, (result) => {
+    console.log(`🧬 Credential ${result.credentialId}: ${result.versions.length} version(s), latest is ${result.latestCredentialId}`);
+    for (const version of result.versions) {
+      console.log(`   ${version.isValid ? "✅" : "❌"} ${version.credentialId} [${version.statusName}] issued ${formatTimestamp(version.issuedAt)}, expires ${formatTimestamp(version.expiresAt)}`);
+    }
+  });
+});
+
+withCommonOptions(
+  task("credential:status", "Show a credential's status, or change it with --set")
+    .addParam("id", "Credential ID", undefined, types.int)
+    .addOptionalParam("set", "New status (active or suspended)")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+
+  let transactionHash;
+  if (args.set !== undefined) {
+    ({ transactionHash } = await client.updateCredentialStatus(args.id, parseStatus(args.set)));
+  }
+
+  const credential = await client.getCredential(args.id);
+  const result = {
+    credentialId: credential.id,
+    status: credential.status,
+    statusName: credential.statusName,
+    isValid: await client.isCredentialValid(args.id),
+    expiresAt: credential.expiresAt,
+  };
+  if (transactionHash) {
+    result.transactionHash = transactionHash;
+  }
+
+  return output(args, result, () => {
+    console.log(`📋 Credential ${result.credentialId}: ${result.statusName}`);
+    console.log(`   Valid: ${result.isValid ? "✅" : "❌"}`);
+    console.log(`   Expires At: ${formatTimestamp(result.expiresAt)}`);
+    if (transactionHash) {
+      console.log(`   Transaction: ${transactionHash}`);
+    }
+  });
+});
+
+withCommonOptions(
+  task("credential:show", "Show the full details of a credential")
+    .addParam("id", "Credential ID", undefined, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const credential = await client.getCredential(args.id);
+  credential.isValid = await client.isCredentialValid(args.id);
+
+  return output(args, credential, (result) => {
+    printCredential(result);
+    console.log(`   Valid: ${result.isValid ? "✅" : "❌"}`);
+  });
+});
+
+withCommonOptions(
+  task("credential:has-type", "Check whether a recipient holds a valid credential of a type")
+    .addParam("recipient", "Recipient address")
+    .addParam("type", "Credential type")
+    .addOptionalParam("trustedIssuers", "Comma-separated issuer addresses; only their credentials count")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const trustedIssuers = parseListArgument(args.trustedIssuers);
+  const result = {
+    recipient: args.recipient,
+    credentialType: args.type,
+    trustedIssuers,
+    ...(await client.hasValidCredentialType(args.recipient, args.type, { trustedIssuers })),
+  };
+
+  return output(args, result, () => {
+    console.log(`${result.hasValidCredential ? "✅" : "❌"} ${result.recipient} holds ${result.count} valid ${result.credentialType} credentials`);
+    if (result.trustedIssuers) {
+      console.log(`   Trusted issuers: ${result.trustedIssuers.join(", ")}`);
+    }
+  });
+});
+
+withCommonOptions(
+  task("credential:bulk-issue", "Issue credentials from a CSV or JSON file in chunks, resumably")
+    .addParam("input", "CSV or JSON file with recipient, credentialType, credentialData, expiresAt, metadataURI")
+    .addOptionalParam("output", "Result file, CSV or JSON by extension (defaults to <input>.results.<ext>)")
+    .addOptionalParam("journal", "Progress journal used to resume (defaults to <input>.journal.json)")
+    .addOptionalParam("chunkSize", "Maximum credentials per transaction", 50, types.int)
+    .addOptionalParam("maxGas", "Chunks estimated above this gas are split", 10000000, types.int)
+    .addFlag("dryRun", "Only validate the input, do not issue")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const rows = loadIssuanceRows(args.input);
+  const { dir, name, ext } = path.parse(args.input);
+  const outputPath = args.output || path.join(dir, `${name}.results${ext === ".json" ? ".json" : ".csv"}`);
+  const journalPath = args.journal || path.join(dir, `${name}.journal.json`);
+
+  const bulkIssuer = new BulkIssuer(client, {
+    journalPath,
+    chunkSize: args.chunkSize,
+    maxGasPerTransaction: args.maxGas,
+    onProgress: ({ issued, failed, total }) => {
+      if (!args.json) {
+        console.log(`   ${issued} issued, ${failed} failed of ${total}`);
+      }
+    },
+  });
+
+  let results;
+  if (args.dryRun) {
+    const validation = await bulkIssuer.validate(rows);
+    results = validation.map((entry, index) => ({
+      row: index + 1,
+      recipient: rows[index].recipient,
+      credentialType: rows[index].credentialType,
+      status: entry.error ? "invalid" : "valid",
+      error: entry.error,
+    }));
+  } else {
+    if (!args.json) {
+      console.log(`🚀 Issuing ${rows.length} credentials in chunks of up to ${args.chunkSize}...`);
+    }
+    results = await bulkIssuer.run(rows);
+  }
+  writeIssuanceResults(outputPath, results);
+
+  const summary = {
+    total: results.length,
+    issued: results.filter((r) => r.status === "issued").length,
+    failed: results.filter((r) => r.status === "failed" || r.status === "invalid").length,
+    output: outputPath,
+    journal: args.dryRun ? null : journalPath,
+  };
+
+  return output(args, summary, (result) => {
+    console.log(args.dryRun ? "🔍 Validation completed" : "✅ Bulk issuance completed");
+    if (!args.dryRun) {
+      console.log(`   Issued: ${result.issued}/${result.total}`);
+    }
+    console.log(`   ${args.dryRun ? "Invalid" : "Failed"}: ${result.failed}/${result.total}`);
+    console.log(`   Results: ${result.output}`);
+  });
+});
+
+withCommonOptions(
+  task("credential:export-vc", "Export a credential as a W3C Verifiable Credential")
+    .addParam("id", "Credential ID", undefined, types.int)
+    .addOptionalParam("didMethod", "DID method for issuer and subject: ethr or pkh", "ethr")
+    .addOptionalParam("output", "Write the VC to this file instead of printing it")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const vc = await exportVerifiableCredential(client, args.id, { didMethod: args.didMethod });
+
+  if (args.output) {
+    fs.writeFileSync(args.output, JSON.stringify(vc, null, 2));
+  }
+
+  return output(args, vc, () => {
+    if (args.output) {
+      console.log(`📄 Verifiable Credential for credential ${args.id} saved to ${args.output}`);
+    } else {
+      console.log(JSON.stringify(vc, null, 2));
+    }
+  });
+});
+
+withCommonOptions(
+  task("credential:import-vc", "Issue a credential from a W3C Verifiable Credential JSON file")
+    .addParam("input", "Verifiable Credential JSON file; its issuer must be the signer")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const vc = JSON.parse(fs.readFileSync(args.input, "utf8"));
+  const result = await importVerifiableCredential(client, vc);
+
+  return output(args, result, () => {
+    console.log(`✅ Verifiable Credential imported as credential ${result.credentialId}`);
+    console.log(`   Data Hash: ${result.dataHash}`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
@@ -0,0 +1,140 @@
+const {
+  CredentialClient,
+  getDeploymentPath,
+  loadDeployment,
+  getContractAddresses,
+} = require("../lib");
+
+/**
+ * Add the options shared by every registry task
+ * @param {object} taskDefinition Hardhat task definition
+ * @returns {object} The same task definition, for chaining
+ */
+function withCommonOptions(taskDefinition) {
+  return taskDefinition
+    .addOptionalParam(
+      "deployment",
+      "Path to the deployment file (defaults to deployments/<network>_deployment.json)"
+    )
+    .addFlag("json", "Print machine-readable JSON output");
+}
+
+/**
+ * Compile the contracts and load the deployment file for the current network
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} args Task arguments (uses `args.deployment`)
+ * @returns {Promise<object>} Parsed deployment info
+ */
+async function getDeployment(hre, args) {
+  await hre.run("compile", { quiet: true });
+
+  const deploymentPath = args.deployment || getDeploymentPath(hre.network.name, hre.config.paths.root);
+  return loadDeployment(deploymentPath);
+}
+
+/**
+ * Build a CredentialClient for the current network from its deployment file
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} args Task arguments
+ * @returns {Promise<CredentialClient>} Client connected with the first configured signer
+ */
+async function getClient(hre, args) {
+  const deployment = await getDeployment(hre, args);
+  const [signer] = await hre.ethers.getSigners();
+
+  return new CredentialClient(signer, getContractAddresses(deployment));
+}
+
+/**
+ * Print a task result as JSON or through a human-readable printer
+ * @param {object} args Task arguments (uses `args.json`)
+ * @param {object} result Plain, JSON-serializable result
+ * @param {Function} printHuman Printer used when `--json` is not set
+ * @returns {object} The result, so tasks can be composed with `hre.run`
+ */
+function output(args, result, printHuman) {
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    printHuman(result);
+  }
+  return result;
+}
+
+/**
+ * Parse a `--data` argument: JSON is decoded, anything else is kept as a string
+ * @param {string} data Raw argument value
+ * @returns {object|string} Credential data
+ */
+function parseDataArgument(data) {
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return data;
+  }
+}
+
+/**
+ * Parse a date argument given as Unix seconds or as a date string (e.g. "2024-06-01")
+ * @param {string} value Raw argument value
+ * @returns {number|undefined} Unix timestamp in seconds, undefined when not given
+ */
+function parseTimestampArgument(value) {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  const millis = Date.parse(value);
+  if (Number.isNaN(millis)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return Math.floor(millis / 1000);
+}
+
+/**
+ * Parse a comma-separated list argument (e.g. "Diploma,Medical/*")
+ * @param {string} value Raw argument value
+ * @returns {string[]|undefined} Trimmed, non-empty entries, undefined when not given
+ */
+function parseListArgument(value) {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  return value.split(",").map((entry) => entry.trim()).filter(Boolean);
+}
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * Parse a duration argument given in seconds or with a unit (e.g. "90m", "12h", "7d", "2w")
+ * @param {string} value Raw argument value
+ * @returns {number|undefined} Duration in seconds, undefined when not given
+ */
+function parseDurationArgument(value) {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  const match = /^(\d+)([smhdw]?)$/.exec(value);
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid duration: ${value} (use seconds or a unit, e.g. 12h or 7d)`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2] || "s"];
+}
+
+function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp * 1000).toISOString() : "Never";
+}
+
+module.exports = {
+  withCommonOptions,
+  getDeployment,
+  getClient,
+  output,
+  parseDataArgument,
+  parseTimestampArgument,
+  parseListArgument,
+  parseDurationArgument,
+  formatTimestamp,
+};
@@ -0,0 +1,12 @@
+require("./credentials");
+require("./roles");
+require("./issuers");
+require("./registry");
+require("./indexer");
+require("./merkle");
+require("./statusList");
+require("./audit");
+require("./schemas");
+require("./consent");
+require("./migration");
+require("./multisig");
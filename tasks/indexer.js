@@ -0,0 +1,104 @@
+const { task, types } = require("hardhat/config");
+const {
+  CredentialIndexer,
+  JsonIndexStore,
+  getIndexPath,
+  getContractAddresses,
+} = require("../lib");
+const {
+  withCommonOptions,
+  getDeployment,
+  output,
+  parseTimestampArgument,
+  formatTimestamp,
+} = require("./helpers");
+
+function withIndexOption(taskDefinition) {
+  return withCommonOptions(taskDefinition).addOptionalParam(
+    "index",
+    "Path to the index file (defaults to indexes/<network>_index.json)"
+  );
+}
+
+/**
+ * Build an indexer for the current network, starting at the registry's deployment block
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} args Task arguments
+ * @returns {Promise<CredentialIndexer>} Indexer backed by the JSON index file
+ */
+async function createIndexer(hre, args) {
+  const deployment = await getDeployment(hre, args);
+  const { registryAddress } = getContractAddresses(deployment);
+  const indexPath = args.index || getIndexPath(hre.network.name, hre.config.paths.root);
+
+  return new CredentialIndexer(hre.ethers.provider, {
+    registryAddress,
+    startBlock: deployment.contracts.CredentialRegistry.deploymentBlock || 0,
+    store: new JsonIndexStore(indexPath),
+    confirmations: args.confirmations || 0,
+  });
+}
+
+withIndexOption(
+  task("indexer:sync", "Index registry events into the local store")
+    .addOptionalParam("confirmations", "Blocks to stay behind the chain head", 0, types.int)
+    .addFlag("watch", "Keep polling for new blocks")
+    .addOptionalParam("interval", "Polling interval in milliseconds for --watch", 5000, types.int)
+).setAction(async (args, hre) => {
+  const indexer = await createIndexer(hre, args);
+
+  const syncOnce = async () => {
+    const summary = await indexer.sync();
+    return output(args, { ...summary, ...indexer.getStatus() }, (result) => {
+      if (result.removedEvents > 0) {
+        console.log(`⚠️ Reorg detected: dropped ${result.removedEvents} events from orphaned blocks`);
+      }
+      console.log(`🔄 Indexed ${result.newEvents} new events up to block ${result.toBlock}`);
+      console.log(`   Credentials: ${result.credentials}, events: ${result.events}`);
+    });
+  };
+
+  if (!args.watch) {
+    return syncOnce();
+  }
+
+  console.log(`👀 Watching for new events every ${args.interval}ms (Ctrl+C to stop)`);
+  for (;;) {
+    await syncOnce();
+    await new Promise((resolve) => setTimeout(resolve, args.interval));
+  }
+});
+
+withIndexOption(
+  task("indexer:query", "Search indexed credentials (run indexer:sync first)")
+    .addOptionalParam("recipient", "Recipient address")
+    .addOptionalParam("issuer", "Issuer address")
+    .addOptionalParam("type", "Credential type")
+    .addOptionalParam("status", "Status: active, revoked, suspended or expired")
+    .addOptionalParam("from", "Issued at or after (Unix seconds or date)")
+    .addOptionalParam("to", "Issued at or before (Unix seconds or date)")
+    .addOptionalParam("offset", "Results to skip", 0, types.int)
+    .addOptionalParam("limit", "Maximum results to return", undefined, types.int)
+).setAction(async (args, hre) => {
+  const indexer = await createIndexer(hre, args);
+  const result = indexer.searchCredentials({
+    recipient: args.recipient,
+    issuer: args.issuer,
+    credentialType: args.type,
+    status: args.status,
+    issuedFrom: parseTimestampArgument(args.from),
+    issuedTo: parseTimestampArgument(args.to),
+    offset: args.offset,
+    limit: args.limit,
+  });
+
+  return output(args, result, () => {
+    console.log(`🔍 ${result.total} matching credentials (index at block ${indexer.state.lastSyncedBlock})`);
+    for (const credential of result.credentials) {
+      console.log(
+        `   #${credential.id} ${credential.credentialType} → ${credential.recipient} ` +
+        `[${credential.statusName}] issued ${formatTimestamp(credential.issuedAt)}`
+      );
+    }
+  });
+});
@@ -0,0 +1,332 @@
+const { task } = require("hardhat/config");
+const { withCommonOptions, getClient, output, formatTimestamp, parseListArgument } = require("./helpers");
+
+function requireAccreditation(client) {
+  if (!client.accreditation) {
+    throw new Error("The deployment file does not contain an IssuerAccreditation address");
+  }
+  return client.accreditation.target;
+}
+
+function requireTypeAuthorization(client) {
+  if (!client.typeAuthorization) {
+    throw new Error("The deployment file does not contain a CredentialTypeAuthorization address");
+  }
+  return client.typeAuthorization.target;
+}
+
+function printApplication(application) {
+  console.log(`🏢 ${application.name || "(no application)"} ${application.applicant}`);
+  console.log(`   Status: ${application.statusName}`);
+  if (application.submittedAt) {
+    console.log(`   Submitted: ${formatTimestamp(application.submittedAt)}`);
+  }
+  if (application.decidedAt) {
+    console.log(`   Decided: ${formatTimestamp(application.decidedAt)} by ${application.decidedBy}`);
+  }
+  if (application.decisionReason) {
+    console.log(`   Reason: ${application.decisionReason}`);
+  }
+}
+
+withCommonOptions(
+  task("issuer:profile", "Show an issuer profile, or set up the signer's profile with --name")
+    .addOptionalParam("address", "Issuer address to show (defaults to the signer)")
+    .addOptionalParam("name", "Issuer name; when set, the signer's profile is created or updated")
+    .addOptionalParam("description", "Issuer description", "")
+    .addOptionalParam("website", "Issuer website", "")
+    .addOptionalParam("logoUri", "Issuer logo URI", "")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const signerAddress = await client.runner.getAddress();
+
+  let transactionHash;
+  if (args.name !== undefined) {
+    ({ transactionHash } = await client.setupIssuerProfile({
+      name: args.name,
+      description: args.description,
+      website: args.website,
+      logoURI: args.logoUri,
+    }));
+  }
+
+  const address = args.name !== undefined ? signerAddress : args.address || signerAddress;
+  const result = { address, ...(await client.getIssuerProfile(address)) };
+  if (transactionHash) {
+    result.transactionHash = transactionHash;
+  }
+
+  return output(args, result, () => {
+    console.log(`🏢 Issuer ${result.address}`);
+    if (!result.isActive) {
+      console.log("   No profile found for this issuer");
+      return;
+    }
+    console.log(`   Name: ${result.name}`);
+    console.log(`   Description: ${result.description}`);
+    console.log(`   Website: ${result.website}`);
+    console.log(`   Logo: ${result.logoURI}`);
+    console.log(`   Credentials Issued: ${result.credentialsIssued}`);
+    if (transactionHash) {
+      console.log(`   Transaction: ${transactionHash}`);
+    }
+  });
+});
+
+withCommonOptions(
+  task("issuer:apply", "Apply to become an accredited issuer with the signer's profile")
+    .addParam("name", "Issuer name")
+    .addOptionalParam("description", "Issuer description", "")
+    .addOptionalParam("website", "Issuer website", "")
+    .addOptionalParam("logoUri", "Issuer logo URI", "")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireAccreditation(client);
+  const { transactionHash } = await client.submitIssuerApplication({
+    name: args.name,
+    description: args.description,
+    website: args.website,
+    logoURI: args.logoUri,
+  });
+
+  const result = { ...(await client.getIssuerApplication(await client.runner.getAddress())), transactionHash };
+  return output(args, result, () => {
+    console.log(`📨 Application submitted for ${result.name}`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("issuer:applications", "List issuer applications")
+    .addOptionalParam("status", "Only list applications with this status (e.g. pending)")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireAccreditation(client);
+  const result = {
+    enforced: await client.isAccreditationEnforced(),
+    applications: await client.getIssuerApplications({ status: args.status }),
+  };
+
+  return output(args, result, () => {
+    console.log(`📋 ${result.applications.length} applications (accreditation enforced: ${result.enforced ? "yes" : "no"})`);
+    result.applications.forEach(printApplication);
+  });
+});
+
+withCommonOptions(
+  task("issuer:accreditation", "Show an issuer's application and whether it may issue credentials")
+    .addParam("address", "Issuer address")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireAccreditation(client);
+  const result = {
+    ...(await client.getIssuerApplication(args.address)),
+    canIssue: await client.isIssuerAccredited(args.address),
+  };
+
+  return output(args, result, () => {
+    printApplication(result);
+    console.log(`   Can issue: ${result.canIssue ? "yes" : "no"}`);
+  });
+});
+
+withCommonOptions(
+  task("issuer:approve", "Approve a pending application and grant ISSUER_ROLE (accreditor only)")
+    .addParam("address", "Applicant address")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireAccreditation(client);
+  const { transactionHash } = await client.approveIssuerApplication(args.address);
+
+  const result = { ...(await client.getIssuerApplication(args.address)), transactionHash };
+  return output(args, result, () => {
+    console.log(`✅ Approved ${result.name} (${result.applicant})`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("issuer:reject", "Reject a pending application (accreditor only)")
+    .addParam("address", "Applicant address")
+    .addParam("reason", "Why the application is rejected")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireAccreditation(client);
+  const { transactionHash } = await client.rejectIssuerApplication(args.address, args.reason);
+
+  const result = { ...(await client.getIssuerApplication(args.address)), transactionHash };
+  return output(args, result, () => {
+    console.log(`❌ Rejected ${result.name} (${result.applicant}): ${result.decisionReason}`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("issuer:import", "Approve existing ISSUER_ROLE holders that never applied, with their registry profile (accreditor only)")
+    .addOptionalParam("addresses", "Comma-separated issuer addresses (defaults to every ISSUER_ROLE holder without an application)")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireAccreditation(client);
+  let issuers = parseListArgument(args.addresses);
+  if (!issuers) {
+    issuers = [];
+    for (const account of await client.getRoleMembers("issuer")) {
+      if ((await client.getIssuerApplication(account)).statusName === "None") {
+        issuers.push(account);
+      }
+    }
+  }
+  if (issuers.length === 0) {
+    throw new Error("No issuer to import");
+  }
+  const { transactionHash } = await client.importIssuers(issuers);
+
+  const result = { issuers, transactionHash };
+  return output(args, result, () => {
+    console.log(`✅ Imported ${result.issuers.length} issuers as approved`);
+    for (const issuer of result.issuers) {
+      console.log(`   ${issuer}`);
+    }
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("issuer:deactivate", "Withdraw an issuer's accreditation (admin only)")
+    .addParam("address", "Issuer address")
+    .addParam("reason", "Why the issuer is deactivated")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireAccreditation(client);
+  const { transactionHash } = await client.deactivateIssuer(args.address, args.reason);
+
+  const result = { ...(await client.getIssuerApplication(args.address)), transactionHash };
+  return output(args, result, () => {
+    console.log(`⛔ Deactivated ${result.name} (${result.applicant}): ${result.decisionReason}`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("issuer:reactivate", "Restore a deactivated issuer's accreditation (admin only)")
+    .addParam("address", "Issuer address")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireAccreditation(client);
+  const { transactionHash } = await client.reactivateIssuer(args.address);
+
+  const result = { ...(await client.getIssuerApplication(args.address)), transactionHash };
+  return output(args, result, () => {
+    console.log(`✅ Reactivated ${result.name} (${result.applicant})`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("issuer:enforce-accreditation", "Only let accredited issuers issue credentials (admin only)")
+    .addFlag("disable", "Let any ISSUER_ROLE holder issue again")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const accreditationAddress = args.disable ? hre.ethers.ZeroAddress : requireAccreditation(client);
+  const { transactionHash } = await client.setIssuerAccreditation(accreditationAddress);
+
+  const result = { enforced: !args.disable, accreditationAddress, transactionHash };
+  return output(args, result, () => {
+    console.log(result.enforced
+      ? `✅ Issuer accreditation enforced with ${result.accreditationAddress}`
+      : "✅ Issuer accreditation no longer enforced");
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("issuer:authorize-types", "Authorize an issuer for credential types or namespaces (admin only)")
+    .addParam("address", "Issuer address")
+    .addParam("types", 'Comma-separated types, "Namespace/*" patterns, or "*" for every type')
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireTypeAuthorization(client);
+  const { transactionHash } = await client.authorizeCredentialTypes(args.address, parseListArgument(args.types));
+
+  const result = {
+    address: args.address,
+    credentialTypes: await client.getAuthorizedCredentialTypes(args.address),
+    transactionHash,
+  };
+  return output(args, result, () => {
+    console.log(`✅ ${result.address} may issue: ${result.credentialTypes.join(", ")}`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("issuer:deauthorize-types", "Withdraw an issuer's authorization for credential types or namespaces (admin only)")
+    .addParam("address", "Issuer address")
+    .addParam("types", "Comma-separated types or patterns, exactly as they were authorized")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireTypeAuthorization(client);
+  const { transactionHash } = await client.deauthorizeCredentialTypes(args.address, parseListArgument(args.types));
+
+  const result = {
+    address: args.address,
+    credentialTypes: await client.getAuthorizedCredentialTypes(args.address),
+    transactionHash,
+  };
+  return output(args, result, () => {
+    console.log(`✅ ${result.address} may issue: ${result.credentialTypes.join(", ") || "no types"}`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("issuer:types", "List the credential types issuers are authorized for, or check one type with --type")
+    .addOptionalParam("address", "Only show this issuer")
+    .addOptionalParam("type", "Credential type to check for --address")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireTypeAuthorization(client);
+  if (args.type !== undefined && args.address === undefined) {
+    throw new Error("--type requires --address");
+  }
+
+  const result = { enforced: await client.isTypeAuthorizationEnforced() };
+  if (args.address !== undefined) {
+    result.authorizations = [
+      { issuer: args.address, credentialTypes: await client.getAuthorizedCredentialTypes(args.address) },
+    ];
+  } else {
+    result.authorizations = await client.getCredentialTypeAuthorizations();
+  }
+  if (args.type !== undefined) {
+    result.credentialType = args.type;
+    result.authorized = await client.isCredentialTypeAuthorized(args.address, args.type);
+  }
+
+  return output(args, result, () => {
+    console.log(`🏷️ Credential type authorizations (enforced: ${result.enforced ? "yes" : "no"})`);
+    for (const { issuer, credentialTypes } of result.authorizations) {
+      console.log(`   ${issuer}: ${credentialTypes.join(", ") || "no types"}`);
+    }
+    if (result.credentialType !== undefined) {
+      console.log(`   ${result.credentialType}: ${result.authorized ? "✅ authorized" : "❌ not authorized"}`);
+    }
+  });
+});
+
+withCommonOptions(
+  task("issuer:enforce-types", "Only let issuers issue the credential types authorized for them (admin only)")
+    .addFlag("disable", "Let issuers issue any credential type again")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const typeAuthorizationAddress = args.disable ? hre.ethers.ZeroAddress : requireTypeAuthorization(client);
+  const { transactionHash } = await client.setTypeAuthorization(typeAuthorizationAddress);
+
+  const result = { enforced: !args.disable, typeAuthorizationAddress, transactionHash };
+  return output(args, result, () => {
+    console.log(result.enforced
+      ? `✅ Credential type authorization enforced with ${result.typeAuthorizationAddress}`
+      : "✅ Credential type authorization no longer enforced");
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const {
+  loadIssuanceRows,
+  validateIssuanceRows,
+  buildMerkleBatch,
+  createMerkleProofs,
+  writeMerkleProofFiles,
+  verifyMerkleCredential,
+} = require("../lib");
+const { withCommonOptions, getClient, output, formatTimestamp } = require("./helpers");
+
+withCommonOptions(
+  task("merkle:anchor", "Anchor a CSV or JSON cohort as one Merkle root and write a proof file per credential")
+    .addParam("input", "CSV or JSON file with recipient, credentialType, credentialData, expiresAt")
+    .addOptionalParam("outputDir", "Directory for proof files and batch.json (defaults to <input>.proofs)")
+    .addOptionalParam("metadataUri", "Metadata URI for the whole batch", "")
+    .addFlag("dryRun", "Only validate the input and compute the root, do not anchor")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const rows = loadIssuanceRows(args.input);
+  const { dir, name } = path.parse(args.input);
+  const outputDir = args.outputDir || path.join(dir, `${name}.proofs`);
+
+  // Unlike bulk issuance, a batch is all or nothing: its root cannot be amended later
+  const latestBlock = await hre.ethers.provider.getBlock("latest");
+  const errors = validateIssuanceRows(rows, { now: latestBlock.timestamp })
+    .map((entry, index) => entry.error && `row ${index + 1}: ${entry.error}`)
+    .filter(Boolean);
+  if (errors.length > 0) {
+    throw new Error(`Invalid input, nothing anchored:\n  ${errors.join("\n  ")}`);
+  }
+
+  const batch = buildMerkleBatch(rows);
+  if (args.dryRun) {
+    return output(args, { root: batch.root, leafCount: rows.length }, (result) => {
+      console.log("🔍 Validation completed");
+      console.log(`   Root: ${result.root}`);
+      console.log(`   Credentials: ${result.leafCount}`);
+    });
+  }
+
+  const { batchId, transactionHash } = await client.anchorMerkleRoot({
+    root: batch.root,
+    leafCount: rows.length,
+    metadataURI: args.metadataUri,
+  });
+  const anchor = {
+    batchId,
+    issuer: await client.runner.getAddress(),
+    chainId: Number((await hre.ethers.provider.getNetwork()).chainId),
+    registryAddress: client.registry.target,
+  };
+  const proofFiles = writeMerkleProofFiles(outputDir, createMerkleProofs(batch, anchor));
+
+  // Kept by the issuer: leaf hashes for revocation, and the full tree to regenerate proofs
+  const batchPath = path.join(outputDir, "batch.json");
+  fs.writeFileSync(batchPath, JSON.stringify({
+    ...anchor,
+    root: batch.root,
+    transactionHash,
+    credentials: batch.credentials.map(({ credential, leaf }, index) => ({
+      ...credential,
+      leaf,
+      proofFile: path.basename(proofFiles[index]),
+    })),
+    tree: batch.tree.dump(),
+  }, null, 2) + "\n");
+
+  const result = { batchId, root: batch.root, leafCount: rows.length, transactionHash, outputDir, batchFile: batchPath };
+  return output(args, result, () => {
+    console.log(`✅ Anchored batch ${result.batchId} with ${result.leafCount} credentials`);
+    console.log(`   Root: ${result.root}`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+    console.log(`   Proof files: ${result.outputDir}`);
+  });
+});
+
+withCommonOptions(
+  task("merkle:verify", "Verify a Merkle proof file against the anchored root")
+    .addParam("proof", "Proof file written by merkle:anchor")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const document = JSON.parse(fs.readFileSync(args.proof, "utf8"));
+  const { isValid, leaf, reason } = await verifyMerkleCredential(client, document);
+
+  const result = {
+    batchId: document.batchId,
+    leaf,
+    isValid,
+    reason,
+    recipient: document.credential.recipient,
+    credentialType: document.credential.credentialType,
+    expiresAt: document.credential.expiresAt,
+  };
+  return output(args, result, () => {
+    console.log(`${result.isValid ? "✅ Valid" : `❌ Invalid (${result.reason})`}: batch ${result.batchId}`);
+    console.log(`   Recipient: ${result.recipient}`);
+    console.log(`   Type: ${result.credentialType}`);
+    console.log(`   Expires At: ${formatTimestamp(result.expiresAt)}`);
+  });
+});
+
+withCommonOptions(
+  task("merkle:revoke", "Revoke a whole Merkle batch, or one credential of it with --leaf")
+    .addParam("batch", "Batch ID", undefined, types.int)
+    .addOptionalParam("leaf", "Leaf hash of a single credential (from batch.json or its proof file)")
+    .addParam("reason", "Reason for revocation")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const { transactionHash } = args.leaf
+    ? await client.revokeMerkleCredential(args.batch, args.leaf, args.reason)
+    : await client.revokeMerkleBatch(args.batch, args.reason);
+
+  const result = { batchId: args.batch, leaf: args.leaf || null, reason: args.reason, transactionHash };
+  return output(args, result, () => {
+    console.log(result.leaf
+      ? `✅ Credential ${result.leaf} of batch ${result.batchId} revoked`
+      : `✅ Batch ${result.batchId} revoked`);
+    console.log(`   Reason: ${result.reason}`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { withCommonOptions, getClient, output, parseListArgument, formatTimestamp } = require("./helpers");
+
+function requireMigration(client) {
+  if (!client.migration) {
+    throw new Error("The deployment file does not contain a CredentialMigration address");
+  }
+  return client.migration.target;
+}
+
+function parseIds(value) {
+  const ids = (parseListArgument(value) || []).map(Number);
+  if (ids.length === 0 || ids.some((id) => !Number.isInteger(id) || id <= 0)) {
+    throw new Error(`Invalid credential IDs: ${value}`);
+  }
+  return ids;
+}
+
+function printMigrated(result) {
+  console.log(`🔀 Moved ${result.credentialIds.length} credentials to ${result.newRecipient}: ${result.credentialIds.join(", ")}`);
+  console.log(`   Transaction: ${result.transactionHash}`);
+}
+
+withCommonOptions(
+  task("migration:migrate", "Move credentials the signer holds to a new wallet")
+    .addParam("ids", "Comma-separated credential IDs to move")
+    .addParam("to", "New recipient wallet")
+).setAction(async (args, hre) => {
+  const credentialIds = parseIds(args.ids);
+  const client = await getClient(hre, args);
+  requireMigration(client);
+  const { transactionHash } = await client.migrateCredentials(credentialIds, args.to);
+
+  const result = { credentialIds, newRecipient: hre.ethers.getAddress(args.to), transactionHash };
+  return output(args, result, printMigrated);
+});
+
+withCommonOptions(
+  task("migration:sign", "Sign a move of the signer's credentials, for their issuer to submit with migration:submit")
+    .addParam("ids", "Comma-separated credential IDs to move")
+    .addParam("to", "New recipient wallet")
+    .addOptionalParam("output", "Write the signed request to this file instead of printing it")
+).setAction(async (args, hre) => {
+  const credentialIds = parseIds(args.ids);
+  const client = await getClient(hre, args);
+  requireMigration(client);
+  const signed = await client.signMigrationRequest(credentialIds, args.to);
+
+  if (args.output) {
+    fs.writeFileSync(args.output, JSON.stringify(signed, null, 2) + "\n");
+  }
+
+  return output(args, signed, () => {
+    if (args.output) {
+      console.log(`✍️ Signed move of credentials ${credentialIds.join(", ")} saved to ${args.output}`);
+    } else {
+      console.log(JSON.stringify(signed, null, 2));
+    }
+  });
+});
+
+withCommonOptions(
+  task("migration:submit", "Submit a move signed by the recipient (issuer of every credential only)")
+    .addParam("file", "JSON file written by migration:sign")
+).setAction(async (args, hre) => {
+  const { request, signature } = JSON.parse(fs.readFileSync(args.file, "utf8"));
+  const client = await getClient(hre, args);
+  requireMigration(client);
+  const { transactionHash } = await client.migrateCredentialsBySig(request, signature);
+
+  const result = { credentialIds: request.credentialIds, newRecipient: request.newRecipient, transactionHash };
+  return output(args, result, printMigrated);
+});
+
+withCommonOptions(
+  task("migration:history", "Show the wallets a credential moved through")
+    .addParam("id", "Credential ID", undefined, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireMigration(client);
+  const result = {
+    credentialId: args.id,
+    originalRecipient: await client.getOriginalRecipient(args.id),
+    migrations: await client.getMigrationHistory(args.id),
+  };
+
+  return output(args, result, () => {
+    console.log(`🧭 Credential ${result.credentialId}, issued to ${result.originalRecipient}`);
+    if (result.migrations.length === 0) {
+      console.log("   Never moved");
+    }
+    for (const migration of result.migrations) {
+      console.log(`   ${formatTimestamp(migration.migratedAt)}: ${migration.from} → ${migration.to} (by ${migration.migratedBy})`);
+    }
+  });
+});
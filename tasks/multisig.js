@@ -0,0 +1,257 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const {
+  withCommonOptions,
+  getClient,
+  output,
+  parseDataArgument,
+  parseListArgument,
+  parseDurationArgument,
+  formatTimestamp,
+} = require("./helpers");
+
+function requireMultisig(client) {
+  if (!client.multisig) {
+    throw new Error("The deployment file does not contain a CredentialMultisig address");
+  }
+  return client.multisig.target;
+}
+
+function printPolicy(policy) {
+  if (!policy.enabled) {
+    console.log(`🔓 ${policy.credentialType}: no approval policy`);
+    return;
+  }
+  console.log(`🔐 ${policy.credentialType}: ${policy.threshold} of ${policy.signers.length} signers (version ${policy.version})`);
+  for (const signer of policy.signers) {
+    console.log(`   ${signer}`);
+  }
+}
+
+function printProposal(proposal) {
+  const target = {
+    Issue: `${proposal.credentialType} to ${proposal.recipient}`,
+    Amend: `credential ${proposal.credentialId} (${proposal.credentialType})`,
+  }[proposal.actionName] || `credential ${proposal.credentialId} (${proposal.credentialType}): ${proposal.reason}`;
+  console.log(`🗳️ Proposal ${proposal.id}: ${proposal.actionName} ${target}`);
+  console.log(`   Status: ${proposal.statusName}, ${proposal.approvals} approvals by ${proposal.approvers.join(", ")}`);
+  console.log(`   Proposed by ${proposal.proposer} on ${formatTimestamp(proposal.createdAt)}`);
+  if (proposal.approvalDeadline) {
+    console.log(`   Approval deadline: ${formatTimestamp(proposal.approvalDeadline)}`);
+  }
+  if (proposal.actionName === "Issue" && proposal.credentialId) {
+    console.log(`   Issued credential: ${proposal.credentialId}`);
+  }
+}
+
+function printProposalResult(verb) {
+  return (result) => {
+    console.log(result.executed
+      ? `✅ Proposal ${result.proposalId} ${verb} and executed${result.credentialId ? ` (credential ${result.credentialId})` : ""}`
+      : `🗳️ Proposal ${result.proposalId} ${verb}, ${result.approvals} of ${result.threshold} approvals`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  };
+}
+
+// Add the approval count and threshold to a proposal transaction result
+async function withApprovals(client, { proposalId, executed, credentialId, transactionHash }) {
+  const proposal = await client.getProposal(proposalId);
+  const { threshold } = await client.getApprovalPolicy(proposal.credentialType);
+  return { proposalId, executed, credentialId, approvals: proposal.approvals, threshold, transactionHash };
+}
+
+withCommonOptions(
+  task("proposal:policy", "Show or set the M-of-N approval policy of credential types (setting: admin only)")
+    .addOptionalParam("type", "Credential type (defaults to every type with a policy)")
+    .addOptionalParam("signers", "Comma-separated signer addresses")
+    .addOptionalParam("threshold", "Approvals needed", undefined, types.int)
+    .addFlag("remove", "Remove the type's policy")
+    .addOptionalParam("approvalPeriod", "Time signers have to approve new proposals, e.g. 7d (0 for no limit)")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireMultisig(client);
+  const signers = parseListArgument(args.signers);
+  if ((signers || args.remove) && !args.type) {
+    throw new Error("--type is required to set or remove a policy");
+  }
+
+  const result = {};
+  if (args.remove) {
+    result.transactionHash = (await client.setApprovalPolicy(args.type, { signers: [], threshold: 0 })).transactionHash;
+  } else if (signers) {
+    const threshold = args.threshold ?? signers.length;
+    result.transactionHash = (await client.setApprovalPolicy(args.type, { signers, threshold })).transactionHash;
+  }
+  if (args.approvalPeriod !== undefined) {
+    await client.setApprovalPeriod(args.approvalPeriod === "0" ? 0 : parseDurationArgument(args.approvalPeriod));
+  }
+  result.approvalPeriod = await client.getApprovalPeriod();
+  result.policies = args.type ? [await client.getApprovalPolicy(args.type)] : await client.getApprovalPolicies();
+
+  return output(args, result, () => {
+    result.policies.forEach(printPolicy);
+    if (result.policies.length === 0) {
+      console.log("🔓 No credential type needs approval");
+    }
+    console.log(`   Approval period: ${result.approvalPeriod ? `${result.approvalPeriod / 86400} days` : "no limit"}`);
+    if (result.transactionHash) {
+      console.log(`   Transaction: ${result.transactionHash}`);
+    }
+  });
+});
+
+withCommonOptions(
+  task("proposal:enforce", "Only let the multisig revoke the credentials it issued, through proposals (admin only)")
+    .addFlag("disable", "Let any revoker revoke them again")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const multisigAddress = args.disable ? hre.ethers.ZeroAddress : requireMultisig(client);
+  const { transactionHash } = await client.setCredentialMultisig(multisigAddress);
+
+  const result = { enforced: !args.disable, multisigAddress, transactionHash };
+  return output(args, result, () => {
+    console.log(result.enforced
+      ? `✅ Credentials issued by ${result.multisigAddress} can only be revoked through its proposals`
+      : "✅ Any revoker can revoke multi-signature credentials again");
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("proposal:issue", "Propose issuing a credential of a type with an approval policy")
+    .addParam("recipient", "Recipient address")
+    .addParam("type", "Credential type, e.g. \"Medical License\"")
+    .addParam("data", "Credential data (JSON or plain string such as an IPFS hash)")
+    .addOptionalParam("expiresAt", "Expiration timestamp in seconds (0 for non-expiring)", 0, types.int)
+    .addOptionalParam("metadataUri", "Additional metadata URI", "")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireMultisig(client);
+  const result = await withApprovals(client, await client.proposeIssuance({
+    recipient: args.recipient,
+    credentialType: args.type,
+    credentialData: parseDataArgument(args.data),
+    expiresAt: args.expiresAt,
+    metadataURI: args.metadataUri,
+  }));
+  return output(args, result, printProposalResult("created"));
+});
+
+withCommonOptions(
+  task("proposal:amend", "Propose amending or renewing a credential the multisig issued")
+    .addParam("credential", "Credential ID", undefined, types.int)
+    .addParam("data", "Credential data of the new version (JSON or plain string such as an IPFS hash)")
+    .addOptionalParam("expiresAt", "Expiration timestamp of the new version in seconds (0 for non-expiring)", 0, types.int)
+    .addOptionalParam("metadataUri", "Metadata URI of the new version", "")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireMultisig(client);
+  const result = await withApprovals(client, await client.proposeAmendment(args.credential, {
+    credentialData: parseDataArgument(args.data),
+    expiresAt: args.expiresAt,
+    metadataURI: args.metadataUri,
+  }));
+  return output(args, result, printProposalResult("created"));
+});
+
+withCommonOptions(
+  task("proposal:revoke", "Propose revoking a credential of a type with an approval policy")
+    .addParam("credential", "Credential ID", undefined, types.int)
+    .addParam("reason", "Reason for revocation")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireMultisig(client);
+  const result = await withApprovals(client, await client.proposeRevocation(args.credential, args.reason));
+  return output(args, result, printProposalResult("created"));
+});
+
+withCommonOptions(
+  task("proposal:approve", "Approve a pending proposal as one of its signers")
+    .addParam("id", "Proposal ID", undefined, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireMultisig(client);
+  const result = await withApprovals(client, await client.approveProposal(args.id));
+  return output(args, result, printProposalResult("approved"));
+});
+
+withCommonOptions(
+  task("proposal:sign", "Sign an approval of a proposal, for anyone to submit with proposal:submit")
+    .addParam("id", "Proposal ID", undefined, types.int)
+    .addOptionalParam("output", "Write the signed approval to this file instead of printing it")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireMultisig(client);
+  const signed = await client.signProposalApproval(args.id);
+
+  if (args.output) {
+    fs.writeFileSync(args.output, JSON.stringify(signed, null, 2) + "\n");
+  }
+
+  return output(args, signed, () => {
+    if (args.output) {
+      console.log(`✍️ Signed approval of proposal ${signed.proposalId} saved to ${args.output}`);
+    } else {
+      console.log(JSON.stringify(signed, null, 2));
+    }
+  });
+});
+
+withCommonOptions(
+  task("proposal:submit", "Submit approvals collected with proposal:sign; the signer pays the gas")
+    .addParam("files", "Comma-separated JSON files written by proposal:sign")
+).setAction(async (args, hre) => {
+  const approvals = parseListArgument(args.files).map((file) => JSON.parse(fs.readFileSync(file, "utf8")));
+  const proposalIds = [...new Set(approvals.map((approval) => approval.proposalId))];
+  if (proposalIds.length !== 1) {
+    throw new Error(`The approvals are for different proposals: ${proposalIds.join(", ")}`);
+  }
+
+  const client = await getClient(hre, args);
+  requireMultisig(client);
+  const result = await withApprovals(client, await client.approveProposalBySig(
+    proposalIds[0],
+    approvals.map((approval) => approval.signature)
+  ));
+  return output(args, result, printProposalResult("approved"));
+});
+
+withCommonOptions(
+  task("proposal:cancel", "Cancel a pending proposal (its proposer or an admin)")
+    .addParam("id", "Proposal ID", undefined, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireMultisig(client);
+  const { transactionHash } = await client.cancelProposal(args.id);
+
+  const result = { ...(await client.getProposal(args.id)), transactionHash };
+  return output(args, result, () => {
+    console.log(`🚫 Proposal ${result.id} cancelled`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("proposal:show", "Show a proposal and who approved it")
+    .addParam("id", "Proposal ID", undefined, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireMultisig(client);
+  const result = await client.getProposal(args.id);
+  return output(args, result, printProposal);
+});
+
+withCommonOptions(
+  task("proposal:list", "List proposals")
+    .addOptionalParam("status", "Only proposals with this status: pending, executed, cancelled or expired")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireMultisig(client);
+  const proposals = await client.getProposals({ status: args.status });
+
+  const result = { total: proposals.length, proposals };
+  return output(args, result, () => {
+    console.log(`🗳️ ${result.total} proposals${args.status ? ` (${args.status})` : ""}`);
+    result.proposals.forEach(printProposal);
+  });
+});
@@ -0,0 +1,47 @@
+const { task } = require("hardhat/config");
+const { withCommonOptions, getClient, output } = require("./helpers");
+
+withCommonOptions(
+  task("registry:pause", "Pause the registry (admin only)")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const { transactionHash } = await client.pause();
+
+  return output(args, { paused: true, transactionHash }, (result) => {
+    console.log("⏸️ Registry paused");
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("registry:unpause", "Unpause the registry (admin only)")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const { transactionHash } = await client.unpause();
+
+  return output(args, { paused: false, transactionHash }, (result) => {
+    console.log("▶️ Registry unpaused");
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("registry:info", "Show registry addresses, pause state and credential count")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const result = {
+    network: hre.network.name,
+    registryAddress: client.registry.target,
+    verifierAddress: client.verifier ? client.verifier.target : null,
+    paused: await client.isPaused(),
+    totalCredentials: await client.getTotalCredentials(),
+  };
+
+  return output(args, result, () => {
+    console.log(`📋 Registry on ${result.network}`);
+    console.log(`   CredentialRegistry: ${result.registryAddress}`);
+    console.log(`   CredentialVerifier: ${result.verifierAddress || "not deployed"}`);
+    console.log(`   Paused: ${result.paused ? "yes" : "no"}`);
+    console.log(`   Total credentials: ${result.totalCredentials}`);
+  });
+});
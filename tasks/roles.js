@@ -0,0 +1,118 @@
+const { task } = require("hardhat/config");
+const { parseRoleName, auditRoles } = require("../lib");
+const { withCommonOptions, getClient, output, formatTimestamp } = require("./helpers");
+
+withCommonOptions(
+  task("role:grant", "Grant a registry role to an account")
+    .addParam("role", "Role name: issuer, verifier, revoker, upgrader (by an upgrader), ... (admin moves with role:transfer-admin)")
+    .addParam("account", "Account address")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const role = parseRoleName(args.role);
+  const { transactionHash } = await client.grantRole(role, args.account);
+
+  return output(args, { role, account: args.account, transactionHash }, (result) => {
+    console.log(`✅ Granted ${result.role} to ${result.account}`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("role:revoke", "Revoke a registry role from an account")
+    .addParam("role", "Role name: admin, issuer, verifier, revoker or upgrader")
+    .addParam("account", "Account address")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const role = parseRoleName(args.role);
+  const { transactionHash } = await client.revokeRole(role, args.account);
+
+  return output(args, { role, account: args.account, transactionHash }, (result) => {
+    console.log(`✅ Revoked ${result.role} from ${result.account}`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("role:transfer-admin", "Hand DEFAULT_ADMIN_ROLE over to another account after the registry's delay")
+    .addOptionalParam("to", "Account to start the transfer to (as the current admin)")
+    .addFlag("accept", "Accept the pending transfer (as the new admin, once the delay has passed)")
+    .addFlag("cancel", "Cancel the pending transfer (as an admin)")
+).setAction(async (args, hre) => {
+  if ([Boolean(args.to), args.accept, args.cancel].filter(Boolean).length !== 1) {
+    throw new Error("Pass exactly one of --to, --accept or --cancel");
+  }
+  const client = await getClient(hre, args);
+
+  if (args.to) {
+    const { acceptSchedule, transactionHash } = await client.beginDefaultAdminTransfer(args.to);
+    return output(args, { action: "begin", newAdmin: args.to, acceptSchedule, transactionHash }, (result) => {
+      console.log(`⏳ Started handing DEFAULT_ADMIN_ROLE to ${result.newAdmin}`);
+      console.log(`   They can accept from ${formatTimestamp(result.acceptSchedule)}`);
+      console.log(`   Transaction: ${result.transactionHash}`);
+    });
+  }
+
+  const pending = await client.getPendingDefaultAdmin();
+  if (!pending) {
+    throw new Error("No transfer of DEFAULT_ADMIN_ROLE is pending");
+  }
+  const { transactionHash } = args.accept
+    ? await client.acceptDefaultAdminTransfer()
+    : await client.cancelDefaultAdminTransfer();
+
+  return output(args, { action: args.accept ? "accept" : "cancel", newAdmin: pending.account, transactionHash }, (result) => {
+    console.log(result.action === "accept"
+      ? `✅ ${result.newAdmin} now holds DEFAULT_ADMIN_ROLE`
+      : `🚫 Cancelled handing DEFAULT_ADMIN_ROLE to ${result.newAdmin}`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("roles:list", "List the current holders of every registry role")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const { blockNumber, roles } = await client.getRoleHolders();
+
+  const result = { blockNumber, roles: Object.fromEntries(roles.map((role) => [role.name, role.holders])) };
+  return output(args, result, () => {
+    console.log(`👥 Role holders as of block ${result.blockNumber}`);
+    for (const [name, accounts] of Object.entries(result.roles)) {
+      console.log(`   ${name}: ${accounts.length === 0 ? "none" : accounts.length}`);
+      for (const account of accounts) {
+        console.log(`     ${account}`);
+      }
+    }
+  });
+});
+
+withCommonOptions(
+  task("roles:audit", "Audit registry roles: holders, whether they are contracts, and pending admin transfers")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const result = await auditRoles(client);
+
+  return output(args, result, () => {
+    console.log(`🔎 Role audit as of block ${result.blockNumber}`);
+    for (const role of result.roles) {
+      if (role.holders.length === 0) {
+        continue;
+      }
+      console.log(`\n   ${role.name}`);
+      for (const holder of role.holders) {
+        console.log(`     ${holder.account} (${holder.isContract ? "contract" : "account"})`);
+      }
+    }
+    if (result.pendingDefaultAdmin) {
+      const { account, acceptSchedule } = result.pendingDefaultAdmin;
+      console.log(`\n⏳ DEFAULT_ADMIN_ROLE is being handed to ${account}, who can accept from ${formatTimestamp(acceptSchedule)}`);
+    }
+    console.log("");
+    for (const warning of result.warnings) {
+      console.log(`⚠️ ${warning}`);
+    }
+    if (result.warnings.length === 0) {
+      console.log("✅ No findings");
+    }
+  });
+});
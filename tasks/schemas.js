@@ -0,0 +1,111 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const { withCommonOptions, getClient, output, parseDataArgument, formatTimestamp } = require("./helpers");
+
+function readSchemaFile(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function requireSchemaRegistry(client) {
+  if (!client.schemaRegistry) {
+    throw new Error("The deployment file does not contain a CredentialSchemaRegistry address");
+  }
+  return client.schemaRegistry.target;
+}
+
+withCommonOptions(
+  task("schema:register", "Register the JSON Schema of a credential type (issuer or admin)")
+    .addParam("type", "Credential type, used as --type when issuing")
+    .addParam("schema", "JSON Schema file")
+    .addParam("uri", "URI the schema file is published at")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireSchemaRegistry(client);
+  const { schemaHash, transactionHash } = await client.registerSchema({
+    typeId: args.type,
+    schema: readSchemaFile(args.schema),
+    schemaURI: args.uri,
+  });
+
+  const result = { typeId: args.type, schemaHash, schemaURI: args.uri, transactionHash };
+  return output(args, result, () => {
+    console.log(`✅ Schema registered for ${result.typeId}`);
+    console.log(`   Hash: ${result.schemaHash}`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("schema:update", "Replace the JSON Schema of a credential type (its registrant or an admin)")
+    .addParam("type", "Registered credential type")
+    .addParam("schema", "New JSON Schema file")
+    .addParam("uri", "URI the new schema file is published at")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireSchemaRegistry(client);
+  const { schemaHash, transactionHash } = await client.updateSchema({
+    typeId: args.type,
+    schema: readSchemaFile(args.schema),
+    schemaURI: args.uri,
+  });
+
+  const result = { typeId: args.type, schemaHash, schemaURI: args.uri, transactionHash };
+  return output(args, result, () => {
+    console.log(`✅ Schema updated for ${result.typeId}`);
+    console.log(`   Hash: ${result.schemaHash}`);
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
+
+withCommonOptions(
+  task("schema:list", "List registered credential types and whether the registry enforces them")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  requireSchemaRegistry(client);
+  const typeIds = await client.getSchemaTypeIds();
+  const result = {
+    enforced: await client.isSchemaEnforced(),
+    schemas: await Promise.all(typeIds.map((typeId) => client.findSchema(typeId))),
+  };
+
+  return output(args, result, () => {
+    console.log(`📐 ${result.schemas.length} registered schemas (enforced: ${result.enforced ? "yes" : "no"})`);
+    for (const schema of result.schemas) {
+      console.log(`   ${schema.typeId}: ${schema.schemaURI}`);
+      console.log(`      Hash: ${schema.schemaHash}, updated ${formatTimestamp(schema.updatedAt)}`);
+    }
+  });
+});
+
+withCommonOptions(
+  task("schema:validate", "Check credential data against the schema of its type, without issuing")
+    .addParam("type", "Credential type")
+    .addParam("data", "Credential data (JSON or plain string such as an IPFS hash)")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const [error] = await client.checkCredentialSchemas([
+    { credentialType: args.type, credentialData: parseDataArgument(args.data) },
+  ]);
+
+  const result = { typeId: args.type, valid: error === null, error };
+  return output(args, result, () => {
+    console.log(result.valid ? `✅ Data matches the ${result.typeId} schema` : `❌ ${result.error}`);
+  });
+});
+
+withCommonOptions(
+  task("schema:enforce", "Only allow issuing registered credential types (admin only)")
+    .addFlag("disable", "Accept any credential type again")
+).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const schemaRegistryAddress = args.disable ? hre.ethers.ZeroAddress : requireSchemaRegistry(client);
+  const { transactionHash } = await client.setSchemaRegistry(schemaRegistryAddress);
+
+  const result = { enforced: !args.disable, schemaRegistryAddress, transactionHash };
+  return output(args, result, () => {
+    console.log(result.enforced
+      ? `✅ Schema enforcement enabled with ${result.schemaRegistryAddress}`
+      : "✅ Schema enforcement disabled");
+    console.log(`   Transaction: ${result.transactionHash}`);
+  });
+});
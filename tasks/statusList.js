@@ -0,0 +1,87 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const {
+  getContractAddresses,
+  exportStatusLists,
+  writeStatusListFiles,
+  createStatusListEntry,
+  checkStatusListEntry,
+} = require("../lib");
+const { withCommonOptions, getDeployment, output } = require("./helpers");
+
+withCommonOptions(
+  task("status-list:export", "Publish a StatusList2021 revocation and suspension list per issuer")
+    .addOptionalParam("outputDir", "Directory for the list files (defaults to status-lists/<network>)")
+    .addOptionalParam("block", "Export the state as of this block (defaults to latest)", undefined, types.int)
+    .addOptionalParam("baseUrl", "URL the files will be published under, used as the list IDs")
+    .addOptionalParam("issuer", "Only export the lists of this issuer")
+    .addOptionalParam("didMethod", "DID method for the list issuer: ethr or pkh", "ethr")
+    .addFlag("sign", "Sign the lists as the configured account, exporting only its own lists")
+).setAction(async (args, hre) => {
+  const deployment = await getDeployment(hre, args);
+  const [signer] = args.sign ? await hre.ethers.getSigners() : [];
+  const { registryAddress } = getContractAddresses(deployment);
+  const outputDir = args.outputDir || path.join(hre.config.paths.root, "status-lists", hre.network.name);
+
+  const { blockNumber, blockHash, lists } = await exportStatusLists(hre.ethers.provider, {
+    registryAddress,
+    blockTag: args.block === undefined ? "latest" : args.block,
+    fromBlock: deployment.contracts.CredentialRegistry.deploymentBlock || 0,
+    issuers: args.issuer ? [args.issuer] : undefined,
+    baseUrl: args.baseUrl,
+    didMethod: args.didMethod,
+    signer,
+  });
+  const files = writeStatusListFiles(outputDir, lists);
+
+  const result = {
+    blockNumber,
+    blockHash,
+    outputDir,
+    signed: Boolean(signer),
+    lists: lists.map(({ issuer, statusPurpose, credential }, index) => ({
+      issuer,
+      statusPurpose,
+      id: credential.id,
+      file: files[index],
+    })),
+  };
+  return output(args, result, () => {
+    console.log(`✅ Exported ${result.lists.length} ${result.signed ? "signed" : "unsigned"} status lists as of block ${result.blockNumber}`);
+    for (const list of result.lists) {
+      console.log(`   ${list.issuer} ${list.statusPurpose}: ${list.file}`);
+    }
+  });
+});
+
+withCommonOptions(
+  task("status-list:check", "Check a credential against a StatusList2021 file or URL")
+    .addParam("list", "Status list file or URL written by status-list:export")
+    .addParam("id", "Credential ID", undefined, types.int)
+    .addFlag("allowUnsigned", "Accept a list without a proof by its issuer")
+).setAction(async (args) => {
+  let statusList;
+  if (/^https?:\/\//.test(args.list)) {
+    const response = await fetch(args.list);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${args.list}: HTTP ${response.status}`);
+    }
+    statusList = await response.json();
+  } else {
+    statusList = JSON.parse(fs.readFileSync(args.list, "utf8"));
+  }
+
+  const entry = createStatusListEntry(args.id, statusList.id, statusList.credentialSubject.statusPurpose);
+  const { statusPurpose, isSet, isSigned } = checkStatusListEntry(entry, statusList);
+  if (!isSigned && !args.allowUnsigned) {
+    throw new Error("The status list is not signed by its issuer (pass --allow-unsigned to accept it)");
+  }
+
+  const result = { credentialId: args.id, statusPurpose, isSet, isSigned, blockNumber: statusList.blockNumber };
+  return output(args, result, () => {
+    const state = statusPurpose === "revocation" ? "revoked" : "suspended";
+    console.log(`${result.isSet ? `❌ Credential ${result.credentialId} is ${state}` : `✅ Credential ${result.credentialId} is not ${state}`}`);
+    console.log(`   ${result.isSigned ? "Signed" : "Unsigned"} list as of block ${result.blockNumber}`);
+  });
+});
@@ -0,0 +1,216 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { CredentialClient, CredentialStatus, getStatusName, parseStatus } = require("../lib");
+
+describe("CredentialClient", function () {
+  let credentialRegistry, credentialVerifier;
+  let owner, issuer, recipient, other;
+  let client;
+
+  const diplomaData = {
+    studentName: "Alice Johnson",
+    degree: "Bachelor of Science in Computer Science",
+    gpa: "3.85",
+    graduationDate: "2024-05-15",
+  };
+
+  beforeEach(async function () {
+    [owner, issuer, recipient, other] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+
+    const CredentialVerifier = await ethers.getContractFactory("CredentialVerifier");
+    credentialVerifier = await CredentialVerifier.deploy(await credentialRegistry.getAddress());
+    await credentialVerifier.waitForDeployment();
+
+    await credentialRegistry.grantIssuerRole(issuer.address);
+
+    client = new CredentialClient(issuer, {
+      registryAddress: await credentialRegistry.getAddress(),
+      verifierAddress: await credentialVerifier.getAddress(),
+    });
+  });
+
+  describe("Construction", function () {
+    it("Should require a registry address", function () {
+      expect(() => new CredentialClient(issuer, {})).to.throw("registryAddress is required");
+    });
+
+    it("Should switch runner with connect", async function () {
+      const ownerClient = client.connect(owner);
+      expect(ownerClient.registry.target).to.equal(client.registry.target);
+      expect(ownerClient.verifier.target).to.equal(client.verifier.target);
+      expect(ownerClient.runner).to.equal(owner);
+    });
+  });
+
+  describe("Issuance", function () {
+    it("Should issue a credential and return its ID", async function () {
+      const expiresAt = (await time.latest()) + 86400;
+      const { credentialId, transactionHash } = await client.issueCredential({
+        recipient: recipient.address,
+        credentialType: "Bachelor Degree",
+        credentialData: diplomaData,
+        expiresAt,
+        metadataURI: "ipfs://QmTest123",
+      });
+
+      expect(credentialId).to.equal(1);
+      expect(transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+
+      const credential = await client.getCredential(credentialId);
+      expect(credential.id).to.equal(1);
+      expect(credential.issuer).to.equal(issuer.address);
+      expect(credential.recipient).to.equal(recipient.address);
+      expect(credential.expiresAt).to.equal(expiresAt);
+      expect(credential.statusName).to.equal("Active");
+      expect(credential.data).to.deep.equal(diplomaData);
+    });
+
+    it("Should pass string credential data through unchanged", async function () {
+      const { credentialId } = await client.issueCredential({
+        recipient: recipient.address,
+        credentialType: "Certificate",
+        credentialData: "ipfs://QmCertificate",
+      });
+
+      const credential = await client.getCredential(credentialId);
+      expect(credential.credentialData).to.equal("ipfs://QmCertificate");
+      expect(credential.data).to.be.null;
+      expect(credential.expiresAt).to.equal(0);
+    });
+
+    it("Should batch issue credentials and return all IDs", async function () {
+      const { credentialIds } = await client.batchIssueCredentials([
+        { recipient: recipient.address, credentialType: "Bachelor Degree", credentialData: diplomaData },
+        { recipient: other.address, credentialType: "Bachelor Degree", credentialData: { ...diplomaData, studentName: "Bob Smith" } },
+      ]);
+
+      expect(credentialIds).to.deep.equal([1, 2]);
+      expect(await client.getTotalCredentials()).to.equal(2);
+    });
+
+    it("Should surface contract errors", async function () {
+      await expect(
+        client.connect(other).issueCredential({
+          recipient: recipient.address,
+          credentialType: "Bachelor Degree",
+          credentialData: diplomaData,
+        })
+      ).to.be.revertedWithCustomError(credentialRegistry, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Status management and verification", function () {
+    let credentialId;
+
+    beforeEach(async function () {
+      ({ credentialId } = await client.issueCredential({
+        recipient: recipient.address,
+        credentialType: "Bachelor Degree",
+        credentialData: diplomaData,
+      }));
+    });
+
+    it("Should verify a valid credential through the verifier", async function () {
+      const result = await client.verifyCredential(credentialId);
+      expect(result.isValid).to.be.true;
+      expect(result.exists).to.be.true;
+      expect(result.credential.data).to.deep.equal(diplomaData);
+    });
+
+    it("Should verify through the registry when no verifier is configured", async function () {
+      const registryOnly = new CredentialClient(issuer, { registryAddress: client.registry.target });
+      expect((await registryOnly.verifyCredential(credentialId)).isValid).to.be.true;
+
+      const missing = await registryOnly.verifyCredential(999);
+      expect(missing.exists).to.be.false;
+      expect(missing.isValid).to.be.false;
+      expect(missing.credential).to.be.null;
+    });
+
+    it("Should report non-existent credentials", async function () {
+      const result = await client.verifyCredential(999);
+      expect(result.exists).to.be.false;
+      expect(result.credential).to.be.null;
+      expect(await client.findCredential(999)).to.be.null;
+    });
+
+    it("Should suspend and reactivate a credential", async function () {
+      await client.suspendCredential(credentialId);
+      expect((await client.getCredential(credentialId)).statusName).to.equal("Suspended");
+      expect(await client.isCredentialValid(credentialId)).to.be.false;
+
+      await client.reactivateCredential(credentialId);
+      expect((await client.getCredential(credentialId)).statusName).to.equal("Active");
+    });
+
+    it("Should suspend for a duration and reinstate automatically", async function () {
+      const { suspendedUntil } = await client.suspendCredential(credentialId, { duration: 3600, reason: "Pending review" });
+
+      expect(suspendedUntil).to.equal((await time.latest()) - 1 + 3600);
+      expect(await client.getSuspendedUntil(credentialId)).to.equal(suspendedUntil);
+      expect(await client.isCredentialValid(credentialId)).to.be.false;
+
+      await time.increaseTo(suspendedUntil);
+      expect((await client.verifyCredential(credentialId)).isValid).to.be.true;
+      await expect(client.suspendCredential(credentialId, { until: suspendedUntil + 60, duration: 60 }))
+        .to.be.rejectedWith("Pass either until or duration, not both");
+    });
+
+    it("Should revoke a credential", async function () {
+      await client.connect(owner).revokeCredential(credentialId, "Issued in error");
+
+      const result = await client.verifyCredential(credentialId);
+      expect(result.isValid).to.be.false;
+      expect(result.credential.statusName).to.equal("Revoked");
+    });
+
+    it("Should batch verify credentials", async function () {
+      const { results, validCount } = await client.batchVerifyCredentials([credentialId, 999]);
+      expect(results).to.deep.equal([true, false]);
+      expect(validCount).to.equal(1);
+    });
+  });
+
+  describe("Queries", function () {
+    beforeEach(async function () {
+      await client.setupIssuerProfile({ name: "Test University", website: "https://testuni.edu" });
+      await client.batchIssueCredentials([
+        { recipient: recipient.address, credentialType: "Bachelor Degree", credentialData: diplomaData },
+        { recipient: recipient.address, credentialType: "Certificate", credentialData: { course: "Solidity" } },
+        { recipient: other.address, credentialType: "Certificate", credentialData: { course: "Rust" } },
+      ]);
+    });
+
+    it("Should query credentials by recipient, issuer and type", async function () {
+      expect(await client.getCredentialIdsByRecipient(recipient.address)).to.deep.equal([1, 2]);
+      expect(await client.getCredentialIdsByIssuer(issuer.address)).to.deep.equal([1, 2, 3]);
+
+      const certificates = await client.getCredentialsByType("Certificate");
+      expect(certificates.map((c) => c.data.course)).to.deep.equal(["Solidity", "Rust"]);
+    });
+
+    it("Should decode issuer profiles", async function () {
+      const profile = await client.getIssuerProfile(issuer.address);
+      expect(profile.name).to.equal("Test University");
+      expect(profile.website).to.equal("https://testuni.edu");
+      expect(profile.isActive).to.be.true;
+      expect(profile.credentialsIssued).to.equal(3);
+    });
+  });
+
+  describe("Status helpers", function () {
+    it("Should map status values to names and back", function () {
+      expect(getStatusName(CredentialStatus.Suspended)).to.equal("Suspended");
+      expect(getStatusName(2n)).to.equal("Suspended");
+      expect(getStatusName(42)).to.equal("Unknown");
+      expect(parseStatus("revoked")).to.equal(CredentialStatus.Revoked);
+      expect(parseStatus(3)).to.equal(CredentialStatus.Expired);
+      expect(() => parseStatus("Deleted")).to.throw("Unknown credential status");
+    });
+  });
+});
@@ -1,5 +1,5 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("CredentialRegistry", function () {
@@ -13,7 +13,7 @@ describe("CredentialRegistry", function () {
 
     // Deploy CredentialRegistry
     CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
-    credentialRegistry = await CredentialRegistry.deploy();
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
     await credentialRegistry.waitForDeployment();
 
     // Deploy CredentialVerifier
@@ -68,6 +68,30 @@ describe("CredentialRegistry", function () {
         credentialRegistry.connect(unauthorized).grantIssuerRole(unauthorized.address)
       ).to.be.reverted;
     });
+
+    it("Should allow admin to revoke issuer, verifier and revoker roles", async function () {
+      await expect(credentialRegistry.revokeIssuerRole(issuer.address))
+        .to.emit(credentialRegistry, "RoleRevoked")
+        .withArgs(ISSUER_ROLE, issuer.address, owner.address);
+      await expect(credentialRegistry.revokeVerifierRole(verifier.address))
+        .to.emit(credentialRegistry, "RoleRevoked")
+        .withArgs(VERIFIER_ROLE, verifier.address, owner.address);
+      await expect(credentialRegistry.revokeRevokerRole(revoker.address))
+        .to.emit(credentialRegistry, "RoleRevoked")
+        .withArgs(REVOKER_ROLE, revoker.address, owner.address);
+
+      expect(await credentialRegistry.hasRole(ISSUER_ROLE, issuer.address)).to.be.false;
+      expect(await credentialRegistry.hasRole(VERIFIER_ROLE, verifier.address)).to.be.false;
+      expect(await credentialRegistry.hasRole(REVOKER_ROLE, revoker.address)).to.be.false;
+    });
+
+    it("Should not allow non-admin to revoke roles", async function () {
+      for (const revoke of ["revokeIssuerRole", "revokeVerifierRole", "revokeRevokerRole"]) {
+        await expect(credentialRegistry.connect(issuer)[revoke](revoker.address))
+          .to.be.revertedWithCustomError(credentialRegistry, "AccessControlUnauthorizedAccount")
+          .withArgs(issuer.address, DEFAULT_ADMIN_ROLE);
+      }
+    });
   });
 
   describe("Issuer Profile Management", function () {
@@ -304,7 +328,14 @@ describe("CredentialRegistry", function () {
       const expirations = [futureTime, futureTime + 86400];
       const metadataURIs = ["ipfs://QmTest123", "ipfs://QmTest456"];
 
-      const credentialIds = await credentialRegistry.connect(issuer).batchIssueCredentials(
+      const credentialIds = await credentialRegistry.connect(issuer).batchIssueCredentials.staticCall(
+        recipients,
+        types,
+        dataArray,
+        expirations,
+        metadataURIs
+      );
+      await credentialRegistry.connect(issuer).batchIssueCredentials(
         recipients,
         types,
         dataArray,
@@ -359,7 +390,7 @@ describe("CredentialRegistry", function () {
     });
 
     it("Should verify valid credential", async function () {
-      const [isValid, status, issuerAddr] = await credentialRegistry.connect(verifier).verifyCredential(credentialId);
+      const [isValid, status, issuerAddr] = await credentialRegistry.connect(verifier).verifyCredential.staticCall(credentialId);
       
       expect(isValid).to.be.true;
       expect(status).to.equal(0); // Active
@@ -378,8 +409,8 @@ describe("CredentialRegistry", function () {
     });
 
     it("Should detect expired credentials", async function () {
-      // Issue credential that expires in 1 second
-      const shortFutureTime = (await time.latest()) + 1;
+      // Issue credential that expires in 10 seconds
+      const shortFutureTime = (await time.latest()) + 10;
       await credentialRegistry.connect(issuer).issueCredential(
         recipient.address,
         "Short Certificate",
@@ -390,11 +421,15 @@ describe("CredentialRegistry", function () {
       const shortCredentialId = 2;
 
       // Fast forward time past expiration
-      await time.increase(2);
+      await time.increase(11);
 
-      const [isValid, status] = await credentialRegistry.connect(verifier).verifyCredential(shortCredentialId);
+      const [isValid, status] = await credentialRegistry.connect(verifier).verifyCredential.staticCall(shortCredentialId);
       expect(isValid).to.be.false;
       expect(status).to.equal(3); // Expired
+
+      await expect(credentialRegistry.connect(verifier).verifyCredential(shortCredentialId))
+        .to.emit(credentialRegistry, "CredentialStatusUpdated")
+        .withArgs(shortCredentialId, 0, 3, await time.latest() + 1);
     });
 
     it("Should not allow non-verifier to verify credentials", async function () {
@@ -524,6 +559,104 @@ describe("CredentialRegistry", function () {
     });
   });
 
+  describe("Time-bound Suspension", function () {
+    const WEEK = 7 * 86400;
+    let credentialId;
+
+    beforeEach(async function () {
+      await credentialRegistry.connect(issuer).issueCredential(
+        recipient.address,
+        "Bachelor of Science",
+        '{"degree": "Computer Science"}',
+        (await time.latest()) + 365 * 86400,
+        "ipfs://QmTest123"
+      );
+      credentialId = 1;
+    });
+
+    it("Should suspend with an end and a reason, then count as active again without a transaction", async function () {
+      const until = (await time.latest()) + WEEK;
+
+      await expect(credentialRegistry.connect(issuer).suspendCredential(credentialId, until, "Pending investigation"))
+        .to.emit(credentialRegistry, "CredentialSuspended")
+        .withArgs(credentialId, issuer.address, "Pending investigation", until, await time.latest() + 1)
+        .and.to.emit(credentialRegistry, "CredentialStatusUpdated")
+        .withArgs(credentialId, 0, 2, await time.latest() + 1);
+      expect(await credentialRegistry.suspendedUntil(credentialId)).to.equal(until);
+      expect(await credentialRegistry.isCredentialValid(credentialId)).to.be.false;
+
+      await time.increaseTo(until - 1);
+      expect(await credentialRegistry.isCredentialValid(credentialId)).to.be.false;
+      await time.increaseTo(until);
+      expect(await credentialRegistry.isCredentialValid(credentialId)).to.be.true;
+      expect((await credentialVerifier.verifyCredentialPublic(credentialId))[0]).to.be.true;
+
+      const [isValid, status] = await credentialRegistry.connect(verifier).verifyCredential.staticCall(credentialId);
+      expect(isValid).to.be.true;
+      expect(status).to.equal(0); // Active
+    });
+
+    it("Should announce the end of a suspension when verification persists it", async function () {
+      const until = (await time.latest()) + WEEK;
+      await credentialRegistry.connect(issuer).suspendCredential(credentialId, until, "Pending investigation");
+      await time.increaseTo(until);
+
+      await expect(credentialRegistry.connect(verifier).verifyCredential(credentialId))
+        .to.emit(credentialRegistry, "CredentialStatusUpdated")
+        .withArgs(credentialId, 2, 0, await time.latest() + 1);
+      expect(await credentialRegistry.suspendedUntil(credentialId)).to.equal(0);
+      expect((await credentialRegistry.getCredential(credentialId)).status).to.equal(0);
+
+      // Nothing left to persist
+      await expect(credentialRegistry.connect(verifier).verifyCredential(credentialId))
+        .not.to.emit(credentialRegistry, "CredentialStatusUpdated");
+    });
+
+    it("Should keep an open-ended suspension until the credential is reactivated", async function () {
+      await credentialRegistry.connect(issuer).suspendCredential(credentialId, 0, "Unpaid fees");
+      await time.increase(52 * WEEK);
+      expect(await credentialRegistry.isCredentialValid(credentialId)).to.be.false;
+
+      await credentialRegistry.connect(issuer).updateCredentialStatus(credentialId, 0);
+      expect(await credentialRegistry.isCredentialValid(credentialId)).to.be.true;
+    });
+
+    it("Should clear the end when re-suspended without one", async function () {
+      await credentialRegistry.connect(issuer).suspendCredential(credentialId, (await time.latest()) + WEEK, "Pending investigation");
+      await credentialRegistry.connect(owner).suspendCredential(credentialId, 0, "Fraud confirmed");
+
+      expect(await credentialRegistry.suspendedUntil(credentialId)).to.equal(0);
+      await time.increase(2 * WEEK);
+      expect(await credentialRegistry.isCredentialValid(credentialId)).to.be.false;
+    });
+
+    it("Should still expire after a lapsed suspension", async function () {
+      await credentialRegistry.connect(issuer).suspendCredential(credentialId, (await time.latest()) + WEEK, "");
+      await time.increase(366 * 86400);
+
+      expect(await credentialRegistry.isCredentialValid(credentialId)).to.be.false;
+      const [isValid, status] = await credentialRegistry.connect(verifier).verifyCredential.staticCall(credentialId);
+      expect(isValid).to.be.false;
+      expect(status).to.equal(3); // Expired
+    });
+
+    it("Should reject ends in the past, revoked credentials and other issuers", async function () {
+      const now = await time.latest();
+      await expect(credentialRegistry.connect(issuer).suspendCredential(credentialId, now, ""))
+        .to.be.revertedWithCustomError(credentialRegistry, "InvalidSuspensionEnd")
+        .withArgs(now);
+
+      await credentialRegistry.grantIssuerRole(unauthorized.address);
+      await expect(credentialRegistry.connect(unauthorized).suspendCredential(credentialId, 0, ""))
+        .to.be.revertedWithCustomError(credentialRegistry, "UnauthorizedIssuer");
+
+      await credentialRegistry.connect(revoker).revokeCredential(credentialId, "Fraud");
+      await expect(credentialRegistry.connect(issuer).suspendCredential(credentialId, 0, ""))
+        .to.be.revertedWithCustomError(credentialRegistry, "InvalidStatusTransition")
+        .withArgs(credentialId, 1, 2); // Revoked -> Suspended
+    });
+  });
+
   describe("Pause Functionality", function () {
     it("Should allow admin to pause contract", async function () {
       await credentialRegistry.connect(owner).pause();
@@ -548,7 +681,7 @@ describe("CredentialRegistry", function () {
           futureTime,
           "ipfs://QmTest123"
         )
-      ).to.be.revertedWith("Pausable: paused");
+      ).to.be.revertedWithCustomError(credentialRegistry, "EnforcedPause");
     });
 
     it("Should not allow non-admin to pause", async function () {
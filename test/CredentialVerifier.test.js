@@ -1,5 +1,5 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("CredentialVerifier", function () {
@@ -13,7 +13,7 @@ describe("CredentialVerifier", function () {
 
     // Deploy CredentialRegistry
     CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
-    credentialRegistry = await CredentialRegistry.deploy();
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
     await credentialRegistry.waitForDeployment();
 
     // Deploy CredentialVerifier
@@ -234,6 +234,15 @@ describe("CredentialVerifier", function () {
       expect(count).to.equal(1);
     });
 
+    it("Should only count credentials of the type from trusted issuers", async function () {
+      const hasValidCredentialType = credentialVerifier["hasValidCredentialType(address,string,address[])"];
+
+      expect(await hasValidCredentialType(recipient.address, "Bachelor of Science", [issuer.address]))
+        .to.deep.equal([true, 1n]);
+      expect(await hasValidCredentialType(recipient.address, "Bachelor of Science", [owner.address]))
+        .to.deep.equal([false, 0n]);
+    });
+
     it("Should return false for non-existent credential type", async function () {
       const [hasValid, count] = await credentialVerifier.hasValidCredentialType(
         recipient.address,
@@ -247,6 +256,15 @@ describe("CredentialVerifier", function () {
 
   describe("Issuer Profile Queries", function () {
     it("Should get issuer profile", async function () {
+      const futureTime = (await time.latest()) + 86400;
+      await credentialRegistry.connect(issuer).issueCredential(
+        recipient.address,
+        "Bachelor of Science",
+        '{"degree": "Computer Science"}',
+        futureTime,
+        "ipfs://QmTest123"
+      );
+
       const profile = await credentialVerifier.getIssuerProfile(issuer.address);
       
       expect(profile.name).to.equal("Test University");
@@ -0,0 +1,238 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { CredentialClient, createApiServer } = require("../lib");
+
+describe("Verification API", function () {
+  let credentialRegistry, credentialVerifier;
+  let owner, issuer, recipient, other;
+  let server, baseUrl;
+
+  async function request(path, options = {}) {
+    const response = await fetch(`${baseUrl}${path}`, options);
+    return { status: response.status, body: await response.json() };
+  }
+
+  function postJson(path, body) {
+    return request(path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    });
+  }
+
+  beforeEach(async function () {
+    [owner, issuer, recipient, other] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+
+    const CredentialVerifier = await ethers.getContractFactory("CredentialVerifier");
+    credentialVerifier = await CredentialVerifier.deploy(await credentialRegistry.getAddress());
+    await credentialVerifier.waitForDeployment();
+
+    await credentialRegistry.grantIssuerRole(issuer.address);
+    const issuerClient = new CredentialClient(issuer, { registryAddress: await credentialRegistry.getAddress() });
+    await issuerClient.setupIssuerProfile({ name: "Test University", website: "https://testuni.edu" });
+    await issuerClient.issueCredential({
+      recipient: recipient.address,
+      credentialType: "Bachelor Degree",
+      credentialData: { studentName: "Alice Johnson", gpa: "3.85" },
+    });
+    await issuerClient.issueCredential({
+      recipient: recipient.address,
+      credentialType: "Certificate",
+      credentialData: "ipfs://QmCertificate",
+      expiresAt: (await time.latest()) + 100,
+    });
+    await issuerClient.issueCredential({ recipient: recipient.address, credentialType: "Certificate", credentialData: "c" });
+    await credentialRegistry.revokeCredential(3, "Issued in error");
+
+    // Serve read-only, the way third parties run it
+    const client = new CredentialClient(ethers.provider, {
+      registryAddress: await credentialRegistry.getAddress(),
+      verifierAddress: await credentialVerifier.getAddress(),
+    });
+    server = createApiServer(client, { onError: () => {} });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  describe("GET /credentials/:id", function () {
+    it("Should return the decoded credential with its issuer profile", async function () {
+      const { status, body } = await request("/credentials/1");
+
+      expect(status).to.equal(200);
+      expect(body).to.include({
+        id: 1,
+        issuer: issuer.address,
+        recipient: recipient.address,
+        credentialType: "Bachelor Degree",
+        statusName: "Active",
+        isValid: true,
+        invalidReason: null,
+      });
+      expect(body.data).to.deep.equal({ studentName: "Alice Johnson", gpa: "3.85" });
+      expect(body.issuerProfile).to.include({ name: "Test University", website: "https://testuni.edu", credentialsIssued: 3 });
+    });
+
+    it("Should return a CredentialNotFound error body for unknown IDs", async function () {
+      const { status, body } = await request("/credentials/99");
+
+      expect(status).to.equal(404);
+      expect(body).to.deep.equal({
+        error: { code: "CredentialNotFound", message: "Credential 99 does not exist", credentialId: 99 },
+      });
+    });
+
+    it("Should reject malformed IDs", async function () {
+      for (const id of ["abc", "0", "-1"]) {
+        const { status, body } = await request(`/credentials/${id}`);
+        expect(status).to.equal(400);
+        expect(body.error.code).to.equal("InvalidCredentialId");
+      }
+    });
+
+    it("Should reject malformed URL encoding with a 400", async function () {
+      const { status, body } = await request("/credentials/%E0%A4%A");
+      expect(status).to.equal(400);
+      expect(body.error).to.deep.equal({
+        code: "InvalidRequest",
+        message: "Malformed URL encoding: %E0%A4%A",
+        parameter: "%E0%A4%A",
+      });
+    });
+  });
+
+  describe("GET /credentials/:id/verify", function () {
+    it("Should report validity and the reason a credential is invalid", async function () {
+      const valid = await request("/credentials/1/verify");
+      expect(valid.body).to.include({ credentialId: 1, isValid: true, reason: null, statusName: "Active" });
+      expect(valid.body.issuerProfile.name).to.equal("Test University");
+      expect(valid.body.credential.data.studentName).to.equal("Alice Johnson");
+
+      const revoked = await request("/credentials/3/verify");
+      expect(revoked.body).to.include({ isValid: false, reason: "Revoked", statusName: "Revoked" });
+
+      await time.increase(200);
+      const expired = await request("/credentials/2/verify");
+      expect(expired.body).to.include({ isValid: false, reason: "Expired" });
+    });
+
+    it("Should report credentials their recipient has not accepted", async function () {
+      const CredentialConsent = await ethers.getContractFactory("CredentialConsent");
+      const consent = await CredentialConsent.deploy(await credentialRegistry.getAddress());
+      await credentialRegistry.setCredentialConsent(await consent.getAddress());
+      await credentialRegistry.connect(issuer).issueCredential(recipient.address, "Certificate", "ipfs://QmOffer", 0, "");
+
+      const offered = await request("/credentials/4/verify");
+      expect(offered.body).to.include({ isValid: false, reason: "NotAccepted", statusName: "Active" });
+      expect((await request("/credentials/1/verify")).body).to.include({ isValid: true, reason: null });
+
+      // Once its suspension lapses, an offered credential is held back by consent again
+      await credentialRegistry.connect(issuer).suspendCredential(4, (await time.latest()) + 100, "Under review");
+      expect((await request("/credentials/4/verify")).body).to.include({ reason: "Suspended" });
+      await time.increase(200);
+      expect((await request("/credentials/4/verify")).body)
+        .to.include({ isValid: false, reason: "NotAccepted", statusName: "Suspended" });
+    });
+
+    it("Should report a suspended credential past its expiry as expired", async function () {
+      await credentialRegistry.connect(issuer).suspendCredential(2, 0, "Under review");
+      expect((await request("/credentials/2/verify")).body).to.include({ isValid: false, reason: "Suspended" });
+
+      await time.increase(200);
+      expect((await request("/credentials/2/verify")).body)
+        .to.include({ isValid: false, reason: "Expired", statusName: "Suspended" });
+    });
+
+    it("Should point at the latest version of a superseded credential", async function () {
+      await credentialRegistry.connect(issuer).renewCredential(2, (await time.latest()) + 1000);
+
+      const superseded = await request("/credentials/2/verify");
+      expect(superseded.body).to.include({ isValid: false, reason: "Superseded", statusName: "Superseded" });
+      expect(superseded.body.latestVersion).to.deep.equal({ credentialId: 4, isValid: true });
+      expect((await request("/credentials/4/verify")).body).to.not.have.property("latestVersion");
+    });
+
+    it("Should use the same error body as GET /credentials/:id", async function () {
+      const { status, body } = await request("/credentials/42/verify");
+
+      expect(status).to.equal(404);
+      expect(body.error).to.deep.equal({ code: "CredentialNotFound", message: "Credential 42 does not exist", credentialId: 42 });
+    });
+  });
+
+  describe("POST /verify/batch", function () {
+    it("Should verify several credentials", async function () {
+      const { status, body } = await postJson("/verify/batch", { credentialIds: [1, 2, 3, 99] });
+
+      expect(status).to.equal(200);
+      expect(body).to.deep.equal({
+        results: [
+          { credentialId: 1, isValid: true },
+          { credentialId: 2, isValid: true },
+          { credentialId: 3, isValid: false },
+          { credentialId: 99, isValid: false },
+        ],
+        validCount: 2,
+        totalCount: 4,
+      });
+    });
+
+    it("Should reject invalid bodies", async function () {
+      expect((await postJson("/verify/batch", "{not json")).body.error.code).to.equal("InvalidJson");
+      expect((await postJson("/verify/batch", { credentialIds: [] })).body.error.code).to.equal("InvalidRequest");
+      expect((await postJson("/verify/batch", { credentialIds: ["x"] })).body.error.code).to.equal("InvalidCredentialId");
+    });
+  });
+
+  describe("GET /recipients/:address/credentials", function () {
+    it("Should list all or only valid credentials", async function () {
+      const all = await request(`/recipients/${recipient.address.toLowerCase()}/credentials`);
+      expect(all.body.recipient).to.equal(recipient.address);
+      expect(all.body.credentials.map((c) => c.id)).to.deep.equal([1, 2, 3]);
+
+      const valid = await request(`/recipients/${recipient.address}/credentials?valid=true`);
+      expect(valid.body.total).to.equal(2);
+      expect(valid.body.credentials.map((c) => c.id)).to.deep.equal([1, 2]);
+      expect(valid.body.credentials.every((c) => c.issuerProfile.name === "Test University")).to.be.true;
+    });
+
+    it("Should reject invalid addresses", async function () {
+      const { status, body } = await request("/recipients/0x1234/credentials");
+
+      expect(status).to.equal(400);
+      expect(body.error).to.include({ code: "InvalidAddress", address: "0x1234" });
+    });
+  });
+
+  describe("GET /issuers/:address", function () {
+    it("Should return the issuer profile", async function () {
+      const { status, body } = await request(`/issuers/${issuer.address}`);
+
+      expect(status).to.equal(200);
+      expect(body).to.include({ address: issuer.address, name: "Test University", isActive: true, credentialsIssued: 3 });
+    });
+
+    it("Should return IssuerNotFound for addresses without a profile", async function () {
+      const { status, body } = await request(`/issuers/${other.address}`);
+
+      expect(status).to.equal(404);
+      expect(body.error.code).to.equal("IssuerNotFound");
+    });
+  });
+
+  it("Should return JSON errors for unknown routes and methods", async function () {
+    expect((await request("/unknown")).body.error.code).to.equal("NotFound");
+
+    const { status, body } = await request("/credentials/1", { method: "DELETE" });
+    expect(status).to.equal(405);
+    expect(body.error.code).to.equal("MethodNotAllowed");
+  });
+});
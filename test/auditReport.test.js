@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  generateAuditReport,
+  auditReportToCsv,
+  auditReportToHtml,
+  formatAuditReport,
+  parseCsv,
+  AUDIT_CSV_COLUMNS,
+} = require("../lib");
+
+describe("Audit reports", function () {
+  const FRAUD_REASON = 'Fraud <script>alert(1)</script>, "copied"';
+  let credentialRegistry, registryAddress, startBlock, secondDay;
+  let owner, issuer, verifier, revoker, recipient;
+
+  function events(entries) {
+    return entries.map((entry) => entry.event);
+  }
+
+  // Issue two credentials on day one; verify, suspend, reinstate and revoke them on day two
+  beforeEach(async function () {
+    [owner, issuer, verifier, revoker, recipient] = await ethers.getSigners();
+
+    startBlock = (await ethers.provider.getBlockNumber()) + 1;
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    registryAddress = await credentialRegistry.getAddress();
+
+    await credentialRegistry.grantIssuerRole(issuer.address);
+    await credentialRegistry.grantVerifierRole(verifier.address);
+    await credentialRegistry.grantRevokerRole(revoker.address);
+    await credentialRegistry.connect(issuer).issueCredential(recipient.address, "Diploma", "ipfs://QmA", 0, "");
+    await credentialRegistry.connect(issuer).issueCredential(recipient.address, "Certificate", "ipfs://QmB", 0, "");
+
+    await time.increase(24 * 60 * 60);
+    secondDay = (await time.latest()) + 1;
+    await credentialRegistry.connect(verifier).verifyCredential(1);
+    await credentialRegistry.connect(issuer).suspendCredential(2, 0, "Under review");
+    await credentialRegistry.connect(issuer).reinstateCredential(2);
+    await credentialRegistry.connect(revoker).revokeCredential(1, FRAUD_REASON);
+  });
+
+  it("Should rebuild per-credential and per-issuer timelines", async function () {
+    const report = await generateAuditReport(ethers.provider, { registryAddress, startBlock });
+
+    expect(report.range).to.include({ fromBlock: startBlock, toBlock: await ethers.provider.getBlockNumber() });
+    expect(report.summary).to.include({ credentials: 2, issuers: 2 });
+    expect(report.summary.events).to.include({
+      CredentialIssued: 2,
+      CredentialVerified: 1,
+      CredentialSuspended: 1,
+      CredentialRevoked: 1,
+      CredentialStatusUpdated: 3,
+    });
+
+    const [diploma, certificate] = report.credentials;
+    expect(diploma).to.include({ credentialId: 1, credentialType: "Diploma", issuer: issuer.address, recipient: recipient.address });
+    expect(events(diploma.timeline)).to.deep.equal([
+      "CredentialIssued",
+      "CredentialVerified",
+      "CredentialRevoked",
+      "CredentialStatusUpdated",
+    ]);
+    expect(diploma.timeline[1]).to.include({ actor: verifier.address, sender: verifier.address });
+    expect(diploma.timeline[2]).to.include({ actor: revoker.address, reason: FRAUD_REASON });
+    expect(diploma.timeline[3]).to.include({ oldStatus: "Active", newStatus: "Revoked" });
+
+    const [, , suspended, reinstated] = certificate.timeline;
+    expect(suspended).to.include({ event: "CredentialSuspended", actor: issuer.address, reason: "Under review", detail: "Until reinstated" });
+    // CredentialStatusUpdated names no actor, so the transaction sender stands in
+    expect(reinstated).to.include({ event: "CredentialStatusUpdated", actor: issuer.address, newStatus: "Active" });
+    expect(reinstated.timestamp).to.be.at.least(secondDay);
+    expect(reinstated.date).to.equal(new Date(reinstated.timestamp * 1000).toISOString());
+
+    const issuerTimeline = report.issuers.find((entry) => entry.issuer === issuer.address);
+    expect(issuerTimeline).to.include({ credentialsIssued: 2, revocations: 1, suspensions: 1, verifications: 1 });
+    expect(issuerTimeline.timeline[0]).to.include({ event: "RoleGranted", role: "ISSUER_ROLE", subject: issuer.address, actor: owner.address });
+    // The deployer holds ISSUER_ROLE from initialization
+    expect(report.issuers.map((entry) => entry.issuer)).to.include(owner.address);
+  });
+
+  it("Should narrow the report to a date range, keeping what earlier issuances say", async function () {
+    const report = await generateAuditReport(ethers.provider, { registryAddress, startBlock, fromDate: secondDay });
+
+    expect((await ethers.provider.getBlock(report.range.fromBlock)).timestamp).to.be.at.least(secondDay);
+    expect(report.summary.events).to.include({ CredentialIssued: 0, RoleGranted: 0, CredentialRevoked: 1 });
+    expect(report.credentials[1]).to.include({ credentialId: 2, credentialType: "Certificate", issuer: issuer.address });
+
+    const firstDay = await generateAuditReport(ethers.provider, { registryAddress, startBlock, toDate: secondDay - 1 });
+    expect(firstDay.summary.events).to.include({ CredentialIssued: 2, CredentialVerified: 0 });
+    expect(firstDay.range.toBlock).to.equal(report.range.fromBlock - 1);
+  });
+
+  it("Should filter by block range, issuer and credential", async function () {
+    const latest = await ethers.provider.getBlockNumber();
+    const lastBlock = await generateAuditReport(ethers.provider, { registryAddress, startBlock, fromBlock: latest });
+    expect(events(lastBlock.entries)).to.deep.equal(["CredentialRevoked", "CredentialStatusUpdated"]);
+
+    const revokerOnly = await generateAuditReport(ethers.provider, { registryAddress, startBlock, issuer: revoker.address });
+    expect(events(revokerOnly.entries)).to.deep.equal(["RoleGranted", "CredentialRevoked"]);
+    expect(revokerOnly.filters.issuer).to.equal(revoker.address);
+
+    const certificate = await generateAuditReport(ethers.provider, { registryAddress, startBlock, credentialId: 2 });
+    expect(certificate.credentials.map((credential) => credential.credentialId)).to.deep.equal([2]);
+    expect(certificate.summary.entries).to.equal(4);
+  });
+
+  it("Should export CSV, JSON and printable HTML", async function () {
+    const report = await generateAuditReport(ethers.provider, {
+      registryAddress,
+      startBlock,
+      generatedAt: "2024-06-01T00:00:00.000Z",
+    });
+
+    const rows = parseCsv(auditReportToCsv(report));
+    expect(rows).to.have.length(report.entries.length);
+    expect(Object.keys(rows[0])).to.deep.equal([...AUDIT_CSV_COLUMNS]);
+    expect(rows.find((row) => row.event === "CredentialRevoked")).to.include({ credentialId: "1", reason: FRAUD_REASON });
+
+    expect(JSON.parse(formatAuditReport(report, "json"))).to.deep.equal(JSON.parse(JSON.stringify(report)));
+
+    const html = auditReportToHtml(report);
+    expect(html).to.match(/^<!DOCTYPE html>/);
+    expect(html).to.contain("@media print");
+    expect(html).to.contain("2024-06-01T00:00:00.000Z");
+    expect(html).to.contain("Fraud &lt;script&gt;alert(1)&lt;/script&gt;, &quot;copied&quot;");
+    expect(html).not.to.contain("<script>");
+
+    expect(() => formatAuditReport(report, "pdf")).to.throw("Unknown report format: pdf");
+  });
+});
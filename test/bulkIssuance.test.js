@@ -0,0 +1,249 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  CredentialClient,
+  BulkIssuer,
+  loadIssuanceRows,
+  normalizeIssuanceRow,
+  validateIssuanceRows,
+  writeIssuanceResults,
+  parseCsv,
+} = require("../lib");
+
+describe("Bulk issuance", function () {
+  let credentialRegistry, client;
+  let issuer, graduates;
+  let workDir;
+
+  function graduateRows(count, overrides = {}) {
+    return graduates.slice(0, count).map((graduate, index) => normalizeIssuanceRow({
+      recipient: graduate.address,
+      credentialType: "Bachelor Degree",
+      studentName: `Student ${index + 1}`,
+      gpa: "3.5",
+      ...overrides,
+    }));
+  }
+
+  beforeEach(async function () {
+    const signers = await ethers.getSigners();
+    issuer = signers[1];
+    graduates = signers.slice(2);
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.grantIssuerRole(issuer.address);
+
+    client = new CredentialClient(issuer, { registryAddress: await credentialRegistry.getAddress() });
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "bulk-issuance-"));
+  });
+
+  describe("Input loading", function () {
+    it("Should parse quoted CSV fields", function () {
+      const records = parseCsv('recipient,credentialData\n0x1,"{""gpa"": ""3.85"", ""honors"": ""Cum Laude""}"\r\n0x2,"a, b"\n');
+      expect(records).to.deep.equal([
+        { recipient: "0x1", credentialData: '{"gpa": "3.85", "honors": "Cum Laude"}' },
+        { recipient: "0x2", credentialData: "a, b" },
+      ]);
+    });
+
+    it("Should load the example CSV, folding extra columns into the credential data", function () {
+      const rows = loadIssuanceRows(path.join(__dirname, "..", "scripts", "examples", "graduates.csv"));
+
+      expect(rows).to.have.length(3);
+      expect(rows[0].credentialType).to.equal("Bachelor Degree");
+      expect(rows[0].expiresAt).to.equal(Date.parse("2034-05-15") / 1000);
+      expect(rows[0].credentialData).to.deep.equal({
+        studentName: "Alice Johnson",
+        degree: "Bachelor of Science in Computer Science",
+        gpa: "3.85",
+        honors: "Magna Cum Laude",
+      });
+    });
+
+    it("Should load JSON input", function () {
+      const inputPath = path.join(workDir, "cohort.json");
+      fs.writeFileSync(inputPath, JSON.stringify([
+        { recipient: graduates[0].address, credentialType: "Certificate", credentialData: { course: "Solidity" }, expiresAt: 0 },
+      ]));
+
+      const [row] = loadIssuanceRows(inputPath);
+      expect(row.credentialData).to.deep.equal({ course: "Solidity" });
+      expect(row.expiresAt).to.equal(0);
+      expect(row.metadataURI).to.equal("");
+    });
+  });
+
+  describe("Validation", function () {
+    // Flip the case of the first letter so the mixed-case checksum no longer matches
+    function badChecksum(address) {
+      const index = address.slice(2).search(/[a-fA-F]/) + 2;
+      const char = address[index];
+      const flipped = char === char.toLowerCase() ? char.toUpperCase() : char.toLowerCase();
+      return address.slice(0, index) + flipped + address.slice(index + 1);
+    }
+
+    it("Should report every invalid row with a reason", async function () {
+      const now = await time.latest();
+      const valid = graduateRows(1)[0];
+      const rows = [
+        valid,
+        { ...valid, recipient: "0x8ba1f109551bD432803012645Hac136c9.SendTransactionOptions" },
+        { ...valid, recipient: badChecksum(graduates[1].address) },
+        { ...valid, recipient: ethers.ZeroAddress },
+        { ...valid, recipient: graduates[2].address, credentialType: "" },
+        { ...valid, recipient: graduates[2].address, credentialData: "" },
+        { ...valid, recipient: graduates[2].address, expiresAt: now - 1 },
+        { ...valid, recipient: graduates[2].address, expiresAt: NaN },
+        { ...valid },
+      ];
+
+      const errors = validateIssuanceRows(rows, { now }).map((entry) => entry.error);
+      expect(errors).to.deep.equal([
+        null,
+        "Invalid recipient address (bad format or checksum)",
+        "Invalid recipient address (bad format or checksum)",
+        "Recipient cannot be the zero address",
+        "Missing credential type",
+        "Missing credential data",
+        "Expiration date is not in the future",
+        "Invalid expiration date",
+        "Duplicate of row 1",
+      ]);
+    });
+
+    it("Should flag rows already issued on-chain", async function () {
+      const rows = graduateRows(2);
+      await client.issueCredential(rows[0]);
+
+      const bulkIssuer = new BulkIssuer(client, { journalPath: path.join(workDir, "journal.json") });
+      const validation = await bulkIssuer.validate(rows);
+
+      expect(validation[0].error).to.equal("Credential already issued (data hash is in usedHashes)");
+      expect(validation[1].error).to.be.null;
+    });
+  });
+
+  describe("Issuance", function () {
+    it("Should issue in chunks and map each row to its credential ID", async function () {
+      const rows = graduateRows(7);
+      const progress = [];
+      const bulkIssuer = new BulkIssuer(client, {
+        journalPath: path.join(workDir, "journal.json"),
+        chunkSize: 3,
+        onProgress: (update) => progress.push(update),
+      });
+
+      const results = await bulkIssuer.run(rows);
+
+      expect(results.map((r) => r.status)).to.deep.equal(Array(7).fill("issued"));
+      expect(results.map((r) => r.credentialId)).to.deep.equal([1, 2, 3, 4, 5, 6, 7]);
+      expect(new Set(results.map((r) => r.transactionHash)).size).to.equal(3);
+      expect(progress.map((p) => p.issued)).to.deep.equal([3, 6, 7]);
+
+      for (const result of results) {
+        const credential = await client.getCredential(result.credentialId);
+        expect(credential.recipient).to.equal(rows[result.row - 1].recipient);
+      }
+    });
+
+    it("Should split chunks whose gas estimate exceeds the limit", async function () {
+      const bulkIssuer = new BulkIssuer(client, {
+        journalPath: path.join(workDir, "journal.json"),
+        chunkSize: 4,
+        maxGasPerTransaction: 1,
+      });
+
+      const results = await bulkIssuer.run(graduateRows(4));
+
+      expect(results.every((r) => r.status === "issued")).to.be.true;
+      expect(new Set(results.map((r) => r.transactionHash)).size).to.equal(4);
+    });
+
+    it("Should record invalid rows as failures and issue the rest", async function () {
+      const rows = graduateRows(3);
+      rows[1] = { ...rows[1], recipient: "not-an-address" };
+
+      const results = await new BulkIssuer(client, { journalPath: path.join(workDir, "journal.json") }).run(rows);
+
+      expect(results.map((r) => r.status)).to.deep.equal(["issued", "failed", "issued"]);
+      expect(results[1].error).to.equal("Invalid recipient address (bad format or checksum)");
+      expect(await client.getTotalCredentials()).to.equal(2);
+    });
+
+    it("Should resume an interrupted run without issuing twice", async function () {
+      const rows = graduateRows(6);
+      const journalPath = path.join(workDir, "journal.json");
+
+      // Simulate a crash after the second chunk was sent but before its receipt was seen
+      const crashingClient = client.connect(issuer);
+      let batches = 0;
+      const batchIssue = crashingClient.batchIssueCredentials.bind(crashingClient);
+      crashingClient.batchIssueCredentials = (credentials, options) => batchIssue(credentials, {
+        onSubmitted: async (tx) => {
+          await options.onSubmitted(tx);
+          if (++batches === 2) {
+            throw new Error("connection lost");
+          }
+        },
+      });
+
+      await expect(
+        new BulkIssuer(crashingClient, { journalPath, chunkSize: 2 }).run(rows)
+      ).to.be.rejectedWith("connection lost");
+
+      const journal = JSON.parse(fs.readFileSync(journalPath, "utf8"));
+      expect(journal.rows.map((entry) => entry.status)).to.deep.equal([
+        "issued", "issued", "submitted", "submitted", "pending", "pending",
+      ]);
+
+      const results = await new BulkIssuer(client, { journalPath, chunkSize: 2 }).run(rows);
+
+      expect(results.map((r) => r.status)).to.deep.equal(Array(6).fill("issued"));
+      expect(results.map((r) => r.credentialId)).to.deep.equal([1, 2, 3, 4, 5, 6]);
+      expect(await client.getTotalCredentials()).to.equal(6);
+    });
+
+    it("Should not reissue anything when run again after completion", async function () {
+      const rows = graduateRows(3);
+      const journalPath = path.join(workDir, "journal.json");
+
+      const first = await new BulkIssuer(client, { journalPath }).run(rows);
+      const second = await new BulkIssuer(client, { journalPath }).run(rows);
+
+      expect(second).to.deep.equal(first);
+      expect(await client.getTotalCredentials()).to.equal(3);
+    });
+
+    it("Should refuse a journal written for different input", async function () {
+      const journalPath = path.join(workDir, "journal.json");
+      await new BulkIssuer(client, { journalPath }).run(graduateRows(2));
+
+      await expect(
+        new BulkIssuer(client, { journalPath }).run(graduateRows(3))
+      ).to.be.rejectedWith("was written for a different input file");
+    });
+
+    it("Should write results as CSV or JSON", async function () {
+      const rows = graduateRows(2);
+      rows[1] = { ...rows[1], credentialType: "" };
+      const results = await new BulkIssuer(client, { journalPath: path.join(workDir, "journal.json") }).run(rows);
+
+      const csvPath = path.join(workDir, "results.csv");
+      writeIssuanceResults(csvPath, results);
+      expect(parseCsv(fs.readFileSync(csvPath, "utf8"))).to.deep.equal([
+        { row: "1", recipient: rows[0].recipient, credentialType: "Bachelor Degree", status: "issued", credentialId: "1", transactionHash: results[0].transactionHash, error: "" },
+        { row: "2", recipient: rows[1].recipient, credentialType: "", status: "failed", credentialId: "", transactionHash: "", error: "Missing credential type" },
+      ]);
+
+      const jsonPath = path.join(workDir, "results.json");
+      writeIssuanceResults(jsonPath, results);
+      expect(JSON.parse(fs.readFileSync(jsonPath, "utf8"))).to.deep.equal(results);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyUint } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { CredentialClient, ConsentStatus } = require("../lib");
+
+describe("Recipient consent", function () {
+  let credentialRegistry, credentialVerifier, consent;
+  let owner, issuer, recipient, relayer, outsider;
+  let issuerClient, recipientClient, relayerClient;
+
+  const OFFER_PERIOD = 30 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [owner, issuer, recipient, relayer, outsider] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.grantIssuerRole(issuer.address);
+
+    const CredentialVerifier = await ethers.getContractFactory("CredentialVerifier");
+    credentialVerifier = await CredentialVerifier.deploy(await credentialRegistry.getAddress());
+    await credentialRegistry.grantRole(await credentialRegistry.VERIFIER_ROLE(), owner.address);
+
+    const CredentialConsent = await ethers.getContractFactory("CredentialConsent");
+    consent = await CredentialConsent.deploy(await credentialRegistry.getAddress());
+    await credentialRegistry.setCredentialConsent(await consent.getAddress());
+
+    issuerClient = new CredentialClient(issuer, {
+      registryAddress: await credentialRegistry.getAddress(),
+      verifierAddress: await credentialVerifier.getAddress(),
+    });
+    recipientClient = issuerClient.connect(recipient);
+    relayerClient = issuerClient.connect(relayer);
+  });
+
+  async function offer(credentialData = "ipfs://QmA") {
+    const { credentialId } = await issuerClient.issueCredential({
+      recipient: recipient.address,
+      credentialType: "Diploma",
+      credentialData,
+    });
+    return credentialId;
+  }
+
+  describe("Offers", function () {
+    it("Should hold new credentials as offers until the recipient accepts them", async function () {
+      await expect(credentialRegistry.connect(issuer).issueCredential(recipient.address, "Diploma", "ipfs://QmA", 0, ""))
+        .to.emit(consent, "CredentialOffered")
+        .withArgs(1, recipient.address, anyUint);
+
+      expect(await credentialRegistry.isCredentialValid(1)).to.be.false;
+      expect((await credentialRegistry.verifyCredential.staticCall(1)).isValid).to.be.false;
+      expect(await credentialVerifier.getValidCredentialsForRecipient(recipient.address)).to.deep.equal([]);
+      expect(await recipientClient.getPendingOffers(recipient.address)).to.deep.equal([1]);
+
+      await expect(consent.connect(recipient).acceptCredential(1))
+        .to.emit(consent, "CredentialAccepted")
+        .withArgs(1, recipient.address, anyUint);
+
+      expect(await credentialRegistry.isCredentialValid(1)).to.be.true;
+      expect((await credentialRegistry.verifyCredential.staticCall(1)).isValid).to.be.true;
+      expect(await recipientClient.getValidCredentialIdsByRecipient(recipient.address)).to.deep.equal([1]);
+      expect(await recipientClient.getConsent(1)).to.include({ statusName: "Accepted", counts: true });
+      expect(await recipientClient.getPendingOffers(recipient.address)).to.deep.equal([]);
+    });
+
+    it("Should never count a rejected credential", async function () {
+      const credentialId = await offer();
+      await expect(consent.connect(issuer).rejectCredential(credentialId))
+        .to.be.revertedWithCustomError(consent, "NotCredentialRecipient")
+        .withArgs(credentialId, issuer.address);
+
+      await expect(consent.connect(recipient).rejectCredential(credentialId))
+        .to.emit(consent, "CredentialRejected")
+        .withArgs(credentialId, recipient.address, anyUint);
+      expect(await credentialRegistry.isCredentialValid(credentialId)).to.be.false;
+
+      await expect(consent.connect(recipient).acceptCredential(credentialId))
+        .to.be.revertedWithCustomError(consent, "InvalidConsentStatus")
+        .withArgs(credentialId, ConsentStatus.Rejected);
+      await expect(consent.connect(recipient).disownCredential(credentialId, "Not mine"))
+        .to.be.revertedWithCustomError(consent, "InvalidConsentStatus");
+    });
+
+    it("Should expire offers left unanswered past the offer period", async function () {
+      const credentialId = await offer();
+      const { offerExpiresAt, offeredAt } = await recipientClient.getConsent(credentialId);
+      expect(offerExpiresAt - offeredAt).to.equal(OFFER_PERIOD);
+
+      await time.increaseTo(offerExpiresAt);
+      expect(await recipientClient.getConsent(credentialId)).to.include({ statusName: "Expired", counts: false });
+      expect(await recipientClient.getPendingOffers(recipient.address)).to.deep.equal([]);
+      await expect(consent.connect(recipient).acceptCredential(credentialId))
+        .to.be.revertedWithCustomError(consent, "InvalidConsentStatus")
+        .withArgs(credentialId, ConsentStatus.Expired);
+      expect(await credentialRegistry.isCredentialValid(credentialId)).to.be.false;
+
+      // Offers made without a period stay open
+      await expect(consent.connect(issuer).setOfferPeriod(0))
+        .to.be.revertedWithCustomError(consent, "UnauthorizedConsentManager");
+      await expect(consent.setOfferPeriod(0))
+        .to.emit(consent, "OfferPeriodUpdated")
+        .withArgs(OFFER_PERIOD, 0);
+      const openOffer = await offer("ipfs://QmB");
+      await time.increase(10 * OFFER_PERIOD);
+      await recipientClient.acceptCredential(openOffer);
+      expect(await credentialRegistry.isCredentialValid(openOffer)).to.be.true;
+    });
+
+    it("Should only let the registry record offers", async function () {
+      await expect(consent.connect(issuer).recordOffer(1, recipient.address))
+        .to.be.revertedWithCustomError(consent, "UnauthorizedConsentManager")
+        .withArgs(issuer.address);
+    });
+  });
+
+  describe("Signed answers", function () {
+    it("Should accept an offer with the recipient's signature submitted by anyone", async function () {
+      const credentialId = await offer();
+      const { request, signature } = await recipientClient.signConsentRequest(credentialId, true);
+
+      await relayerClient.answerOfferBySig(request, signature);
+      expect(await credentialRegistry.isCredentialValid(credentialId)).to.be.true;
+      expect(await consent.nonces(recipient.address)).to.equal(1);
+
+      // The nonce cannot be replayed
+      await expect(consent.connect(relayer).answerOfferBySig(request, signature))
+        .to.be.revertedWithCustomError(consent, "InvalidAccountNonce");
+    });
+
+    it("Should reject signatures from anyone but the recipient and expired requests", async function () {
+      const credentialId = await offer();
+      const forged = await issuerClient.signConsentRequest(credentialId, true);
+      await expect(consent.connect(relayer).answerOfferBySig(forged.request, forged.signature))
+        .to.be.revertedWithCustomError(consent, "InvalidSignature")
+        .withArgs(recipient.address);
+
+      const stale = await recipientClient.signConsentRequest(credentialId, false, { deadline: (await time.latest()) - 1 });
+      await expect(consent.connect(relayer).answerOfferBySig(stale.request, stale.signature))
+        .to.be.revertedWithCustomError(consent, "ExpiredSignature");
+
+      const rejection = await recipientClient.signConsentRequest(credentialId, false);
+      await relayerClient.answerOfferBySig(rejection.request, rejection.signature);
+      expect(await recipientClient.getConsent(credentialId)).to.include({ statusName: "Rejected" });
+    });
+  });
+
+  describe("Held credentials", function () {
+    it("Should let the recipient disown a credential for good", async function () {
+      const credentialId = await offer();
+      await recipientClient.acceptCredential(credentialId);
+
+      await expect(consent.connect(recipient).disownCredential(credentialId, "Issued to the wrong person"))
+        .to.emit(consent, "CredentialDisowned")
+        .withArgs(credentialId, recipient.address, "Issued to the wrong person", anyUint);
+      expect(await credentialRegistry.isCredentialValid(credentialId)).to.be.false;
+      expect(await recipientClient.getConsent(credentialId)).to.include({ statusName: "Disowned", counts: false });
+    });
+
+    it("Should leave credentials issued before enforcement valid unless disowned", async function () {
+      await credentialRegistry.setCredentialConsent(ethers.ZeroAddress);
+      const earlier = await offer("ipfs://QmEarlier");
+      await credentialRegistry.setCredentialConsent(await consent.getAddress());
+
+      expect(await credentialRegistry.isCredentialValid(earlier)).to.be.true;
+      expect(await recipientClient.getConsent(earlier)).to.include({ statusName: "None", counts: true });
+
+      await recipientClient.disownCredential(earlier, "Never attended");
+      expect(await credentialRegistry.isCredentialValid(earlier)).to.be.false;
+    });
+
+    it("Should hide credentials from recipient listings without invalidating them", async function () {
+      const first = await offer("ipfs://QmA");
+      const second = await offer("ipfs://QmB");
+      await recipientClient.acceptCredential(first);
+      await recipientClient.acceptCredential(second);
+
+      await expect(consent.connect(outsider).setHidden(first, true))
+        .to.be.revertedWithCustomError(consent, "NotCredentialRecipient");
+      await expect(consent.connect(recipient).setHidden(first, true))
+        .to.emit(consent, "CredentialVisibilityUpdated")
+        .withArgs(first, recipient.address, true);
+
+      const registryOnly = new CredentialClient(ethers.provider, { registryAddress: await credentialRegistry.getAddress() });
+      for (const client of [recipientClient, registryOnly]) {
+        expect(await client.getValidCredentialIdsByRecipient(recipient.address)).to.deep.equal([second]);
+      }
+      const page = await recipientClient.getCredentialsPage({ recipient: recipient.address });
+      expect(page.credentials.map((c) => c.id)).to.deep.equal([second]);
+      expect(await credentialRegistry.isCredentialValid(first)).to.be.true;
+
+      await recipientClient.setCredentialHidden(first, false);
+      expect(await recipientClient.getValidCredentialIdsByRecipient(recipient.address)).to.deep.equal([first, second]);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyUint } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { CredentialClient, computeDataHash } = require("../lib");
+
+describe("Wallet migration", function () {
+  let credentialRegistry, credentialVerifier, migration;
+  let owner, issuer, otherIssuer, recipient, newWallet, outsider;
+  let issuerClient, recipientClient;
+
+  beforeEach(async function () {
+    [owner, issuer, otherIssuer, recipient, newWallet, outsider] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.grantIssuerRole(issuer.address);
+    await credentialRegistry.grantIssuerRole(otherIssuer.address);
+
+    const CredentialVerifier = await ethers.getContractFactory("CredentialVerifier");
+    credentialVerifier = await CredentialVerifier.deploy(await credentialRegistry.getAddress());
+
+    const CredentialMigration = await ethers.getContractFactory("CredentialMigration");
+    migration = await CredentialMigration.deploy(await credentialRegistry.getAddress());
+    await credentialRegistry.grantRole(await credentialRegistry.MIGRATOR_ROLE(), await migration.getAddress());
+
+    issuerClient = new CredentialClient(issuer, {
+      registryAddress: await credentialRegistry.getAddress(),
+      verifierAddress: await credentialVerifier.getAddress(),
+      migrationAddress: await migration.getAddress(),
+    });
+    recipientClient = issuerClient.connect(recipient);
+
+    // Credentials 1 and 2 from the issuer, 3 from another issuer
+    for (const [signer, credentialData] of [[issuer, "ipfs://QmA"], [issuer, "ipfs://QmB"], [otherIssuer, "ipfs://QmC"]]) {
+      await credentialRegistry.connect(signer).issueCredential(recipient.address, "Diploma", credentialData, 0, "");
+    }
+  });
+
+  describe("Moves by the recipient", function () {
+    it("Should move only the chosen credentials and keep them valid", async function () {
+      await expect(migration.connect(recipient).migrateCredentials([1, 3], newWallet.address))
+        .to.emit(credentialRegistry, "CredentialRecipientChanged")
+        .withArgs(1, recipient.address, newWallet.address)
+        .and.to.emit(migration, "CredentialMigrated")
+        .withArgs(3, recipient.address, newWallet.address, recipient.address, anyUint);
+
+      expect(await credentialRegistry.getCredentialsByRecipient(recipient.address)).to.deep.equal([2]);
+      expect(await credentialRegistry.getCredentialsByRecipient(newWallet.address)).to.deep.equal([1, 3]);
+      expect((await credentialRegistry.getCredential(1)).recipient).to.equal(newWallet.address);
+      expect(await credentialVerifier.getValidCredentialsForRecipient(newWallet.address)).to.deep.equal([1, 3]);
+      expect(await credentialRegistry.isCredentialValid(1)).to.be.true;
+    });
+
+    it("Should bind the data hash to the new recipient", async function () {
+      await migration.connect(recipient).migrateCredentials([1], newWallet.address);
+
+      const dataHash = computeDataHash("ipfs://QmA", newWallet.address, "Diploma");
+      expect((await credentialRegistry.getCredential(1)).dataHash).to.equal(dataHash);
+      expect(await issuerClient.isDataHashUsed(dataHash)).to.be.true;
+      expect(await issuerClient.isDataHashUsed(computeDataHash("ipfs://QmA", recipient.address, "Diploma"))).to.be.true;
+      await expect(credentialRegistry.connect(issuer).issueCredential(newWallet.address, "Diploma", "ipfs://QmA", 0, ""))
+        .to.be.revertedWithCustomError(credentialRegistry, "DuplicateCredentialData");
+    });
+
+    it("Should swap the last credential into the gap and keep tracking moved entries", async function () {
+      await migration.connect(recipient).migrateCredentials([1], newWallet.address);
+      expect(await credentialRegistry.getCredentialsByRecipient(recipient.address)).to.deep.equal([3, 2]);
+
+      // Credential 3 now sits where 1 was, and 1 can come back
+      await migration.connect(newWallet).migrateCredentials([1], recipient.address);
+      await migration.connect(recipient).migrateCredentials([3, 2], outsider.address);
+      expect(await credentialRegistry.getCredentialsByRecipient(recipient.address)).to.deep.equal([1]);
+      expect(await credentialRegistry.getCredentialsByRecipient(newWallet.address)).to.deep.equal([]);
+      expect(await credentialRegistry.getCredentialsByRecipient(outsider.address)).to.deep.equal([3, 2]);
+    });
+
+    it("Should record every move and the original recipient", async function () {
+      await recipientClient.migrateCredentials([1], newWallet.address);
+      await migration.connect(newWallet).migrateCredentials([1], outsider.address);
+
+      const history = await recipientClient.getMigrationHistory(1);
+      expect(history.map(({ from, to, migratedBy }) => [from, to, migratedBy])).to.deep.equal([
+        [recipient.address, newWallet.address, recipient.address],
+        [newWallet.address, outsider.address, newWallet.address],
+      ]);
+      expect(history[0].migratedAt).to.be.below(history[1].migratedAt);
+      expect(await recipientClient.getOriginalRecipient(1)).to.equal(recipient.address);
+      expect(await recipientClient.getOriginalRecipient(2)).to.equal(recipient.address);
+      expect(await recipientClient.getMigrationHistory(2)).to.deep.equal([]);
+    });
+
+    it("Should refuse credentials the caller does not hold and invalid wallets", async function () {
+      await expect(migration.connect(outsider).migrateCredentials([1], newWallet.address))
+        .to.be.revertedWithCustomError(migration, "NotCredentialRecipient")
+        .withArgs(1, outsider.address);
+      await expect(migration.connect(recipient).migrateCredentials([1], ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(migration, "InvalidNewRecipient");
+      await expect(migration.connect(recipient).migrateCredentials([1], recipient.address))
+        .to.be.revertedWithCustomError(migration, "InvalidNewRecipient")
+        .withArgs(recipient.address);
+      await expect(migration.connect(recipient).migrateCredentials([99], newWallet.address))
+        .to.be.revertedWithCustomError(credentialRegistry, "CredentialNotFound");
+    });
+
+    it("Should only let migrators reassign credentials on the registry", async function () {
+      await expect(credentialRegistry.connect(recipient).reassignRecipient(1, newWallet.address))
+        .to.be.revertedWithCustomError(credentialRegistry, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Moves submitted by the issuer", function () {
+    it("Should move credentials with the recipient's signature", async function () {
+      const { request, signature } = await recipientClient.signMigrationRequest([1, 2], newWallet.address);
+
+      await issuerClient.migrateCredentialsBySig(request, signature);
+      expect(await credentialRegistry.getCredentialsByRecipient(newWallet.address)).to.deep.equal([1, 2]);
+      expect((await issuerClient.getMigrationHistory(2))[0].migratedBy).to.equal(issuer.address);
+
+      // The nonce cannot be replayed
+      await expect(migration.connect(issuer).migrateCredentialsBySig(request, signature))
+        .to.be.revertedWithCustomError(migration, "InvalidAccountNonce");
+    });
+
+    it("Should only accept the issuer of every credential as submitter", async function () {
+      const mixed = await recipientClient.signMigrationRequest([1, 3], newWallet.address);
+      await expect(migration.connect(issuer).migrateCredentialsBySig(mixed.request, mixed.signature))
+        .to.be.revertedWithCustomError(migration, "NotCredentialIssuer")
+        .withArgs(3, issuer.address);
+      await expect(migration.connect(outsider).migrateCredentialsBySig(mixed.request, mixed.signature))
+        .to.be.revertedWithCustomError(migration, "NotCredentialIssuer")
+        .withArgs(1, outsider.address);
+
+      // Issuers whose role was revoked cannot submit either
+      const own = await recipientClient.signMigrationRequest([1], newWallet.address);
+      await credentialRegistry.revokeRole(await credentialRegistry.ISSUER_ROLE(), issuer.address);
+      await expect(migration.connect(issuer).migrateCredentialsBySig(own.request, own.signature))
+        .to.be.revertedWithCustomError(migration, "NotCredentialIssuer");
+    });
+
+    it("Should reject signatures from anyone but the recipient and expired requests", async function () {
+      const forged = await issuerClient.connect(outsider).signMigrationRequest([1], outsider.address);
+      await expect(migration.connect(issuer).migrateCredentialsBySig(
+        { ...forged.request, recipient: recipient.address },
+        forged.signature
+      )).to.be.revertedWithCustomError(migration, "InvalidSignature").withArgs(recipient.address);
+
+      const stale = await recipientClient.signMigrationRequest([1], newWallet.address, { deadline: (await time.latest()) - 1 });
+      await expect(migration.connect(issuer).migrateCredentialsBySig(stale.request, stale.signature))
+        .to.be.revertedWithCustomError(migration, "ExpiredSignature");
+
+      // A signer that no longer holds the credential cannot move it
+      await recipientClient.migrateCredentials([1], newWallet.address);
+      const moved = await recipientClient.signMigrationRequest([1], outsider.address);
+      await expect(migration.connect(issuer).migrateCredentialsBySig(moved.request, moved.signature))
+        .to.be.revertedWithCustomError(migration, "NotCredentialRecipient")
+        .withArgs(1, recipient.address);
+    });
+  });
+});
@@ -0,0 +1,334 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyUint } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { CredentialClient, ProposalAction, ProposalStatus } = require("../lib");
+
+describe("Multi-signature approvals", function () {
+  let credentialRegistry, multisig;
+  let owner, signer1, signer2, signer3, recipient, outsider;
+  let client1, client2, client3;
+
+  const LICENSE = "Medical License";
+  const APPROVAL_PERIOD = 7 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [owner, signer1, signer2, signer3, recipient, outsider] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+
+    const CredentialMultisig = await ethers.getContractFactory("CredentialMultisig");
+    multisig = await CredentialMultisig.deploy(await credentialRegistry.getAddress());
+    await credentialRegistry.grantIssuerRole(await multisig.getAddress());
+    await credentialRegistry.grantRevokerRole(await multisig.getAddress());
+
+    client1 = new CredentialClient(signer1, {
+      registryAddress: await credentialRegistry.getAddress(),
+      multisigAddress: await multisig.getAddress(),
+    });
+    client2 = client1.connect(signer2);
+    client3 = client1.connect(signer3);
+
+    await client1.connect(owner).setApprovalPolicy(LICENSE, {
+      signers: [signer1.address, signer2.address, signer3.address],
+      threshold: 2,
+    });
+  });
+
+  function proposeLicense(client = client1, credentialData = "ipfs://QmLicense") {
+    return client.proposeIssuance({ recipient: recipient.address, credentialType: LICENSE, credentialData });
+  }
+
+  describe("Policies", function () {
+    it("Should only let admins set valid policies", async function () {
+      await expect(multisig.connect(signer1).setApprovalPolicy(LICENSE, [signer1.address], 1))
+        .to.be.revertedWithCustomError(multisig, "UnauthorizedMultisigManager")
+        .withArgs(signer1.address);
+      for (const [signers, threshold] of [
+        [[signer1.address], 2],
+        [[signer1.address, signer2.address], 0],
+        [[signer1.address, signer1.address], 1],
+        [[ethers.ZeroAddress], 1],
+      ]) {
+        await expect(multisig.setApprovalPolicy(LICENSE, signers, threshold))
+          .to.be.revertedWithCustomError(multisig, "InvalidApprovalPolicy")
+          .withArgs(LICENSE);
+      }
+
+      expect(await client1.getApprovalPolicy(LICENSE)).to.deep.equal({
+        credentialType: LICENSE,
+        signers: [signer1.address, signer2.address, signer3.address],
+        threshold: 2,
+        version: 1,
+        enabled: true,
+      });
+      await client1.connect(owner).setApprovalPolicy(LICENSE, { signers: [], threshold: 0 });
+      expect(await client1.getApprovalPolicies()).to.deep.equal([]);
+      await expect(proposeLicense()).to.be.revertedWithCustomError(multisig, "NoApprovalPolicy");
+    });
+
+    it("Should leave multi-signature types to the multisig alone with type authorization", async function () {
+      const CredentialTypeAuthorization = await ethers.getContractFactory("CredentialTypeAuthorization");
+      const typeAuthorization = await CredentialTypeAuthorization.deploy(await credentialRegistry.getAddress());
+      await typeAuthorization.authorizeTypes(await multisig.getAddress(), [LICENSE]);
+      await typeAuthorization.authorizeTypes(signer1.address, ["Certificate"]);
+      await credentialRegistry.setTypeAuthorization(await typeAuthorization.getAddress());
+      await credentialRegistry.grantIssuerRole(signer1.address);
+
+      await expect(credentialRegistry.connect(signer1).issueCredential(recipient.address, LICENSE, "ipfs://QmA", 0, ""))
+        .to.be.revertedWithCustomError(credentialRegistry, "UnauthorizedCredentialType");
+      const { proposalId } = await proposeLicense();
+      expect((await client2.approveProposal(proposalId)).executed).to.be.true;
+    });
+  });
+
+  describe("Issuance proposals", function () {
+    it("Should issue once the threshold is met", async function () {
+      await expect(multisig.connect(signer1).proposeIssuance(recipient.address, LICENSE, "ipfs://QmLicense", 0, ""))
+        .to.emit(multisig, "ProposalCreated")
+        .withArgs(1, ProposalAction.Issue, LICENSE, signer1.address, anyUint)
+        .and.to.emit(multisig, "ProposalApproved")
+        .withArgs(1, signer1.address, 1);
+      expect(await credentialRegistry.getTotalCredentials()).to.equal(0);
+
+      const approved = await client2.approveProposal(1);
+      expect(approved).to.include({ proposalId: 1, executed: true, credentialId: 1 });
+
+      const credential = await client1.getCredential(1);
+      expect(credential).to.include({ issuer: await multisig.getAddress(), recipient: recipient.address, credentialType: LICENSE });
+      expect(await client1.getProposal(1)).to.include({
+        statusName: "Executed",
+        actionName: "Issue",
+        credentialId: 1,
+        approvals: 2,
+      });
+      expect((await client1.getProposal(1)).approvers).to.deep.equal([signer1.address, signer2.address]);
+    });
+
+    it("Should reject duplicate approvals and approvals from outside the policy", async function () {
+      const { proposalId, executed } = await proposeLicense();
+      expect(executed).to.be.false;
+
+      await expect(multisig.connect(signer1).approveProposal(proposalId))
+        .to.be.revertedWithCustomError(multisig, "AlreadyApproved")
+        .withArgs(proposalId, signer1.address);
+      await expect(multisig.connect(outsider).approveProposal(proposalId))
+        .to.be.revertedWithCustomError(multisig, "NotPolicySigner")
+        .withArgs(LICENSE, outsider.address);
+      await expect(proposeLicense(client1.connect(outsider), "ipfs://QmOther"))
+        .to.be.revertedWithCustomError(multisig, "NotPolicySigner");
+
+      await client3.approveProposal(proposalId);
+      await expect(multisig.connect(signer2).approveProposal(proposalId))
+        .to.be.revertedWithCustomError(multisig, "InvalidProposalStatus")
+        .withArgs(proposalId, ProposalStatus.Executed);
+      await expect(multisig.approveProposal(99)).to.be.revertedWithCustomError(multisig, "ProposalNotFound");
+    });
+
+    it("Should expire proposals left without enough approvals", async function () {
+      const { proposalId } = await proposeLicense();
+      const { approvalDeadline, createdAt } = await client1.getProposal(proposalId);
+      expect(approvalDeadline - createdAt).to.equal(APPROVAL_PERIOD);
+
+      await time.increaseTo(approvalDeadline);
+      expect((await client1.getProposal(proposalId)).statusName).to.equal("Expired");
+      await expect(multisig.connect(signer2).approveProposal(proposalId))
+        .to.be.revertedWithCustomError(multisig, "InvalidProposalStatus")
+        .withArgs(proposalId, ProposalStatus.Expired);
+      await expect(multisig.connect(signer1).cancelProposal(proposalId))
+        .to.be.revertedWithCustomError(multisig, "InvalidProposalStatus");
+      expect(await credentialRegistry.getTotalCredentials()).to.equal(0);
+
+      // Proposals made without a period stay open
+      await expect(multisig.setApprovalPeriod(0))
+        .to.emit(multisig, "ApprovalPeriodUpdated")
+        .withArgs(APPROVAL_PERIOD, 0);
+      const open = await proposeLicense(client1, "ipfs://QmLater");
+      await time.increase(10 * APPROVAL_PERIOD);
+      expect((await client2.approveProposal(open.proposalId)).executed).to.be.true;
+    });
+
+    it("Should let the proposer or an admin cancel a pending proposal", async function () {
+      const first = await proposeLicense(client1, "ipfs://QmA");
+      const second = await proposeLicense(client2, "ipfs://QmB");
+
+      await expect(multisig.connect(signer2).cancelProposal(first.proposalId))
+        .to.be.revertedWithCustomError(multisig, "UnauthorizedMultisigManager");
+      await expect(multisig.connect(signer1).cancelProposal(first.proposalId))
+        .to.emit(multisig, "ProposalCancelled")
+        .withArgs(first.proposalId, signer1.address);
+      await client1.connect(owner).cancelProposal(second.proposalId);
+
+      await expect(multisig.connect(signer3).approveProposal(first.proposalId))
+        .to.be.revertedWithCustomError(multisig, "InvalidProposalStatus")
+        .withArgs(first.proposalId, ProposalStatus.Cancelled);
+      expect((await client1.getProposals({ status: "cancelled" })).map((proposal) => proposal.id)).to.deep.equal([1, 2]);
+    });
+
+    it("Should stop approvals of proposals made under a previous policy", async function () {
+      const { proposalId } = await proposeLicense();
+      await client1.connect(owner).setApprovalPolicy(LICENSE, { signers: [signer2.address, signer3.address], threshold: 2 });
+
+      await expect(multisig.connect(signer2).approveProposal(proposalId))
+        .to.be.revertedWithCustomError(multisig, "ApprovalPolicyChanged")
+        .withArgs(proposalId);
+    });
+
+    it("Should issue right away when the policy needs a single approval", async function () {
+      await client1.connect(owner).setApprovalPolicy("Certificate", { signers: [signer1.address], threshold: 1 });
+      const result = await client1.proposeIssuance({ recipient: recipient.address, credentialType: "Certificate", credentialData: "c" });
+      expect(result).to.include({ executed: true, credentialId: 1 });
+    });
+  });
+
+  describe("Revocation proposals", function () {
+    it("Should revoke once the threshold is met", async function () {
+      const { proposalId: issuance } = await proposeLicense();
+      const { credentialId } = await client2.approveProposal(issuance);
+
+      const { proposalId, executed } = await client3.proposeRevocation(credentialId, "License withdrawn");
+      expect(executed).to.be.false;
+      expect(await client1.getProposal(proposalId)).to.include({ actionName: "Revoke", credentialId, reason: "License withdrawn" });
+
+      await expect(multisig.connect(signer1).approveProposal(proposalId))
+        .to.emit(credentialRegistry, "CredentialRevoked")
+        .and.to.emit(multisig, "ProposalExecuted")
+        .withArgs(proposalId, credentialId);
+      expect((await client1.getCredential(credentialId)).statusName).to.equal("Revoked");
+    });
+
+    it("Should only let the multisig revoke the credentials it issued once registered", async function () {
+      const { proposalId } = await proposeLicense();
+      const { credentialId } = await client2.approveProposal(proposalId);
+      await credentialRegistry.issueCredential(recipient.address, "Certificate", "ipfs://QmCert", 0, "");
+
+      await expect(credentialRegistry.connect(signer1).setCredentialMultisig(await multisig.getAddress()))
+        .to.be.revertedWithCustomError(credentialRegistry, "AccessControlUnauthorizedAccount");
+      expect(await client1.isMultisigRevocationEnforced()).to.be.false;
+      await expect(credentialRegistry.setCredentialMultisig(await multisig.getAddress()))
+        .to.emit(credentialRegistry, "CredentialMultisigUpdated")
+        .withArgs(ethers.ZeroAddress, await multisig.getAddress());
+      expect(await client1.isMultisigRevocationEnforced()).to.be.true;
+
+      // The owner holds REVOKER_ROLE and DEFAULT_ADMIN_ROLE, but only an approved proposal revokes
+      await expect(credentialRegistry.revokeCredential(credentialId, "Withdrawn"))
+        .to.be.revertedWithCustomError(credentialRegistry, "MultisigApprovalRequired")
+        .withArgs(credentialId);
+      await credentialRegistry.revokeCredential(2, "Withdrawn");
+
+      await client3.proposeRevocation(credentialId, "Withdrawn");
+      const { executed } = await client1.approveProposal(2);
+      expect(executed).to.be.true;
+      expect((await client1.getCredential(credentialId)).statusName).to.equal("Revoked");
+    });
+
+    it("Should only accept credentials of types with a policy", async function () {
+      await credentialRegistry.issueCredential(recipient.address, "Certificate", "ipfs://QmCert", 0, "");
+      await expect(multisig.connect(signer1).proposeRevocation(1, "Withdrawn"))
+        .to.be.revertedWithCustomError(multisig, "NoApprovalPolicy")
+        .withArgs("Certificate");
+    });
+  });
+
+  describe("Managing issued credentials", function () {
+    let credentialId;
+
+    beforeEach(async function () {
+      await credentialRegistry.setCredentialMultisig(await multisig.getAddress());
+      const { proposalId } = await proposeLicense();
+      ({ credentialId } = await client2.approveProposal(proposalId));
+    });
+
+    it("Should not let admins suspend, amend or renew them", async function () {
+      await credentialRegistry.grantIssuerRole(outsider.address);
+      await expect(credentialRegistry.connect(outsider).suspendCredential(credentialId, 0, "Under review"))
+        .to.be.revertedWithCustomError(credentialRegistry, "UnauthorizedIssuer")
+        .withArgs(outsider.address);
+
+      const until = (await time.latest()) + 100 * 365 * 24 * 60 * 60;
+      for (const send of [
+        () => credentialRegistry.suspendCredential(credentialId, 0, "Under review"),
+        () => credentialRegistry.suspendCredential(credentialId, until, "Under review"),
+        () => credentialRegistry.updateCredentialStatus(credentialId, 2), // Suspended
+        () => credentialRegistry.amendCredential(credentialId, "ipfs://QmForged", 0, ""),
+      ]) {
+        await expect(send()).to.be.revertedWithCustomError(credentialRegistry, "MultisigApprovalRequired").withArgs(credentialId);
+      }
+      expect((await client1.getCredential(credentialId)).statusName).to.equal("Active");
+    });
+
+    it("Should amend and renew through proposals, keeping new versions with the multisig", async function () {
+      const expiresAt = (await time.latest()) + 365 * 24 * 60 * 60;
+      const { proposalId, executed } = await client1.proposeAmendment(credentialId, { credentialData: "ipfs://QmCorrected", expiresAt });
+      expect(executed).to.be.false;
+      expect(await client1.getProposal(proposalId)).to.include({
+        actionName: "Amend",
+        credentialId,
+        credentialData: "ipfs://QmCorrected",
+        expiresAt,
+      });
+
+      const { credentialId: amendedId } = await client2.approveProposal(proposalId);
+      expect(amendedId).to.equal(credentialId + 1);
+      const amended = await client1.getCredential(amendedId);
+      expect(amended).to.include({ issuer: await multisig.getAddress(), credentialType: LICENSE, statusName: "Active" });
+      expect((await client1.getCredential(credentialId)).statusName).to.equal("Superseded");
+
+      // Renewal is an amendment with the same data and a later expiry
+      await expect(credentialRegistry.renewCredential(amendedId, expiresAt + 1))
+        .to.be.revertedWithCustomError(credentialRegistry, "MultisigApprovalRequired")
+        .withArgs(amendedId);
+      const renewal = await client1.proposeAmendment(amendedId, { credentialData: "ipfs://QmCorrected", expiresAt: expiresAt + 1 });
+      expect((await client3.approveProposal(renewal.proposalId)).credentialId).to.equal(amendedId + 1);
+
+      await expect(credentialRegistry.revokeCredential(amendedId + 1, "Withdrawn"))
+        .to.be.revertedWithCustomError(credentialRegistry, "MultisigApprovalRequired")
+        .withArgs(amendedId + 1);
+      const revocation = await client1.proposeRevocation(amendedId + 1, "Withdrawn");
+      expect((await client2.approveProposal(revocation.proposalId)).executed).to.be.true;
+    });
+  });
+
+  describe("Signed approvals", function () {
+    it("Should execute with approvals collected off-chain and submitted by anyone", async function () {
+      const { proposalId } = await proposeLicense();
+      const approval = await client3.signProposalApproval(proposalId);
+      expect(approval.signer).to.equal(signer3.address);
+
+      const result = await client1.connect(outsider).approveProposalBySig(proposalId, [approval.signature]);
+      expect(result).to.include({ executed: true, credentialId: 1 });
+      expect((await client1.getProposal(proposalId)).approvers).to.deep.equal([signer1.address, signer3.address]);
+    });
+
+    it("Should reject duplicate and outside signatures", async function () {
+      await client1.connect(owner).setApprovalPolicy(LICENSE, {
+        signers: [signer1.address, signer2.address, signer3.address],
+        threshold: 3,
+      });
+      const { proposalId } = await proposeLicense();
+      const own = await client1.signProposalApproval(proposalId);
+      const second = await client2.signProposalApproval(proposalId);
+      const foreign = await client1.connect(outsider).signProposalApproval(proposalId);
+
+      await expect(multisig.approveProposalBySig(proposalId, [own.signature]))
+        .to.be.revertedWithCustomError(multisig, "AlreadyApproved")
+        .withArgs(proposalId, signer1.address);
+      await expect(multisig.approveProposalBySig(proposalId, [second.signature, second.signature]))
+        .to.be.revertedWithCustomError(multisig, "AlreadyApproved")
+        .withArgs(proposalId, signer2.address);
+      await expect(multisig.approveProposalBySig(proposalId, [foreign.signature]))
+        .to.be.revertedWithCustomError(multisig, "NotPolicySigner")
+        .withArgs(LICENSE, outsider.address);
+      await expect(multisig.approveProposalBySig(proposalId, ["0x1234"]))
+        .to.be.revertedWithCustomError(multisig, "InvalidSignature")
+        .withArgs(0);
+
+      // An approval for one proposal does not count for another
+      const other = await proposeLicense(client1, "ipfs://QmOther");
+      await expect(multisig.approveProposalBySig(other.proposalId, [second.signature]))
+        .to.be.revertedWithCustomError(multisig, "NotPolicySigner");
+    });
+  });
+});
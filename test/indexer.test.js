@@ -0,0 +1,245 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time, mine, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { CredentialClient, CredentialIndexer, JsonIndexStore } = require("../lib");
+
+describe("CredentialIndexer", function () {
+  let credentialRegistry, client, issuerClient;
+  let owner, issuer, recipient1, recipient2;
+  let registryAddress, deploymentBlock, indexPath;
+
+  function createIndexer(options = {}) {
+    return new CredentialIndexer(ethers.provider, {
+      registryAddress,
+      startBlock: deploymentBlock,
+      store: new JsonIndexStore(indexPath),
+      ...options,
+    });
+  }
+
+  beforeEach(async function () {
+    [owner, issuer, recipient1, recipient2] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    deploymentBlock = (await credentialRegistry.deploymentTransaction().wait()).blockNumber;
+    registryAddress = await credentialRegistry.getAddress();
+    await credentialRegistry.grantIssuerRole(issuer.address);
+
+    client = new CredentialClient(owner, { registryAddress });
+    issuerClient = client.connect(issuer);
+    indexPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "credential-index-")), "index.json");
+  });
+
+  describe("Syncing", function () {
+    it("Should index issuance, status changes and issuer profiles", async function () {
+      await issuerClient.setupIssuerProfile({ name: "Test University", description: "A test university" });
+      await issuerClient.issueCredential({ recipient: recipient1.address, credentialType: "Bachelor Degree", credentialData: "a" });
+      await issuerClient.issueCredential({ recipient: recipient2.address, credentialType: "Certificate", credentialData: "b" });
+      await issuerClient.suspendCredential(2, { reason: "Unpaid fees" });
+      await client.revokeCredential(1, "Academic misconduct");
+      await credentialRegistry.verifyCredential(2);
+
+      const indexer = createIndexer();
+      const summary = await indexer.sync();
+
+      expect(summary.fromBlock).to.equal(deploymentBlock);
+      expect(summary.toBlock).to.equal(await ethers.provider.getBlockNumber());
+      expect(summary.newEvents).to.equal(8);
+
+      const revoked = indexer.getCredential(1);
+      expect(revoked).to.include({
+        issuer: issuer.address,
+        recipient: recipient1.address,
+        statusName: "Revoked",
+        revokedBy: owner.address,
+        revocationReason: "Academic misconduct",
+      });
+
+      const suspended = indexer.getCredential(2);
+      expect(suspended).to.include({ statusName: "Suspended", suspendedUntil: null, suspensionReason: "Unpaid fees" });
+      expect(suspended.verificationCount).to.equal(1);
+
+      expect(indexer.getIssuer(issuer.address)).to.include({
+        name: "Test University",
+        description: "A test university",
+        credentialsIssued: 2,
+      });
+      expect(indexer.getEvents({ credentialId: 1 }).map((event) => event.name)).to.deep.equal([
+        "CredentialIssued",
+        "CredentialRevoked",
+        "CredentialStatusUpdated",
+      ]);
+    });
+
+    it("Should link the versions of renewed and amended credentials", async function () {
+      const expiresAt = (await time.latest()) + 3600;
+      await issuerClient.issueCredential({ recipient: recipient1.address, credentialType: "Certificate", credentialData: "a", expiresAt });
+      await issuerClient.amendCredential(1, { credentialData: "b", expiresAt });
+      await time.increaseTo(expiresAt);
+      await issuerClient.renewCredential(2, { expiresAt: expiresAt + 3600 });
+
+      const indexer = createIndexer();
+      await indexer.sync();
+
+      expect(indexer.getCredential(1)).to.include({ statusName: "Superseded", supersedes: null, supersededBy: 2 });
+      expect(indexer.getCredential(2)).to.include({ statusName: "Superseded", supersedes: 1, supersededBy: 3 });
+      expect(indexer.getVersionChain(2).map(({ id, statusName }) => `${id}:${statusName}`)).to.deep.equal([
+        "1:Superseded",
+        "2:Superseded",
+        "3:Active",
+      ]);
+      expect(indexer.searchCredentials({ status: "superseded" }).total).to.equal(2);
+    });
+
+    it("Should follow credentials moved to a new wallet", async function () {
+      await issuerClient.issueCredential({ recipient: recipient1.address, credentialType: "Certificate", credentialData: "a" });
+      await credentialRegistry.grantRole(await credentialRegistry.MIGRATOR_ROLE(), owner.address);
+      await credentialRegistry.reassignRecipient(1, recipient2.address);
+
+      const indexer = createIndexer();
+      await indexer.sync();
+
+      expect(indexer.getCredential(1)).to.include({ recipient: recipient2.address });
+      expect(indexer.getCredential(1).previousRecipients).to.deep.equal([recipient1.address]);
+      expect(indexer.searchCredentials({ recipient: recipient1.address }).total).to.equal(0);
+      expect(indexer.searchCredentials({ recipient: recipient2.address }).total).to.equal(1);
+    });
+
+    it("Should only fetch new blocks and persist the index between runs", async function () {
+      await issuerClient.issueCredential({ recipient: recipient1.address, credentialType: "Certificate", credentialData: "a" });
+      const first = await createIndexer().sync();
+
+      await issuerClient.issueCredential({ recipient: recipient2.address, credentialType: "Certificate", credentialData: "b" });
+      const indexer = createIndexer();
+      expect(indexer.getStatus().credentials).to.equal(1);
+
+      const second = await indexer.sync();
+      expect(second.fromBlock).to.equal(first.toBlock + 1);
+      expect(second.newEvents).to.equal(1);
+      expect(createIndexer().getStatus()).to.include({ credentials: 2, events: 2 });
+    });
+
+    it("Should stay behind the head by the configured confirmations", async function () {
+      await issuerClient.issueCredential({ recipient: recipient1.address, credentialType: "Certificate", credentialData: "a" });
+
+      const indexer = createIndexer({ confirmations: 3 });
+      await indexer.sync();
+      expect(indexer.getCredential(1)).to.be.null;
+
+      await mine(3);
+      await indexer.sync();
+      expect(indexer.getCredential(1)).to.not.be.null;
+    });
+
+    it("Should refuse an index file written for another registry", async function () {
+      await createIndexer().sync();
+
+      expect(() => new CredentialIndexer(ethers.provider, {
+        registryAddress: recipient1.address,
+        store: new JsonIndexStore(indexPath),
+      })).to.throw("belongs to registry");
+    });
+  });
+
+  describe("Reorg handling", function () {
+    it("Should drop events from orphaned blocks and index the new branch", async function () {
+      await issuerClient.issueCredential({ recipient: recipient1.address, credentialType: "Certificate", credentialData: "a" });
+      const snapshot = await takeSnapshot();
+
+      await issuerClient.issueCredential({ recipient: recipient1.address, credentialType: "Certificate", credentialData: "b" });
+      await client.revokeCredential(1, "Orphaned revocation");
+      const indexer = createIndexer();
+      await indexer.sync();
+      expect(indexer.getCredential(1).statusName).to.equal("Revoked");
+
+      // Replace the last blocks with a different branch
+      await snapshot.restore();
+      await issuerClient.issueCredential({ recipient: recipient2.address, credentialType: "Diploma", credentialData: "c" });
+      await mine(2);
+
+      const summary = await indexer.sync();
+
+      expect(summary.removedEvents).to.equal(3);
+      expect(summary.newEvents).to.equal(1);
+      expect(indexer.getCredential(1).statusName).to.equal("Active");
+      expect(indexer.getCredential(2)).to.include({ recipient: recipient2.address, credentialType: "Diploma" });
+      expect(createIndexer().getStatus()).to.include({ credentials: 2, events: 2 });
+    });
+
+    it("Should reindex from the start block when every indexed block was orphaned", async function () {
+      const snapshot = await takeSnapshot();
+      await issuerClient.issueCredential({ recipient: recipient1.address, credentialType: "Certificate", credentialData: "a" });
+      const indexer = createIndexer();
+      await indexer.sync();
+
+      await snapshot.restore();
+      await issuerClient.issueCredential({ recipient: recipient2.address, credentialType: "Diploma", credentialData: "b" });
+      await mine();
+
+      const summary = await indexer.sync();
+      expect(summary.removedEvents).to.equal(1);
+      expect(indexer.getCredential(1).recipient).to.equal(recipient2.address);
+    });
+  });
+
+  describe("Queries", function () {
+    let indexer, issuedAt;
+
+    beforeEach(async function () {
+      await issuerClient.issueCredential({ recipient: recipient1.address, credentialType: "Bachelor Degree", credentialData: "a" });
+      await time.increase(86400);
+      await issuerClient.issueCredential({ recipient: recipient1.address, credentialType: "Certificate", credentialData: "b" });
+      await time.increase(86400);
+      await client.issueCredential({
+        recipient: recipient2.address,
+        credentialType: "Certificate",
+        credentialData: "c",
+        expiresAt: (await time.latest()) + 100,
+      });
+      await client.suspendCredential(2, { duration: 1000 });
+
+      indexer = createIndexer();
+      await indexer.sync();
+      issuedAt = [1, 2, 3].map((id) => indexer.getCredential(id).issuedAt);
+    });
+
+    it("Should search by recipient, issuer and type", function () {
+      const ids = (filters) => indexer.searchCredentials(filters).credentials.map((c) => c.id);
+
+      expect(ids({ recipient: recipient1.address.toLowerCase() })).to.deep.equal([1, 2]);
+      expect(ids({ issuer: owner.address })).to.deep.equal([3]);
+      expect(ids({ credentialType: "Certificate" })).to.deep.equal([2, 3]);
+      expect(ids({ recipient: recipient1.address, credentialType: "Certificate" })).to.deep.equal([2]);
+    });
+
+    it("Should search by status, deriving expiry and ended suspensions from the query time", function () {
+      const ids = (filters) => indexer.searchCredentials(filters).credentials.map((c) => c.id);
+      const now = issuedAt[2];
+
+      expect(ids({ status: "active", now })).to.deep.equal([1, 3]);
+      expect(ids({ status: "Suspended", now })).to.deep.equal([2]);
+      expect(ids({ status: "expired", now: now + 100 })).to.deep.equal([3]);
+      expect(indexer.getCredential(3, { now: now + 100 }).statusName).to.equal("Expired");
+      // The time-bound suspension of credential 2 has ended by then
+      expect(ids({ status: "active", now: now + 2000 })).to.deep.equal([1, 2]);
+    });
+
+    it("Should search by issuance date range and paginate", function () {
+      const range = indexer.searchCredentials({ issuedFrom: issuedAt[1], issuedTo: issuedAt[2] });
+      expect(range.credentials.map((c) => c.id)).to.deep.equal([2, 3]);
+
+      const page = indexer.searchCredentials({ offset: 1, limit: 1 });
+      expect(page.total).to.equal(3);
+      expect(page.credentials.map((c) => c.id)).to.deep.equal([2]);
+    });
+
+    it("Should reject unknown statuses", function () {
+      expect(() => indexer.searchCredentials({ status: "pending" })).to.throw("Unknown credential status: pending");
+    });
+  });
+});
@@ -0,0 +1,220 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { anyUint } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { CredentialClient, ApplicationStatus } = require("../lib");
+
+describe("Issuer accreditation", function () {
+  let credentialRegistry, credentialVerifier, accreditation;
+  let owner, accreditor, applicant, recipient, outsider;
+  let applicantClient, accreditorClient, registryOnlyClient;
+
+  beforeEach(async function () {
+    [owner, accreditor, applicant, recipient, outsider] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.grantRole(await credentialRegistry.ACCREDITOR_ROLE(), accreditor.address);
+
+    const CredentialVerifier = await ethers.getContractFactory("CredentialVerifier");
+    credentialVerifier = await CredentialVerifier.deploy(await credentialRegistry.getAddress());
+
+    const IssuerAccreditation = await ethers.getContractFactory("IssuerAccreditation");
+    accreditation = await IssuerAccreditation.deploy(await credentialRegistry.getAddress());
+    await credentialRegistry.setIssuerAccreditation(await accreditation.getAddress());
+
+    const addresses = {
+      registryAddress: await credentialRegistry.getAddress(),
+      verifierAddress: await credentialVerifier.getAddress(),
+    };
+    applicantClient = new CredentialClient(applicant, addresses);
+    accreditorClient = new CredentialClient(accreditor, addresses);
+    registryOnlyClient = new CredentialClient(ethers.provider, { registryAddress: addresses.registryAddress });
+  });
+
+  async function applyAndApprove() {
+    await applicantClient.submitIssuerApplication({ name: "Harvard University", website: "https://harvard.edu" });
+    await accreditorClient.approveIssuerApplication(applicant.address);
+  }
+
+  describe("Applications", function () {
+    it("Should grant ISSUER_ROLE when an accreditor approves an application", async function () {
+      await expect(accreditation.connect(applicant).submitApplication("Harvard University", "", "https://harvard.edu", ""))
+        .to.emit(accreditation, "ApplicationSubmitted")
+        .withArgs(applicant.address, "Harvard University", anyUint);
+      expect(await applicantClient.getIssuerApplications({ status: "pending" })).to.have.length(1);
+
+      await expect(accreditation.connect(accreditor).approveApplication(applicant.address))
+        .to.emit(accreditation, "ApplicationApproved")
+        .withArgs(applicant.address, accreditor.address, anyUint)
+        .and.to.emit(credentialRegistry, "RoleGranted");
+
+      expect(await credentialRegistry.hasRole(await credentialRegistry.ISSUER_ROLE(), applicant.address)).to.be.true;
+      expect(await applicantClient.getIssuerApplication(applicant.address)).to.include({
+        name: "Harvard University",
+        statusName: "Approved",
+        accredited: true,
+        decidedBy: accreditor.address,
+      });
+
+      await applicantClient.issueCredential({ recipient: recipient.address, credentialType: "Diploma", credentialData: "ipfs://QmA" });
+      expect(await credentialRegistry.isCredentialValid(1)).to.be.true;
+    });
+
+    it("Should only let accreditors decide and only on pending applications", async function () {
+      await expect(accreditation.connect(accreditor).approveApplication(applicant.address))
+        .to.be.revertedWithCustomError(accreditation, "InvalidApplicationStatus")
+        .withArgs(applicant.address, ApplicationStatus.None);
+      await expect(accreditation.connect(applicant).submitApplication("", "", "", ""))
+        .to.be.revertedWithCustomError(accreditation, "InvalidApplication");
+
+      await applicantClient.submitIssuerApplication({ name: "Harvard University" });
+      await expect(accreditation.connect(applicant).approveApplication(applicant.address))
+        .to.be.revertedWithCustomError(accreditation, "UnauthorizedAccreditor")
+        .withArgs(applicant.address);
+      await expect(accreditation.connect(applicant).submitApplication("Harvard University", "", "", ""))
+        .to.be.revertedWithCustomError(accreditation, "ApplicationAlreadySubmitted")
+        .withArgs(applicant.address, ApplicationStatus.Pending);
+
+      // Only the accreditation contract may grant the issuer role besides admins
+      await expect(credentialRegistry.connect(accreditor).grantIssuerRole(applicant.address))
+        .to.be.revertedWithCustomError(credentialRegistry, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should let a rejected applicant apply again", async function () {
+      await applicantClient.submitIssuerApplication({ name: "Harvard University" });
+      await expect(accreditation.connect(accreditor).rejectApplication(applicant.address, "Domain not verified"))
+        .to.emit(accreditation, "ApplicationRejected")
+        .withArgs(applicant.address, accreditor.address, "Domain not verified", anyUint);
+
+      expect(await applicantClient.getIssuerApplication(applicant.address))
+        .to.include({ statusName: "Rejected", decisionReason: "Domain not verified", accredited: false });
+      expect(await credentialRegistry.hasRole(await credentialRegistry.ISSUER_ROLE(), applicant.address)).to.be.false;
+
+      await applicantClient.submitIssuerApplication({ name: "Harvard University", website: "https://harvard.edu" });
+      expect(await applicantClient.getIssuerApplication(applicant.address))
+        .to.include({ statusName: "Pending", decisionReason: "", website: "https://harvard.edu" });
+      expect(await accreditation.getApplicants()).to.deep.equal([applicant.address]);
+    });
+  });
+
+  describe("Existing issuers", function () {
+    beforeEach(async function () {
+      await credentialRegistry.setIssuerAccreditation(ethers.ZeroAddress);
+      await credentialRegistry.grantIssuerRole(applicant.address);
+      await credentialRegistry.connect(applicant).setupIssuerProfile("Harvard University", "", "https://harvard.edu", "");
+    });
+
+    it("Should approve existing issuers with their registry profile", async function () {
+      await expect(accreditation.connect(outsider).importIssuers([applicant.address]))
+        .to.be.revertedWithCustomError(accreditation, "UnauthorizedAccreditor");
+      await expect(accreditation.connect(accreditor).importIssuers([outsider.address]))
+        .to.be.revertedWithCustomError(accreditation, "NotAnIssuer")
+        .withArgs(outsider.address);
+
+      await expect(accreditation.connect(accreditor).importIssuers([applicant.address]))
+        .to.emit(accreditation, "IssuerImported")
+        .withArgs(applicant.address, accreditor.address, anyUint);
+      const application = await accreditation.getApplication(applicant.address);
+      expect(application.name).to.equal("Harvard University");
+      expect(application.website).to.equal("https://harvard.edu");
+      expect(application.status).to.equal(ApplicationStatus.Approved);
+      expect(application.decidedBy).to.equal(accreditor.address);
+      await expect(accreditation.connect(accreditor).importIssuers([applicant.address]))
+        .to.be.revertedWithCustomError(accreditation, "ApplicationAlreadySubmitted")
+        .withArgs(applicant.address, ApplicationStatus.Approved);
+
+      await credentialRegistry.setIssuerAccreditation(await accreditation.getAddress());
+      await applicantClient.issueCredential({ recipient: recipient.address, credentialType: "Diploma", credentialData: "ipfs://QmA" });
+    });
+
+    it("Should show the registry profile of issuers without an application as not accredited", async function () {
+      await credentialRegistry.setIssuerAccreditation(await accreditation.getAddress());
+      for (const client of [applicantClient, registryOnlyClient]) {
+        expect(await client.getIssuerProfile(applicant.address))
+          .to.include({ name: "Harvard University", website: "https://harvard.edu", isActive: false });
+      }
+    });
+  });
+
+  describe("Enforcement", function () {
+    it("Should reject issuance by issuers without an accreditation", async function () {
+      await expect(credentialRegistry.issueCredential(recipient.address, "Diploma", "ipfs://QmA", 0, ""))
+        .to.be.revertedWithCustomError(credentialRegistry, "IssuerNotAccredited")
+        .withArgs(owner.address);
+      await expect(credentialRegistry.anchorMerkleRoot(ethers.id("root"), 1, ""))
+        .to.be.revertedWithCustomError(credentialRegistry, "IssuerNotAccredited");
+
+      // Self-declared profiles are replaced by approved applications
+      await expect(credentialRegistry.setupIssuerProfile("Harvard University", "", "", ""))
+        .to.be.revertedWithCustomError(credentialRegistry, "ProfileManagedByAccreditation")
+        .withArgs(owner.address);
+
+      await expect(credentialRegistry.setIssuerAccreditation(ethers.ZeroAddress))
+        .to.emit(credentialRegistry, "IssuerAccreditationUpdated")
+        .withArgs(await accreditation.getAddress(), ethers.ZeroAddress);
+      await credentialRegistry.issueCredential(recipient.address, "Diploma", "ipfs://QmA", 0, "");
+      await expect(credentialRegistry.connect(outsider).setIssuerAccreditation(await accreditation.getAddress()))
+        .to.be.revertedWithCustomError(credentialRegistry, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should reject credentials issued after deactivation and keep earlier ones", async function () {
+      await applyAndApprove();
+      await applicantClient.issueCredential({ recipient: recipient.address, credentialType: "Diploma", credentialData: "ipfs://QmA" });
+
+      await expect(accreditation.connect(accreditor).deactivateIssuer(applicant.address, "Fraud"))
+        .to.be.revertedWithCustomError(accreditation, "UnauthorizedAccreditationAdmin")
+        .withArgs(accreditor.address);
+      expect((await credentialRegistry.issuerProfiles(applicant.address)).isActive).to.be.true;
+      await expect(accreditation.deactivateIssuer(applicant.address, "Diploma mill"))
+        .to.emit(accreditation, "IssuerDeactivated")
+        .withArgs(applicant.address, owner.address, "Diploma mill", anyUint)
+        .and.to.emit(credentialRegistry, "IssuerActivationUpdated")
+        .withArgs(applicant.address, false);
+      expect((await credentialRegistry.issuerProfiles(applicant.address)).isActive).to.be.false;
+      await expect(credentialRegistry.connect(applicant).setIssuerActive(applicant.address, true))
+        .to.be.revertedWithCustomError(credentialRegistry, "AccessControlUnauthorizedAccount");
+
+      await expect(applicantClient.issueCredential({ recipient: recipient.address, credentialType: "Diploma", credentialData: "ipfs://QmB" }))
+        .to.be.rejectedWith("IssuerNotAccredited");
+      expect(await credentialRegistry.isCredentialValid(1)).to.be.true;
+
+      await expect(accreditation.reactivateIssuer(applicant.address))
+        .to.emit(accreditation, "IssuerReactivated")
+        .withArgs(applicant.address, owner.address, anyUint);
+      expect((await credentialRegistry.issuerProfiles(applicant.address)).isActive).to.be.true;
+      await applicantClient.issueCredential({ recipient: recipient.address, credentialType: "Diploma", credentialData: "ipfs://QmB" });
+      await expect(accreditation.reactivateIssuer(applicant.address))
+        .to.be.revertedWithCustomError(accreditation, "InvalidApplicationStatus")
+        .withArgs(applicant.address, ApplicationStatus.Approved);
+    });
+  });
+
+  describe("Verifiers", function () {
+    it("Should show the accredited profile and status with or without a verifier", async function () {
+      await applyAndApprove();
+
+      for (const client of [applicantClient, registryOnlyClient]) {
+        expect(await client.getIssuerProfile(applicant.address))
+          .to.include({ name: "Harvard University", website: "https://harvard.edu", isActive: true });
+        expect(await client.isIssuerAccredited(applicant.address)).to.be.true;
+        expect(await client.isIssuerAccredited(owner.address)).to.be.false;
+      }
+
+      await accreditation.deactivateIssuer(applicant.address, "Diploma mill");
+      for (const client of [applicantClient, registryOnlyClient]) {
+        expect((await client.getIssuerProfile(applicant.address)).isActive).to.be.false;
+        expect(await client.isIssuerAccredited(applicant.address)).to.be.false;
+      }
+    });
+
+    it("Should fall back to ISSUER_ROLE while accreditation is not enforced", async function () {
+      await credentialRegistry.setIssuerAccreditation(ethers.ZeroAddress);
+      expect(await credentialVerifier.isIssuerAccredited(owner.address)).to.be.true;
+      expect(await credentialVerifier.isIssuerAccredited(applicant.address)).to.be.false;
+      expect(await registryOnlyClient.isIssuerAccredited(owner.address)).to.be.true;
+      await expect(registryOnlyClient.getIssuerApplication(applicant.address))
+        .to.be.rejectedWith("No IssuerAccreditation");
+    });
+  });
+});
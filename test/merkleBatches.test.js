@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyUint } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  CredentialClient,
+  buildMerkleBatch,
+  createMerkleProofs,
+  verifyMerkleCredential,
+} = require("../lib");
+
+describe("Merkle batch anchoring", function () {
+  let credentialRegistry, credentialVerifier, issuerClient, readClient;
+  let owner, issuer, otherIssuer, alice, bob;
+  let batch, proofs;
+
+  beforeEach(async function () {
+    [owner, issuer, otherIssuer, alice, bob] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.grantIssuerRole(issuer.address);
+    await credentialRegistry.grantIssuerRole(otherIssuer.address);
+
+    const CredentialVerifier = await ethers.getContractFactory("CredentialVerifier");
+    credentialVerifier = await CredentialVerifier.deploy(await credentialRegistry.getAddress());
+    await credentialVerifier.waitForDeployment();
+
+    const addresses = {
+      registryAddress: await credentialRegistry.getAddress(),
+      verifierAddress: await credentialVerifier.getAddress(),
+    };
+    issuerClient = new CredentialClient(issuer, addresses);
+    readClient = new CredentialClient(ethers.provider, addresses);
+
+    batch = buildMerkleBatch([
+      { recipient: alice.address, credentialType: "Bachelor Degree", credentialData: { gpa: "3.85", name: "Alice" } },
+      { recipient: bob.address, credentialType: "Bachelor Degree", credentialData: { gpa: "3.40", name: "Bob" } },
+      { recipient: alice.address, credentialType: "Certificate", credentialData: "ipfs://QmCert", expiresAt: (await time.latest()) + 3600 },
+    ]);
+    const { batchId } = await issuerClient.anchorMerkleRoot({ root: batch.root, leafCount: 3, metadataURI: "ipfs://QmCohort" });
+    proofs = createMerkleProofs(batch, {
+      batchId,
+      issuer: issuer.address,
+      chainId: 1337,
+      registryAddress: addresses.registryAddress,
+    });
+  });
+
+  describe("Anchoring", function () {
+    it("Should store only the root and batch details", async function () {
+      expect(await issuerClient.getMerkleBatch(1)).to.deep.include({
+        id: 1,
+        issuer: issuer.address,
+        root: batch.root,
+        leafCount: 3,
+        revoked: false,
+        metadataURI: "ipfs://QmCohort",
+      });
+      expect(await credentialRegistry.getTotalMerkleBatches()).to.equal(1);
+      expect(await credentialRegistry.getTotalCredentials()).to.equal(0);
+    });
+
+    it("Should emit MerkleRootAnchored", async function () {
+      await expect(credentialRegistry.connect(issuer).anchorMerkleRoot(batch.root, 3, ""))
+        .to.emit(credentialRegistry, "MerkleRootAnchored")
+        .withArgs(2, issuer.address, batch.root, 3, anyUint);
+    });
+
+    it("Should require ISSUER_ROLE and a non-empty batch", async function () {
+      await expect(credentialRegistry.connect(alice).anchorMerkleRoot(batch.root, 3, ""))
+        .to.be.revertedWithCustomError(credentialRegistry, "AccessControlUnauthorizedAccount");
+      await expect(credentialRegistry.connect(issuer).anchorMerkleRoot(ethers.ZeroHash, 3, ""))
+        .to.be.revertedWithCustomError(credentialRegistry, "InvalidCredentialData");
+      await expect(credentialRegistry.connect(issuer).anchorMerkleRoot(batch.root, 0, ""))
+        .to.be.revertedWithCustomError(credentialRegistry, "InvalidCredentialData");
+    });
+
+    it("Should reject unknown batches", async function () {
+      await expect(credentialRegistry.getMerkleBatch(2))
+        .to.be.revertedWithCustomError(credentialRegistry, "MerkleBatchNotFound")
+        .withArgs(2);
+    });
+  });
+
+  describe("Verification", function () {
+    it("Should verify every credential of the batch with its proof", async function () {
+      for (const proof of proofs) {
+        const [isValid, leaf] = await credentialVerifier.verifyMerkleCredential(1, proof.credential, proof.proof);
+        expect(isValid).to.be.true;
+        expect(leaf).to.equal(proof.leaf);
+
+        expect(await verifyMerkleCredential(readClient, proof)).to.deep.equal({ isValid: true, leaf: proof.leaf, reason: null });
+      }
+    });
+
+    it("Should reject a tampered credential or a proof for another leaf", async function () {
+      const { credentialData, ...withoutData } = proofs[1];
+      const forged = { ...withoutData, credential: { ...proofs[1].credential, credentialType: "Master Degree" } };
+      expect(await verifyMerkleCredential(readClient, forged)).to.include({ isValid: false, reason: "InvalidProof" });
+
+      const swapped = { ...proofs[0], proof: proofs[1].proof };
+      expect(await verifyMerkleCredential(readClient, swapped)).to.include({ isValid: false, reason: "InvalidProof" });
+    });
+
+    it("Should reject credential data that does not match the leaf", async function () {
+      const result = await verifyMerkleCredential(readClient, { ...proofs[0], credentialData: '{"gpa":"4.00","name":"Alice"}' });
+
+      expect(result).to.include({ isValid: false, reason: "DataMismatch" });
+    });
+
+    it("Should reject proofs for a batch that does not exist", async function () {
+      expect(await verifyMerkleCredential(readClient, { ...proofs[0], batchId: 7 })).to.include({ reason: "BatchNotFound" });
+    });
+
+    it("Should reject expired credentials", async function () {
+      await time.increase(3601);
+
+      expect(await verifyMerkleCredential(readClient, proofs[2])).to.include({ isValid: false, reason: "Expired" });
+      expect((await verifyMerkleCredential(readClient, proofs[0])).isValid).to.be.true;
+    });
+  });
+
+  describe("Revocation", function () {
+    it("Should revoke a single credential by leaf", async function () {
+      await expect(credentialRegistry.connect(issuer).revokeMerkleCredential(1, proofs[1].leaf, "Degree rescinded"))
+        .to.emit(credentialRegistry, "MerkleCredentialRevoked")
+        .withArgs(1, proofs[1].leaf, issuer.address, "Degree rescinded", anyUint);
+
+      expect(await verifyMerkleCredential(readClient, proofs[1])).to.include({ isValid: false, reason: "Revoked" });
+      expect((await verifyMerkleCredential(readClient, proofs[0])).isValid).to.be.true;
+
+      await expect(issuerClient.revokeMerkleCredential(1, proofs[1].leaf, "Again"))
+        .to.be.revertedWithCustomError(credentialRegistry, "MerkleCredentialAlreadyRevoked");
+    });
+
+    it("Should revoke the whole batch", async function () {
+      await expect(credentialRegistry.connect(owner).revokeMerkleBatch(1, "Fraudulent cohort"))
+        .to.emit(credentialRegistry, "MerkleBatchRevoked")
+        .withArgs(1, owner.address, "Fraudulent cohort", anyUint);
+
+      for (const proof of proofs) {
+        expect(await verifyMerkleCredential(readClient, proof)).to.include({ isValid: false, reason: "BatchRevoked" });
+      }
+      await expect(issuerClient.revokeMerkleBatch(1, "Again"))
+        .to.be.revertedWithCustomError(credentialRegistry, "MerkleBatchAlreadyRevoked");
+    });
+
+    it("Should not let other issuers revoke", async function () {
+      await expect(credentialRegistry.connect(otherIssuer).revokeMerkleBatch(1, "Griefing"))
+        .to.be.revertedWithCustomError(credentialRegistry, "UnauthorizedIssuer")
+        .withArgs(otherIssuer.address);
+      await expect(credentialRegistry.connect(otherIssuer).revokeMerkleCredential(1, proofs[0].leaf, "Griefing"))
+        .to.be.revertedWithCustomError(credentialRegistry, "UnauthorizedIssuer");
+    });
+  });
+});
@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyUint } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  CredentialClient,
+  Relayer,
+  createRelayerServer,
+  submitToRelayer,
+  signIssueRequest,
+  signBatchIssueRequest,
+  signRevokeRequest,
+} = require("../lib");
+
+describe("Meta-transactions", function () {
+  let credentialRegistry, ISSUER_ROLE, REVOKER_ROLE;
+  let owner, relayerAccount, issuer, outsider, recipient;
+  let issuerClient, ownerClient, outsiderClient, relayerClient;
+
+  const diploma = { recipient: null, credentialType: "Bachelor Degree", credentialData: { gpa: "3.85" } };
+
+  beforeEach(async function () {
+    [owner, relayerAccount, issuer, outsider, recipient] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.grantIssuerRole(issuer.address);
+    ISSUER_ROLE = await credentialRegistry.ISSUER_ROLE();
+    REVOKER_ROLE = await credentialRegistry.REVOKER_ROLE();
+
+    const registryAddress = await credentialRegistry.getAddress();
+    issuerClient = new CredentialClient(issuer, { registryAddress });
+    ownerClient = issuerClient.connect(owner);
+    outsiderClient = issuerClient.connect(outsider);
+    relayerClient = issuerClient.connect(relayerAccount);
+    diploma.recipient = recipient.address;
+  });
+
+  describe("issueCredentialBySig", function () {
+    it("Should issue on behalf of the signing issuer while the relayer pays gas", async function () {
+      const { request, signature } = await signIssueRequest(issuerClient, diploma);
+      const issuerBalance = await ethers.provider.getBalance(issuer.address);
+
+      await expect(credentialRegistry.connect(relayerAccount).issueCredentialBySig(request, signature))
+        .to.emit(credentialRegistry, "CredentialIssued")
+        .withArgs(1, issuer.address, recipient.address, "Bachelor Degree", anyUint, 0);
+
+      const credential = await issuerClient.getCredential(1);
+      expect(credential.issuer).to.equal(issuer.address);
+      expect(credential.data).to.deep.equal({ gpa: "3.85" });
+      expect((await issuerClient.getIssuerProfile(issuer.address)).credentialsIssued).to.equal(1);
+      expect(await ethers.provider.getBalance(issuer.address)).to.equal(issuerBalance);
+      expect(await issuerClient.getNonce(issuer.address)).to.equal(1);
+    });
+
+    it("Should not accept the same signature twice", async function () {
+      const { request, signature } = await signIssueRequest(issuerClient, diploma);
+      await relayerClient.issueCredentialBySig(request, signature);
+
+      await expect(relayerClient.issueCredentialBySig(request, signature))
+        .to.be.revertedWithCustomError(credentialRegistry, "InvalidAccountNonce")
+        .withArgs(issuer.address, 1);
+    });
+
+    it("Should reject requests past their deadline", async function () {
+      const deadline = (await time.latest()) + 60;
+      const { request, signature } = await signIssueRequest(issuerClient, diploma, { deadline });
+      await time.increase(61);
+
+      await expect(relayerClient.issueCredentialBySig(request, signature))
+        .to.be.revertedWithCustomError(credentialRegistry, "ExpiredSignature")
+        .withArgs(deadline);
+    });
+
+    it("Should reject tampered requests", async function () {
+      const { request, signature } = await signIssueRequest(issuerClient, diploma);
+
+      await expect(relayerClient.issueCredentialBySig({ ...request, recipient: outsider.address }, signature))
+        .to.be.revertedWithCustomError(credentialRegistry, "InvalidSignature")
+        .withArgs(issuer.address);
+    });
+
+    it("Should check ISSUER_ROLE against the signer, not the relayer", async function () {
+      // The relayer holds no role at all, and the signer's missing role is what fails
+      const { request, signature } = await signIssueRequest(outsiderClient, diploma);
+
+      await expect(credentialRegistry.connect(owner).issueCredentialBySig(request, signature))
+        .to.be.revertedWithCustomError(credentialRegistry, "AccessControlUnauthorizedAccount")
+        .withArgs(outsider.address, ISSUER_ROLE);
+    });
+
+    it("Should respect the pause", async function () {
+      const { request, signature } = await signIssueRequest(issuerClient, diploma);
+      await credentialRegistry.pause();
+
+      await expect(relayerClient.issueCredentialBySig(request, signature))
+        .to.be.revertedWithCustomError(credentialRegistry, "EnforcedPause");
+    });
+  });
+
+  describe("batchIssueCredentialsBySig", function () {
+    it("Should batch issue on behalf of the signing issuer", async function () {
+      const { request, signature } = await signBatchIssueRequest(issuerClient, [
+        diploma,
+        { recipient: outsider.address, credentialType: "Certificate", credentialData: "ipfs://QmCertificate", metadataURI: "ipfs://QmMeta" },
+      ]);
+
+      const { credentialIds } = await relayerClient.batchIssueCredentialsBySig(request, signature);
+
+      expect(credentialIds).to.deep.equal([1, 2]);
+      expect((await issuerClient.getCredential(2)).metadataURI).to.equal("ipfs://QmMeta");
+      expect(await issuerClient.getCredentialIdsByIssuer(issuer.address)).to.deep.equal([1, 2]);
+    });
+
+    it("Should reject a batch with a swapped entry", async function () {
+      const { request, signature } = await signBatchIssueRequest(issuerClient, [diploma, { ...diploma, credentialData: "b" }]);
+      const tampered = { ...request, credentialDataArray: [...request.credentialDataArray].reverse() };
+
+      await expect(relayerClient.batchIssueCredentialsBySig(tampered, signature))
+        .to.be.revertedWithCustomError(credentialRegistry, "InvalidSignature");
+    });
+  });
+
+  describe("revokeCredentialBySig", function () {
+    beforeEach(async function () {
+      await issuerClient.issueCredential(diploma);
+    });
+
+    it("Should revoke on behalf of a signing revoker", async function () {
+      const { request, signature } = await signRevokeRequest(ownerClient, 1, "Issued in error");
+
+      await expect(credentialRegistry.connect(relayerAccount).revokeCredentialBySig(request, signature))
+        .to.emit(credentialRegistry, "CredentialRevoked")
+        .withArgs(1, owner.address, "Issued in error", anyUint);
+      expect((await issuerClient.getCredential(1)).statusName).to.equal("Revoked");
+    });
+
+    it("Should require REVOKER_ROLE from the signer", async function () {
+      const { request, signature } = await signRevokeRequest(issuerClient, 1, "Issued in error");
+
+      await expect(relayerClient.revokeCredentialBySig(request, signature))
+        .to.be.revertedWithCustomError(credentialRegistry, "AccessControlUnauthorizedAccount")
+        .withArgs(issuer.address, REVOKER_ROLE);
+    });
+  });
+
+  describe("Relayer", function () {
+    let server, relayerUrl, relayed;
+
+    beforeEach(async function () {
+      relayed = [];
+      const relayer = new Relayer(relayerClient, { onRelayed: (result) => relayed.push(result) });
+      server = createRelayerServer(relayer, { onError: () => {} });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      relayerUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("Should relay signed issuance and return the credential ID", async function () {
+      const nonceResponse = await fetch(`${relayerUrl}/nonces/${issuer.address}`);
+      expect(await nonceResponse.json()).to.deep.equal({ address: issuer.address, nonce: 0 });
+
+      const result = await submitToRelayer(relayerUrl, await signIssueRequest(issuerClient, diploma));
+
+      expect(result).to.include({ type: "IssueRequest", signer: issuer.address, credentialId: 1 });
+      expect(relayed).to.deep.equal([result]);
+      const tx = await ethers.provider.getTransaction(result.transactionHash);
+      expect(tx.from).to.equal(relayerAccount.address);
+    });
+
+    it("Should relay batch issuance and revocation", async function () {
+      const batch = await submitToRelayer(relayerUrl, await signBatchIssueRequest(issuerClient, [diploma, { ...diploma, credentialData: "b" }]));
+      expect(batch.credentialIds).to.deep.equal([1, 2]);
+
+      const revoke = await submitToRelayer(relayerUrl, await signRevokeRequest(ownerClient, 2, "Duplicate"));
+      expect(revoke).to.include({ type: "RevokeRequest", signer: owner.address });
+      expect(await issuerClient.isCredentialValid(2)).to.be.false;
+    });
+
+    it("Should reject bad requests without spending gas", async function () {
+      const relayerNonce = await ethers.provider.getTransactionCount(relayerAccount.address);
+      const signed = await signIssueRequest(issuerClient, diploma);
+      const reject = (body) => expect(submitToRelayer(relayerUrl, body)).to.be.rejected;
+
+      let error = await reject({ ...signed, request: { ...signed.request, credentialType: "PhD" } });
+      expect(error.code).to.equal("InvalidSignature");
+
+      error = await reject(await signIssueRequest(issuerClient, diploma, { nonce: 5 }));
+      expect(error.code).to.equal("InvalidNonce");
+
+      error = await reject(await signIssueRequest(issuerClient, diploma, { deadline: (await time.latest()) - 1 }));
+      expect(error.code).to.equal("ExpiredSignature");
+
+      error = await reject(await signIssueRequest(outsiderClient, diploma));
+      expect(error.code).to.equal("Rejected");
+      expect(error.message).to.contain("AccessControlUnauthorizedAccount");
+
+      error = await reject({ type: "Transfer", request: {}, signature: "0x" });
+      expect(error.code).to.equal("InvalidRequest");
+
+      expect(await ethers.provider.getTransactionCount(relayerAccount.address)).to.equal(relayerNonce);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  CredentialClient,
+  OFFCHAIN_CREDENTIAL_TYPES,
+  signOffchainCredential,
+  verifyOffchainCredential,
+} = require("../lib");
+
+describe("Off-chain signed credentials", function () {
+  let credentialRegistry, issuerClient, readClient;
+  let owner, issuer, otherIssuer, recipient, outsider;
+  let signed;
+
+  const diploma = { studentName: "Alice Johnson", degree: "Bachelor of Science", gpa: "3.85" };
+
+  beforeEach(async function () {
+    [owner, issuer, otherIssuer, recipient, outsider] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.grantIssuerRole(issuer.address);
+    await credentialRegistry.grantIssuerRole(otherIssuer.address);
+
+    const registryAddress = await credentialRegistry.getAddress();
+    issuerClient = new CredentialClient(issuer, { registryAddress });
+    readClient = new CredentialClient(ethers.provider, { registryAddress });
+
+    signed = await signOffchainCredential(issuerClient, {
+      recipient: recipient.address,
+      credentialType: "Bachelor Degree",
+      credentialData: diploma,
+      issuedAt: await time.latest(),
+      expiresAt: (await time.latest()) + 3600,
+    });
+  });
+
+  describe("Signing", function () {
+    it("Should sign without sending a transaction", async function () {
+      expect(signed.credential.issuer).to.equal(issuer.address);
+      expect(signed.credentialData).to.equal('{"degree":"Bachelor of Science","gpa":"3.85","studentName":"Alice Johnson"}');
+      expect(await credentialRegistry.getTotalCredentials()).to.equal(0);
+    });
+
+    it("Should hash the credential the same way on-chain and in JavaScript", async function () {
+      expect(await credentialRegistry.hashOffchainCredential(signed.credential)).to.equal(signed.credentialHash);
+      expect(ethers.TypedDataEncoder.hash(signed.domain, OFFCHAIN_CREDENTIAL_TYPES, signed.credential))
+        .to.equal(signed.credentialHash);
+    });
+  });
+
+  describe("Verification", function () {
+    it("Should accept a credential signed by an issuer", async function () {
+      const [isValid, credentialHash] = await credentialRegistry.verifyOffchainCredential(signed.credential, signed.signature);
+      expect(isValid).to.be.true;
+      expect(credentialHash).to.equal(signed.credentialHash);
+
+      expect(await verifyOffchainCredential(readClient, signed)).to.deep.equal({
+        isValid: true,
+        credentialHash: signed.credentialHash,
+        signer: issuer.address,
+        reason: null,
+      });
+    });
+
+    it("Should reject any tampered field", async function () {
+      const tampered = {
+        issuer: otherIssuer.address,
+        recipient: outsider.address,
+        credentialType: "Master Degree",
+        dataHash: ethers.id("forged"),
+        issuedAt: signed.credential.issuedAt - 1,
+        expiresAt: 0,
+        metadataURI: "ipfs://QmForged",
+      };
+
+      for (const [field, value] of Object.entries(tampered)) {
+        const credential = { ...signed.credential, [field]: value };
+        const [isValid] = await credentialRegistry.verifyOffchainCredential(credential, signed.signature);
+        expect(isValid, field).to.be.false;
+
+        const result = await verifyOffchainCredential(readClient, { credential, signature: signed.signature });
+        expect(result.reason, field).to.equal("InvalidSignature");
+      }
+    });
+
+    it("Should reject credential data that does not match the signed hash", async function () {
+      const result = await verifyOffchainCredential(readClient, {
+        ...signed,
+        credentialData: JSON.stringify({ ...diploma, gpa: "4.0" }),
+      });
+
+      expect(result).to.include({ isValid: false, reason: "DataMismatch" });
+    });
+
+    it("Should reject a signature from someone other than the named issuer", async function () {
+      // The outsider signs a credential that names the real issuer
+      const signature = await outsider.signTypedData(signed.domain, OFFCHAIN_CREDENTIAL_TYPES, signed.credential);
+
+      const [isValid] = await credentialRegistry.verifyOffchainCredential(signed.credential, signature);
+      expect(isValid).to.be.false;
+
+      const result = await verifyOffchainCredential(readClient, { ...signed, signature });
+      expect(result).to.include({ isValid: false, signer: outsider.address, reason: "InvalidSignature" });
+    });
+
+    it("Should reject credentials signed by accounts without ISSUER_ROLE", async function () {
+      const selfIssued = await signOffchainCredential(issuerClient.connect(outsider), {
+        recipient: recipient.address,
+        credentialType: "Bachelor Degree",
+        credentialData: diploma,
+      });
+      expect((await verifyOffchainCredential(readClient, selfIssued)).reason).to.equal("UnauthorizedIssuer");
+
+      // Losing the role invalidates everything the issuer signed
+      await credentialRegistry.revokeRole(await credentialRegistry.ISSUER_ROLE(), issuer.address);
+      expect((await verifyOffchainCredential(readClient, signed)).reason).to.equal("UnauthorizedIssuer");
+    });
+
+    it("Should reject malformed signatures", async function () {
+      const [isValid] = await credentialRegistry.verifyOffchainCredential(signed.credential, "0x1234");
+      expect(isValid).to.be.false;
+
+      const result = await verifyOffchainCredential(readClient, { ...signed, signature: "0x1234" });
+      expect(result).to.include({ signer: null, reason: "InvalidSignature" });
+    });
+
+    it("Should reject expired credentials", async function () {
+      await time.increase(3601);
+
+      expect(await verifyOffchainCredential(readClient, signed)).to.include({ isValid: false, reason: "Expired" });
+    });
+  });
+
+  describe("Revocation", function () {
+    it("Should let the issuer revoke by hash", async function () {
+      await expect(credentialRegistry.connect(issuer).revokeOffchainCredential(issuer.address, signed.credentialHash, "Issued in error"))
+        .to.emit(credentialRegistry, "OffchainCredentialRevoked")
+        .withArgs(signed.credentialHash, issuer.address, issuer.address, "Issued in error", await time.latest() + 1);
+
+      expect(await issuerClient.isOffchainCredentialRevoked(issuer.address, signed.credentialHash)).to.be.true;
+      expect(await verifyOffchainCredential(readClient, signed)).to.include({ isValid: false, reason: "Revoked" });
+    });
+
+    it("Should let revokers revoke any issuer's credential", async function () {
+      await issuerClient.connect(owner).revokeOffchainCredential(issuer.address, signed.credentialHash, "Fraud");
+
+      expect((await verifyOffchainCredential(readClient, signed)).reason).to.equal("Revoked");
+    });
+
+    it("Should not let other issuers revoke", async function () {
+      await expect(
+        credentialRegistry.connect(otherIssuer).revokeOffchainCredential(issuer.address, signed.credentialHash, "Griefing")
+      ).to.be.revertedWithCustomError(credentialRegistry, "UnauthorizedIssuer").withArgs(otherIssuer.address);
+
+      // Revoking under their own address does not affect the real issuer's credential
+      await credentialRegistry.connect(otherIssuer).revokeOffchainCredential(otherIssuer.address, signed.credentialHash, "Griefing");
+      expect((await verifyOffchainCredential(readClient, signed)).isValid).to.be.true;
+    });
+
+    it("Should not revoke twice", async function () {
+      await issuerClient.revokeOffchainCredential(issuer.address, signed.credentialHash, "Issued in error");
+
+      await expect(
+        issuerClient.revokeOffchainCredential(issuer.address, signed.credentialHash, "Again")
+      ).to.be.revertedWithCustomError(credentialRegistry, "OffchainCredentialAlreadyRevoked");
+    });
+  });
+});
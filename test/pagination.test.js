@@ -0,0 +1,222 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { CredentialClient, CredentialStatus } = require("../lib");
+
+const TOTAL = 300;
+const ISSUED_BY_FIRST_ISSUER = 240;
+const REVOKED = [5, 17, 150];
+const SUSPENDED = [42];
+
+describe("Paginated queries", function () {
+  let credentialRegistry, credentialVerifier, client, anyStatus;
+  let owner, issuer, otherIssuer, alice, bob;
+  let expected;
+
+  async function collect(iterator) {
+    const credentials = [];
+    for await (const credential of iterator) {
+      credentials.push(credential);
+    }
+    return credentials;
+  }
+
+  function ids(credentials) {
+    return credentials.map((credential) => Number(credential.id));
+  }
+
+  // Credential IDs of a query, computed from how the fixture issued them
+  function expectedIds(predicate) {
+    return expected.filter(predicate).map(({ id }) => id);
+  }
+
+  before(async function () {
+    [owner, issuer, otherIssuer, alice, bob] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.grantIssuerRole(issuer.address);
+    await credentialRegistry.grantIssuerRole(otherIssuer.address);
+
+    const CredentialVerifier = await ethers.getContractFactory("CredentialVerifier");
+    credentialVerifier = await CredentialVerifier.deploy(await credentialRegistry.getAddress());
+    await credentialVerifier.waitForDeployment();
+    anyStatus = await credentialVerifier.ANY_STATUS();
+
+    client = new CredentialClient(owner, {
+      registryAddress: await credentialRegistry.getAddress(),
+      verifierAddress: await credentialVerifier.getAddress(),
+    });
+
+    // Every 10th credential expires in an hour; recipients and types alternate
+    const expiresAt = (await time.latest()) + 3600;
+    expected = Array.from({ length: TOTAL }, (_, index) => ({
+      id: index + 1,
+      issuer: index < ISSUED_BY_FIRST_ISSUER ? issuer.address : otherIssuer.address,
+      recipient: index % 2 === 0 ? alice.address : bob.address,
+      credentialType: index % 3 === 0 ? "Certificate" : "Bachelor Degree",
+      credentialData: `ipfs://QmCredential${index + 1}`,
+      expiresAt: index % 10 === 9 ? expiresAt : 0,
+    }));
+
+    for (let start = 0; start < TOTAL; start += 40) {
+      const rows = expected.slice(start, start + 40);
+      await client.connect(rows[0].issuer === issuer.address ? issuer : otherIssuer).batchIssueCredentials(rows);
+    }
+    for (const id of REVOKED) {
+      await client.revokeCredential(id, "Issued in error");
+    }
+    for (const id of SUSPENDED) {
+      await client.suspendCredential(id);
+    }
+    await time.increase(3601);
+
+    for (const credential of expected) {
+      if (REVOKED.includes(credential.id)) {
+        credential.status = CredentialStatus.Revoked;
+      } else if (SUSPENDED.includes(credential.id)) {
+        credential.status = CredentialStatus.Suspended;
+      } else {
+        credential.status = credential.expiresAt ? CredentialStatus.Expired : CredentialStatus.Active;
+      }
+    }
+  });
+
+  describe("Counts", function () {
+    it("Should count each index without fetching it", async function () {
+      expect(await client.getCredentialCount({ recipient: alice.address })).to.equal(150);
+      expect(await client.getCredentialCount({ issuer: otherIssuer.address })).to.equal(TOTAL - ISSUED_BY_FIRST_ISSUER);
+      expect(await client.getCredentialCount({ credentialType: "Certificate" })).to.equal(100);
+      expect(await client.getCredentialCount({ credentialType: "Unknown" })).to.equal(0);
+    });
+
+    it("Should require exactly one index", async function () {
+      await expect(client.getCredentialCount({})).to.be.rejectedWith(/exactly one/);
+      await expect(client.getCredentialsPage({ recipient: alice.address, issuer: issuer.address }))
+        .to.be.rejectedWith(/exactly one/);
+    });
+  });
+
+  describe("Page boundaries", function () {
+    it("Should return full structs page by page", async function () {
+      const [firstPage, nextOffset, total] =
+        await credentialVerifier.getCredentialsByIssuerPaginated(issuer.address, anyStatus, 0, 100);
+
+      expect(total).to.equal(ISSUED_BY_FIRST_ISSUER);
+      expect(nextOffset).to.equal(100);
+      expect(ids(firstPage)).to.deep.equal(expectedIds(({ id }) => id <= 100));
+      expect(firstPage[0].recipient).to.equal(alice.address);
+      expect(firstPage[0].credentialType).to.equal("Certificate");
+      expect(firstPage[16].status).to.equal(CredentialStatus.Revoked);
+
+      const [lastPage, end] = await credentialVerifier.getCredentialsByIssuerPaginated(issuer.address, anyStatus, 200, 100);
+      expect(ids(lastPage)).to.deep.equal(expectedIds(({ id }) => id > 200 && id <= ISSUED_BY_FIRST_ISSUER));
+      expect(end).to.equal(ISSUED_BY_FIRST_ISSUER);
+    });
+
+    it("Should return an empty page at or past the end", async function () {
+      for (const offset of [150, 151, 1000]) {
+        const [credentials, nextOffset, total] =
+          await credentialVerifier.getCredentialsByRecipientPaginated(bob.address, anyStatus, offset, 10);
+        expect(credentials).to.be.empty;
+        expect(nextOffset).to.equal(150);
+        expect(total).to.equal(150);
+      }
+
+      const page = await client.getCredentialsPage({ recipient: owner.address });
+      expect(page).to.deep.equal({ credentials: [], nextOffset: 0, total: 0, done: true });
+    });
+
+    it("Should cap the page size", async function () {
+      const maxPageSize = await credentialVerifier.MAX_PAGE_SIZE();
+      const [credentials, nextOffset] =
+        await credentialVerifier.getCredentialsByTypePaginated("Bachelor Degree", anyStatus, 50, 1000);
+
+      expect(credentials).to.have.length(Number(maxPageSize));
+      expect(nextOffset).to.equal(50n + maxPageSize);
+    });
+
+    it("Should cover an index exactly once for any page size", async function () {
+      const all = expectedIds(({ credentialType }) => credentialType === "Bachelor Degree");
+
+      for (const limit of [1, 7, 50, 200]) {
+        const seen = [];
+        let offset = 0;
+        let page;
+        do {
+          page = await client.getCredentialsPage({ credentialType: "Bachelor Degree", offset, limit });
+          expect(page.credentials.length).to.be.at.most(Math.min(limit, 100));
+          seen.push(...ids(page.credentials));
+          offset = page.nextOffset;
+        } while (!page.done);
+
+        expect(seen, `limit ${limit}`).to.deep.equal(all);
+      }
+    });
+  });
+
+  describe("Status filtering", function () {
+    it("Should filter by status, treating lapsed credentials as Expired", async function () {
+      const [revoked] = await credentialVerifier.getCredentialsByRecipientPaginated(bob.address, CredentialStatus.Revoked, 0, 100);
+      expect(ids(revoked)).to.deep.equal([150]);
+
+      const expired = await client.getCredentialsPage({ issuer: otherIssuer.address, status: "expired" });
+      expect(ids(expired.credentials)).to.deep.equal(
+        expectedIds((c) => c.issuer === otherIssuer.address && c.status === CredentialStatus.Expired)
+      );
+      expect(expired.credentials.every((c) => c.statusName === "Active")).to.be.true;
+    });
+
+    it("Should bound the entries a filtered page scans", async function () {
+      const maxScan = await credentialVerifier.MAX_SCAN();
+      const page = await client.getCredentialsPage({ issuer: issuer.address, status: "Suspended", limit: 10 });
+
+      expect(ids(page.credentials)).to.deep.equal(SUSPENDED);
+      expect(page.nextOffset).to.equal(Number(maxScan));
+      expect(page.done).to.be.false;
+
+      const rest = await client.getCredentialsPage({ issuer: issuer.address, status: "Suspended", offset: page.nextOffset });
+      expect(rest.credentials).to.be.empty;
+      expect(rest.done).to.be.true;
+    });
+
+    it("Should match the valid credentials of the unpaginated query", async function () {
+      const active = await collect(client.iterateCredentials({ recipient: alice.address, status: "Active", pageSize: 30 }));
+
+      expect(ids(active)).to.deep.equal(await client.getValidCredentialIdsByRecipient(alice.address));
+      expect(ids(active)).to.deep.equal(
+        expectedIds((c) => c.recipient === alice.address && c.status === CredentialStatus.Active)
+      );
+    });
+  });
+
+  describe("SDK iterator", function () {
+    it("Should page transparently through every credential", async function () {
+      const credentials = await collect(client.iterateCredentials({ issuer: issuer.address, pageSize: 64 }));
+
+      expect(ids(credentials)).to.deep.equal(await client.getCredentialIdsByIssuer(issuer.address));
+      expect(credentials[9]).to.include({
+        issuer: issuer.address,
+        recipient: bob.address,
+        credentialType: "Certificate",
+        statusName: "Active",
+      });
+    });
+
+    it("Should yield filtered credentials across pages that match nothing", async function () {
+      const revoked = await collect(client.iterateCredentials({ credentialType: "Bachelor Degree", status: "Revoked", pageSize: 1 }));
+
+      expect(ids(revoked)).to.deep.equal(REVOKED);
+    });
+
+    it("Should require a verifier and a positive page size", async function () {
+      const registryOnly = new CredentialClient(ethers.provider, { registryAddress: client.registry.target });
+
+      await expect(collect(registryOnly.iterateCredentials({ recipient: alice.address })))
+        .to.be.rejectedWith(/CredentialVerifier/);
+      await expect(collect(client.iterateCredentials({ recipient: alice.address, pageSize: 0 })))
+        .to.be.rejectedWith(/pageSize/);
+    });
+  });
+});
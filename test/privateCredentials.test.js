@@ -0,0 +1,164 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  CredentialClient,
+  computeDataHash,
+  deriveCommitmentKey,
+  createCommitment,
+  parseCommitment,
+  getEncryptionPublicKey,
+  encryptCredentialPayload,
+  decryptCredentialPayload,
+  issuePrivateCredential,
+  verifyDisclosure,
+} = require("../lib");
+
+describe("Private credentials", function () {
+  let credentialRegistry, issuerClient;
+  let owner, issuer, outsider, holder;
+
+  const degree = { studentName: "Alice Johnson", gpa: "3.85" };
+
+  async function issueToHolder(credentialData = degree) {
+    const issued = await issuePrivateCredential(issuerClient, {
+      recipient: holder.address,
+      recipientPublicKey: holder.signingKey.publicKey,
+      credentialType: "Bachelor Degree",
+      credentialData,
+    });
+    return { ...issued, disclosure: decryptCredentialPayload(issued.envelope, holder.privateKey) };
+  }
+
+  beforeEach(async function () {
+    [owner, issuer, outsider] = await ethers.getSigners();
+    holder = ethers.Wallet.createRandom();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.grantIssuerRole(issuer.address);
+
+    issuerClient = new CredentialClient(issuer, { registryAddress: await credentialRegistry.getAddress() });
+  });
+
+  describe("Encryption", function () {
+    it("Should only open an envelope with the recipient's key", async function () {
+      const envelope = encryptCredentialPayload({ credentialId: 1, salt: ethers.ZeroHash }, holder.signingKey.publicKey);
+
+      expect(envelope.recipient).to.equal(holder.address);
+      expect(decryptCredentialPayload(envelope, holder.privateKey)).to.deep.equal({ credentialId: 1, salt: ethers.ZeroHash });
+      expect(() => decryptCredentialPayload(envelope, ethers.Wallet.createRandom().privateKey)).to.throw(/wrong key or tampered/);
+
+      const tampered = { ...envelope, ciphertext: ethers.hexlify(ethers.randomBytes(ethers.dataLength(envelope.ciphertext))) };
+      expect(() => decryptCredentialPayload(tampered, holder.privateKey)).to.throw(/wrong key or tampered/);
+    });
+
+    it("Should recover the public key of signers that do not expose it", async function () {
+      const publicKey = await getEncryptionPublicKey(outsider);
+
+      expect(ethers.computeAddress(publicKey)).to.equal(outsider.address);
+      expect(await getEncryptionPublicKey(holder)).to.equal(holder.signingKey.publicKey);
+    });
+  });
+
+  describe("Issuance", function () {
+    it("Should store only the commitment on-chain", async function () {
+      const { credentialId, commitment, disclosure } = await issueToHolder();
+      const credential = await credentialRegistry.getCredential(credentialId);
+
+      expect(credential.credentialData).to.equal(`commitment:${commitment}`);
+      expect(parseCommitment(credential.credentialData)).to.equal(commitment);
+      expect(credential.credentialData).to.not.contain("Alice");
+      expect(disclosure).to.deep.equal({
+        credentialId,
+        credentialData: '{"gpa":"3.85","studentName":"Alice Johnson"}',
+        salt: disclosure.salt,
+      });
+    });
+
+    it("Should keep deduplicating identical credentials", async function () {
+      const { credentialId } = await issueToHolder();
+      const commitmentKey = await deriveCommitmentKey(issuer);
+      const { onChainData } = createCommitment({
+        commitmentKey,
+        recipient: holder.address,
+        credentialType: "Bachelor Degree",
+        credentialData: { gpa: "3.85", studentName: "Alice Johnson" },
+      });
+
+      expect(await issuerClient.isDataHashUsed(computeDataHash(onChainData, holder.address, "Bachelor Degree"))).to.be.true;
+      await expect(issueToHolder()).to.be.rejectedWith("DuplicateCredentialData");
+      expect((await issueToHolder({ ...degree, gpa: "3.90" })).credentialId).to.equal(credentialId + 1);
+    });
+
+    it("Should refuse a public key that is not the recipient's", async function () {
+      await expect(issuePrivateCredential(issuerClient, {
+        recipient: holder.address,
+        recipientPublicKey: await getEncryptionPublicKey(outsider),
+        credentialType: "Bachelor Degree",
+        credentialData: degree,
+      })).to.be.rejectedWith(`The public key does not belong to the recipient ${holder.address}`);
+    });
+
+    it("Should check the plaintext against the schema of its type", async function () {
+      const CredentialSchemaRegistry = await ethers.getContractFactory("CredentialSchemaRegistry");
+      const schemaRegistry = await CredentialSchemaRegistry.deploy(await credentialRegistry.getAddress());
+      await credentialRegistry.setSchemaRegistry(await schemaRegistry.getAddress());
+
+      const schema = { type: "object", required: ["studentName", "gpa"] };
+      const schemaPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "private-credentials-")), "degree.schema.json");
+      fs.writeFileSync(schemaPath, JSON.stringify(schema));
+      await issuerClient.registerSchema({ typeId: "Bachelor Degree", schema, schemaURI: schemaPath });
+
+      await expect(issueToHolder({ studentName: "Alice Johnson" }))
+        .to.be.rejectedWith("/ must have required property 'gpa'");
+      expect((await issueToHolder()).credentialId).to.equal(1);
+    });
+  });
+
+  describe("Disclosure", function () {
+    it("Should verify a disclosure that opens the commitment", async function () {
+      const { disclosure } = await issueToHolder();
+      const { isValid, credential, reason } = await verifyDisclosure(issuerClient.connect(ethers.provider), disclosure);
+
+      expect(isValid).to.be.true;
+      expect(reason).to.be.null;
+      expect(credential).to.include({ recipient: holder.address, credentialType: "Bachelor Degree", issuer: issuer.address });
+      expect(credential.data).to.deep.equal(degree);
+    });
+
+    it("Should reject altered data, another salt and credentials that are not private", async function () {
+      const { disclosure } = await issueToHolder();
+      const inflated = JSON.stringify({ ...degree, gpa: "4.00" });
+      await issuerClient.issueCredential({ recipient: holder.address, credentialType: "Certificate", credentialData: "ipfs://QmA" });
+
+      expect((await verifyDisclosure(issuerClient, { ...disclosure, credentialData: inflated })).reason).to.equal("DataMismatch");
+      expect((await verifyDisclosure(issuerClient, { ...disclosure, salt: ethers.id("guess") })).reason).to.equal("DataMismatch");
+      expect((await verifyDisclosure(issuerClient, { ...disclosure, credentialId: 2 })).reason).to.equal("NotCommitted");
+      expect((await verifyDisclosure(issuerClient, { ...disclosure, credentialId: 3 })).reason).to.equal("NotFound");
+
+      await issuerClient.connect(owner).revokeCredential(disclosure.credentialId, "Issued in error");
+      expect(await verifyDisclosure(issuerClient, disclosure)).to.include({ isValid: false, reason: "Revoked" });
+    });
+
+    it("Should report the effective status, not the stored one", async function () {
+      const { disclosure } = await issueToHolder();
+      await issuerClient.suspendCredential(disclosure.credentialId, { duration: 3600, reason: "Under review" });
+      expect(await verifyDisclosure(issuerClient, disclosure)).to.include({ isValid: false, reason: "Suspended" });
+
+      // The suspension lapses without another transaction
+      await time.increase(3600);
+      expect(await verifyDisclosure(issuerClient, disclosure)).to.include({ isValid: true, reason: null });
+
+      const CredentialConsent = await ethers.getContractFactory("CredentialConsent");
+      const consent = await CredentialConsent.deploy(await credentialRegistry.getAddress());
+      await credentialRegistry.setCredentialConsent(await consent.getAddress());
+      const { disclosure: offered } = await issueToHolder({ ...degree, studentName: "Bob Smith" });
+      expect(await verifyDisclosure(issuerClient, offered)).to.include({ isValid: false, reason: "NotAccepted" });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { CredentialClient, auditRoles } = require("../lib");
+
+describe("Role management", function () {
+  let credentialRegistry, multisig, DEFAULT_ADMIN_ROLE;
+  let owner, issuer, otherIssuer, newAdmin, outsider;
+  let client;
+
+  beforeEach(async function () {
+    [owner, issuer, otherIssuer, newAdmin, outsider] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    DEFAULT_ADMIN_ROLE = await credentialRegistry.DEFAULT_ADMIN_ROLE();
+
+    const CredentialMultisig = await ethers.getContractFactory("CredentialMultisig");
+    multisig = await CredentialMultisig.deploy(await credentialRegistry.getAddress());
+    await credentialRegistry.grantRevokerRole(await multisig.getAddress());
+
+    client = new CredentialClient(owner, { registryAddress: await credentialRegistry.getAddress() });
+  });
+
+  describe("Admin transfer", function () {
+    it("Should hand DEFAULT_ADMIN_ROLE over only once the delay has passed", async function () {
+      const delay = await credentialRegistry.DEFAULT_ADMIN_TRANSFER_DELAY();
+      const { acceptSchedule } = await client.beginDefaultAdminTransfer(newAdmin.address);
+
+      expect(acceptSchedule).to.equal((await time.latest()) + Number(delay));
+      expect(await client.getPendingDefaultAdmin()).to.deep.equal({ account: newAdmin.address, acceptSchedule });
+      await expect(credentialRegistry.connect(newAdmin).acceptDefaultAdminTransfer())
+        .to.be.revertedWithCustomError(credentialRegistry, "DefaultAdminTransferNotReady")
+        .withArgs(acceptSchedule);
+
+      await time.increaseTo(acceptSchedule);
+      await expect(credentialRegistry.connect(outsider).acceptDefaultAdminTransfer())
+        .to.be.revertedWithCustomError(credentialRegistry, "InvalidDefaultAdmin")
+        .withArgs(outsider.address);
+      await expect(credentialRegistry.connect(newAdmin).acceptDefaultAdminTransfer())
+        .to.emit(credentialRegistry, "RoleRevoked")
+        .withArgs(DEFAULT_ADMIN_ROLE, owner.address, newAdmin.address)
+        .and.to.emit(credentialRegistry, "RoleGranted")
+        .withArgs(DEFAULT_ADMIN_ROLE, newAdmin.address, newAdmin.address);
+
+      expect(await client.hasRole("admin", newAdmin.address)).to.be.true;
+      expect(await client.hasRole("admin", owner.address)).to.be.false;
+      expect(await client.getPendingDefaultAdmin()).to.be.null;
+      await expect(client.pause()).to.be.revertedWithCustomError(credentialRegistry, "AccessControlUnauthorizedAccount");
+      await client.connect(newAdmin).pause();
+    });
+
+    it("Should not grant DEFAULT_ADMIN_ROLE directly", async function () {
+      await expect(credentialRegistry.grantRole(DEFAULT_ADMIN_ROLE, newAdmin.address))
+        .to.be.revertedWithCustomError(credentialRegistry, "DefaultAdminTransferRequired");
+      await expect(client.grantRole("admin", newAdmin.address))
+        .to.be.revertedWithCustomError(credentialRegistry, "DefaultAdminTransferRequired");
+
+      // Other roles are granted as before
+      await client.grantRole("upgrader", newAdmin.address);
+      expect(await client.hasRole("upgrader", newAdmin.address)).to.be.true;
+    });
+
+    it("Should let admins replace or cancel a pending transfer", async function () {
+      await expect(credentialRegistry.connect(outsider).beginDefaultAdminTransfer(outsider.address))
+        .to.be.revertedWithCustomError(credentialRegistry, "AccessControlUnauthorizedAccount");
+      for (const account of [ethers.ZeroAddress, owner.address]) {
+        await expect(client.beginDefaultAdminTransfer(account))
+          .to.be.revertedWithCustomError(credentialRegistry, "InvalidDefaultAdmin")
+          .withArgs(account);
+      }
+
+      await client.beginDefaultAdminTransfer(outsider.address);
+      await expect(credentialRegistry.beginDefaultAdminTransfer(newAdmin.address))
+        .to.emit(credentialRegistry, "DefaultAdminTransferScheduled")
+        .withArgs(owner.address, newAdmin.address, (await time.latest()) + 1 + 2 * 24 * 60 * 60);
+      expect((await client.getPendingDefaultAdmin()).account).to.equal(newAdmin.address);
+
+      await expect(credentialRegistry.cancelDefaultAdminTransfer())
+        .to.emit(credentialRegistry, "DefaultAdminTransferCanceled")
+        .withArgs(newAdmin.address);
+      expect(await client.getPendingDefaultAdmin()).to.be.null;
+
+      await time.increase(3 * 24 * 60 * 60);
+      await expect(credentialRegistry.connect(newAdmin).acceptDefaultAdminTransfer())
+        .to.be.revertedWithCustomError(credentialRegistry, "InvalidDefaultAdmin");
+      expect(await client.hasRole("admin", owner.address)).to.be.true;
+    });
+
+    for (const method of ["revokeRole", "renounceRole"]) {
+      it(`Should cancel the pending transfer when its initiator loses DEFAULT_ADMIN_ROLE through ${method}`, async function () {
+        await client.beginDefaultAdminTransfer(newAdmin.address);
+
+        await expect(credentialRegistry[method](DEFAULT_ADMIN_ROLE, owner.address))
+          .to.emit(credentialRegistry, "DefaultAdminTransferCanceled")
+          .withArgs(newAdmin.address)
+          .and.to.emit(credentialRegistry, "RoleRevoked");
+        expect(await client.getPendingDefaultAdmin()).to.be.null;
+
+        await time.increase(3 * 24 * 60 * 60);
+        await expect(credentialRegistry.connect(newAdmin).acceptDefaultAdminTransfer())
+          .to.be.revertedWithCustomError(credentialRegistry, "InvalidDefaultAdmin")
+          .withArgs(newAdmin.address);
+        expect(await client.hasRole("admin", newAdmin.address)).to.be.false;
+      });
+    }
+  });
+
+  describe("Role holders", function () {
+    beforeEach(async function () {
+      await credentialRegistry.grantIssuerRole(issuer.address);
+      await credentialRegistry.grantIssuerRole(otherIssuer.address);
+      await credentialRegistry.revokeIssuerRole(issuer.address);
+    });
+
+    it("Should list the current holders of each role", async function () {
+      expect(await client.getRoleMembers("issuer")).to.deep.equal([owner.address, otherIssuer.address]);
+      expect(await client.getRoleMembers("revoker")).to.deep.equal([owner.address, await multisig.getAddress()]);
+      expect(await client.getRoleMembers("migrator")).to.deep.equal([]);
+
+      const { blockNumber, roles } = await client.getRoleHolders();
+      expect(blockNumber).to.equal(await ethers.provider.getBlockNumber());
+      expect(roles.map((role) => role.name)).to.include.members(["DEFAULT_ADMIN_ROLE", "ISSUER_ROLE", "REVOKER_ROLE"]);
+      expect(roles.find((role) => role.name === "ISSUER_ROLE").holders).to.deep.equal([owner.address, otherIssuer.address]);
+    });
+
+    it("Should count a re-granted account as a holder again and read past blocks", async function () {
+      const revokedAtBlock = await ethers.provider.getBlockNumber();
+      await credentialRegistry.grantIssuerRole(issuer.address);
+
+      expect(await client.getRoleMembers("issuer")).to.deep.equal([owner.address, otherIssuer.address, issuer.address]);
+      expect(await client.getRoleMembers("issuer", { blockTag: revokedAtBlock }))
+        .to.deep.equal([owner.address, otherIssuer.address]);
+      const { blockNumber, roles } = await client.getRoleHolders({ blockTag: revokedAtBlock });
+      expect(blockNumber).to.equal(revokedAtBlock);
+      expect(roles.find((role) => role.name === "ISSUER_ROLE").holders).not.to.include(issuer.address);
+    });
+
+    it("Should audit holders, the pending admin transfer and missing admins", async function () {
+      let audit = await auditRoles(client);
+      const revokers = audit.roles.find((role) => role.name === "REVOKER_ROLE");
+      expect(revokers.holders[1]).to.deep.equal({ account: await multisig.getAddress(), isContract: true });
+      expect(audit.roles.find((role) => role.name === "DEFAULT_ADMIN_ROLE").holders[0])
+        .to.include({ account: owner.address, isContract: false });
+      expect(audit.pendingDefaultAdmin).to.be.null;
+      expect(audit.warnings).to.deep.equal([]);
+
+      await client.beginDefaultAdminTransfer(newAdmin.address);
+      audit = await auditRoles(client);
+      expect(audit.pendingDefaultAdmin.account).to.equal(newAdmin.address);
+
+      await credentialRegistry.renounceRole(DEFAULT_ADMIN_ROLE, owner.address);
+      audit = await auditRoles(client);
+      expect(audit.pendingDefaultAdmin).to.be.null;
+      expect(audit.warnings).to.have.length(1);
+      expect(audit.warnings[0]).to.contain("No account holds DEFAULT_ADMIN_ROLE");
+    });
+  });
+});
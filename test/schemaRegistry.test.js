@@ -0,0 +1,201 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { anyUint } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { CredentialClient, BulkIssuer, computeSchemaHash, validateCredentialData } = require("../lib");
+
+const DEGREE_SCHEMA = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  type: "object",
+  required: ["studentName", "gpa"],
+  properties: {
+    studentName: { type: "string", minLength: 1 },
+    gpa: { type: "string", pattern: "^[0-4]\\.\\d{2}$" },
+  },
+  additionalProperties: false,
+};
+
+describe("Credential schemas", function () {
+  let credentialRegistry, schemaRegistry, issuerClient;
+  let owner, issuer, otherIssuer, recipient, outsider;
+  let directory, schemaPath, schemaHash;
+
+  before(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "credential-schemas-"));
+    schemaPath = path.join(directory, "degree.schema.json");
+    fs.writeFileSync(schemaPath, JSON.stringify(DEGREE_SCHEMA, null, 2));
+    schemaHash = computeSchemaHash(DEGREE_SCHEMA);
+  });
+
+  beforeEach(async function () {
+    [owner, issuer, otherIssuer, recipient, outsider] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.grantIssuerRole(issuer.address);
+    await credentialRegistry.grantIssuerRole(otherIssuer.address);
+
+    const CredentialSchemaRegistry = await ethers.getContractFactory("CredentialSchemaRegistry");
+    schemaRegistry = await CredentialSchemaRegistry.deploy(await credentialRegistry.getAddress());
+    await schemaRegistry.waitForDeployment();
+
+    issuerClient = new CredentialClient(issuer, {
+      registryAddress: await credentialRegistry.getAddress(),
+      schemaRegistryAddress: await schemaRegistry.getAddress(),
+    });
+    await issuerClient.registerSchema({ typeId: "Bachelor Degree", schema: DEGREE_SCHEMA, schemaURI: schemaPath });
+  });
+
+  describe("Schema registry", function () {
+    it("Should store the schema hash and URI", async function () {
+      expect(await issuerClient.findSchema("Bachelor Degree")).to.deep.include({
+        typeId: "Bachelor Degree",
+        schemaHash,
+        schemaURI: schemaPath,
+        registeredBy: issuer.address,
+      });
+      expect(await issuerClient.findSchema("Master Degree")).to.be.null;
+      expect(await issuerClient.getSchemaTypeIds()).to.deep.equal(["Bachelor Degree"]);
+    });
+
+    it("Should let issuers and admins register, and nobody register a type twice", async function () {
+      await expect(schemaRegistry.connect(owner).registerSchema("Certificate", schemaHash, "ipfs://QmCertificateSchema"))
+        .to.emit(schemaRegistry, "SchemaRegistered")
+        .withArgs("Certificate", schemaHash, "ipfs://QmCertificateSchema", owner.address);
+
+      await expect(schemaRegistry.connect(outsider).registerSchema("Diploma", schemaHash, "ipfs://QmDiploma"))
+        .to.be.revertedWithCustomError(schemaRegistry, "UnauthorizedSchemaManager")
+        .withArgs(outsider.address);
+      await expect(schemaRegistry.connect(otherIssuer).registerSchema("Bachelor Degree", schemaHash, "ipfs://QmOther"))
+        .to.be.revertedWithCustomError(schemaRegistry, "SchemaAlreadyRegistered")
+        .withArgs("Bachelor Degree");
+      await expect(schemaRegistry.connect(issuer).registerSchema("Diploma", ethers.ZeroHash, "ipfs://QmDiploma"))
+        .to.be.revertedWithCustomError(schemaRegistry, "InvalidSchema");
+    });
+
+    it("Should only let the registrant or an admin update a schema", async function () {
+      const newHash = ethers.id("v2");
+
+      await expect(schemaRegistry.connect(otherIssuer).updateSchema("Bachelor Degree", newHash, "ipfs://QmV2"))
+        .to.be.revertedWithCustomError(schemaRegistry, "UnauthorizedSchemaManager");
+      await expect(schemaRegistry.connect(owner).updateSchema("Bachelor Degree", newHash, "ipfs://QmV2"))
+        .to.emit(schemaRegistry, "SchemaUpdated")
+        .withArgs("Bachelor Degree", schemaHash, newHash, "ipfs://QmV2", owner.address);
+      await expect(schemaRegistry.updateSchema("Master Degree", newHash, "ipfs://QmV2"))
+        .to.be.revertedWithCustomError(schemaRegistry, "SchemaNotFound");
+
+      expect((await issuerClient.findSchema("Bachelor Degree")).schemaHash).to.equal(newHash);
+    });
+  });
+
+  describe("On-chain enforcement", function () {
+    it("Should only let admins set the schema registry", async function () {
+      const schemaRegistryAddress = await schemaRegistry.getAddress();
+
+      await expect(credentialRegistry.connect(issuer).setSchemaRegistry(schemaRegistryAddress))
+        .to.be.revertedWithCustomError(credentialRegistry, "AccessControlUnauthorizedAccount");
+      await expect(credentialRegistry.setSchemaRegistry(schemaRegistryAddress))
+        .to.emit(credentialRegistry, "SchemaRegistryUpdated")
+        .withArgs(ethers.ZeroAddress, schemaRegistryAddress);
+    });
+
+    it("Should reject unknown types once enforced, in every issuance path", async function () {
+      const data = '{"gpa":"3.85","studentName":"Alice"}';
+      await credentialRegistry.connect(issuer).issueCredential(recipient.address, "Diploma", data, 0, "");
+
+      await credentialRegistry.setSchemaRegistry(await schemaRegistry.getAddress());
+      await expect(credentialRegistry.connect(issuer).issueCredential(recipient.address, "Bachelor Degre", data, 0, ""))
+        .to.be.revertedWithCustomError(credentialRegistry, "UnknownCredentialType")
+        .withArgs("Bachelor Degre");
+      await expect(credentialRegistry.connect(issuer).batchIssueCredentials(
+        [recipient.address, recipient.address], ["Bachelor Degree", "Diploma"], [data, "ipfs://QmDiploma"], [0, 0], ["", ""]
+      )).to.be.revertedWithCustomError(credentialRegistry, "UnknownCredentialType");
+
+      await expect(credentialRegistry.connect(issuer).issueCredential(recipient.address, "Bachelor Degree", data, 0, ""))
+        .to.emit(credentialRegistry, "CredentialIssued")
+        .withArgs(2, issuer.address, recipient.address, "Bachelor Degree", anyUint, 0);
+
+      // The zero address lifts enforcement again
+      await credentialRegistry.setSchemaRegistry(ethers.ZeroAddress);
+      await credentialRegistry.connect(issuer).issueCredential(recipient.address, "Diploma", "ipfs://QmDiploma", 0, "");
+    });
+  });
+
+  describe("SDK validation", function () {
+    it("Should report readable schema errors", function () {
+      expect(validateCredentialData(DEGREE_SCHEMA, { studentName: "Alice", gpa: "3.85" })).to.deep.equal({ valid: true, errors: [] });
+      expect(validateCredentialData(DEGREE_SCHEMA, '{"studentName":"Alice","gpa":3.85,"honors":true}').errors).to.deep.equal([
+        "/ must NOT have additional properties",
+        "/gpa must be string",
+      ]);
+    });
+
+    it("Should refuse data failing the schema before sending", async function () {
+      await expect(issuerClient.issueCredential({
+        recipient: recipient.address,
+        credentialType: "Bachelor Degree",
+        credentialData: { studentName: "Alice", gpa: "4.5" },
+      })).to.be.rejectedWith('Credential data does not match the Bachelor Degree schema: /gpa must match pattern "^[0-4]\\.\\d{2}$"');
+
+      await expect(issuerClient.batchIssueCredentials([
+        { recipient: recipient.address, credentialType: "Bachelor Degree", credentialData: { studentName: "Alice", gpa: "3.85" } },
+        { recipient: outsider.address, credentialType: "Bachelor Degree", credentialData: "ipfs://QmNotAnObject" },
+      ])).to.be.rejectedWith(/^Credential 2: .*\/ must be object/);
+
+      expect(await credentialRegistry.getTotalCredentials()).to.equal(0);
+    });
+
+    it("Should refuse unknown types only while the registry enforces schemas", async function () {
+      const certificate = { recipient: recipient.address, credentialType: "Certificate", credentialData: "ipfs://QmCertificate" };
+      await issuerClient.issueCredential(certificate);
+
+      await credentialRegistry.setSchemaRegistry(await schemaRegistry.getAddress());
+      await expect(issuerClient.issueCredential({ ...certificate, credentialData: "ipfs://QmOther" }))
+        .to.be.rejectedWith("Unknown credential type: no schema is registered for Certificate");
+
+      // Clients without a schema registry address follow the one the registry enforces
+      const discovering = new CredentialClient(issuer, { registryAddress: issuerClient.registry.target });
+      const { credentialId } = await discovering.issueCredential({
+        recipient: recipient.address,
+        credentialType: "Bachelor Degree",
+        credentialData: { studentName: "Alice", gpa: "3.85" },
+      });
+      expect(credentialId).to.equal(2);
+      await expect(discovering.issueCredential({ ...certificate, credentialData: "ipfs://QmOther" }))
+        .to.be.rejectedWith("Unknown credential type");
+    });
+
+    it("Should refuse a schema document that does not match the registered hash", async function () {
+      const tamperedPath = path.join(directory, "tampered.schema.json");
+      fs.writeFileSync(tamperedPath, JSON.stringify({ ...DEGREE_SCHEMA, required: [] }));
+      await issuerClient.updateSchema({ typeId: "Bachelor Degree", schema: DEGREE_SCHEMA, schemaURI: tamperedPath });
+
+      await expect(issuerClient.issueCredential({
+        recipient: recipient.address,
+        credentialType: "Bachelor Degree",
+        credentialData: { studentName: "Alice", gpa: "3.85" },
+      })).to.be.rejectedWith(/does not match the hash registered for Bachelor Degree/);
+    });
+
+    it("Should fail bulk rows that do not match their schema", async function () {
+      const bulkIssuer = new BulkIssuer(issuerClient, { journalPath: path.join(directory, `bulk-${Date.now()}.journal.json`) });
+      const rows = [
+        { recipient: recipient.address, credentialType: "Bachelor Degree", credentialData: { studentName: "Alice", gpa: "3.85" } },
+        { recipient: outsider.address, credentialType: "Bachelor Degree", credentialData: { studentName: "Bob" } },
+      ];
+
+      const validation = await bulkIssuer.validate(rows);
+      expect(validation.map((entry) => entry.error)).to.deep.equal([
+        null,
+        "Credential data does not match the Bachelor Degree schema: / must have required property 'gpa'",
+      ]);
+
+      const results = await bulkIssuer.run(rows);
+      expect(results.map((result) => result.status)).to.deep.equal(["issued", "failed"]);
+      expect(await credentialRegistry.getTotalCredentials()).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const {
+  CredentialClient,
+  decryptCredentialPayload,
+  issueSelectiveCredential,
+  createPresentation,
+  verifyPresentation,
+  parseClaimsRoot,
+} = require("../lib");
+
+// The diploma issued by scripts/examples/issueCredential.js
+const DIPLOMA = {
+  studentName: "Alice Johnson",
+  degree: "Bachelor of Science in Computer Science",
+  gpa: "3.85",
+  graduationDate: "2024-05-15",
+  honors: "Magna Cum Laude",
+  major: "Computer Science",
+  minor: "Mathematics",
+  coursework: [
+    "Data Structures and Algorithms",
+    "Database Systems",
+    "Software Engineering",
+    "Machine Learning",
+    "Blockchain Technology",
+  ],
+};
+
+describe("Selective disclosure", function () {
+  let credentialRegistry, issuerClient, verifierClient;
+  let owner, issuer, holder;
+
+  async function issueDiploma(credentialData = DIPLOMA) {
+    const issued = await issueSelectiveCredential(issuerClient, {
+      recipient: holder.address,
+      recipientPublicKey: holder.signingKey.publicKey,
+      credentialType: "Bachelor Degree",
+      credentialData,
+    });
+    return { ...issued, document: decryptCredentialPayload(issued.envelope, holder.privateKey) };
+  }
+
+  beforeEach(async function () {
+    [owner, issuer] = await ethers.getSigners();
+    holder = ethers.Wallet.createRandom();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.grantIssuerRole(issuer.address);
+
+    issuerClient = new CredentialClient(issuer, { registryAddress: await credentialRegistry.getAddress() });
+    verifierClient = issuerClient.connect(ethers.provider);
+  });
+
+  it("Should store only the claims root and give the holder every salted field", async function () {
+    const { credentialId, root, document } = await issueDiploma();
+    const credential = await credentialRegistry.getCredential(credentialId);
+
+    expect(parseClaimsRoot(credential.credentialData)).to.equal(root);
+    expect(credential.credentialData).to.not.contain("3.85");
+    expect(document.claims.map((claim) => claim.name)).to.deep.equal(Object.keys(DIPLOMA).sort());
+    expect(document.claims.find((claim) => claim.name === "coursework").value).to.deep.equal(DIPLOMA.coursework);
+
+    // The same diploma has the same root, so deduplication still applies
+    await expect(issueDiploma()).to.be.rejectedWith("DuplicateCredentialData");
+  });
+
+  it("Should prove a degree without revealing the GPA", async function () {
+    const { document } = await issueDiploma();
+    const presentation = createPresentation(document, ["major", "degree"]);
+
+    expect(presentation.claims.map((claim) => claim.name)).to.have.members(["degree", "major"]);
+    expect(JSON.stringify(presentation)).to.not.contain("3.85");
+    expect(JSON.stringify(presentation)).to.not.contain("Alice Johnson");
+
+    const { isValid, claims, credential, reason } = await verifyPresentation(verifierClient, presentation);
+    expect(isValid).to.be.true;
+    expect(reason).to.be.null;
+    expect(claims).to.deep.equal({ degree: DIPLOMA.degree, major: DIPLOMA.major });
+    expect(credential).to.include({ issuer: issuer.address, recipient: holder.address, credentialType: "Bachelor Degree" });
+  });
+
+  it("Should reject altered, forged and duplicated fields", async function () {
+    const { document } = await issueDiploma();
+    const presentation = createPresentation(document, ["gpa"]);
+    const [gpa] = presentation.claims;
+
+    const altered = { ...presentation, claims: [{ ...gpa, value: "4.00" }] };
+    expect((await verifyPresentation(verifierClient, altered)).reason).to.equal("InvalidProof");
+
+    const forged = { ...presentation, claims: [{ ...gpa, name: "honors" }] };
+    expect((await verifyPresentation(verifierClient, forged)).reason).to.equal("InvalidProof");
+
+    const duplicated = createPresentation(document, ["gpa", "minor"]);
+    duplicated.claims[1] = duplicated.claims[0];
+    expect((await verifyPresentation(verifierClient, duplicated)).reason).to.equal("InvalidProof");
+
+    expect(() => createPresentation(document, ["thesis"])).to.throw("The credential has no field thesis");
+  });
+
+  it("Should reject presentations of credentials that are not selective or no longer valid", async function () {
+    const { credentialId, document } = await issueDiploma();
+    await issuerClient.issueCredential({ recipient: holder.address, credentialType: "Certificate", credentialData: DIPLOMA });
+    const presentation = createPresentation(document, ["degree"]);
+
+    expect((await verifyPresentation(verifierClient, { ...presentation, credentialId: 2 })).reason).to.equal("NotSelective");
+    expect((await verifyPresentation(verifierClient, { ...presentation, credentialId: 3 })).reason).to.equal("NotFound");
+
+    await issuerClient.suspendCredential(credentialId);
+    expect(await verifyPresentation(verifierClient, presentation)).to.include({ isValid: false, reason: "Suspended" });
+    await issuerClient.connect(owner).revokeCredential(credentialId, "Degree rescinded");
+    expect(await verifyPresentation(verifierClient, presentation)).to.include({ isValid: false, reason: "Revoked" });
+  });
+
+  it("Should refuse data without fields to disclose", async function () {
+    await expect(issueDiploma("ipfs://QmDiploma")).to.be.rejectedWith("Selective disclosure needs credential data with at least one field");
+    expect(() => createPresentation({ credentialId: 1, claims: [] }, [])).to.throw("at least one field");
+  });
+});
@@ -0,0 +1,219 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  CredentialClient,
+  CredentialIndexer,
+  MIN_STATUS_LIST_LENGTH,
+  encodeStatusList,
+  decodeStatusList,
+  createStatusListCredentials,
+  signStatusListCredential,
+  verifyStatusListCredential,
+  exportStatusLists,
+  createStatusListEntry,
+  checkStatusListEntry,
+} = require("../lib");
+
+describe("StatusList2021 export", function () {
+  let credentialRegistry, registryAddress, issuerClient, otherIssuerClient;
+  let owner, issuer, otherIssuer, recipient;
+
+  function listOf(lists, issuerAddress, statusPurpose) {
+    return lists.find((list) => list.issuer === issuerAddress && list.statusPurpose === statusPurpose).credential;
+  }
+
+  function isSet(statusList, credentialId) {
+    const entry = createStatusListEntry(credentialId, statusList.id, statusList.credentialSubject.statusPurpose);
+    return checkStatusListEntry(entry, statusList).isSet;
+  }
+
+  beforeEach(async function () {
+    [owner, issuer, otherIssuer, recipient] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    registryAddress = await credentialRegistry.getAddress();
+    await credentialRegistry.grantIssuerRole(issuer.address);
+    await credentialRegistry.grantIssuerRole(otherIssuer.address);
+
+    issuerClient = new CredentialClient(issuer, { registryAddress });
+    otherIssuerClient = issuerClient.connect(otherIssuer);
+
+    // Credentials 1-3 by the issuer, 4-5 by the other issuer
+    await issuerClient.batchIssueCredentials([1, 2, 3].map((n) => ({
+      recipient: recipient.address,
+      credentialType: "Certificate",
+      credentialData: `ipfs://QmIssuer${n}`,
+    })));
+    await otherIssuerClient.batchIssueCredentials([4, 5].map((n) => ({
+      recipient: recipient.address,
+      credentialType: "Certificate",
+      credentialData: `ipfs://QmOther${n}`,
+    })));
+  });
+
+  describe("Encoding", function () {
+    it("Should round-trip a bitstring with bit 0 as the leftmost bit", async function () {
+      const bitstring = decodeStatusList(encodeStatusList([0, 9, 200000]));
+
+      expect(bitstring.length).to.equal(25001);
+      expect(bitstring[0]).to.equal(0x80);
+      expect(bitstring[1]).to.equal(0x40);
+      expect(bitstring[2]).to.equal(0);
+      expect(decodeStatusList(encodeStatusList([])).length).to.equal(MIN_STATUS_LIST_LENGTH / 8);
+    });
+  });
+
+  describe("Export", function () {
+    it("Should publish a revocation and a suspension list per issuer", async function () {
+      await issuerClient.connect(owner).revokeCredential(2, "Issued in error");
+      await issuerClient.suspendCredential(3);
+      await otherIssuerClient.suspendCredential(5);
+
+      const { lists } = await exportStatusLists(ethers.provider, { registryAddress, baseUrl: "https://status.example.edu/lists/" });
+      expect(lists.map(({ issuer: address, statusPurpose }) => `${address}:${statusPurpose}`)).to.deep.equal([
+        `${issuer.address}:revocation`,
+        `${issuer.address}:suspension`,
+        `${otherIssuer.address}:revocation`,
+        `${otherIssuer.address}:suspension`,
+      ]);
+
+      const revocation = listOf(lists, issuer.address, "revocation");
+      expect(revocation).to.deep.include({
+        id: `https://status.example.edu/lists/${issuer.address}-revocation.json`,
+        type: ["VerifiableCredential", "StatusList2021Credential"],
+        issuer: `did:ethr:0x539:${issuer.address}`,
+      });
+      expect(revocation["@context"]).to.include("https://w3id.org/vc/status-list/2021/v1");
+      expect(revocation.credentialSubject).to.include({ type: "StatusList2021", statusPurpose: "revocation" });
+
+      expect([1, 2, 3].map((id) => isSet(revocation, id))).to.deep.equal([false, true, false]);
+      expect([1, 2, 3].map((id) => isSet(listOf(lists, issuer.address, "suspension"), id))).to.deep.equal([false, false, true]);
+      // Another issuer's list never covers the issuer's credentials
+      expect([3, 5].map((id) => isSet(listOf(lists, otherIssuer.address, "suspension"), id))).to.deep.equal([false, true]);
+    });
+
+    it("Should clear the suspension bit when a credential is reactivated", async function () {
+      await issuerClient.suspendCredential(1);
+      await issuerClient.reactivateCredential(1);
+
+      const { lists } = await exportStatusLists(ethers.provider, { registryAddress, issuers: [issuer.address] });
+
+      expect(lists).to.have.length(2);
+      expect(isSet(listOf(lists, issuer.address, "suspension"), 1)).to.be.false;
+    });
+
+    it("Should set the revocation bit of superseded versions", async function () {
+      await issuerClient.amendCredential(1, { credentialData: "ipfs://QmIssuer1-corrected" });
+
+      const { lists } = await exportStatusLists(ethers.provider, { registryAddress, issuers: [issuer.address] });
+
+      expect([1, 6].map((id) => isSet(listOf(lists, issuer.address, "revocation"), id))).to.deep.equal([true, false]);
+    });
+
+    it("Should drop a time-bound suspension from lists exported after it ends", async function () {
+      const { suspendedUntil } = await issuerClient.suspendCredential(1, { duration: 3600, reason: "Pending review" });
+      await issuerClient.suspendCredential(2);
+
+      const during = await exportStatusLists(ethers.provider, { registryAddress, issuers: [issuer.address] });
+      await time.increaseTo(suspendedUntil);
+      const after = await exportStatusLists(ethers.provider, { registryAddress, issuers: [issuer.address] });
+
+      expect([1, 2].map((id) => isSet(listOf(during.lists, issuer.address, "suspension"), id))).to.deep.equal([true, true]);
+      expect([1, 2].map((id) => isSet(listOf(after.lists, issuer.address, "suspension"), id))).to.deep.equal([false, true]);
+    });
+
+    it("Should reproduce the lists as of an earlier block", async function () {
+      await issuerClient.connect(owner).revokeCredential(1, "Issued in error");
+      const before = await exportStatusLists(ethers.provider, { registryAddress });
+      await issuerClient.connect(owner).revokeCredential(3, "Superseded");
+
+      const again = await exportStatusLists(ethers.provider, { registryAddress, blockTag: before.blockNumber });
+      const latest = await exportStatusLists(ethers.provider, { registryAddress });
+
+      expect(again).to.deep.equal(before);
+      expect(again.lists[0].credential.blockNumber).to.equal(before.blockNumber);
+      expect(isSet(listOf(again.lists, issuer.address, "revocation"), 3)).to.be.false;
+      expect(isSet(listOf(latest.lists, issuer.address, "revocation"), 3)).to.be.true;
+    });
+
+    it("Should build the same lists from indexed events", async function () {
+      await issuerClient.suspendCredential(2);
+      const exported = await exportStatusLists(ethers.provider, { registryAddress });
+
+      const indexer = new CredentialIndexer(ethers.provider, { registryAddress });
+      await indexer.sync();
+      const block = await ethers.provider.getBlock(exported.blockNumber);
+      const fromIndex = createStatusListCredentials(indexer.getEvents({ toBlock: block.number }), {
+        chainId: 1337,
+        registryAddress,
+        blockNumber: block.number,
+        issuedAt: block.timestamp,
+      });
+
+      expect(fromIndex).to.deep.equal(exported.lists);
+    });
+  });
+
+  describe("Signing", function () {
+    it("Should sign each list with its issuer's key", async function () {
+      await issuerClient.connect(owner).revokeCredential(2, "Issued in error");
+      const { lists } = await exportStatusLists(ethers.provider, { registryAddress, signer: issuer });
+
+      expect(lists.map((list) => list.issuer)).to.deep.equal([issuer.address, issuer.address]);
+      const revocation = listOf(lists, issuer.address, "revocation");
+      expect(revocation.proof).to.include({
+        type: "EthereumEip712Signature2021",
+        proofPurpose: "assertionMethod",
+        verificationMethod: `did:ethr:0x539:${issuer.address}#controller`,
+      });
+      expect(verifyStatusListCredential(revocation)).to.deep.equal({ isValid: true, signer: issuer.address, reason: null });
+      expect(checkStatusListEntry(createStatusListEntry(2, revocation.id), revocation)).to.include({ isSet: true, isSigned: true });
+    });
+
+    it("Should refuse a signer that is not the list issuer", async function () {
+      const { lists } = await exportStatusLists(ethers.provider, { registryAddress, issuers: [issuer.address] });
+
+      await expect(signStatusListCredential(otherIssuer, lists[0].credential)).to.be.rejectedWith(/does not match the signer/);
+      await expect(exportStatusLists(ethers.provider, { registryAddress, issuers: [otherIssuer.address], signer: issuer }))
+        .to.be.rejectedWith(/does not match the signer/);
+    });
+
+    it("Should detect altered and unsigned lists", async function () {
+      const { lists } = await exportStatusLists(ethers.provider, { registryAddress, signer: issuer });
+      const revocation = listOf(lists, issuer.address, "revocation");
+      const { proof, ...unsigned } = revocation;
+      const tampered = {
+        ...revocation,
+        credentialSubject: { ...revocation.credentialSubject, encodedList: encodeStatusList([1]) },
+      };
+      const reissued = { ...revocation, issuer: `did:ethr:0x539:${otherIssuer.address}` };
+
+      expect(verifyStatusListCredential(unsigned)).to.include({ isValid: false, reason: "Unsigned" });
+      expect(verifyStatusListCredential(tampered)).to.include({ isValid: false, reason: "IssuerMismatch" });
+      expect(verifyStatusListCredential(reissued)).to.include({ isValid: false, reason: "IssuerMismatch" });
+      expect(verifyStatusListCredential({ ...revocation, proof: { ...proof, proofValue: "0x1234" } }))
+        .to.include({ isValid: false, reason: "InvalidSignature" });
+      expect(checkStatusListEntry(createStatusListEntry(1, unsigned.id), unsigned)).to.include({ isSigned: false });
+      expect(() => checkStatusListEntry(createStatusListEntry(1, tampered.id), tampered)).to.throw(/Invalid status list proof: IssuerMismatch/);
+    });
+  });
+
+  describe("Checking", function () {
+    it("Should refuse an entry for another list or purpose", async function () {
+      const { lists } = await exportStatusLists(ethers.provider, { registryAddress });
+      const revocation = listOf(lists, issuer.address, "revocation");
+      const suspension = listOf(lists, issuer.address, "suspension");
+
+      expect(() => checkStatusListEntry(createStatusListEntry(1, revocation.id, "revocation"), suspension))
+        .to.throw(/Status list mismatch/);
+      expect(() => checkStatusListEntry(createStatusListEntry(1, revocation.id, "suspension"), revocation))
+        .to.throw(/Status purpose mismatch/);
+      expect(() => checkStatusListEntry(createStatusListEntry(MIN_STATUS_LIST_LENGTH, revocation.id), revocation))
+        .to.throw(/out of range/);
+      expect(() => createStatusListEntry(1, revocation.id, "expiry")).to.throw(/Unknown status purpose/);
+    });
+  });
+});
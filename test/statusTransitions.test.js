@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyUint } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { CredentialStatus, canTransition } = require("../lib");
+
+const { Active, Revoked, Suspended, Expired, Superseded } = CredentialStatus;
+const STATUSES = [Active, Suspended, Revoked, Expired, Superseded];
+const DAY = 86400;
+
+describe("Credential status transitions", function () {
+  let credentialRegistry;
+  let owner, issuer, revoker, recipient, otherIssuer;
+
+  // Issue a credential and bring it into `status`; Expired ones lapse a day after issuance and
+  // Superseded ones are amended, which issues the next ID as their new version
+  async function credentialIn(status) {
+    const expiresAt = status === Expired ? (await time.latest()) + DAY : 0;
+    const credentialId = Number(await credentialRegistry.getTotalCredentials()) + 1;
+    await credentialRegistry.connect(issuer).issueCredential(recipient.address, "Certificate", `ipfs://Qm${credentialId}`, expiresAt, "");
+
+    if (status === Suspended) {
+      await credentialRegistry.connect(issuer).updateCredentialStatus(credentialId, Suspended);
+    } else if (status === Revoked) {
+      await credentialRegistry.connect(revoker).revokeCredential(credentialId, "Issued in error");
+    } else if (status === Expired) {
+      await time.increase(DAY);
+    } else if (status === Superseded) {
+      await credentialRegistry.connect(issuer).amendCredential(credentialId, `ipfs://Qm${credentialId}-amended`, 0, "");
+    }
+    return credentialId;
+  }
+
+  beforeEach(async function () {
+    [owner, issuer, revoker, recipient, otherIssuer] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.grantIssuerRole(issuer.address);
+    await credentialRegistry.grantIssuerRole(otherIssuer.address);
+    await credentialRegistry.grantRevokerRole(revoker.address);
+  });
+
+  describe("updateCredentialStatus", function () {
+    // from -> statuses it may be set to; every other pair must revert
+    const allowed = {
+      [Active]: [Suspended],
+      [Suspended]: [Active],
+      [Revoked]: [],
+      [Expired]: [],
+      [Superseded]: [],
+    };
+
+    for (const from of STATUSES) {
+      for (const to of STATUSES) {
+        const name = `${Object.keys(CredentialStatus)[from]} -> ${Object.keys(CredentialStatus)[to]}`;
+
+        if (allowed[from].includes(to)) {
+          it(`Should allow ${name}`, async function () {
+            const credentialId = await credentialIn(from);
+            await expect(credentialRegistry.connect(issuer).updateCredentialStatus(credentialId, to))
+              .to.emit(credentialRegistry, "CredentialStatusUpdated")
+              .withArgs(credentialId, from, to, anyUint);
+            expect((await credentialRegistry.getCredential(credentialId)).status).to.equal(to);
+          });
+        } else {
+          it(`Should reject ${name}`, async function () {
+            const credentialId = await credentialIn(from);
+            await expect(credentialRegistry.connect(issuer).updateCredentialStatus(credentialId, to))
+              .to.be.revertedWithCustomError(credentialRegistry, "InvalidStatusTransition")
+              .withArgs(credentialId, from, to);
+          });
+        }
+      }
+    }
+  });
+
+  describe("Dedicated paths", function () {
+    it("Should reinstate only suspended credentials", async function () {
+      const suspended = await credentialIn(Suspended);
+      await expect(credentialRegistry.connect(issuer).reinstateCredential(suspended))
+        .to.emit(credentialRegistry, "CredentialStatusUpdated")
+        .withArgs(suspended, Suspended, Active, anyUint);
+      expect(await credentialRegistry.isCredentialValid(suspended)).to.be.true;
+
+      for (const from of [Active, Revoked, Expired, Superseded]) {
+        const credentialId = await credentialIn(from);
+        await expect(credentialRegistry.connect(issuer).reinstateCredential(credentialId))
+          .to.be.revertedWithCustomError(credentialRegistry, "InvalidStatusTransition")
+          .withArgs(credentialId, from, Active);
+      }
+    });
+
+    it("Should suspend active and suspended credentials only", async function () {
+      for (const from of [Active, Suspended]) {
+        const credentialId = await credentialIn(from);
+        await expect(credentialRegistry.connect(issuer).suspendCredential(credentialId, 0, "Review"))
+          .to.emit(credentialRegistry, "CredentialSuspended");
+      }
+      for (const from of [Revoked, Expired, Superseded]) {
+        const credentialId = await credentialIn(from);
+        await expect(credentialRegistry.connect(issuer).suspendCredential(credentialId, 0, "Review"))
+          .to.be.revertedWithCustomError(credentialRegistry, "InvalidStatusTransition")
+          .withArgs(credentialId, from, Suspended);
+      }
+    });
+
+    it("Should revoke from every status but Revoked, and only through the revoker role", async function () {
+      for (const from of [Active, Suspended, Expired, Superseded]) {
+        const credentialId = await credentialIn(from);
+        await expect(credentialRegistry.connect(issuer).revokeCredential(credentialId, "Fraud"))
+          .to.be.revertedWithCustomError(credentialRegistry, "AccessControlUnauthorizedAccount");
+        await expect(credentialRegistry.connect(revoker).revokeCredential(credentialId, "Fraud"))
+          .to.emit(credentialRegistry, "CredentialStatusUpdated")
+          .withArgs(credentialId, from, Revoked, anyUint);
+      }
+
+      const revoked = await credentialIn(Revoked);
+      await expect(credentialRegistry.connect(revoker).revokeCredential(revoked, "Fraud"))
+        .to.be.revertedWithCustomError(credentialRegistry, "CredentialAlreadyRevoked");
+    });
+
+    it("Should supersede active and expired credentials only", async function () {
+      for (const from of [Active, Expired]) {
+        const credentialId = await credentialIn(from);
+        await expect(credentialRegistry.connect(issuer).amendCredential(credentialId, `ipfs://Qm${credentialId}-amended`, 0, ""))
+          .to.emit(credentialRegistry, "CredentialStatusUpdated")
+          .withArgs(credentialId, from, Superseded, anyUint);
+        expect((await credentialRegistry.getCredential(credentialId)).status).to.equal(Superseded);
+      }
+      for (const from of [Suspended, Revoked, Superseded]) {
+        const credentialId = await credentialIn(from);
+        await expect(credentialRegistry.connect(issuer).amendCredential(credentialId, `ipfs://Qm${credentialId}-amended`, 0, ""))
+          .to.be.revertedWithCustomError(credentialRegistry, "InvalidStatusTransition")
+          .withArgs(credentialId, from, Superseded);
+      }
+    });
+
+    it("Should treat a suspended credential past its expiry as expired", async function () {
+      await credentialRegistry.connect(issuer).issueCredential(recipient.address, "Certificate", "ipfs://QmB", (await time.latest()) + DAY, "");
+      const credentialId = Number(await credentialRegistry.getTotalCredentials());
+      await credentialRegistry.connect(issuer).suspendCredential(credentialId, 0, "Review");
+      await time.increase(DAY);
+
+      await expect(credentialRegistry.connect(issuer).reinstateCredential(credentialId))
+        .to.be.revertedWithCustomError(credentialRegistry, "InvalidStatusTransition")
+        .withArgs(credentialId, Expired, Active);
+      await expect(credentialRegistry.verifyCredential(credentialId))
+        .to.emit(credentialRegistry, "CredentialStatusUpdated")
+        .withArgs(credentialId, Suspended, Expired, anyUint);
+      expect((await credentialRegistry.getCredential(credentialId)).status).to.equal(Expired);
+    });
+
+    it("Should keep other issuers out before checking the transition", async function () {
+      const credentialId = await credentialIn(Revoked);
+      await expect(credentialRegistry.connect(otherIssuer).reinstateCredential(credentialId))
+        .to.be.revertedWithCustomError(credentialRegistry, "UnauthorizedIssuer")
+        .withArgs(otherIssuer.address);
+      await expect(credentialRegistry.connect(owner).reinstateCredential(credentialId))
+        .to.be.revertedWithCustomError(credentialRegistry, "InvalidStatusTransition");
+    });
+  });
+
+  describe("SDK mirror", function () {
+    it("Should match the transitions the registry allows", function () {
+      expect(STATUSES.map((from) => STATUSES.filter((to) => canTransition(from, to)))).to.deep.equal([[Suspended, Revoked, Superseded], [Active, Revoked], [], [Revoked, Superseded], [Revoked]]);
+      expect(canTransition("revoked", "active")).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,574 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { CredentialClient, decryptCredentialPayload, parseCsv } = require("../lib");
+
+const { ethers, upgrades } = hre;
+
+describe("Hardhat tasks", function () {
+  let credentialRegistry, credentialVerifier;
+  let owner, issuer, recipient;
+  let deployment, logs, originalLog;
+
+  // Run a task with --json, returning its result and keeping its output off the test log
+  async function runTask(name, args = {}) {
+    return hre.run(name, { deployment, json: true, ...args });
+  }
+
+  before(async function () {
+    deployment = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "credential-tasks-")), "deployment.json");
+  });
+
+  beforeEach(async function () {
+    [owner, issuer, recipient] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+
+    const CredentialVerifier = await ethers.getContractFactory("CredentialVerifier");
+    credentialVerifier = await CredentialVerifier.deploy(await credentialRegistry.getAddress());
+    await credentialVerifier.waitForDeployment();
+
+    fs.writeFileSync(deployment, JSON.stringify({
+      network: "hardhat",
+      contracts: {
+        CredentialRegistry: { address: await credentialRegistry.getAddress() },
+        CredentialVerifier: { address: await credentialVerifier.getAddress() },
+      },
+    }));
+
+    logs = [];
+    originalLog = console.log;
+    console.log = (...args) => logs.push(args.join(" "));
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+  });
+
+  describe("credential tasks", function () {
+    it("Should issue a credential and print JSON", async function () {
+      const result = await runTask("credential:issue", {
+        recipient: recipient.address,
+        type: "Bachelor Degree",
+        data: '{"degree": "Computer Science"}',
+      });
+
+      expect(result.credentialId).to.equal(1);
+      expect(JSON.parse(logs.join("\n"))).to.deep.equal(result);
+
+      const credential = await credentialRegistry.getCredential(1);
+      expect(credential.recipient).to.equal(recipient.address);
+      expect(credential.credentialData).to.equal('{"degree":"Computer Science"}');
+    });
+
+    it("Should show, suspend and revoke a credential", async function () {
+      await runTask("credential:issue", {
+        recipient: recipient.address,
+        type: "Certificate",
+        data: "ipfs://QmCertificate",
+      });
+
+      const shown = await runTask("credential:show", { id: 1 });
+      expect(shown.credentialData).to.equal("ipfs://QmCertificate");
+      expect(shown.isValid).to.be.true;
+
+      const suspended = await runTask("credential:status", { id: 1, set: "suspended" });
+      expect(suspended.statusName).to.equal("Suspended");
+      expect(suspended.isValid).to.be.false;
+      expect(suspended.transactionHash).to.be.a("string");
+
+      await runTask("credential:revoke", { id: 1, reason: "Issued in error" });
+      const status = await runTask("credential:status", { id: 1 });
+      expect(status.statusName).to.equal("Revoked");
+      expect(status).to.not.have.property("transactionHash");
+    });
+
+    it("Should suspend a credential for a duration with a reason", async function () {
+      await runTask("credential:issue", { recipient: recipient.address, type: "Certificate", data: "ipfs://QmA" });
+
+      const suspended = await runTask("credential:suspend", { id: 1, duration: "7d", reason: "Pending review" });
+      expect(suspended).to.include({ credentialId: 1, reason: "Pending review" });
+      expect(await credentialRegistry.suspendedUntil(1)).to.equal(suspended.suspendedUntil);
+
+      await expect(runTask("credential:suspend", { id: 1, duration: "7 days" })).to.be.rejectedWith("Invalid duration: 7 days");
+
+      const reinstated = await runTask("credential:reinstate", { id: 1 });
+      expect(reinstated).to.include({ credentialId: 1 });
+      expect((await runTask("credential:status", { id: 1 })).statusName).to.equal("Active");
+      await expect(runTask("credential:reinstate", { id: 1 })).to.be.rejectedWith("InvalidStatusTransition");
+    });
+
+    it("Should renew and amend a credential and list its versions", async function () {
+      const expiresAt = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      await runTask("credential:issue", { recipient: recipient.address, type: "Certificate", data: "ipfs://QmA", expiresAt });
+
+      const renewed = await runTask("credential:renew", { id: 1, expiresAt: String(expiresAt + 3600) });
+      expect(renewed).to.include({ credentialId: 2, previousCredentialId: 1 });
+      const amended = await runTask("credential:amend", { id: 2, data: "ipfs://QmB", expiresAt: expiresAt + 3600 });
+      expect(amended).to.include({ credentialId: 3, previousCredentialId: 2 });
+
+      const { latestCredentialId, versions } = await runTask("credential:versions", { id: 1 });
+      expect(latestCredentialId).to.equal(3);
+      expect(versions.map(({ statusName, isValid }) => `${statusName}:${isValid}`)).to.deep.equal([
+        "Superseded:false",
+        "Superseded:false",
+        "Active:true",
+      ]);
+    });
+
+    it("Should print human-readable output without --json", async function () {
+      await hre.run("credential:issue", {
+        deployment,
+        recipient: recipient.address,
+        type: "Certificate",
+        data: "ipfs://QmCertificate",
+      });
+
+      expect(logs[0]).to.equal(`✅ Credential 1 issued to ${recipient.address}`);
+    });
+
+    it("Should bulk issue from a CSV file and write results next to it", async function () {
+      const inputPath = path.join(path.dirname(deployment), "cohort.csv");
+      fs.writeFileSync(inputPath, [
+        "recipient,credentialType,studentName",
+        `${recipient.address},Bachelor Degree,Alice Johnson`,
+        `${issuer.address},Bachelor Degree,Bob Smith`,
+        "0x1234,Bachelor Degree,Carol Davis",
+      ].join("\n"));
+
+      const dryRun = await runTask("credential:bulk-issue", { input: inputPath, dryRun: true });
+      expect(dryRun).to.include({ total: 3, issued: 0, failed: 1, journal: null });
+      expect(await credentialRegistry.getTotalCredentials()).to.equal(0);
+
+      const summary = await runTask("credential:bulk-issue", { input: inputPath });
+      expect(summary).to.include({ total: 3, issued: 2, failed: 1 });
+      expect(summary.output).to.equal(path.join(path.dirname(deployment), "cohort.results.csv"));
+      expect(fs.existsSync(summary.journal)).to.be.true;
+      expect(fs.readFileSync(summary.output, "utf8")).to.contain("Invalid recipient address");
+    });
+
+    it("Should export a credential as a Verifiable Credential file", async function () {
+      await runTask("credential:issue", { recipient: recipient.address, type: "Bachelor Degree", data: '{"gpa": "3.85"}' });
+      const vcPath = path.join(path.dirname(deployment), "credential-1.vc.json");
+
+      const vc = await runTask("credential:export-vc", { id: 1, didMethod: "pkh", output: vcPath });
+      expect(vc.credentialSubject).to.deep.equal({ id: `did:pkh:eip155:1337:${recipient.address}`, gpa: "3.85" });
+      expect(JSON.parse(fs.readFileSync(vcPath, "utf8"))).to.deep.equal(vc);
+
+      await expect(runTask("credential:import-vc", { input: vcPath })).to.be.rejectedWith("Credential already issued");
+    });
+
+    it("Should issue a private credential and verify its disclosure", async function () {
+      const holder = ethers.Wallet.createRandom();
+      const envelopePath = path.join(path.dirname(deployment), "private.envelope.json");
+
+      const issued = await runTask("credential:issue-private", {
+        recipient: holder.address,
+        publicKey: holder.signingKey.publicKey,
+        type: "Bachelor Degree",
+        data: '{"gpa": "3.85"}',
+        output: envelopePath,
+      });
+      expect((await credentialRegistry.getCredential(1)).credentialData).to.equal(`commitment:${issued.commitment}`);
+
+      const disclosurePath = path.join(path.dirname(deployment), "private.disclosure.json");
+      const envelope = JSON.parse(fs.readFileSync(envelopePath, "utf8"));
+      fs.writeFileSync(disclosurePath, JSON.stringify(decryptCredentialPayload(envelope, holder.privateKey)));
+
+      const verified = await runTask("credential:verify-disclosure", { disclosure: disclosurePath });
+      expect(verified).to.include({ credentialId: 1, isValid: true, reason: null });
+      expect(verified.credential.data).to.deep.equal({ gpa: "3.85" });
+    });
+
+    it("Should present and verify chosen fields of a selective credential", async function () {
+      const holder = ethers.Wallet.createRandom();
+      const directory = path.dirname(deployment);
+      const envelopePath = path.join(directory, "selective.envelope.json");
+      await runTask("credential:issue-private", {
+        recipient: holder.address,
+        publicKey: holder.signingKey.publicKey,
+        type: "Bachelor Degree",
+        data: '{"degree": "BSc Computer Science", "gpa": "3.85"}',
+        output: envelopePath,
+        selective: true,
+      });
+
+      const claimsPath = path.join(directory, "selective.claims.json");
+      const envelope = JSON.parse(fs.readFileSync(envelopePath, "utf8"));
+      fs.writeFileSync(claimsPath, JSON.stringify(decryptCredentialPayload(envelope, holder.privateKey)));
+
+      const presentationPath = path.join(directory, "selective.presentation.json");
+      await runTask("credential:present", { claims: claimsPath, fields: "degree", output: presentationPath });
+      const verified = await runTask("credential:verify-presentation", { presentation: presentationPath });
+      expect(verified).to.include({ credentialId: 1, isValid: true });
+      expect(verified.claims).to.deep.equal({ degree: "BSc Computer Science" });
+    });
+
+    it("Should fail when the deployment file is missing", async function () {
+      await expect(
+        hre.run("credential:show", { deployment: path.join(os.tmpdir(), "missing.json"), id: 1 })
+      ).to.be.rejectedWith("Deployment file not found");
+    });
+  });
+
+  describe("merkle tasks", function () {
+    it("Should anchor a CSV cohort, then verify and revoke proof files", async function () {
+      const inputPath = path.join(path.dirname(deployment), "merkle-cohort.csv");
+      fs.writeFileSync(inputPath, [
+        "recipient,credentialType,studentName",
+        `${recipient.address},Bachelor Degree,Alice Johnson`,
+        `${issuer.address},Bachelor Degree,Bob Smith`,
+      ].join("\n"));
+
+      const anchored = await runTask("merkle:anchor", { input: inputPath });
+      expect(anchored).to.include({ batchId: 1, leafCount: 2 });
+      expect(anchored.outputDir).to.equal(path.join(path.dirname(deployment), "merkle-cohort.proofs"));
+      expect(await credentialRegistry.getTotalCredentials()).to.equal(0);
+
+      const { credentials } = JSON.parse(fs.readFileSync(anchored.batchFile, "utf8"));
+      const proofPath = path.join(anchored.outputDir, credentials[0].proofFile);
+      expect(JSON.parse(fs.readFileSync(proofPath, "utf8")).credentialData).to.equal('{"studentName":"Alice Johnson"}');
+      expect(await runTask("merkle:verify", { proof: proofPath })).to.include({ isValid: true, recipient: recipient.address });
+
+      await runTask("merkle:revoke", { batch: 1, leaf: credentials[0].leaf, reason: "Issued in error" });
+      expect(await runTask("merkle:verify", { proof: proofPath })).to.include({ isValid: false, reason: "Revoked" });
+    });
+
+    it("Should anchor nothing when a row is invalid", async function () {
+      const inputPath = path.join(path.dirname(deployment), "merkle-invalid.csv");
+      fs.writeFileSync(inputPath, `recipient,credentialType,studentName\n0x1234,Bachelor Degree,Carol Davis`);
+
+      await expect(runTask("merkle:anchor", { input: inputPath })).to.be.rejectedWith("row 1: Invalid recipient address");
+      expect(await credentialRegistry.getTotalMerkleBatches()).to.equal(0);
+    });
+  });
+
+  describe("status list tasks", function () {
+    it("Should export status lists and check credentials against them", async function () {
+      const outputDir = path.join(path.dirname(deployment), "status-lists");
+      await runTask("credential:issue", { recipient: recipient.address, type: "Certificate", data: "ipfs://QmA" });
+      await runTask("credential:issue", { recipient: recipient.address, type: "Certificate", data: "ipfs://QmB" });
+      await runTask("credential:revoke", { id: 2, reason: "Issued in error" });
+
+      const exported = await runTask("status-list:export", { outputDir, baseUrl: "https://status.example.edu", sign: true });
+      expect(exported.lists.map((list) => list.statusPurpose)).to.deep.equal(["revocation", "suspension"]);
+      expect(exported.lists[0].file).to.equal(path.join(outputDir, `${owner.address}-revocation.json`));
+
+      const list = exported.lists[0].file;
+      expect(await runTask("status-list:check", { list, id: 1 })).to.include({ statusPurpose: "revocation", isSet: false, isSigned: true });
+      expect(await runTask("status-list:check", { list, id: 2 })).to.include({ isSet: true, blockNumber: exported.blockNumber });
+
+      // Exporting without --sign overwrites the file with an unsigned list
+      await runTask("status-list:export", { outputDir, baseUrl: "https://status.example.edu" });
+      await expect(runTask("status-list:check", { list, id: 1 })).to.be.rejectedWith("not signed by its issuer");
+      expect(await runTask("status-list:check", { list, id: 1, allowUnsigned: true })).to.include({ isSet: false, isSigned: false });
+    });
+  });
+
+  describe("schema tasks", function () {
+    it("Should register a schema, enforce it and validate data", async function () {
+      const CredentialSchemaRegistry = await ethers.getContractFactory("CredentialSchemaRegistry");
+      const schemaRegistry = await CredentialSchemaRegistry.deploy(await credentialRegistry.getAddress());
+      const deploymentInfo = JSON.parse(fs.readFileSync(deployment, "utf8"));
+      deploymentInfo.contracts.CredentialSchemaRegistry = { address: await schemaRegistry.getAddress() };
+      fs.writeFileSync(deployment, JSON.stringify(deploymentInfo));
+
+      const schemaPath = path.join(path.dirname(deployment), "certificate.schema.json");
+      fs.writeFileSync(schemaPath, JSON.stringify({ type: "string", pattern: "^ipfs://" }));
+
+      const registered = await runTask("schema:register", { type: "Certificate", schema: schemaPath, uri: schemaPath });
+      expect(registered.typeId).to.equal("Certificate");
+      expect(await runTask("schema:enforce", {})).to.include({ enforced: true });
+
+      const listed = await runTask("schema:list");
+      expect(listed.enforced).to.be.true;
+      expect(listed.schemas.map((schema) => schema.schemaHash)).to.deep.equal([registered.schemaHash]);
+
+      expect(await runTask("schema:validate", { type: "Certificate", data: "https://example.com" }))
+        .to.include({ valid: false, error: 'Credential data does not match the Certificate schema: / must match pattern "^ipfs://"' });
+      await expect(runTask("credential:issue", { recipient: recipient.address, type: "Diploma", data: "ipfs://QmA" }))
+        .to.be.rejectedWith("Unknown credential type");
+      expect((await runTask("credential:issue", { recipient: recipient.address, type: "Certificate", data: "ipfs://QmA" })).credentialId)
+        .to.equal(1);
+    });
+  });
+
+  describe("role tasks", function () {
+    it("Should grant and revoke roles by short name", async function () {
+      const ISSUER_ROLE = await credentialRegistry.ISSUER_ROLE();
+
+      const granted = await runTask("role:grant", { role: "issuer", account: issuer.address });
+      expect(granted.role).to.equal("ISSUER_ROLE");
+      expect(await credentialRegistry.hasRole(ISSUER_ROLE, issuer.address)).to.be.true;
+
+      await runTask("role:revoke", { role: "ISSUER_ROLE", account: issuer.address });
+      expect(await credentialRegistry.hasRole(ISSUER_ROLE, issuer.address)).to.be.false;
+    });
+
+    it("Should reject unknown roles", async function () {
+      await expect(
+        runTask("role:grant", { role: "superuser", account: issuer.address })
+      ).to.be.rejectedWith("Unknown role: superuser");
+    });
+
+    it("Should list and audit role holders", async function () {
+      await runTask("role:grant", { role: "issuer", account: issuer.address });
+      await runTask("role:grant", { role: "revoker", account: recipient.address });
+      await runTask("role:revoke", { role: "revoker", account: recipient.address });
+
+      const listed = await runTask("roles:list");
+      expect(listed.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+      expect(listed.roles).to.deep.include({
+        DEFAULT_ADMIN_ROLE: [owner.address],
+        ISSUER_ROLE: [owner.address, issuer.address],
+        REVOKER_ROLE: [owner.address],
+      });
+
+      const audit = await runTask("roles:audit");
+      const issuers = audit.roles.find((role) => role.name === "ISSUER_ROLE");
+      expect(issuers.holders[1]).to.deep.equal({ account: issuer.address, isContract: false });
+      expect(audit.warnings).to.deep.equal([]);
+    });
+
+    it("Should start and cancel handing over the admin role", async function () {
+      await expect(runTask("role:grant", { role: "admin", account: issuer.address }))
+        .to.be.rejectedWith("DefaultAdminTransferRequired");
+      await expect(runTask("role:transfer-admin", { to: issuer.address, cancel: true }))
+        .to.be.rejectedWith("Pass exactly one of --to, --accept or --cancel");
+      await expect(runTask("role:transfer-admin", { accept: true }))
+        .to.be.rejectedWith("No transfer of DEFAULT_ADMIN_ROLE is pending");
+
+      const begun = await runTask("role:transfer-admin", { to: issuer.address });
+      expect(begun).to.include({ action: "begin", newAdmin: issuer.address });
+      expect((await runTask("roles:audit")).pendingDefaultAdmin)
+        .to.deep.equal({ account: issuer.address, acceptSchedule: begun.acceptSchedule });
+
+      expect(await runTask("role:transfer-admin", { cancel: true })).to.include({ action: "cancel", newAdmin: issuer.address });
+      expect(await credentialRegistry.pendingDefaultAdmin()).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  describe("indexer tasks", function () {
+    it("Should sync the index and query it", async function () {
+      const index = path.join(path.dirname(deployment), "index.json");
+      await runTask("credential:issue", { recipient: recipient.address, type: "Certificate", data: "ipfs://QmA" });
+      await runTask("credential:issue", { recipient: issuer.address, type: "Diploma", data: "ipfs://QmB" });
+      await runTask("credential:revoke", { id: 2, reason: "Issued in error" });
+
+      const synced = await runTask("indexer:sync", { index });
+      expect(synced).to.include({ newEvents: 4, credentials: 2 });
+
+      const revoked = await runTask("indexer:query", { index, status: "revoked" });
+      expect(revoked.total).to.equal(1);
+      expect(revoked.credentials[0]).to.include({ id: 2, recipient: issuer.address });
+
+      const byRecipient = await runTask("indexer:query", { index, recipient: recipient.address, from: "2000-01-01" });
+      expect(byRecipient.credentials.map((c) => c.id)).to.deep.equal([1]);
+    });
+  });
+
+  describe("audit tasks", function () {
+    it("Should write an audit report in the format of the output file", async function () {
+      const csvFile = path.join(path.dirname(deployment), "audit.csv");
+      await runTask("credential:issue", { recipient: recipient.address, type: "Certificate", data: "ipfs://QmA" });
+      await runTask("credential:revoke", { id: 1, reason: "Issued in error" });
+
+      const result = await runTask("audit:report", { output: csvFile, id: 1 });
+      expect(result).to.include({ file: csvFile, format: "csv" });
+      expect(result.summary.events).to.include({ CredentialIssued: 1, CredentialRevoked: 1 });
+      const rows = parseCsv(fs.readFileSync(csvFile, "utf8"));
+      expect(rows.map((row) => row.event)).to.deep.equal(["CredentialIssued", "CredentialRevoked", "CredentialStatusUpdated"]);
+      expect(rows[1]).to.include({ actor: owner.address, reason: "Issued in error" });
+
+      const htmlFile = path.join(path.dirname(deployment), "audit.report");
+      await runTask("audit:report", { output: htmlFile, format: "html" });
+      expect(fs.readFileSync(htmlFile, "utf8")).to.contain("Credential audit report");
+
+      await expect(runTask("audit:report", { format: "xlsx" })).to.be.rejectedWith("Unknown report format: xlsx");
+    });
+  });
+
+  describe("issuer and registry tasks", function () {
+    it("Should set up and show the signer's issuer profile", async function () {
+      const created = await runTask("issuer:profile", { name: "Test University", website: "https://testuni.edu" });
+      expect(created.address).to.equal(owner.address);
+      expect(created.isActive).to.be.true;
+
+      const shown = await runTask("issuer:profile", { address: owner.address });
+      expect(shown.name).to.equal("Test University");
+      expect(shown.website).to.equal("https://testuni.edu");
+    });
+
+    it("Should onboard an issuer through an accredited application", async function () {
+      const IssuerAccreditation = await ethers.getContractFactory("IssuerAccreditation");
+      const accreditation = await IssuerAccreditation.deploy(await credentialRegistry.getAddress());
+      const deploymentInfo = JSON.parse(fs.readFileSync(deployment, "utf8"));
+      deploymentInfo.contracts.IssuerAccreditation = { address: await accreditation.getAddress() };
+      fs.writeFileSync(deployment, JSON.stringify(deploymentInfo));
+
+      expect(await runTask("issuer:enforce-accreditation", {})).to.include({ enforced: true });
+      await expect(runTask("credential:issue", { recipient: recipient.address, type: "Certificate", data: "ipfs://QmA" }))
+        .to.be.rejectedWith("IssuerNotAccredited");
+
+      await runTask("role:grant", { role: "accreditor", account: owner.address });
+      expect(await runTask("issuer:apply", { name: "Test University" })).to.include({ statusName: "Pending" });
+      expect((await runTask("issuer:applications", { status: "pending" })).applications).to.have.length(1);
+
+      expect(await runTask("issuer:approve", { address: owner.address })).to.include({ statusName: "Approved" });
+      expect(await runTask("issuer:accreditation", { address: owner.address })).to.include({ canIssue: true });
+      expect((await runTask("credential:issue", { recipient: recipient.address, type: "Certificate", data: "ipfs://QmA" })).credentialId)
+        .to.equal(1);
+
+      const deactivated = await runTask("issuer:deactivate", { address: owner.address, reason: "Audit failed" });
+      expect(deactivated).to.include({ statusName: "Deactivated", decisionReason: "Audit failed" });
+      expect((await runTask("issuer:profile", { address: owner.address })).isActive).to.be.false;
+      await runTask("issuer:reactivate", { address: owner.address });
+      expect(await runTask("issuer:accreditation", { address: owner.address })).to.include({ canIssue: true });
+    });
+
+    it("Should import existing issuers that never applied", async function () {
+      const IssuerAccreditation = await ethers.getContractFactory("IssuerAccreditation");
+      const accreditation = await IssuerAccreditation.deploy(await credentialRegistry.getAddress());
+      const deploymentInfo = JSON.parse(fs.readFileSync(deployment, "utf8"));
+      deploymentInfo.contracts.IssuerAccreditation = { address: await accreditation.getAddress() };
+      fs.writeFileSync(deployment, JSON.stringify(deploymentInfo));
+      await runTask("role:grant", { role: "issuer", account: issuer.address });
+      await runTask("role:grant", { role: "accreditor", account: owner.address });
+
+      expect((await runTask("issuer:import", {})).issuers).to.deep.equal([owner.address, issuer.address]);
+      await expect(runTask("issuer:import", {})).to.be.rejectedWith("No issuer to import");
+      expect(await runTask("issuer:enforce-accreditation", {})).to.include({ enforced: true });
+      expect(await runTask("issuer:accreditation", { address: issuer.address })).to.include({ canIssue: true });
+    });
+
+    it("Should authorize credential types per issuer and enforce them", async function () {
+      const CredentialTypeAuthorization = await ethers.getContractFactory("CredentialTypeAuthorization");
+      const typeAuthorization = await CredentialTypeAuthorization.deploy(await credentialRegistry.getAddress());
+      const deploymentInfo = JSON.parse(fs.readFileSync(deployment, "utf8"));
+      deploymentInfo.contracts.CredentialTypeAuthorization = { address: await typeAuthorization.getAddress() };
+      fs.writeFileSync(deployment, JSON.stringify(deploymentInfo));
+
+      const authorized = await runTask("issuer:authorize-types", { address: owner.address, types: "Medical/*, Diploma" });
+      expect(authorized.credentialTypes).to.deep.equal(["Medical/*", "Diploma"]);
+      expect(await runTask("issuer:enforce-types", {})).to.include({ enforced: true });
+
+      await expect(runTask("credential:issue", { recipient: recipient.address, type: "Certificate", data: "ipfs://QmA" }))
+        .to.be.rejectedWith("UnauthorizedCredentialType");
+      await runTask("credential:issue", { recipient: recipient.address, type: "Medical/License", data: "ipfs://QmA" });
+
+      expect(await runTask("issuer:types", { address: owner.address, type: "Medical/License" }))
+        .to.include({ enforced: true, authorized: true });
+      await runTask("issuer:deauthorize-types", { address: owner.address, types: "Medical/*" });
+      expect((await runTask("issuer:types")).authorizations)
+        .to.deep.equal([{ issuer: owner.address, credentialTypes: ["Diploma"] }]);
+
+      expect(await runTask("credential:has-type", { recipient: recipient.address, type: "Medical/License", trustedIssuers: owner.address }))
+        .to.include({ hasValidCredential: true, count: 1 });
+      expect(await runTask("credential:has-type", { recipient: recipient.address, type: "Medical/License", trustedIssuers: issuer.address }))
+        .to.include({ hasValidCredential: false, count: 0 });
+    });
+
+    it("Should let recipients answer offers once consent is enforced", async function () {
+      const CredentialConsent = await ethers.getContractFactory("CredentialConsent");
+      const consent = await CredentialConsent.deploy(await credentialRegistry.getAddress());
+      const deploymentInfo = JSON.parse(fs.readFileSync(deployment, "utf8"));
+      deploymentInfo.contracts.CredentialConsent = { address: await consent.getAddress() };
+      fs.writeFileSync(deployment, JSON.stringify(deploymentInfo));
+
+      expect(await runTask("consent:enforce", { offerPeriod: "7d" })).to.include({ enforced: true, offerPeriod: 7 * 86400 });
+      for (const data of ["ipfs://QmA", "ipfs://QmB", "ipfs://QmC"]) {
+        await runTask("credential:issue", { recipient: owner.address, type: "Certificate", data });
+      }
+      expect((await runTask("consent:offers")).offers.map((offer) => offer.id)).to.deep.equal([1, 2, 3]);
+
+      expect(await runTask("consent:accept", { id: 1 })).to.include({ statusName: "Accepted", counts: true });
+      expect(await runTask("consent:reject", { id: 2 })).to.include({ statusName: "Rejected", counts: false });
+      expect(await runTask("consent:disown", { id: 1, reason: "Not mine" })).to.include({ statusName: "Disowned" });
+
+      const signedPath = path.join(path.dirname(deployment), "consent.json");
+      await runTask("consent:sign", { id: 3, output: signedPath });
+      expect(await runTask("consent:submit", { file: signedPath })).to.include({ statusName: "Accepted" });
+      expect(await runTask("consent:hide", { id: 3 })).to.include({ hidden: true });
+      expect(await runTask("consent:show", { id: 3 })).to.include({ statusName: "Accepted", hidden: true });
+    });
+
+    it("Should move credentials to a new wallet and show where they went", async function () {
+      const CredentialMigration = await ethers.getContractFactory("CredentialMigration");
+      const migration = await CredentialMigration.deploy(await credentialRegistry.getAddress());
+      await credentialRegistry.grantRole(await credentialRegistry.MIGRATOR_ROLE(), await migration.getAddress());
+      const deploymentInfo = JSON.parse(fs.readFileSync(deployment, "utf8"));
+      deploymentInfo.contracts.CredentialMigration = { address: await migration.getAddress() };
+      fs.writeFileSync(deployment, JSON.stringify(deploymentInfo));
+      for (const data of ["ipfs://QmA", "ipfs://QmB", "ipfs://QmC"]) {
+        await runTask("credential:issue", { recipient: owner.address, type: "Certificate", data });
+      }
+
+      expect(await runTask("migration:migrate", { ids: "1,2", to: recipient.address }))
+        .to.include({ newRecipient: recipient.address });
+      await expect(runTask("migration:migrate", { ids: "1,x", to: recipient.address })).to.be.rejectedWith("Invalid credential IDs: 1,x");
+
+      // Signed by the holder and submitted by the issuer, who are the same account here
+      const signedPath = path.join(path.dirname(deployment), "migration.json");
+      await runTask("migration:sign", { ids: "3", to: issuer.address, output: signedPath });
+      expect((await runTask("migration:submit", { file: signedPath })).credentialIds).to.deep.equal([3]);
+
+      const history = await runTask("migration:history", { id: 1 });
+      expect(history.originalRecipient).to.equal(owner.address);
+      expect(history.migrations.map(({ from, to }) => [from, to])).to.deep.equal([[owner.address, recipient.address]]);
+      expect((await credentialRegistry.getCredential(3)).recipient).to.equal(issuer.address);
+    });
+
+    it("Should issue and revoke through multi-signature proposals", async function () {
+      const CredentialMultisig = await ethers.getContractFactory("CredentialMultisig");
+      const multisig = await CredentialMultisig.deploy(await credentialRegistry.getAddress());
+      await credentialRegistry.grantIssuerRole(await multisig.getAddress());
+      await credentialRegistry.grantRevokerRole(await multisig.getAddress());
+      const deploymentInfo = JSON.parse(fs.readFileSync(deployment, "utf8"));
+      deploymentInfo.contracts.CredentialMultisig = { address: await multisig.getAddress() };
+      fs.writeFileSync(deployment, JSON.stringify(deploymentInfo));
+
+      const policy = await runTask("proposal:policy", { type: "License", signers: `${owner.address},${issuer.address}`, approvalPeriod: "3d" });
+      expect(policy).to.include({ approvalPeriod: 3 * 86400 });
+      expect(policy.policies[0]).to.include({ threshold: 2, enabled: true });
+
+      const proposed = await runTask("proposal:issue", { recipient: recipient.address, type: "License", data: "ipfs://QmA" });
+      expect(proposed).to.include({ proposalId: 1, executed: false, approvals: 1, threshold: 2 });
+
+      // The other signer approves off-chain; the signer of the tasks submits it
+      const issuerClient = new CredentialClient(issuer, {
+        registryAddress: await credentialRegistry.getAddress(),
+        multisigAddress: await multisig.getAddress(),
+      });
+      const approvalPath = path.join(path.dirname(deployment), "approval.json");
+      fs.writeFileSync(approvalPath, JSON.stringify(await issuerClient.signProposalApproval(1)));
+      expect(await runTask("proposal:submit", { files: approvalPath })).to.include({ executed: true, credentialId: 1 });
+
+      expect(await runTask("proposal:revoke", { credential: 1, reason: "Withdrawn" })).to.include({ proposalId: 2, executed: false });
+      expect(await runTask("proposal:cancel", { id: 2 })).to.include({ statusName: "Cancelled" });
+      expect(await runTask("proposal:amend", { credential: 1, data: "ipfs://QmB" })).to.include({ proposalId: 3, executed: false, approvals: 1 });
+      expect(await runTask("proposal:show", { id: 3 })).to.include({ actionName: "Amend", credentialId: 1, credentialData: "ipfs://QmB" });
+      expect((await runTask("proposal:list", { status: "executed" })).proposals.map((proposal) => proposal.id)).to.deep.equal([1]);
+      expect((await runTask("proposal:show", { id: 1 })).approvers).to.deep.equal([owner.address, issuer.address]);
+
+      expect(await runTask("proposal:enforce")).to.include({ enforced: true, multisigAddress: await multisig.getAddress() });
+      await expect(credentialRegistry.revokeCredential(1, "Withdrawn"))
+        .to.be.revertedWithCustomError(credentialRegistry, "MultisigApprovalRequired");
+      expect(await runTask("proposal:enforce", { disable: true })).to.include({ enforced: false });
+      expect(await credentialRegistry.credentialMultisig()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should pause and unpause the registry", async function () {
+      await runTask("registry:pause");
+      expect((await runTask("registry:info")).paused).to.be.true;
+
+      await runTask("registry:unpause");
+      const info = await runTask("registry:info");
+      expect(info.paused).to.be.false;
+      expect(info.registryAddress).to.equal(await credentialRegistry.getAddress());
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { CredentialClient, buildMerkleBatch, createMerkleProofs, verifyMerkleCredential } = require("../lib");
+
+describe("Credential type authorization", function () {
+  let credentialRegistry, credentialVerifier, typeAuthorization;
+  let owner, hospital, bootcamp, recipient;
+  let adminClient, hospitalClient, bootcampClient;
+
+  beforeEach(async function () {
+    [owner, hospital, bootcamp, recipient] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.grantIssuerRole(hospital.address);
+    await credentialRegistry.grantIssuerRole(bootcamp.address);
+
+    const CredentialVerifier = await ethers.getContractFactory("CredentialVerifier");
+    credentialVerifier = await CredentialVerifier.deploy(await credentialRegistry.getAddress());
+
+    const CredentialTypeAuthorization = await ethers.getContractFactory("CredentialTypeAuthorization");
+    typeAuthorization = await CredentialTypeAuthorization.deploy(await credentialRegistry.getAddress());
+    await credentialRegistry.setTypeAuthorization(await typeAuthorization.getAddress());
+
+    adminClient = new CredentialClient(owner, {
+      registryAddress: await credentialRegistry.getAddress(),
+      verifierAddress: await credentialVerifier.getAddress(),
+    });
+    hospitalClient = adminClient.connect(hospital);
+    bootcampClient = adminClient.connect(bootcamp);
+
+    await adminClient.authorizeCredentialTypes(hospital.address, ["Medical/*", "First Aid Certificate"]);
+    await adminClient.authorizeCredentialTypes(bootcamp.address, ["Bootcamp/Web Development"]);
+  });
+
+  function issue(client, credentialType, credentialData) {
+    return client.issueCredential({ recipient: recipient.address, credentialType, credentialData });
+  }
+
+  describe("Authorizations", function () {
+    it("Should match exact types and nested namespaces", async function () {
+      for (const [credentialType, authorized] of [
+        ["Medical/License", true],
+        ["Medical/License/Nurse", true],
+        ["First Aid Certificate", true],
+        ["Medical", false],
+        ["MedicalLicense", false],
+        ["Bootcamp/Web Development", false],
+      ]) {
+        expect(await typeAuthorization.isAuthorized(hospital.address, credentialType), credentialType).to.equal(authorized);
+      }
+      expect(await typeAuthorization.authorizedTypes(hospital.address, "Medical/*")).to.be.true;
+      expect(await hospitalClient.getAuthorizedCredentialTypes(hospital.address))
+        .to.deep.equal(["Medical/*", "First Aid Certificate"]);
+    });
+
+    it("Should only let admins manage well-formed authorizations", async function () {
+      await expect(typeAuthorization.connect(hospital).authorizeTypes(hospital.address, ["*"]))
+        .to.be.revertedWithCustomError(typeAuthorization, "UnauthorizedTypeManager")
+        .withArgs(hospital.address);
+      for (const pattern of ["", "Medical*", "*/License", "Med*cal/"]) {
+        await expect(typeAuthorization.authorizeTypes(hospital.address, [pattern]))
+          .to.be.revertedWithCustomError(typeAuthorization, "InvalidTypePattern")
+          .withArgs(pattern);
+      }
+      await expect(typeAuthorization.authorizeTypes(hospital.address, ["Medical/*"]))
+        .to.be.revertedWithCustomError(typeAuthorization, "TypeAlreadyAuthorized");
+      await expect(typeAuthorization.deauthorizeTypes(hospital.address, ["Medical/License"]))
+        .to.be.revertedWithCustomError(typeAuthorization, "TypeNotAuthorized")
+        .withArgs(hospital.address, "Medical/License");
+    });
+
+    it("Should withdraw authorizations and keep the list consistent", async function () {
+      await expect(typeAuthorization.deauthorizeTypes(hospital.address, ["Medical/*"]))
+        .to.emit(typeAuthorization, "TypeDeauthorized")
+        .withArgs(hospital.address, "Medical/*", owner.address);
+
+      expect(await typeAuthorization.isAuthorized(hospital.address, "Medical/License")).to.be.false;
+      expect(await hospitalClient.getAuthorizedCredentialTypes(hospital.address)).to.deep.equal(["First Aid Certificate"]);
+
+      // The moved entry can still be withdrawn and authorized again
+      await adminClient.deauthorizeCredentialTypes(hospital.address, ["First Aid Certificate"]);
+      await adminClient.authorizeCredentialTypes(hospital.address, ["Medical/*"]);
+      expect(await adminClient.getCredentialTypeAuthorizations()).to.deep.equal([
+        { issuer: hospital.address, credentialTypes: ["Medical/*"] },
+        { issuer: bootcamp.address, credentialTypes: ["Bootcamp/Web Development"] },
+      ]);
+    });
+  });
+
+  describe("Enforcement", function () {
+    it("Should reject types the issuer is not authorized for in every issuance path", async function () {
+      await issue(hospitalClient, "Medical/License", "ipfs://QmA");
+
+      await expect(credentialRegistry.connect(bootcamp).issueCredential(recipient.address, "Medical/License", "ipfs://QmB", 0, ""))
+        .to.be.revertedWithCustomError(credentialRegistry, "UnauthorizedCredentialType")
+        .withArgs(bootcamp.address, "Medical/License");
+      await expect(credentialRegistry.connect(bootcamp).batchIssueCredentials(
+        [recipient.address, recipient.address],
+        ["Bootcamp/Web Development", "Medical/License"],
+        ["ipfs://QmC", "ipfs://QmD"],
+        [0, 0],
+        ["", ""]
+      )).to.be.revertedWithCustomError(credentialRegistry, "UnauthorizedCredentialType");
+
+      // Admins need an authorization too
+      await expect(issue(adminClient, "Medical/License", "ipfs://QmE")).to.be.rejectedWith("UnauthorizedCredentialType");
+    });
+
+    it("Should keep earlier credentials valid after an authorization is withdrawn", async function () {
+      await issue(hospitalClient, "Medical/License", "ipfs://QmA");
+      await adminClient.deauthorizeCredentialTypes(hospital.address, ["Medical/*"]);
+
+      await expect(issue(hospitalClient, "Medical/License", "ipfs://QmB")).to.be.rejectedWith("UnauthorizedCredentialType");
+      expect(await credentialRegistry.isCredentialValid(1)).to.be.true;
+
+      await adminClient.setTypeAuthorization(ethers.ZeroAddress);
+      expect(await adminClient.isTypeAuthorizationEnforced()).to.be.false;
+      await issue(hospitalClient, "Medical/License", "ipfs://QmB");
+    });
+
+    it("Should only count Merkle credentials of types their issuer is authorized for", async function () {
+      await credentialRegistry.grantIssuerRole(recipient.address);
+      await expect(credentialRegistry.connect(recipient).anchorMerkleRoot(ethers.id("root"), 1, ""))
+        .to.be.revertedWithCustomError(credentialRegistry, "NoAuthorizedCredentialTypes")
+        .withArgs(recipient.address);
+
+      const batch = buildMerkleBatch([
+        { recipient: recipient.address, credentialType: "Medical/License", credentialData: "ipfs://QmA" },
+        { recipient: recipient.address, credentialType: "Bootcamp/Web Development", credentialData: "ipfs://QmB" },
+      ]);
+      const { batchId } = await hospitalClient.anchorMerkleRoot({ root: batch.root, leafCount: 2 });
+      const [license, bootcampCertificate] = createMerkleProofs(batch, {
+        batchId,
+        issuer: hospital.address,
+        chainId: 1337,
+        registryAddress: await credentialRegistry.getAddress(),
+      });
+
+      expect(await verifyMerkleCredential(adminClient, license)).to.include({ isValid: true, reason: null });
+      expect(await verifyMerkleCredential(adminClient, bootcampCertificate))
+        .to.include({ isValid: false, reason: "UnauthorizedType" });
+
+      // Checked at verification time, unlike stored credentials
+      await adminClient.deauthorizeCredentialTypes(hospital.address, ["Medical/*"]);
+      expect(await verifyMerkleCredential(adminClient, license)).to.include({ isValid: false, reason: "UnauthorizedType" });
+      await adminClient.setTypeAuthorization(ethers.ZeroAddress);
+      expect((await verifyMerkleCredential(adminClient, bootcampCertificate)).isValid).to.be.true;
+    });
+  });
+
+  describe("Trusted issuers", function () {
+    beforeEach(async function () {
+      await adminClient.authorizeCredentialTypes(bootcamp.address, ["First Aid Certificate"]);
+      await issue(hospitalClient, "First Aid Certificate", "ipfs://QmHospital");
+      await issue(bootcampClient, "First Aid Certificate", "ipfs://QmBootcamp");
+    });
+
+    it("Should only count credentials from trusted issuers", async function () {
+      const hasValidCredentialType = credentialVerifier["hasValidCredentialType(address,string,address[])"];
+      expect(await hasValidCredentialType(recipient.address, "First Aid Certificate", [hospital.address]))
+        .to.deep.equal([true, 1n]);
+      expect(await hasValidCredentialType(recipient.address, "First Aid Certificate", [owner.address]))
+        .to.deep.equal([false, 0n]);
+      expect(await hasValidCredentialType(recipient.address, "First Aid Certificate", []))
+        .to.deep.equal([false, 0n]);
+      expect(await credentialVerifier["hasValidCredentialType(address,string)"](recipient.address, "First Aid Certificate"))
+        .to.deep.equal([true, 2n]);
+    });
+
+    it("Should check trusted issuers through the SDK with or without a verifier", async function () {
+      const registryOnly = new CredentialClient(ethers.provider, { registryAddress: await credentialRegistry.getAddress() });
+      await adminClient.revokeCredential(2, "Issued in error");
+
+      for (const client of [adminClient, registryOnly]) {
+        expect(await client.hasValidCredentialType(recipient.address, "First Aid Certificate"))
+          .to.deep.equal({ hasValidCredential: true, count: 1 });
+        expect(await client.hasValidCredentialType(recipient.address, "First Aid Certificate", { trustedIssuers: [bootcamp.address] }))
+          .to.deep.equal({ hasValidCredential: false, count: 0 });
+      }
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { CredentialClient, signRevokeRequest, loadDeployment } = require("../lib");
+const { upgradeRegistry } = require("../scripts/upgrade");
+
+const { ethers, upgrades } = hre;
+
+describe("Upgradeable registry", function () {
+  let credentialRegistry, registryAddress, client, deploymentPath;
+  let owner, issuer, recipient, outsider;
+
+  async function snapshot() {
+    return {
+      credentials: await Promise.all([1, 2, 3].map((id) => client.getCredential(id))),
+      recipientIds: await client.getCredentialIdsByRecipient(recipient.address),
+      issuerProfile: await client.getIssuerProfile(issuer.address),
+      isIssuer: await client.hasRole("issuer", issuer.address),
+      nonce: await client.getNonce(owner.address),
+      domain: await client.getEip712Domain(),
+      offchainRevoked: await client.isOffchainCredentialRevoked(issuer.address, ethers.id("offchain")),
+    };
+  }
+
+  beforeEach(async function () {
+    [owner, issuer, recipient, outsider] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    registryAddress = await credentialRegistry.getAddress();
+
+    // Populate the registry with every kind of state before upgrading
+    await credentialRegistry.grantIssuerRole(issuer.address);
+    const issuerClient = new CredentialClient(issuer, { registryAddress });
+    await issuerClient.setupIssuerProfile({ name: "Test University", description: "Leading educational institution" });
+    await issuerClient.batchIssueCredentials([
+      { recipient: recipient.address, credentialType: "Bachelor Degree", credentialData: { gpa: "3.85" } },
+      { recipient: recipient.address, credentialType: "Certificate", credentialData: "ipfs://QmCertificate" },
+      { recipient: outsider.address, credentialType: "Certificate", credentialData: "ipfs://QmOther" },
+    ]);
+    await issuerClient.revokeOffchainCredential(issuer.address, ethers.id("offchain"), "Issued in error");
+
+    client = issuerClient.connect(owner);
+    const { request, signature } = await signRevokeRequest(client, 2, "Superseded");
+    await client.revokeCredentialBySig(request, signature);
+
+    deploymentPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "credential-upgrade-")), "deployment.json");
+    fs.writeFileSync(deploymentPath, JSON.stringify({
+      network: "hardhat",
+      contracts: { CredentialRegistry: { address: registryAddress, proxyKind: "uups" } },
+    }));
+  });
+
+  describe("Initialization", function () {
+    it("Should grant every role to the deployer", async function () {
+      for (const role of ["admin", "issuer", "verifier", "revoker", "upgrader"]) {
+        expect(await client.hasRole(role, owner.address), role).to.be.true;
+      }
+      expect(await credentialRegistry.version()).to.equal("1.0.0");
+    });
+
+    it("Should not initialize twice", async function () {
+      await expect(credentialRegistry.initialize())
+        .to.be.revertedWithCustomError(credentialRegistry, "InvalidInitialization");
+    });
+
+    it("Should not let anyone initialize the implementation itself", async function () {
+      const implementation = await ethers.getContractAt(
+        "CredentialRegistry",
+        await upgrades.erc1967.getImplementationAddress(registryAddress)
+      );
+
+      await expect(implementation.connect(outsider).initialize())
+        .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+  });
+
+  describe("Upgrading", function () {
+    it("Should keep all state and the address when upgrading a populated registry", async function () {
+      const before = await snapshot();
+
+      const result = await upgradeRegistry(hre, { deploymentPath, contractName: "CredentialRegistryV2Mock" });
+
+      expect(result.proxyAddress).to.equal(registryAddress);
+      expect(result.implementation).to.not.equal(result.previousImplementation);
+      expect(result.version).to.equal("2.0.0-mock");
+      expect(await upgrades.erc1967.getImplementationAddress(registryAddress)).to.equal(result.implementation);
+      expect(await snapshot()).to.deep.equal(before);
+      expect(await client.getTotalCredentials()).to.equal(3);
+
+      // New issuance continues from the existing counter, and the appended variable is usable
+      const { credentialId } = await client.issueCredential({
+        recipient: recipient.address,
+        credentialType: "Master Degree",
+        credentialData: "ipfs://QmMaster",
+      });
+      expect(credentialId).to.equal(4);
+
+      const upgraded = await ethers.getContractAt("CredentialRegistryV2Mock", registryAddress);
+      await upgraded.incrementUpgradeCounter();
+      expect(await upgraded.upgradeCounter()).to.equal(1);
+      expect(await client.getTotalCredentials()).to.equal(4);
+    });
+
+    it("Should record the implementation history in the deployment file", async function () {
+      const first = await upgradeRegistry(hre, { deploymentPath, contractName: "CredentialRegistryV2Mock" });
+
+      const { contracts } = loadDeployment(deploymentPath);
+      expect(contracts.CredentialRegistry.address).to.equal(registryAddress);
+      expect(contracts.CredentialRegistry.implementation).to.equal(first.implementation);
+      expect(contracts.CredentialRegistry.implementationHistory).to.have.length(1);
+      expect(contracts.CredentialRegistry.implementationHistory[0]).to.include({
+        implementation: first.implementation,
+        contractName: "CredentialRegistryV2Mock",
+        version: "2.0.0-mock",
+        transactionHash: first.transactionHash,
+      });
+
+      // Re-running with the current implementation changes nothing
+      const second = await upgradeRegistry(hre, { deploymentPath, contractName: "CredentialRegistryV2Mock" });
+      expect(second.transactionHash).to.be.null;
+      expect(loadDeployment(deploymentPath).contracts.CredentialRegistry.implementationHistory).to.have.length(1);
+    });
+
+    it("Should validate without deploying", async function () {
+      const result = await upgradeRegistry(hre, { deploymentPath, contractName: "CredentialRegistryV2Mock", validateOnly: true });
+
+      expect(result.implementation).to.be.null;
+      expect(await upgrades.erc1967.getImplementationAddress(registryAddress)).to.equal(result.previousImplementation);
+      expect(loadDeployment(deploymentPath).contracts.CredentialRegistry.implementationHistory).to.be.undefined;
+    });
+
+    it("Should refuse an implementation with an incompatible storage layout", async function () {
+      for (const validateOnly of [true, false]) {
+        await expect(
+          upgradeRegistry(hre, { deploymentPath, contractName: "CredentialRegistryLayoutClashMock", validateOnly })
+        ).to.be.rejectedWith(/New storage layout is incompatible/);
+      }
+
+      expect(await client.getTotalCredentials()).to.equal(3);
+    });
+
+    it("Should only let UPGRADER_ROLE upgrade", async function () {
+      const V2 = await ethers.getContractFactory("CredentialRegistryV2Mock");
+      const implementation = await upgrades.prepareUpgrade(registryAddress, V2, { kind: "uups" });
+
+      await expect(credentialRegistry.connect(outsider).upgradeToAndCall(implementation, "0x"))
+        .to.be.revertedWithCustomError(credentialRegistry, "AccessControlUnauthorizedAccount")
+        .withArgs(outsider.address, await credentialRegistry.UPGRADER_ROLE());
+
+      // Only upgraders hand upgrades to another account, not admins
+      const admin = (await ethers.getSigners())[4];
+      await client.beginDefaultAdminTransfer(admin.address);
+      await time.increase(await credentialRegistry.DEFAULT_ADMIN_TRANSFER_DELAY());
+      await credentialRegistry.connect(admin).acceptDefaultAdminTransfer();
+      await expect(credentialRegistry.connect(admin).grantRole(await credentialRegistry.UPGRADER_ROLE(), admin.address))
+        .to.be.revertedWithCustomError(credentialRegistry, "AccessControlUnauthorizedAccount")
+        .withArgs(admin.address, await credentialRegistry.UPGRADER_ROLE());
+
+      await client.grantRole("upgrader", outsider.address);
+      await credentialRegistry.connect(outsider).upgradeToAndCall(implementation, "0x");
+      expect(await credentialRegistry.version()).to.equal("2.0.0-mock");
+    });
+  });
+});
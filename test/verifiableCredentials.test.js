@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  CredentialClient,
+  toDid,
+  parseDid,
+  toVerifiableCredential,
+  fromVerifiableCredential,
+  exportVerifiableCredential,
+  importVerifiableCredential,
+} = require("../lib");
+
+// Same shape as the diploma in scripts/examples/issueCredential.js
+const DIPLOMA = {
+  studentName: "Alice Johnson",
+  degree: "Bachelor of Science in Computer Science",
+  gpa: "3.85",
+  graduationDate: "2024-05-15",
+  honors: "Magna Cum Laude",
+  major: "Computer Science",
+  minor: "Mathematics",
+  coursework: [
+    "Data Structures and Algorithms",
+    "Database Systems",
+    "Software Engineering",
+    "Machine Learning",
+    "Blockchain Technology",
+  ],
+};
+
+describe("Verifiable Credentials", function () {
+  let client, issuer, recipient, chainId;
+  let expiresAt;
+
+  async function deployClient(signer) {
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    const credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.grantIssuerRole(issuer.address);
+    return new CredentialClient(signer, { registryAddress: await credentialRegistry.getAddress() });
+  }
+
+  beforeEach(async function () {
+    [, issuer, recipient] = await ethers.getSigners();
+    chainId = (await ethers.provider.getNetwork()).chainId;
+
+    client = await deployClient(issuer);
+    await client.setupIssuerProfile({ name: "Example University" });
+
+    expiresAt = (await time.latest()) + 365 * 24 * 60 * 60;
+    await client.issueCredential({
+      recipient: recipient.address,
+      credentialType: "Bachelor Degree",
+      credentialData: DIPLOMA,
+      expiresAt,
+      metadataURI: "ipfs://QmExampleHash123456789",
+    });
+  });
+
+  describe("DIDs", function () {
+    it("Should build and parse did:ethr and did:pkh identifiers", function () {
+      const address = recipient.address;
+
+      expect(toDid(address, 137)).to.equal(`did:ethr:0x89:${address}`);
+      expect(toDid(address, 137, "pkh")).to.equal(`did:pkh:eip155:137:${address}`);
+      expect(parseDid(`did:ethr:0x89:${address.toLowerCase()}`)).to.deep.equal({ address, chainId: 137 });
+      expect(parseDid(`did:ethr:${address}`)).to.deep.equal({ address, chainId: 1 });
+      expect(parseDid(`did:pkh:eip155:80001:${address}`)).to.deep.equal({ address, chainId: 80001 });
+    });
+
+    it("Should reject unsupported identifiers", function () {
+      expect(() => parseDid("did:web:example.edu")).to.throw("Unsupported identifier");
+      expect(() => toDid(recipient.address, 1, "web")).to.throw("Unsupported DID method: web");
+    });
+  });
+
+  describe("Export", function () {
+    it("Should render the diploma as a W3C Verifiable Credential", async function () {
+      const vc = await exportVerifiableCredential(client, 1);
+      const registryId = `eip155:${chainId}:${client.registry.target}`;
+      const credential = await client.getCredential(1);
+
+      expect(vc["@context"][0]).to.equal("https://www.w3.org/2018/credentials/v1");
+      expect(vc.id).to.equal(`urn:${registryId}:credential:1`);
+      expect(vc.type).to.deep.equal(["VerifiableCredential", "BachelorDegree"]);
+      expect(vc.credentialType).to.equal("Bachelor Degree");
+      expect(vc.issuer).to.deep.equal({ id: toDid(issuer.address, chainId), name: "Example University" });
+      expect(vc.issuanceDate).to.equal(new Date(credential.issuedAt * 1000).toISOString().replace(".000Z", "Z"));
+      expect(Date.parse(vc.expirationDate) / 1000).to.equal(expiresAt);
+      expect(vc.credentialSubject).to.deep.equal({ id: toDid(recipient.address, chainId), ...DIPLOMA });
+      expect(vc.credentialStatus).to.deep.equal({
+        id: `urn:${registryId}:credential:1#status`,
+        type: "CredentialRegistryStatus",
+        registry: registryId,
+        credentialId: 1,
+        dataHash: credential.dataHash,
+      });
+      expect(vc.metadataURI).to.equal("ipfs://QmExampleHash123456789");
+    });
+
+    it("Should keep non-JSON data as a credentialData claim", function () {
+      const vc = toVerifiableCredential({
+        id: 7,
+        issuer: issuer.address,
+        recipient: recipient.address,
+        credentialType: "Certificate",
+        credentialData: "ipfs://QmCertificate",
+        data: null,
+        issuedAt: 1700000000,
+        expiresAt: 0,
+        dataHash: ethers.ZeroHash,
+        metadataURI: "",
+      }, { chainId: 137, registryAddress: client.registry.target, didMethod: "pkh" });
+
+      expect(vc.credentialSubject).to.deep.equal({
+        id: `did:pkh:eip155:137:${recipient.address}`,
+        credentialData: "ipfs://QmCertificate",
+      });
+      expect(vc).to.not.have.property("expirationDate");
+      expect(vc).to.not.have.property("metadataURI");
+      expect(vc.issuer).to.deep.equal({ id: `did:pkh:eip155:137:${issuer.address}` });
+    });
+  });
+
+  describe("Import", function () {
+    it("Should round-trip the diploma to the same canonical data hash", async function () {
+      const credential = await client.getCredential(1);
+      const params = fromVerifiableCredential(await exportVerifiableCredential(client, 1, { didMethod: "pkh" }));
+
+      expect(params).to.deep.equal({
+        issuer: issuer.address,
+        recipient: recipient.address,
+        credentialType: "Bachelor Degree",
+        credentialData: credential.credentialData,
+        expiresAt,
+        metadataURI: "ipfs://QmExampleHash123456789",
+        dataHash: credential.dataHash,
+      });
+    });
+
+    it("Should ignore claim order when computing the data hash", async function () {
+      const vc = await exportVerifiableCredential(client, 1);
+      const { id, ...claims } = vc.credentialSubject;
+      const reversed = Object.fromEntries(Object.entries(claims).reverse());
+
+      const shuffled = { ...vc, credentialSubject: { ...reversed, id } };
+      expect(fromVerifiableCredential(shuffled).dataHash).to.equal((await client.getCredential(1)).dataHash);
+    });
+
+    it("Should issue an exported VC into another registry and export it identically", async function () {
+      const vc = await exportVerifiableCredential(client, 1);
+      const otherClient = await deployClient(issuer);
+      await otherClient.setupIssuerProfile({ name: "Example University" });
+
+      const { credentialId, dataHash } = await importVerifiableCredential(otherClient, vc);
+      const imported = await otherClient.getCredential(credentialId);
+      expect(imported.data).to.deep.equal(DIPLOMA);
+      expect(imported.dataHash).to.equal(dataHash);
+      expect(imported.expiresAt).to.equal(expiresAt);
+
+      const reexported = await exportVerifiableCredential(otherClient, credentialId);
+      const withoutRegistryFields = ({ id, issuanceDate, credentialStatus, ...rest }) => rest;
+      expect(withoutRegistryFields(reexported)).to.deep.equal(withoutRegistryFields(vc));
+    });
+
+    it("Should refuse to import a credential that is already anchored", async function () {
+      const vc = await exportVerifiableCredential(client, 1);
+
+      await expect(importVerifiableCredential(client, vc)).to.be.rejectedWith("Credential already issued");
+    });
+
+    it("Should refuse a VC issued by someone other than the signer", async function () {
+      const vc = await exportVerifiableCredential(client, 1);
+
+      await expect(
+        importVerifiableCredential(client.connect(recipient), vc)
+      ).to.be.rejectedWith(`VC issuer ${issuer.address} does not match the signer ${recipient.address}`);
+    });
+
+    it("Should reject documents that are not Verifiable Credentials", function () {
+      expect(() => fromVerifiableCredential({ type: ["VerifiableCredential"] })).to.throw("@context must start with");
+      expect(() => fromVerifiableCredential({
+        "@context": ["https://www.w3.org/2018/credentials/v1"],
+        type: ["VerifiableCredential", "Diploma"],
+        credentialSubject: { degree: "BSc" },
+      })).to.throw("credentialSubject.id is required");
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyUint } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { CredentialClient, CredentialStatus } = require("../lib");
+
+const YEAR = 365 * 86400;
+
+describe("Credential versioning", function () {
+  let credentialRegistry, credentialVerifier, issuerClient;
+  let owner, issuer, otherIssuer, recipient;
+  let expiresAt;
+
+  beforeEach(async function () {
+    [owner, issuer, otherIssuer, recipient] = await ethers.getSigners();
+
+    const CredentialRegistry = await ethers.getContractFactory("CredentialRegistry");
+    credentialRegistry = await upgrades.deployProxy(CredentialRegistry, [], { kind: "uups" });
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.grantIssuerRole(issuer.address);
+    await credentialRegistry.grantIssuerRole(otherIssuer.address);
+
+    const CredentialVerifier = await ethers.getContractFactory("CredentialVerifier");
+    credentialVerifier = await CredentialVerifier.deploy(await credentialRegistry.getAddress());
+
+    issuerClient = new CredentialClient(issuer, {
+      registryAddress: await credentialRegistry.getAddress(),
+      verifierAddress: await credentialVerifier.getAddress(),
+    });
+
+    expiresAt = (await time.latest()) + YEAR;
+    await issuerClient.issueCredential({
+      recipient: recipient.address,
+      credentialType: "First Aid Certificate",
+      credentialData: { holder: "Alice Johnson", level: "Basic" },
+      expiresAt,
+      metadataURI: "ipfs://QmFirstAid",
+    });
+  });
+
+  describe("Renewal", function () {
+    it("Should issue the same data again with a later expiry and link both versions", async function () {
+      await time.increase(YEAR);
+      expect(await credentialRegistry.isCredentialValid(1)).to.be.false;
+
+      await expect(credentialRegistry.connect(issuer).renewCredential(1, expiresAt + YEAR))
+        .to.emit(credentialRegistry, "CredentialIssued")
+        .withArgs(2, issuer.address, recipient.address, "First Aid Certificate", anyUint, expiresAt + YEAR)
+        .and.to.emit(credentialRegistry, "CredentialStatusUpdated")
+        .withArgs(1, CredentialStatus.Expired, CredentialStatus.Superseded, anyUint)
+        .and.to.emit(credentialRegistry, "CredentialSuperseded")
+        .withArgs(1, 2, issuer.address, anyUint);
+
+      const [previous, renewed] = [await credentialRegistry.getCredential(1), await credentialRegistry.getCredential(2)];
+      expect(previous.status).to.equal(CredentialStatus.Superseded);
+      expect(renewed.credentialData).to.equal(previous.credentialData);
+      expect(renewed.dataHash).to.equal(previous.dataHash);
+      expect(renewed.metadataURI).to.equal("ipfs://QmFirstAid");
+      expect(await credentialRegistry.supersededBy(1)).to.equal(2);
+      expect(await credentialRegistry.supersedes(2)).to.equal(1);
+      expect(await credentialRegistry.isCredentialValid(2)).to.be.true;
+
+      // The data hash stays taken: only renewals may repeat it
+      await expect(issuerClient.issueCredential({
+        recipient: recipient.address,
+        credentialType: "First Aid Certificate",
+        credentialData: { holder: "Alice Johnson", level: "Basic" },
+      })).to.be.rejectedWith("DuplicateCredentialData");
+    });
+
+    it("Should require an expiry later than the current one", async function () {
+      await expect(credentialRegistry.connect(issuer).renewCredential(1, expiresAt))
+        .to.be.revertedWithCustomError(credentialRegistry, "InvalidExpirationDate");
+
+      await issuerClient.issueCredential({ recipient: recipient.address, credentialType: "Membership", credentialData: "ipfs://QmM" });
+      await expect(credentialRegistry.connect(issuer).renewCredential(2, expiresAt + YEAR))
+        .to.be.revertedWithCustomError(credentialRegistry, "InvalidExpirationDate");
+
+      // Renewing into a non-expiring credential is an extension too
+      await credentialRegistry.connect(issuer).renewCredential(1, 0);
+      expect((await credentialRegistry.getCredential(3)).expiresAt).to.equal(0);
+    });
+  });
+
+  describe("Amendment", function () {
+    it("Should issue corrected data for the same recipient and type", async function () {
+      const { credentialId, previousCredentialId } = await issuerClient.amendCredential(1, {
+        credentialData: { holder: "Alice Johnson", level: "Advanced" },
+        expiresAt,
+      });
+
+      expect([previousCredentialId, credentialId]).to.deep.equal([1, 2]);
+      const amended = await issuerClient.getCredential(2);
+      expect(amended).to.include({ recipient: recipient.address, credentialType: "First Aid Certificate", issuer: issuer.address });
+      expect(amended.data).to.deep.equal({ holder: "Alice Johnson", level: "Advanced" });
+      expect((await issuerClient.getCredential(1)).statusName).to.equal("Superseded");
+    });
+
+    it("Should only supersede active or expired credentials of the caller", async function () {
+      await expect(credentialRegistry.connect(otherIssuer).amendCredential(1, "ipfs://QmB", 0, ""))
+        .to.be.revertedWithCustomError(credentialRegistry, "UnauthorizedIssuer")
+        .withArgs(otherIssuer.address);
+
+      await issuerClient.suspendCredential(1);
+      await expect(credentialRegistry.connect(issuer).amendCredential(1, "ipfs://QmB", 0, ""))
+        .to.be.revertedWithCustomError(credentialRegistry, "InvalidStatusTransition")
+        .withArgs(1, CredentialStatus.Suspended, CredentialStatus.Superseded);
+      await issuerClient.reinstateCredential(1);
+
+      await credentialRegistry.connect(issuer).amendCredential(1, "ipfs://QmB", 0, "");
+      await expect(credentialRegistry.connect(issuer).renewCredential(1, expiresAt + YEAR))
+        .to.be.revertedWithCustomError(credentialRegistry, "InvalidStatusTransition")
+        .withArgs(1, CredentialStatus.Superseded, CredentialStatus.Superseded);
+      await expect(credentialRegistry.connect(issuer).reinstateCredential(1))
+        .to.be.revertedWithCustomError(credentialRegistry, "InvalidStatusTransition")
+        .withArgs(1, CredentialStatus.Superseded, CredentialStatus.Active);
+
+      // A superseded version stays superseded after its expiry, but can still be revoked
+      await time.increase(YEAR);
+      expect((await credentialVerifier.getCredentialsByIssuerPaginated(issuer.address, CredentialStatus.Superseded, 0, 10))[0])
+        .to.have.length(1);
+      await credentialRegistry.revokeCredential(1, "Fraud");
+    });
+  });
+
+  describe("Version chain", function () {
+    beforeEach(async function () {
+      await issuerClient.amendCredential(1, { credentialData: { holder: "Alice Johnson", level: "Advanced" }, expiresAt });
+      await issuerClient.renewCredential(2, { expiresAt: expiresAt + YEAR });
+    });
+
+    it("Should walk to the latest version from any version", async function () {
+      for (const credentialId of [1, 2, 3]) {
+        expect(await credentialVerifier.getVersionChain(credentialId)).to.deep.equal([1n, 2n, 3n]);
+        expect(await credentialVerifier.getLatestVersion(credentialId)).to.deep.equal([3n, true]);
+      }
+
+      await issuerClient.suspendCredential(3);
+      expect(await credentialVerifier.getLatestVersion(1)).to.deep.equal([3n, false]);
+    });
+
+    it("Should walk the chain through the SDK with or without a verifier", async function () {
+      const registryOnly = new CredentialClient(ethers.provider, { registryAddress: await credentialRegistry.getAddress() });
+
+      for (const client of [issuerClient, registryOnly]) {
+        expect(await client.getVersionChain(2)).to.deep.equal([1, 2, 3]);
+        const latest = await client.getLatestVersion(1);
+        expect(latest).to.include({ credentialId: 3, isValid: true });
+        expect(latest.credential.expiresAt).to.equal(expiresAt + YEAR);
+      }
+      expect(await registryOnly.getVersionChain(4)).to.deep.equal([4]);
+    });
+  });
+});